@@ -22,6 +22,7 @@
 
 const db = require('./db');
 const Blocky = require('blockly');
+const ConflictResolver = require('../shared/ConflictResolver');
 
 /**
  * Class for managing interactions between the server and the database.
@@ -33,19 +34,25 @@ class Database {
       serverId: 0,
       xml: '<xml xmlns="https://developers.google.com/blockly/xml"/>',
     };
+    this.snapshotLoaded = false;
+    this.resolver = new ConflictResolver();
+    this.compactionTimer = null;
   }
 
   /**
    * Query the database for entries since the given server id.
    * @param {number} serverId serverId for the lower bound of the query.
+   * @param {number=} maxServerId serverId for the inclusive upper bound of the
+   * query. Defaults to the latest entry.
    * @returns {!Promise} Promise object represents the entries since the last
    * given serverId.
    * @public
    */
-  query(serverId) {
+  query(serverId, maxServerId = Infinity) {
     return new Promise((resolve, reject) => {
       this.db.all(
-        `SELECT * from eventsdb WHERE serverId > ${serverId};`,
+        `SELECT * from eventsdb WHERE serverId > ? AND serverId <= ?;`,
+        [serverId, maxServerId],
         (err, entries) => {
           if (err) {
             console.error(err.message);
@@ -61,13 +68,30 @@ class Database {
     });
   }
 
+  /**
+   * Query the database for the entries a client missed since the given
+   * serverId.
+   * @param {number} serverId serverId for the lower bound of the query.
+   * @returns {!Promise} Promise object with the entries since the given
+   * serverId, or null if some of them were deleted by a compaction. The client
+   * then needs to load the latest snapshot instead.
+   * @public
+   */
+  async queryHistory(serverId) {
+    const entries = await this.query(serverId);
+    const oldestServerId = await this.getOldestSnapshotId_();
+    return serverId < oldestServerId ? null : entries;
+  }
+
   /**
    * Add entry to the database if the entry is a valid next addition.
    * For each user, an addition is valid if the entryNumber is greater than the
-   * entryNumber of its last added entry.
+   * entryNumber of its last added entry. Entries with a lower or equal
+   * entryNumber have already been added, and are resent by clients that lost
+   * the acknowledgement, so they are ignored.
    * @param {!LocalEntry} entry The entry to be added to the database.
    * @returns {!Promise} Promise object with the serverId of the entry written to
-   * the database.
+   * the database, or null if the entry was already added.
    * @public
    */
   async addToServer(entry) {
@@ -84,10 +108,8 @@ class Database {
         } catch {
           reject('Failed to write to the database');
         }
-      } else if (entry.entryNumber == lastEntryNumber) {
-        resolve(null);
       } else {
-        reject('Entry is not valid.');
+        resolve(null);
       }
     });
   }
@@ -138,9 +160,9 @@ class Database {
   updateLastEntryNumber_(workspaceId, entryNumber) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        `UPDATE users SET lastEntryNumber = ?
+        `UPDATE users SET lastEntryNumber = ?, lastSeen = ?
           WHERE workspaceId = ?;`,
-        [entryNumber, workspaceId],
+        [entryNumber, Date.now(), workspaceId],
         async (err) => {
           if (err) {
             console.error(err.message);
@@ -173,9 +195,9 @@ class Database {
               reject('Failed to get last entry number.');
             } else if (entries.length == 0) {
               this.db.run(
-                `INSERT INTO users(workspaceId, lastEntryNumber)
-                VALUES(?, -1)`,
-                [workspaceId],
+                `INSERT INTO users(workspaceId, lastEntryNumber, lastSeen)
+                VALUES(?, -1, ?)`,
+                [workspaceId, Date.now()],
               );
             }
           },
@@ -210,8 +232,9 @@ class Database {
         ? `SELECT workspaceId, position from users
           WHERE
           (EXISTS (SELECT 1 from users WHERE workspaceId == ${workspaceId}))
-          AND workspaceId = ${workspaceId};`
-        : `SELECT workspaceId, position from users;`;
+          AND workspaceId = ${workspaceId} AND position IS NOT NULL;`
+        : `SELECT workspaceId, position from users
+          WHERE position IS NOT NULL;`;
       this.db.all(sql, (err, positionUpdates) => {
         if (err) {
           console.error(err.message);
@@ -236,14 +259,16 @@ class Database {
   updatePosition(positionUpdate) {
     return new Promise((resolve, reject) => {
       this.db.run(
-        `INSERT INTO users(workspaceId, lastEntryNumber, position)
-          VALUES(?, -1, ?)
+        `INSERT INTO users(workspaceId, lastEntryNumber, position, lastSeen)
+          VALUES(?, -1, ?, ?)
           ON CONFLICT(workspaceId)
-          DO UPDATE SET position = ?`,
+          DO UPDATE SET position = ?, lastSeen = ?`,
         [
           positionUpdate.workspaceId,
           JSON.stringify(positionUpdate.position),
+          Date.now(),
           JSON.stringify(positionUpdate.position),
+          Date.now(),
         ],
         (err) => {
           if (err) {
@@ -256,6 +281,30 @@ class Database {
     });
   }
 
+  /**
+   * Clear the position of a user who has disconnected. The user is kept in the
+   * users table so that its lastEntryNumber survives a reconnect, until it is
+   * deleted by deleteStaleUsers.
+   * @param {string} workspaceId The workspaceId of the user who disconnected.
+   * @returns {!Promise} Promise object represents the success of the update.
+   * @public
+   */
+  disconnectUser(workspaceId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET position = NULL, lastSeen = ? WHERE workspaceId = ?;`,
+        [Date.now(), workspaceId],
+        (err) => {
+          if (err) {
+            console.error(err.message);
+            reject();
+          }
+          resolve();
+        },
+      );
+    });
+  }
+
   /**
    * Delete a user from the users table.
    * @param {string} workspaceId The workspaceId of the user to be removed from
@@ -278,6 +327,31 @@ class Database {
     });
   }
 
+  /**
+   * Delete the users that have not written an entry, moved or disconnected
+   * within the given time. Their queued entries have long been resent, so
+   * their lastEntryNumber is no longer needed.
+   * @param {number} timeout The time in milliseconds after which a user is
+   * deleted.
+   * @returns {!Promise} Promise object represents the success of the deletion.
+   * @public
+   */
+  deleteStaleUsers(timeout) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM users WHERE lastSeen IS NULL OR lastSeen < ?;`,
+        [Date.now() - timeout],
+        (err) => {
+          if (err) {
+            console.error(err.message);
+            reject('Failed to delete stale users.');
+          }
+          resolve();
+        },
+      );
+    });
+  }
+
   /**
    * Retrieve the latest snapshot of the workspace.
    * @returns {!Snapshot} The latest snapshot of the workspace.
@@ -288,6 +362,85 @@ class Database {
     return this.snapshot;
   }
 
+  /**
+   * Retrieve the state of the workspace as it was after the entry with the
+   * given serverId was added.
+   * @param {number} serverId The serverId of the last entry to include.
+   * @returns {!Promise} Promise object with the snapshot of the workspace at
+   * the given serverId.
+   * @public
+   */
+  getSnapshotAt(serverId) {
+    return new Promise(async (resolve, reject) => {
+      try {
+        const storedSnapshot = await this.getStoredSnapshot_(serverId);
+        if (!storedSnapshot) {
+          reject('History is not retained for this serverId.');
+          return;
+        }
+        const entries = await this.query(storedSnapshot.serverId, serverId);
+        resolve(this.applyEntries_(storedSnapshot, entries));
+      } catch {
+        reject('Failed to get snapshot.');
+      }
+    });
+  }
+
+  /**
+   * Periodically store a snapshot of the workspace, delete entries and
+   * snapshots that are older than the retention window, and delete stale
+   * users.
+   * @param {{interval: number, retentionWindow: number, userTimeout: number}}
+   * options The time in milliseconds between compactions, the number of
+   * entries before the latest snapshot whose history should be kept, and the
+   * time in milliseconds after which a user who has not been seen is deleted.
+   * @public
+   */
+  startCompaction(options) {
+    this.stopCompaction();
+    this.compactionTimer = setInterval(async () => {
+      try {
+        await this.compact(options.retentionWindow);
+        await this.deleteStaleUsers(options.userTimeout);
+      } catch (err) {
+        console.error(err);
+      }
+    }, options.interval);
+  }
+
+  /**
+   * Stop the periodic compaction started by startCompaction.
+   * @public
+   */
+  stopCompaction() {
+    if (this.compactionTimer) {
+      clearInterval(this.compactionTimer);
+      this.compactionTimer = null;
+    }
+  }
+
+  /**
+   * Store a snapshot of the latest state of the workspace, then delete the
+   * entries and snapshots that are no longer needed to rebuild the workspace
+   * at any serverId in the retention window.
+   * @param {number} retentionWindow The number of entries before the latest
+   * snapshot whose history should be kept. At least one entry is always kept
+   * so that serverIds are never reused. Clients that are further behind are
+   * told to load the latest snapshot by queryHistory.
+   * @returns {!Promise} Promise object that represents the success of the
+   * compaction.
+   * @public
+   */
+  async compact(retentionWindow) {
+    await this.updateSnapshot_();
+    await this.runStoreSnapshotQuery_(this.snapshot);
+    const cutoff = this.snapshot.serverId - Math.max(retentionWindow, 1);
+    const base = await this.getStoredSnapshot_(cutoff);
+    if (base) {
+      await this.runDeleteHistoryQuery_(base.serverId);
+    }
+  }
+
   /**
    * Update the snapshot of the workspace.
    * @returns {!Promise} Promise object that represents the success of the
@@ -296,30 +449,202 @@ class Database {
    */
   updateSnapshot_() {
     return new Promise(async (resolve, reject) => {
-      const newEntries = await this.query(this.snapshot.serverId);
-      if (newEntries.length == 0) {
-        resolve();
-        return;
+      if (!this.snapshotLoaded) {
+        // Start from the last compaction rather than replaying every entry.
+        try {
+          const storedSnapshot = await this.getStoredSnapshot_(Infinity);
+          if (
+            storedSnapshot &&
+            storedSnapshot.serverId > this.snapshot.serverId
+          ) {
+            this.snapshot = storedSnapshot;
+            this.resolver = new ConflictResolver();
+          }
+          this.snapshotLoaded = true;
+        } catch {
+          // Try again on the next update.
+        }
       }
-      // Load last stored snapshot of the workspace.
-      const workspace = new Blocky.Workspace();
-      if (this.snapshot.xml) {
-        const xml = Blocky.Xml.textToDom(this.snapshot.xml);
-        Blocky.Xml.domToWorkspace(xml, workspace);
+      try {
+        const newEntries = await this.query(this.snapshot.serverId);
+        if (newEntries.length == 0) {
+          resolve();
+          return;
+        }
+        this.snapshot = this.applyEntries_(
+          this.snapshot,
+          newEntries,
+          this.resolver,
+        );
+        resolve();
+      } catch {
+        reject('Failed to update snapshot.');
       }
-      // Play events since the last time the snapshot was generated.
-      newEntries.forEach((entry) => {
-        entry.events.forEach((event) => {
-          const blocklyEvent = Blocky.Events.fromJson(event, workspace);
-          blocklyEvent.run(true);
-        });
+    });
+  }
+
+  /**
+   * Play entries on top of a snapshot in a headless workspace. Events are
+   * resolved the same way clients resolve them, so the snapshot matches the
+   * workspace of every client that has received the same entries.
+   * @param {!Snapshot} snapshot The snapshot to start from.
+   * @param {!Array.<!Entry>} entries The entries since the snapshot.
+   * @param {!ConflictResolver=} resolver The resolver that has seen the
+   * entries before the snapshot was loaded. Defaults to a new resolver, as
+   * used by a client that has just loaded the snapshot.
+   * @returns {!Snapshot} The snapshot of the workspace after the entries.
+   * @private
+   */
+  applyEntries_(snapshot, entries, resolver = new ConflictResolver()) {
+    if (entries.length == 0) {
+      return snapshot;
+    }
+    // Load the snapshot of the workspace.
+    const workspace = new Blocky.Workspace();
+    if (snapshot.xml) {
+      const xml = Blocky.utils.xml.textToDom(snapshot.xml);
+      Blocky.Xml.domToWorkspace(xml, workspace);
+    }
+    // Play events since the snapshot was generated.
+    entries.forEach((entry) => {
+      const events = entry.events.map((event) => {
+        return Blocky.Events.fromJson(event, workspace);
+      });
+      resolver.resolveServerEvents(events).events.forEach((event) => {
+        if (this.hasTarget_(event, workspace)) {
+          event.run(true);
+        }
+      });
+    });
+    // Create the new snapshot object.
+    const newSnapshotXml = Blocky.Xml.workspaceToDom(workspace, false);
+    workspace.dispose();
+    return {
+      xml: Blocky.Xml.domToText(newSnapshotXml),
+      serverId: entries[entries.length - 1].serverId,
+    };
+  }
+
+  /**
+   * Check whether the blocks and variables an event applies to are on the
+   * workspace. A resolver that starts from a stored snapshot has not seen the
+   * deletions before it, so events that target those are skipped here.
+   * @param {!Blockly.Events.Abstract} event The event to check.
+   * @param {!Blockly.Workspace} workspace The workspace the event is run on.
+   * @returns {boolean} True if the event can be run.
+   * @private
+   */
+  hasTarget_(event, workspace) {
+    switch (event.type) {
+      case Blocky.Events.BLOCK_CHANGE:
+      case Blocky.Events.BLOCK_DELETE:
+        return !!workspace.getBlockById(event.blockId);
+      case Blocky.Events.BLOCK_MOVE:
+        return (
+          !!workspace.getBlockById(event.blockId) &&
+          (!event.newParentId || !!workspace.getBlockById(event.newParentId))
+        );
+      case Blocky.Events.VAR_DELETE:
+      case Blocky.Events.VAR_RENAME:
+        return !!workspace.getVariableById(event.varId);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Get the most recent stored snapshot at or before the given serverId.
+   * @param {number} serverId The upper bound of the query.
+   * @returns {!Promise} Promise object with the stored snapshot, or null if
+   * none is retained.
+   * @private
+   */
+  getStoredSnapshot_(serverId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT snapshot from snapshots WHERE serverId <= ?
+          ORDER BY serverId DESC LIMIT 1;`,
+        [serverId],
+        (err, rows) => {
+          if (err) {
+            console.error(err.message);
+            reject('Failed to get snapshot.');
+          } else {
+            resolve(rows.length ? JSON.parse(rows[0].snapshot) : null);
+          }
+        },
+      );
+    });
+  }
+
+  /**
+   * Get the serverId of the oldest stored snapshot. Entries up to and including
+   * it have been deleted by a compaction.
+   * @returns {!Promise} Promise object with the serverId of the oldest stored
+   * snapshot, or 0 if none is stored.
+   * @private
+   */
+  getOldestSnapshotId_() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT MIN(serverId) as serverId from snapshots;`,
+        (err, rows) => {
+          if (err) {
+            console.error(err.message);
+            reject('Failed to get snapshot.');
+          } else {
+            resolve(rows[0].serverId || 0);
+          }
+        },
+      );
+    });
+  }
+
+  /**
+   * Run query to store a snapshot of the workspace.
+   * @param {!Snapshot} snapshot The snapshot to be stored.
+   * @returns {!Promise} Promise object represents the success of the write.
+   * @private
+   */
+  runStoreSnapshotQuery_(snapshot) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT OR REPLACE INTO snapshots(serverId, snapshot) VALUES(?, ?);`,
+        [snapshot.serverId, JSON.stringify(snapshot)],
+        (err) => {
+          if (err) {
+            console.error(err.message);
+            reject('Failed to store snapshot.');
+          }
+          resolve();
+        },
+      );
+    });
+  }
+
+  /**
+   * Run query to delete the history before a stored snapshot.
+   * @param {number} serverId The serverId of the oldest snapshot to keep. All
+   * entries up to and including it, and all older snapshots, are deleted.
+   * @returns {!Promise} Promise object represents the success of the deletion.
+   * @private
+   */
+  runDeleteHistoryQuery_(serverId) {
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run(`DELETE FROM eventsdb WHERE serverId <= ?;`, [serverId]);
+        this.db.run(
+          `DELETE FROM snapshots WHERE serverId < ?;`,
+          [serverId],
+          (err) => {
+            if (err) {
+              console.error(err.message);
+              reject('Failed to delete history.');
+            }
+            resolve();
+          },
+        );
       });
-      // Store the new snapshot object.
-      const newSnapshotXml = Blocky.Xml.workspaceToDom(workspace, false);
-      const newSnapshotText = Blocky.Xml.domToText(newSnapshotXml);
-      this.snapshot.xml = newSnapshotText;
-      this.snapshot.serverId = newEntries[newEntries.length - 1].serverId;
-      resolve();
     });
   }
 }
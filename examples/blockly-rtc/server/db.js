@@ -38,11 +38,41 @@ const db = new sqlite3.Database('./eventsdb.sqlite', (err) => {
   const userTableSql = `CREATE TABLE IF NOT EXISTS users(
       workspaceId TEXT UNIQUE,
       lastEntryNumber INTEGER,
-      position TEXT);`;
-  db.run(userTableSql, function (err) {
-    if (err) {
-      return console.error(err.message);
-    }
+      position TEXT,
+      lastSeen INTEGER);`;
+  db.serialize(() => {
+    db.run(userTableSql, function (err) {
+      if (err) {
+        return console.error(err.message);
+      }
+    });
+    // Databases created before lastSeen was added do not have the column.
+    db.run(`ALTER TABLE users ADD COLUMN lastSeen INTEGER;`, () => {});
+  });
+  // Seed the history with the empty workspace, so every serverId can be
+  // rebuilt until the first compaction deletes old entries.
+  const snapshotsTableSql = `CREATE TABLE IF NOT EXISTS snapshots(
+      serverId INTEGER PRIMARY KEY,
+      snapshot TEXT);`;
+  const emptySnapshot = JSON.stringify({
+    serverId: 0,
+    xml: '<xml xmlns="https://developers.google.com/blockly/xml"/>',
+  });
+  db.serialize(() => {
+    db.run(snapshotsTableSql, function (err) {
+      if (err) {
+        return console.error(err.message);
+      }
+    });
+    db.run(
+      `INSERT OR IGNORE INTO snapshots(serverId, snapshot) VALUES(0, ?);`,
+      [emptySnapshot],
+      function (err) {
+        if (err) {
+          return console.error(err.message);
+        }
+      },
+    );
   });
 });
 
@@ -26,14 +26,20 @@ const database = require('../Database');
 
 /**
  * Handler for an events GET request. Query the database for events since the
- * last serverId and return them in the HTTP response.
+ * last serverId and return them in the HTTP response. Responds with 410 if
+ * some of the events have been deleted by a compaction.
  * @param {!Object} res The HTTP response object.
  * @param {number} serverId serverId for the lower bound of the query.
  * @private
  */
 async function queryEventsHandler(res, serverId) {
   try {
-    const entries = await database.query(serverId);
+    const entries = await database.queryHistory(serverId);
+    if (!entries) {
+      res.statusCode = 410;
+      res.end();
+      return;
+    }
     res.setHeader('Content-Type', 'application/json');
     res.statusCode = 200;
     res.write(JSON.stringify({entries}));
@@ -57,8 +63,12 @@ async function addEventsHandler(req, res) {
       data.push(chunk);
     });
     req.on('end', async () => {
-      await database.addToServer(JSON.parse(data).entry);
-      res.statusCode = 200;
+      try {
+        await database.addToServer(JSON.parse(data).entry);
+        res.statusCode = 200;
+      } catch {
+        res.statusCode = 401;
+      }
       res.end();
     });
   } catch {
@@ -86,6 +96,27 @@ async function getSnapshotHandler(res) {
   }
 }
 
+/**
+ * Handler for a snapshot history GET request. Get the state of the workspace
+ * at a retained serverId.
+ * @param {!Object} res The HTTP response object.
+ * @param {number} serverId The serverId of the last entry to include.
+ * @public
+ */
+async function getSnapshotAtHandler(res, serverId) {
+  try {
+    const snapshot = await database.getSnapshotAt(serverId);
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = 200;
+    res.write(JSON.stringify({snapshot}));
+    res.end();
+  } catch {
+    res.statusCode = 404;
+    res.end();
+  }
+}
+
 module.exports.queryEventsHandler = queryEventsHandler;
 module.exports.addEventsHandler = addEventsHandler;
 module.exports.getSnapshotHandler = getSnapshotHandler;
+module.exports.getSnapshotAtHandler = getSnapshotAtHandler;
@@ -23,10 +23,20 @@
 const http = require('http');
 const url = require('url');
 
+const database = require('./Database');
 const EventsHandlers = require('./http/events_handlers');
 const UsersHandlers = require('./http/users_handlers');
 
 const PORT = 3001;
+const COMPACTION_INTERVAL = 60 * 1000;
+const RETENTION_WINDOW = 1000;
+const USER_TIMEOUT = 24 * 60 * 60 * 1000;
+
+database.startCompaction({
+  interval: COMPACTION_INTERVAL,
+  retentionWindow: RETENTION_WINDOW,
+  userTimeout: USER_TIMEOUT,
+});
 
 http
   .createServer(async (req, res) => {
@@ -43,6 +53,11 @@ http
       parsedUrl.pathname === '/api/snapshot/query'
     ) {
       await EventsHandlers.getSnapshotHandler(res);
+    } else if (
+      req.method === 'GET' &&
+      parsedUrl.pathname === '/api/snapshot/history'
+    ) {
+      await EventsHandlers.getSnapshotAtHandler(res, parsedUrl.query.serverId);
     } else if (
       req.method === 'GET' &&
       parsedUrl.pathname === '/api/users/position/query'
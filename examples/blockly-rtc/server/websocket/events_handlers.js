@@ -29,11 +29,12 @@ const database = require('../Database');
  * last serverId.
  * @param {number} serverId serverId for the lower bound of the query.
  * @param {!Function} callback The callback passed in by WorkspaceClient to
- * receive acknowledgement of the success of the write.
+ * receive the entries, or null if some of them have been deleted by a
+ * compaction.
  * @private
  */
 async function getEventsHandler(serverId, callback) {
-  const entries = await database.query(serverId);
+  const entries = await database.queryHistory(serverId);
   callback(entries);
 }
 
@@ -60,6 +61,24 @@ async function getSnapshotHandler(callback) {
   callback(snapshot);
 }
 
+/**
+ * Handler for a getSnapshotAt message. Get the state of the workspace at a
+ * retained serverId.
+ * @param {number} serverId The serverId of the last entry to include.
+ * @param {!Function} callback The callback passed in by the client to recieve
+ * the snapshot, or null if the serverId is not retained.
+ * @public
+ */
+async function getSnapshotAtHandler(serverId, callback) {
+  try {
+    const snapshot = await database.getSnapshotAt(serverId);
+    callback(snapshot);
+  } catch {
+    callback(null);
+  }
+}
+
 module.exports.getEventsHandler = getEventsHandler;
 module.exports.addEventsHandler = addEventsHandler;
 module.exports.getSnapshotHandler = getSnapshotHandler;
+module.exports.getSnapshotAtHandler = getSnapshotAtHandler;
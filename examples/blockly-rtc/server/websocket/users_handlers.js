@@ -77,14 +77,15 @@ async function connectUserHandler(user, workspaceId, callback) {
 }
 
 /**
- * Handler for a disconnect. Delete the user from the users table.
+ * Handler for a disconnect. Clear the user's position in the users table. The
+ * user is deleted once it has not been seen for the user timeout.
  * @param {string} workspaceId The workspaceId for the disconnecting user.
  * @param {!Function} callback The callback that broadcasts the disconnect to
  * the connected users.
  * @public
  */
 async function disconnectUserHandler(workspaceId, callback) {
-  await database.deleteUser(workspaceId);
+  await database.disconnectUser(workspaceId);
   callback();
 }
 
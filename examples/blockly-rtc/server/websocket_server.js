@@ -24,10 +24,20 @@
 const socket = require('socket.io');
 const http = require('http');
 
+const database = require('./Database');
 const EventsHandlers = require('./websocket/events_handlers');
 const UsersHandlers = require('./websocket/users_handlers');
 
 const WS_PORT = 3001;
+const COMPACTION_INTERVAL = 60 * 1000;
+const RETENTION_WINDOW = 1000;
+const USER_TIMEOUT = 24 * 60 * 60 * 1000;
+
+database.startCompaction({
+  interval: COMPACTION_INTERVAL,
+  retentionWindow: RETENTION_WINDOW,
+  userTimeout: USER_TIMEOUT,
+});
 
 const server = http.createServer(function (request, response) {
   response.writeHead(404);
@@ -62,8 +72,11 @@ async function onConnect_(user) {
 
   user.on('addEvents', async (entry, callback) => {
     await EventsHandlers.addEventsHandler(entry, (serverId) => {
-      entry.serverId = serverId;
-      io.emit('broadcastEvents', [entry]);
+      // A null serverId means the entry was resent and is already stored.
+      if (serverId != null) {
+        entry.serverId = serverId;
+        io.emit('broadcastEvents', [entry]);
+      }
       callback(serverId);
     });
   });
@@ -83,4 +96,8 @@ async function onConnect_(user) {
   user.on('getSnapshot', async (callback) => {
     await EventsHandlers.getSnapshotHandler(callback);
   });
+
+  user.on('getSnapshotAt', async (serverId, callback) => {
+    await EventsHandlers.getSnapshotAtHandler(serverId, callback);
+  });
 }
@@ -0,0 +1,203 @@
+/**
+ * @license
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Class for resolving conflicts between concurrent edits.
+ * Shared by the client and the server, so both make the same decisions.
+ */
+
+const Blockly = require('blockly');
+
+/**
+ * Class for resolving conflicts between events from different users.
+ * Server events are resolved in server order, so every client that sees the
+ * same entries makes the same decisions:
+ * - Moves are last-writer-wins: the move with the highest serverId is the one
+ *   left on the workspace.
+ * - Events that edit, move or connect to a block that has been deleted are
+ *   dropped.
+ * - Variable renames are merged: a rename of a deleted variable is dropped,
+ *   a rename that matches the current name is redundant and dropped, and a
+ *   rename made against a stale name is rebased onto the current name.
+ */
+class ConflictResolver {
+  constructor() {
+    this.deletedBlockIds = new Set();
+    this.deletedVariableIds = new Set();
+    this.variableNames = new Map();
+  }
+
+  /**
+   * Resolve the events of an entry received from the server against the
+   * entries that came before it, and record the effect of the remaining events.
+   * @param {!Array.<!Blockly.Events.Abstract>} events The events of the entry,
+   * in the order they were run.
+   * @returns {!Resolution} The events that should be run and the events that
+   * were dropped.
+   * @public
+   */
+  resolveServerEvents(events) {
+    return this.resolve_(events, true);
+  }
+
+  /**
+   * Resolve local events that have not yet been written to the server against
+   * the server events seen so far. Local events are not recorded, since they
+   * will be resolved again once the server sends them back.
+   * @param {!Array.<!Blockly.Events.Abstract>} events The local events, in the
+   * order they were run.
+   * @returns {!Resolution} The events that should be run and the events that
+   * were dropped.
+   * @public
+   */
+  resolveLocalEvents(events) {
+    return this.resolve_(events, false);
+  }
+
+  /**
+   * Split events into those that can be run and those that conflict with an
+   * event already seen by the resolver.
+   * @param {!Array.<!Blockly.Events.Abstract>} events The events to resolve.
+   * @param {boolean} record Whether the effect of each kept event should be
+   * recorded before resolving the next one.
+   * @returns {!Resolution} The events that should be run and the events that
+   * were dropped.
+   * @private
+   */
+  resolve_(events, record) {
+    const resolution = {events: [], conflicts: []};
+    events.forEach((event) => {
+      const reason = this.getConflict_(event);
+      if (reason === ConflictResolver.REDUNDANT) {
+        return;
+      }
+      if (reason) {
+        resolution.conflicts.push({event: event, reason: reason});
+      } else {
+        this.rebase_(event);
+        resolution.events.push(event);
+        if (record) {
+          this.record_(event);
+        }
+      }
+    });
+    return resolution;
+  }
+
+  /**
+   * Find the reason an event conflicts with the events already seen.
+   * @param {!Blockly.Events.Abstract} event The event to check.
+   * @returns {?string} The reason the event should be dropped, or null if it
+   * can be run.
+   * @private
+   */
+  getConflict_(event) {
+    switch (event.type) {
+      case Blockly.Events.BLOCK_CHANGE:
+      case Blockly.Events.BLOCK_DELETE:
+        if (this.deletedBlockIds.has(event.blockId)) {
+          return ConflictResolver.DELETED_BLOCK;
+        }
+        return null;
+      case Blockly.Events.BLOCK_MOVE:
+        if (
+          this.deletedBlockIds.has(event.blockId) ||
+          this.deletedBlockIds.has(event.newParentId)
+        ) {
+          return ConflictResolver.DELETED_BLOCK;
+        }
+        return null;
+      case Blockly.Events.VAR_RENAME:
+        if (this.deletedVariableIds.has(event.varId)) {
+          return ConflictResolver.DELETED_VARIABLE;
+        }
+        if (this.variableNames.get(event.varId) === event.newName) {
+          return ConflictResolver.REDUNDANT;
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Update an event that is about to be run so that it applies to the current
+   * state of the workspace.
+   * @param {!Blockly.Events.Abstract} event The event to update.
+   * @private
+   */
+  rebase_(event) {
+    if (
+      event.type === Blockly.Events.VAR_RENAME &&
+      this.variableNames.has(event.varId)
+    ) {
+      event.oldName = this.variableNames.get(event.varId);
+    }
+  }
+
+  /**
+   * Record the effect of a server event that has been resolved.
+   * @param {!Blockly.Events.Abstract} event The event to record.
+   * @private
+   */
+  record_(event) {
+    switch (event.type) {
+      case Blockly.Events.BLOCK_CREATE:
+        (event.ids || [event.blockId]).forEach((id) => {
+          this.deletedBlockIds.delete(id);
+        });
+        break;
+      case Blockly.Events.BLOCK_DELETE:
+        (event.ids || [event.blockId]).forEach((id) => {
+          this.deletedBlockIds.add(id);
+        });
+        break;
+      case Blockly.Events.VAR_CREATE:
+        this.deletedVariableIds.delete(event.varId);
+        this.variableNames.set(event.varId, event.varName);
+        break;
+      case Blockly.Events.VAR_DELETE:
+        this.deletedVariableIds.add(event.varId);
+        this.variableNames.delete(event.varId);
+        break;
+      case Blockly.Events.VAR_RENAME:
+        this.variableNames.set(event.varId, event.newName);
+        break;
+    }
+  }
+}
+
+/**
+ * Reason given for dropping an event that targets a deleted block.
+ * @type {string}
+ */
+ConflictResolver.DELETED_BLOCK = 'deletedBlock';
+
+/**
+ * Reason given for dropping an event that targets a deleted variable.
+ * @type {string}
+ */
+ConflictResolver.DELETED_VARIABLE = 'deletedVariable';
+
+/**
+ * Reason given for silently dropping an event that has already been applied
+ * by another user.
+ * @type {string}
+ */
+ConflictResolver.REDUNDANT = 'redundant';
+
+module.exports = ConflictResolver;
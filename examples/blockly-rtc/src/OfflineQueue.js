@@ -0,0 +1,136 @@
+/**
+ * @license
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Class for keeping unsent entries in IndexedDB.
+ */
+
+import * as Blockly from 'blockly';
+
+/**
+ * Class for storing the entries a client has not yet written to the server, so
+ * that they survive a dropped connection or a reload of the page.
+ * Each tab stores its entries under its own key, so tabs open on the same page
+ * do not overwrite each other's queue.
+ */
+export default class OfflineQueue {
+  /**
+   * @param {string=} name The name of the IndexedDB database to use.
+   */
+  constructor(name = 'blockly-rtc') {
+    this.name = name;
+    this.key = OfflineQueue.getTabKey_();
+    this.db = null;
+  }
+
+  /**
+   * Get the key of the record that holds the queue of this tab. The key is
+   * kept in sessionStorage, which is separate for each tab but survives a
+   * reload, so a reloaded tab finds its queue again.
+   * @returns {string} The key of the record.
+   * @private
+   */
+  static getTabKey_() {
+    let key = sessionStorage.getItem(OfflineQueue.KEY);
+    if (!key) {
+      key = OfflineQueue.KEY + '-' + Blockly.utils.idGenerator.genUid();
+      sessionStorage.setItem(OfflineQueue.KEY, key);
+    }
+    return key;
+  }
+
+  /**
+   * Load the stored entries.
+   * @returns {!Promise} Promise object with the array of stored entries, with
+   * events in JSON format.
+   * @public
+   */
+  async load() {
+    const db = await this.open_();
+    return new Promise((resolve, reject) => {
+      const request = db
+        .transaction(OfflineQueue.STORE, 'readonly')
+        .objectStore(OfflineQueue.STORE)
+        .get(this.key);
+      request.onsuccess = () => {
+        resolve(request.result || []);
+      };
+      request.onerror = () => {
+        reject('Failed to load the offline queue.');
+      };
+    });
+  }
+
+  /**
+   * Replace the stored entries.
+   * @param {!Array.<!LocalEntry>} entries The entries to store, with events in
+   * JSON format.
+   * @returns {!Promise} Promise object that represents the success of the
+   * write.
+   * @public
+   */
+  async save(entries) {
+    const db = await this.open_();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(OfflineQueue.STORE, 'readwrite');
+      transaction.objectStore(OfflineQueue.STORE).put(entries, this.key);
+      transaction.oncomplete = () => {
+        resolve();
+      };
+      transaction.onerror = () => {
+        reject('Failed to save the offline queue.');
+      };
+    });
+  }
+
+  /**
+   * Open the IndexedDB database, creating the object store if needed.
+   * @returns {!Promise} Promise object with the open database.
+   * @private
+   */
+  open_() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OfflineQueue.STORE);
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => {
+        reject('Failed to open the offline queue.');
+      };
+    });
+  }
+}
+
+/**
+ * Name of the object store that holds the queue.
+ * @type {string}
+ */
+OfflineQueue.STORE = 'queue';
+
+/**
+ * Prefix of the keys of the records that hold the queued entries, and the
+ * sessionStorage item that holds the key of the current tab.
+ * @type {string}
+ */
+OfflineQueue.KEY = 'entries';
@@ -16,17 +16,28 @@
  */
 
 /**
- * @fileoverview Object representing a user's cursor position on the workspace.
+ * @fileoverview Object representing a user's cursor position on the workspace,
+ * along with who the user is, what they are dragging and what they can see.
  * @author navil@google.com (Navil Perez)
  */
 
 import * as Blockly from 'blockly';
 
 export default class Position {
-  constructor(type, blockId, fieldName) {
+  constructor(
+    type,
+    blockId,
+    fieldName,
+    user = null,
+    drag = null,
+    viewport = null,
+  ) {
     this.type = type;
     this.blockId = blockId;
     this.fieldName = fieldName;
+    this.user = user;
+    this.drag = drag;
+    this.viewport = viewport;
   }
 
   /**
@@ -88,7 +99,14 @@ export default class Position {
    * @public
    */
   static fromJson(json) {
-    return new Position(json.type, json.blockId, json.fieldName);
+    return new Position(
+      json.type,
+      json.blockId,
+      json.fieldName,
+      json.user || null,
+      json.drag || null,
+      json.viewport || null,
+    );
   }
 
   /**
@@ -0,0 +1,269 @@
+/**
+ * @license
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Class for drawing other users' selections and drags, and
+ * listing the users on the workspace.
+ */
+
+import * as Blockly from 'blockly';
+
+/**
+ * Class for drawing the presence of other users on top of the workspace:
+ * a highlight and name tag on the block each user has selected, a ghost
+ * of any block a user is dragging, and a list of all users.
+ */
+export default class PresenceLayer {
+  /**
+   * @param {!Blockly.WorkspaceSvg} workspace The workspace to draw on.
+   * @param {!Function} onNameClick The callback that is passed the workspaceId
+   * of a user when their name tag or their entry in the user list is clicked.
+   */
+  constructor(workspace, onNameClick) {
+    this.workspace = workspace;
+    this.onNameClick = onNameClick;
+    this.users = new Map();
+    this.followedUser = null;
+    this.userList = document.createElement('ul');
+    this.userList.className = 'rtcUserList';
+    workspace.getInjectionDiv().appendChild(this.userList);
+    this.svgGroup = Blockly.utils.dom.createSvgElement(
+      Blockly.utils.Svg.G,
+      {class: 'rtcPresenceLayer'},
+      workspace.getBubbleCanvas(),
+    );
+    this.changeListener = (event) => {
+      if (!event.isUiEvent) {
+        this.render_();
+      }
+    };
+    workspace.addChangeListener(this.changeListener);
+  }
+
+  /**
+   * Update the presence drawn for a user.
+   * @param {string} workspaceId The workspaceId of the user.
+   * @param {!Position} position The latest position of the user.
+   * @param {string} colour The colour of the user.
+   * @public
+   */
+  update(workspaceId, position, colour) {
+    this.users.set(workspaceId, {position: position, colour: colour});
+    this.render_();
+    this.renderUserList_();
+  }
+
+  /**
+   * Stop drawing the presence of a user.
+   * @param {string} workspaceId The workspaceId of the user.
+   * @public
+   */
+  remove(workspaceId) {
+    this.users.delete(workspaceId);
+    this.render_();
+    this.renderUserList_();
+  }
+
+  /**
+   * Mark a user as followed in the user list.
+   * @param {?string} workspaceId The workspaceId of the followed user, or null
+   * if no user is followed.
+   * @public
+   */
+  setFollowedUser(workspaceId) {
+    this.followedUser = workspaceId;
+    this.renderUserList_();
+  }
+
+  /**
+   * Remove the layer from the workspace.
+   * @public
+   */
+  dispose() {
+    this.workspace.removeChangeListener(this.changeListener);
+    Blockly.utils.dom.removeNode(this.svgGroup);
+    Blockly.utils.dom.removeNode(this.userList);
+  }
+
+  /**
+   * Redraw the presence of all users.
+   * @private
+   */
+  render_() {
+    while (this.svgGroup.firstChild) {
+      Blockly.utils.dom.removeNode(this.svgGroup.firstChild);
+    }
+    this.users.forEach((user, workspaceId) => {
+      const position = user.position;
+      const name = position.user ? position.user.name : '';
+      const selected = position.blockId
+        ? this.workspace.getBlockById(position.blockId)
+        : null;
+      if (selected) {
+        const rect = selected.getBoundingRectangle();
+        this.drawOutline_(
+          rect.left,
+          rect.top,
+          rect.getWidth(),
+          rect.getHeight(),
+          user.colour,
+          false,
+        );
+        if (name) {
+          this.drawNameTag_(
+            workspaceId,
+            rect.left,
+            rect.top,
+            name,
+            user.colour,
+          );
+        }
+      }
+      const dragged = position.drag
+        ? this.workspace.getBlockById(position.drag.blockId)
+        : null;
+      if (dragged) {
+        const size = dragged.getHeightWidth();
+        this.drawOutline_(
+          position.drag.x,
+          position.drag.y,
+          size.width,
+          size.height,
+          user.colour,
+          true,
+        );
+        this.drawNameTag_(
+          workspaceId,
+          position.drag.x,
+          position.drag.y,
+          (name || 'Someone') + ' is dragging ' + dragged.toString(20),
+          user.colour,
+        );
+      }
+    });
+  }
+
+  /**
+   * Redraw the list of users. Clicking a user calls onNameClick with their
+   * workspaceId, so that users who have nothing selected can be followed.
+   * @private
+   */
+  renderUserList_() {
+    while (this.userList.firstChild) {
+      Blockly.utils.dom.removeNode(this.userList.firstChild);
+    }
+    this.users.forEach((user, workspaceId) => {
+      const position = user.position;
+      const item = document.createElement('li');
+      item.textContent = (position.user && position.user.name) || 'Someone';
+      item.style.borderLeftColor = user.colour;
+      if (workspaceId == this.followedUser) {
+        item.className = 'rtcFollowed';
+        item.title = 'Stop following';
+      } else {
+        item.title = 'Follow';
+      }
+      Blockly.browserEvents.bind(item, 'pointerdown', this, () => {
+        this.onNameClick(workspaceId);
+      });
+      this.userList.appendChild(item);
+    });
+  }
+
+  /**
+   * Draw a rectangle around an area of the workspace.
+   * @param {number} x The left edge in workspace units.
+   * @param {number} y The top edge in workspace units.
+   * @param {number} width The width in workspace units.
+   * @param {number} height The height in workspace units.
+   * @param {string} colour The colour of the outline.
+   * @param {boolean} isGhost Whether to draw a translucent drag ghost rather
+   * than a selection highlight.
+   * @private
+   */
+  drawOutline_(x, y, width, height, colour, isGhost) {
+    const padding = PresenceLayer.PADDING;
+    const attributes = {
+      'x': x - padding,
+      'y': y - padding,
+      'width': width + 2 * padding,
+      'height': height + 2 * padding,
+      'rx': padding,
+      'fill': 'none',
+      'stroke': colour,
+      'stroke-width': 2,
+    };
+    if (isGhost) {
+      attributes['fill'] = colour;
+      attributes['fill-opacity'] = 0.3;
+      attributes['stroke-dasharray'] = '4 4';
+    }
+    Blockly.utils.dom.createSvgElement(
+      Blockly.utils.Svg.RECT,
+      attributes,
+      this.svgGroup,
+    );
+  }
+
+  /**
+   * Draw a label above an area of the workspace. Clicking the label calls
+   * onNameClick with the user's workspaceId.
+   * @param {string} workspaceId The workspaceId of the user.
+   * @param {number} x The left edge of the area in workspace units.
+   * @param {number} y The top edge of the area in workspace units.
+   * @param {string} text The text of the label.
+   * @param {string} colour The background colour of the label.
+   * @private
+   */
+  drawNameTag_(workspaceId, x, y, text, colour) {
+    const padding = PresenceLayer.PADDING;
+    const group = Blockly.utils.dom.createSvgElement(
+      Blockly.utils.Svg.G,
+      {
+        class: 'rtcNameTag',
+        transform: `translate(${x - padding}, ${y - padding})`,
+        style: 'cursor: pointer',
+      },
+      this.svgGroup,
+    );
+    const background = Blockly.utils.dom.createSvgElement(
+      Blockly.utils.Svg.RECT,
+      {fill: colour, rx: 2},
+      group,
+    );
+    const label = Blockly.utils.dom.createSvgElement(
+      Blockly.utils.Svg.TEXT,
+      {'x': padding, 'y': -padding, 'font-size': 11, 'fill': '#000'},
+      group,
+    );
+    label.textContent = text;
+    const box = label.getBBox();
+    background.setAttribute('y', box.y - padding / 2);
+    background.setAttribute('width', box.width + 2 * padding);
+    background.setAttribute('height', box.height + padding);
+    Blockly.browserEvents.bind(group, 'pointerdown', this, (e) => {
+      e.stopPropagation();
+      this.onNameClick(workspaceId);
+    });
+  }
+}
+
+/**
+ * Space in workspace units between a block and its outline.
+ * @type {number}
+ */
+PresenceLayer.PADDING = 4;
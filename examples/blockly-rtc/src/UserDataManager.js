@@ -21,7 +21,9 @@
  */
 
 import * as Blockly from 'blockly';
-import Position from './Position';
+import EventEmitter from 'events';
+import PresenceLayer from './PresenceLayer.js';
+import Position from './Position.js';
 
 export default class UserDataManager {
   constructor(
@@ -43,6 +45,19 @@ export default class UserDataManager {
     this.getPositionUpdates = getPositionUpdates;
     this.getBroadcastPositionUpdates = getBroadcastPositionUpdates;
     this.getUserDisconnects = null;
+    this.connectUserHandler = null;
+    this.connectionState = 'online';
+    this.listener = new EventEmitter();
+    this.user = {name: '', colour: this.getUserColour_(workspaceId)};
+    this.localPosition = new Position(null, null, null, this.user);
+    this.throttleInterval = 100;
+    this.sendTimer = null;
+    this.positionChanged = false;
+    this.dragTimer = null;
+    this.pollTimer = null;
+    this.remotePositions = new Map();
+    this.followedUser = null;
+    this.presenceLayer = null;
   }
 
   /**
@@ -52,9 +67,7 @@ export default class UserDataManager {
    */
   async start() {
     const positionUpdates = await this.getPositionUpdates();
-    positionUpdates.forEach((positionUpdate) => {
-      this.createMarker_(positionUpdate);
-    });
+    await this.updateMarkerPositions_(positionUpdates);
     if (this.getBroadcastPositionUpdates) {
       this.getBroadcastPositionUpdates(this.updateMarkerPositions_.bind(this));
     } else {
@@ -63,6 +76,70 @@ export default class UserDataManager {
     if (this.getUserDisconnects) {
       this.getUserDisconnects(this.disposeMarker_.bind(this));
     }
+    // Let other users know who this user is.
+    await this.schedulePositionUpdate_();
+  }
+
+  /**
+   * Set how this user's presence is shown to other users.
+   * @param {!PresenceOptions} options The name and colour of the user, and the
+   * minimum time between PositionUpdates.
+   * @public
+   */
+  setPresenceOptions(options) {
+    if (options.name !== undefined) {
+      this.user.name = options.name;
+    }
+    if (options.colour !== undefined) {
+      this.user.colour = options.colour;
+    }
+    if (options.throttleInterval !== undefined) {
+      this.throttleInterval = options.throttleInterval;
+    }
+  }
+
+  /**
+   * Mirror the viewport of another user, or stop mirroring if null is given.
+   * @param {?string} workspaceId The workspaceId of the user to follow.
+   * @public
+   */
+  followUser(workspaceId) {
+    this.followedUser = workspaceId;
+    if (this.getPresenceLayer_()) {
+      this.getPresenceLayer_().setFollowedUser(workspaceId);
+    }
+    const position = this.remotePositions.get(workspaceId);
+    if (position) {
+      this.followViewport_(position.viewport);
+    }
+    this.listener.emit('followUser', workspaceId);
+  }
+
+  /**
+   * Get the user whose viewport is being mirrored.
+   * @returns {?string} The workspaceId of the followed user, or null.
+   * @public
+   */
+  getFollowedUser() {
+    return this.followedUser;
+  }
+
+  /**
+   * Stop sending and polling for PositionUpdates and remove the presence
+   * layer from the workspace.
+   * @public
+   */
+  dispose() {
+    clearTimeout(this.sendTimer);
+    this.sendTimer = null;
+    clearInterval(this.dragTimer);
+    this.dragTimer = null;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    if (this.presenceLayer) {
+      this.presenceLayer.dispose();
+      this.presenceLayer = null;
+    }
   }
 
   /**
@@ -75,24 +152,185 @@ export default class UserDataManager {
    * @public
    */
   async setPresenceHandlers(connectUserHandler, getUserDisconnectsHandler) {
+    this.connectUserHandler = connectUserHandler;
     this.getUserDisconnects = getUserDisconnectsHandler;
     await connectUserHandler(this.workspaceId);
   }
 
   /**
-   * Create a PositionUpdate from a Blockly event and send it to the server.
+   * Update the connection state of the user and notify listeners. While
+   * offline, position updates are not sent. When the connection is restored,
+   * the user reconnects to the server and the markers are refreshed.
+   * @param {string} connectionState The new ConnectionState.
+   * @public
+   */
+  async setConnectionState(connectionState) {
+    const wasOffline = this.connectionState == 'offline';
+    if (connectionState == this.connectionState) {
+      return;
+    }
+    this.connectionState = connectionState;
+    this.listener.emit('connectionState', connectionState);
+    if (wasOffline) {
+      if (this.connectUserHandler) {
+        await this.connectUserHandler(this.workspaceId);
+      }
+      const positionUpdates = await this.getPositionUpdates();
+      await this.updateMarkerPositions_(positionUpdates);
+    }
+  }
+
+  /**
+   * Get the connection state of the user.
+   * @returns {string} The current ConnectionState.
+   * @public
+   */
+  getConnectionState() {
+    return this.connectionState;
+  }
+
+  /**
+   * Update this user's position from a Blockly event and send it to the
+   * server. Supports the events Position.fromEvent supports, block drag events
+   * and viewport change events.
    * @param {!Blockly.Events.Abstract} event The event for which to create a
    *    PositionUpdate.
    * @public
    */
   async handleEvent(event) {
-    const position = Position.fromEvent(event);
+    if (this.connectionState == 'offline') {
+      return;
+    }
+    if (event.type === Blockly.Events.BLOCK_DRAG) {
+      this.handleDragEvent_(/** @type {!Blockly.Events.BlockDrag} */ (event));
+    } else if (event.type === Blockly.Events.VIEWPORT_CHANGE) {
+      if (event.group == UserDataManager.FOLLOW_GROUP) {
+        // Sharing a viewport mirrored from a followed user would make two
+        // users who follow each other chase each other's viewports.
+        return;
+      }
+      this.localPosition.viewport = this.getViewport_();
+    } else {
+      const position = Position.fromEvent(event);
+      this.localPosition.type = position.type;
+      this.localPosition.blockId = position.blockId;
+      this.localPosition.fieldName = position.fieldName;
+    }
+    await this.schedulePositionUpdate_();
+  }
+
+  /**
+   * Send this user's position to the server, at most once every
+   * throttleInterval milliseconds. Changes made in between are sent together
+   * at the end of the interval.
+   * @private
+   */
+  async schedulePositionUpdate_() {
+    if (this.sendTimer) {
+      this.positionChanged = true;
+      return;
+    }
+    this.sendTimer = setTimeout(() => {
+      this.sendTimer = null;
+      if (this.positionChanged) {
+        this.positionChanged = false;
+        this.schedulePositionUpdate_().catch(() => {
+          console.warn('Failed to send position update.');
+        });
+      }
+    }, this.throttleInterval);
     await this.sendPositionUpdate({
       workspaceId: this.workspaceId,
-      position: position,
+      position: Position.fromJson(this.localPosition),
     });
   }
 
+  /**
+   * Start or stop sharing the position of a block this user is dragging.
+   * Blockly only fires events at the start and end of a drag, so the position
+   * of the block is sampled while it is being dragged.
+   * @param {!Blockly.Events.BlockDrag} event The drag event.
+   * @private
+   */
+  handleDragEvent_(event) {
+    clearInterval(this.dragTimer);
+    this.dragTimer = null;
+    if (!event.isStart) {
+      this.localPosition.drag = null;
+      return;
+    }
+    this.localPosition.drag = this.getDragPosition_(event.blockId);
+    this.dragTimer = setInterval(() => {
+      const drag = this.getDragPosition_(event.blockId);
+      const lastDrag = this.localPosition.drag;
+      if (drag && lastDrag && drag.x == lastDrag.x && drag.y == lastDrag.y) {
+        return;
+      }
+      this.localPosition.drag = drag;
+      this.schedulePositionUpdate_().catch(() => {
+        console.warn('Failed to send position update.');
+      });
+    }, this.throttleInterval);
+  }
+
+  /**
+   * Get the current position of a block that is being dragged.
+   * @param {string} blockId The id of the block.
+   * @returns {?DragPosition} The position of the block, or null if it does not
+   * exist.
+   * @private
+   */
+  getDragPosition_(blockId) {
+    const block = this.getWorkspace_().getBlockById(blockId);
+    if (!block) {
+      return null;
+    }
+    const xy = block.getRelativeToSurfaceXY();
+    return {blockId: blockId, x: xy.x, y: xy.y};
+  }
+
+  /**
+   * Get the part of the workspace this user can see.
+   * @returns {!Viewport} The centre of the view in workspace units, and the
+   * scale.
+   * @private
+   */
+  getViewport_() {
+    const workspace = this.getWorkspace_();
+    const view = workspace.getMetricsManager().getViewMetrics(true);
+    return {
+      x: view.left + view.width / 2,
+      y: view.top + view.height / 2,
+      scale: workspace.scale,
+    };
+  }
+
+  /**
+   * Scroll and zoom the workspace so that it is centred where another user's
+   * view is centred, at the same scale. The viewport change events this
+   * fires are put in FOLLOW_GROUP so that they are not shared.
+   * @param {?Viewport} viewport The viewport of the followed user.
+   * @private
+   */
+  followViewport_(viewport) {
+    const workspace = this.getWorkspace_();
+    if (!viewport || !workspace) {
+      return;
+    }
+    const group = Blockly.Events.getGroup();
+    Blockly.Events.setGroup(UserDataManager.FOLLOW_GROUP);
+    try {
+      workspace.setScale(viewport.scale);
+      const metrics = workspace.getMetrics();
+      workspace.scroll(
+        -(viewport.x * workspace.scale - metrics.viewWidth / 2),
+        -(viewport.y * workspace.scale - metrics.viewHeight / 2),
+      );
+    } finally {
+      Blockly.Events.setGroup(group);
+    }
+  }
+
   /**
    * Periodically query the database for PositionUpdates.
    * @private
@@ -100,7 +338,7 @@ export default class UserDataManager {
   async pollServer_() {
     const positionUpdates = await this.getPositionUpdates();
     await this.updateMarkerPositions_(positionUpdates);
-    setTimeout(() => {
+    this.pollTimer = setTimeout(() => {
       this.pollServer_();
     }, 5000);
   }
@@ -137,6 +375,44 @@ export default class UserDataManager {
     return colour;
   }
 
+  /**
+   * Get a colour for a user derived from their workspaceId, so that every
+   * client picks the same colour for the same user.
+   * @param {string} workspaceId The workspaceId of the user.
+   * @returns {string} The string encoding a colour.
+   * @private
+   */
+  getUserColour_(workspaceId) {
+    let hash = 0;
+    for (let i = 0; i < workspaceId.length; i++) {
+      hash = (hash * 31 + workspaceId.charCodeAt(i)) | 0;
+    }
+    return this.colours[Math.abs(hash) % this.colours.length];
+  }
+
+  /**
+   * Get the layer that draws other users' selections and drags, creating it
+   * if needed.
+   * @returns {PresenceLayer} The layer, or null if the workspace is not
+   * rendered.
+   * @private
+   */
+  getPresenceLayer_() {
+    const workspace = this.getWorkspace_();
+    if (
+      !this.presenceLayer &&
+      workspace &&
+      workspace.getLayerManager &&
+      workspace.getLayerManager()
+    ) {
+      this.presenceLayer = new PresenceLayer(workspace, (workspaceId) => {
+        this.followUser(this.followedUser == workspaceId ? null : workspaceId);
+      });
+      this.presenceLayer.setFollowedUser(this.followedUser);
+    }
+    return this.presenceLayer;
+  }
+
   /**
    * Create a Marker with a unique color and register it.
    * @param {!PositionUpdate} positionUpdate The PositionUpdate for which to create
@@ -152,7 +428,7 @@ export default class UserDataManager {
     }
     const position = positionUpdate.position;
     const marker = position.toMarker(this.getWorkspace_());
-    marker.colour = this.getColour_();
+    marker.colour = position.user ? position.user.colour : this.getColour_();
     this.getMarkerManager_().registerMarker(positionUpdate.workspaceId, marker);
     marker.setCurNode(position.createNode(this.getWorkspace_()));
     return marker;
@@ -172,6 +448,13 @@ export default class UserDataManager {
     try {
       this.getMarkerManager_().unregisterMarker(workspaceId);
     } catch {}
+    this.remotePositions.delete(workspaceId);
+    if (this.getPresenceLayer_()) {
+      this.getPresenceLayer_().remove(workspaceId);
+    }
+    if (this.followedUser == workspaceId) {
+      this.followUser(null);
+    }
   }
 
   /**
@@ -188,7 +471,8 @@ export default class UserDataManager {
   }
 
   /**
-   * Updates curNode on a Marker based on MarkerPosition.
+   * Updates curNode on a Marker based on MarkerPosition, redraws the user's
+   * selection and drag, and mirrors their viewport if they are followed.
    * @param {!<Array.<!PositionUpdate>>} positionUpdates The PositionUpdates which
    * contain the new MarkerPositions.
    * @private
@@ -200,11 +484,30 @@ export default class UserDataManager {
     filteredPositionUpdates.forEach((positionUpdate) => {
       const position = positionUpdate.position;
       const node = position.createNode(this.getWorkspace_());
-      if (this.getMarker(positionUpdate.workspaceId)) {
-        this.getMarker(positionUpdate.workspaceId).setCurNode(node);
+      let marker = this.getMarker(positionUpdate.workspaceId);
+      if (marker) {
+        marker.setCurNode(node);
       } else {
-        this.createMarker_(positionUpdate).setCurNode(node);
+        marker = this.createMarker_(positionUpdate);
+        marker.setCurNode(node);
+      }
+      this.remotePositions.set(positionUpdate.workspaceId, position);
+      if (this.getPresenceLayer_()) {
+        this.getPresenceLayer_().update(
+          positionUpdate.workspaceId,
+          position,
+          marker.colour,
+        );
+      }
+      if (this.followedUser == positionUpdate.workspaceId) {
+        this.followViewport_(position.viewport);
       }
     });
   }
 }
+
+/**
+ * The event group of the viewport changes made to follow another user.
+ * @type {string}
+ */
+UserDataManager.FOLLOW_GROUP = 'rtcFollowUser';
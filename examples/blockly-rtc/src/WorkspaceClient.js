@@ -23,6 +23,7 @@
 
 import * as Blockly from 'blockly';
 import EventEmitter from 'events';
+import ConflictResolver from '../shared/ConflictResolver.js';
 
 /**
  * Class for managing events between the workspace and the server.
@@ -43,6 +44,7 @@ export default class WorkspaceClient {
     this.notSent = [];
     this.activeChanges = [];
     this.writeInProgress = false;
+    this.writeFailed = false;
     this.counter = 0;
     this.serverEvents = [];
     this.updateInProgress = false;
@@ -50,6 +52,13 @@ export default class WorkspaceClient {
     this.getEventsHandler = getEventsHandler;
     this.addEventsHandler = addEventsHandler;
     this.broadcastEventsHandler = broadcastEventsHandler;
+    this.resolver = new ConflictResolver();
+    this.offlineQueue = null;
+    this.queuedEntries = [];
+    this.queueWriteInProgress = false;
+    this.connected = true;
+    this.hasConnectionHandler = false;
+    this.connectionState = 'online';
     this.listener = new EventEmitter();
   }
 
@@ -66,8 +75,16 @@ export default class WorkspaceClient {
     this.lastSync = snapshot.serverId;
 
     // Run any events that may have happened while loading the workspace.
-    const events = await this.getEventsHandler(this.lastSync);
-    this.addServerEvents_(events);
+    this.addServerEvents_(await this.queryDatabase_());
+
+    // Load any entries a previous session could not write to the server.
+    if (this.offlineQueue) {
+      try {
+        this.queuedEntries = await this.offlineQueue.load();
+      } catch {
+        this.queuedEntries = [];
+      }
+    }
 
     // Enable handlers.
     if (this.broadcastEventsHandler) {
@@ -75,6 +92,30 @@ export default class WorkspaceClient {
     } else {
       this.pollServer_();
     }
+    this.writeQueuedEntries_();
+  }
+
+  /**
+   * Set the queue used to keep unsent entries across dropped connections and
+   * reloads of the page.
+   * @param {!OfflineQueue} offlineQueue The queue to store unsent entries in.
+   * @public
+   */
+  setOfflineQueue(offlineQueue) {
+    this.offlineQueue = offlineQueue;
+  }
+
+  /**
+   * Set the handler that reports when the connection to the server drops or is
+   * restored. Without one, the connection is assumed to be lost when a request
+   * to the server fails, and restored when one succeeds.
+   * @param {!Function} connectionHandler The callback that passes the
+   * connection status to the WorkspaceClient.
+   * @public
+   */
+  setConnectionHandler(connectionHandler) {
+    this.hasConnectionHandler = true;
+    connectionHandler(this.setConnected_.bind(this));
   }
 
   /**
@@ -94,21 +135,31 @@ export default class WorkspaceClient {
   flushEvents() {
     this.notSent = this.notSent.concat(this.activeChanges);
     this.activeChanges = [];
+    this.saveQueue_();
     this.updateServer_();
   }
 
   /**
    * Send local changes to the server. Continuously runs until all local changes
-   * have been sent.
+   * have been sent, or until a write fails. Writing resumes once the
+   * connection is restored.
    * @private
    */
   async updateServer_() {
-    if (this.writeInProgress || this.notSent.length == 0) {
+    if (
+      this.writeInProgress ||
+      !this.connected ||
+      (this.notSent.length == 0 && !this.writeFailed)
+    ) {
       return;
     }
     this.writeInProgress = true;
-    while (this.notSent.length > 0) {
-      await this.writeToDatabase_();
+    try {
+      while (this.notSent.length > 0 || this.writeFailed) {
+        await this.writeToDatabase_();
+      }
+    } catch {
+      // The entry is kept in inProgress and resent on reconnect.
     }
     this.writeInProgress = false;
   }
@@ -132,11 +183,16 @@ export default class WorkspaceClient {
   /**
    * Change status of WorkspaceClient in preparation for the network call.
    * Set writeInProgress to true, adds a LocalEntry to inProgress based on
-   * the events that were notSent, and clears the notSent array.
+   * the events that were notSent, and clears the notSent array. If the last
+   * write failed, its LocalEntry is sent again unchanged instead, so that the
+   * server can recognise it by its entryNumber if it did arrive.
    * @private
    */
   beginWrite_() {
     this.writeInProgress = true;
+    if (this.writeFailed) {
+      return;
+    }
     this.inProgress.push({
       workspaceId: this.workspaceId,
       entryNumber: this.counter,
@@ -148,19 +204,156 @@ export default class WorkspaceClient {
 
   /**
    * Change status of WorkspaceClient once network call completes.
-   * Change writeInProgress to true. If write was successful, the LocalEntry
-   * remains in inProgress, otherwise, the LocalEntry is deleted and the
-   * events move back to the front of notSent.
+   * Change writeInProgress to false. The LocalEntry remains in inProgress
+   * either way. If the write failed, it is marked to be sent again and the
+   * connection is considered lost.
    * @param {boolean} success Indicates the success of the database write.
    * @private
    */
   endWrite_(success) {
+    this.writeFailed = !success;
+    this.writeInProgress = false;
     if (!success) {
-      this.notSent = this.inProgress[0].events.concat(this.notSent);
-      this.inProgress = [];
-      this.counter -= 1;
+      this.inferConnected_(false);
+    }
+    this.updateConnectionState_();
+  }
+
+  /**
+   * Write entries left unsent by a previous session to the server, with their
+   * original workspaceId and entryNumber. The server ignores any that it
+   * already has, and the rest are received back and rebased onto the
+   * workspace like entries from any other user.
+   * @private
+   */
+  async writeQueuedEntries_() {
+    if (this.queueWriteInProgress || !this.connected) {
+      return;
+    }
+    this.queueWriteInProgress = true;
+    const workspace = Blockly.Workspace.getById(this.workspaceId);
+    while (this.queuedEntries.length > 0) {
+      const entry = this.queuedEntries[0];
+      try {
+        await this.addEventsHandler({
+          workspaceId: entry.workspaceId,
+          entryNumber: entry.entryNumber,
+          events: entry.events.map((event) => {
+            return Blockly.Events.fromJson(event, workspace);
+          }),
+        });
+      } catch {
+        this.inferConnected_(false);
+        break;
+      }
+      this.queuedEntries.shift();
+      this.saveQueue_();
+    }
+    this.queueWriteInProgress = false;
+    this.updateConnectionState_();
+  }
+
+  /**
+   * Store the entries that have not yet been received back from the server, so
+   * that they can be written after the page is reloaded.
+   * @private
+   */
+  async saveQueue_() {
+    if (!this.offlineQueue) {
+      return;
+    }
+    const entries = this.queuedEntries.concat(
+      this.inProgress.map((entry) => this.entryToJson_(entry)),
+    );
+    if (this.notSent.length > 0) {
+      entries.push(
+        this.entryToJson_({
+          workspaceId: this.workspaceId,
+          entryNumber: this.counter,
+          events: this.notSent,
+        }),
+      );
+    }
+    try {
+      await this.offlineQueue.save(entries);
+    } catch {
+      console.warn('Failed to save unsent events.');
+    }
+  }
+
+  /**
+   * Convert a LocalEntry to a form that can be stored.
+   * @param {!LocalEntry} entry The entry to convert.
+   * @returns {!LocalEntry} The entry with its events in JSON format.
+   * @private
+   */
+  entryToJson_(entry) {
+    return {
+      workspaceId: entry.workspaceId,
+      entryNumber: entry.entryNumber,
+      events: entry.events.map((event) => event.toJson()),
+    };
+  }
+
+  /**
+   * Record whether the client can reach the server. When the connection is
+   * restored, write any queued entries, catch up on missed server events and
+   * resume sending local changes.
+   * @param {boolean} connected Whether the client is connected.
+   * @private
+   */
+  setConnected_(connected) {
+    if (this.connected == connected) {
+      return;
+    }
+    this.connected = connected;
+    this.updateConnectionState_();
+    if (connected) {
+      this.reconnect_();
+    }
+  }
+
+  /**
+   * Record the connection status implied by the outcome of a request, unless
+   * a connection handler reports it directly.
+   * @param {boolean} connected Whether the request succeeded.
+   * @private
+   */
+  inferConnected_(connected) {
+    if (!this.hasConnectionHandler) {
+      this.setConnected_(connected);
+    }
+  }
+
+  /**
+   * Bring the workspace and the server back in sync after the connection is
+   * restored. Missed server events are rebased onto the local changes using
+   * the entryNumber ordering in processQueryResults_.
+   * @private
+   */
+  async reconnect_() {
+    await this.writeQueuedEntries_();
+    await this.addServerEvents_(await this.queryDatabase_());
+    this.updateServer_();
+  }
+
+  /**
+   * Update the connection state and notify listeners if it changed.
+   * The state is 'offline' while the server cannot be reached, 'syncing'
+   * while there are entries waiting to be resent, and 'online' otherwise.
+   * @private
+   */
+  updateConnectionState_() {
+    let connectionState = 'online';
+    if (!this.connected) {
+      connectionState = 'offline';
+    } else if (this.writeFailed || this.queuedEntries.length > 0) {
+      connectionState = 'syncing';
+    }
+    if (connectionState != this.connectionState) {
+      this.connectionState = connectionState;
+      this.listener.emit('connectionState', connectionState);
     }
-    this.writeInProgress = false;
   }
 
   /**
@@ -177,18 +370,65 @@ export default class WorkspaceClient {
   }
 
   /**
-   * Trigger an API call to query events from the database.
+   * Trigger an API call to query events from the database. If the server no
+   * longer has all the events since lastSync, the latest snapshot is loaded
+   * and the events since it are returned instead.
    * @returns {<!Array.<!Entry>>} The result of the query.
    * @public
    */
   async queryDatabase_() {
     try {
-      return await this.getEventsHandler(this.lastSync);
+      let entries = await this.getEventsHandler(this.lastSync);
+      if (!entries) {
+        await this.reloadSnapshot_();
+        entries = (await this.getEventsHandler(this.lastSync)) || [];
+      }
+      this.inferConnected_(true);
+      return entries;
     } catch {
+      this.inferConnected_(false);
       return [];
     }
   }
 
+  /**
+   * Replace the workspace with the latest snapshot, and rerun the local
+   * changes on top of it. Entries that have been written to the server are
+   * already part of the snapshot, so only the entry whose write failed or is
+   * still in progress, and the events not yet sent, are rerun.
+   * @private
+   */
+  async reloadSnapshot_() {
+    const snapshot = await this.getSnapshotHandler();
+    const workspace = Blockly.Workspace.getById(this.workspaceId);
+    Blockly.Events.disable();
+    workspace.clear();
+    Blockly.Xml.domToWorkspace(snapshot.xml, workspace);
+    Blockly.Events.enable();
+    this.lastSync = snapshot.serverId;
+    this.serverEvents = [];
+    this.resolver = new ConflictResolver();
+
+    if (!this.writeFailed && !this.writeInProgress) {
+      this.inProgress = [];
+    } else {
+      this.inProgress = this.inProgress.slice(-1);
+    }
+    const eventQueue = [];
+    this.inProgress.forEach((entry) => {
+      eventQueue.push.apply(
+        eventQueue,
+        this.createWorkspaceActions_(entry.events, true),
+      );
+    });
+    eventQueue.push.apply(
+      eventQueue,
+      this.createWorkspaceActions_(this.notSent, true),
+    );
+    this.saveQueue_();
+    this.listener.emit('runEvents', eventQueue);
+  }
+
   /**
    * Add newServerEvents to the end of this.serverEvents and initiate process of
    * applying server events to the workspace if the newServerEvents are recieved
@@ -205,6 +445,9 @@ export default class WorkspaceClient {
     }
     if (newServerEvents[0].serverId != this.lastSync + 1) {
       newServerEvents = await this.queryDatabase_();
+      if (newServerEvents.length == 0) {
+        return;
+      }
     }
     this.lastSync = newServerEvents[newServerEvents.length - 1].serverId;
     this.serverEvents.push.apply(this.serverEvents, newServerEvents);
@@ -234,6 +477,8 @@ export default class WorkspaceClient {
    * Compare the order of events in the entries retrieved from the database to
    * the stacks of local-only changes and provide a series of steps that
    * will allow the server and local workspace to converge.
+   * Events that conflict with an earlier server event are dropped, and any
+   * local events among them are reported through a 'conflicts' message.
    * @param {<!Array.<!Entry>>} entries Entries retrieved from the database.
    * @returns {!Array.<!WorkspaceAction>>} eventQueue An array of events and the
    * direction they should be run.
@@ -241,6 +486,7 @@ export default class WorkspaceClient {
    */
   processQueryResults_(entries) {
     const eventQueue = [];
+    const conflicts = [];
 
     if (entries.length == 0) {
       return eventQueue;
@@ -253,9 +499,13 @@ export default class WorkspaceClient {
       entries.forEach((entry) => {
         eventQueue.push.apply(
           eventQueue,
-          this.createWorkspaceActions_(entry.events, true),
+          this.createWorkspaceActions_(
+            this.resolveServerEntry_(entry, conflicts),
+            true,
+          ),
         );
       });
+      this.reportConflicts_(conflicts);
       return eventQueue;
     }
 
@@ -265,8 +515,9 @@ export default class WorkspaceClient {
       entries[0].workspaceId == this.workspaceId &&
       entries[0].entryNumber == this.inProgress[0].entryNumber
     ) {
-      entries.shift();
-      this.inProgress = [];
+      // Already run locally, but the resolver still needs to see it.
+      this.resolveServerEntry_(entries.shift(), conflicts);
+      this.inProgress.shift();
     }
 
     if (entries.length > 0) {
@@ -298,31 +549,80 @@ export default class WorkspaceClient {
         ) {
           eventQueue.push.apply(
             eventQueue,
-            this.createWorkspaceActions_(this.inProgress[0].events, true),
+            this.createWorkspaceActions_(
+              this.resolveServerEntry_(this.inProgress[0], conflicts),
+              true,
+            ),
           );
           this.inProgress.shift();
         } else {
           eventQueue.push.apply(
             eventQueue,
-            this.createWorkspaceActions_(entry.events, true),
+            this.createWorkspaceActions_(
+              this.resolveServerEntry_(entry, conflicts),
+              true,
+            ),
           );
         }
       });
-      // Reapply remaining local changes.
-      if (this.inProgress.length > 0) {
+      // Reapply remaining local changes. Events that have already been sent
+      // are dropped silently here and reported once the server returns them.
+      this.inProgress.forEach((entry) => {
         eventQueue.push.apply(
           eventQueue,
-          this.createWorkspaceActions_(this.inProgress[0].events, true),
+          this.createWorkspaceActions_(
+            this.resolver.resolveLocalEvents(entry.events).events,
+            true,
+          ),
         );
-      }
+      });
+      const resolution = this.resolver.resolveLocalEvents(this.notSent);
+      this.notSent = resolution.events;
+      conflicts.push.apply(conflicts, resolution.conflicts);
       eventQueue.push.apply(
         eventQueue,
         this.createWorkspaceActions_(this.notSent, true),
       );
     }
+    if (this.inProgress.length == 0) {
+      // The failed write did reach the server, so it does not need resending.
+      this.writeFailed = false;
+      this.updateConnectionState_();
+    }
+    this.saveQueue_();
+    this.reportConflicts_(conflicts);
     return eventQueue;
   }
 
+  /**
+   * Resolve the events of an entry received from the server.
+   * @param {!LocalEntry} entry The entry to resolve.
+   * @param {!Array.<!Conflict>} conflicts The list to add the dropped events
+   * to, if the entry was written by this client.
+   * @returns {!Array.<!Blockly.Event>} The events of the entry that should be
+   * run.
+   * @private
+   */
+  resolveServerEntry_(entry, conflicts) {
+    const resolution = this.resolver.resolveServerEvents(entry.events);
+    if (entry.workspaceId == this.workspaceId) {
+      conflicts.push.apply(conflicts, resolution.conflicts);
+    }
+    return resolution.events;
+  }
+
+  /**
+   * Notify listeners of local events that were dropped because they conflict
+   * with another user's edit.
+   * @param {!Array.<!Conflict>} conflicts The dropped events.
+   * @private
+   */
+  reportConflicts_(conflicts) {
+    if (conflicts.length > 0) {
+      this.listener.emit('conflicts', conflicts);
+    }
+  }
+
   /**
    * Create WorkspaceActions from a list of events.
    * @param {<!Array.<!Object>>} events An array of Blockly Events in JSON format.
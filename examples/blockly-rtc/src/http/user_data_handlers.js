@@ -21,7 +21,7 @@
  * @author navil@google.com (Navil Perez)
  */
 
-import Position from '../Position';
+import Position from '../Position.js';
 
 /**
  * Get the position for the given user. If no user is specified will return
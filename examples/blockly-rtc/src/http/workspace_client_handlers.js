@@ -40,15 +40,37 @@ export async function getSnapshot() {
   }
 }
 
+/**
+ * Get the state of the workspace at a retained server id.
+ * @param {number} serverId The serverId of the last entry to include.
+ * @returns {!Snapshot} The snapshot of the workspace at the given serverId.
+ * @throws Will throw an error if the serverId is not retained.
+ * @public
+ */
+export async function getSnapshotAt(serverId) {
+  const response = await fetch('/api/snapshot/history?serverId=' + serverId);
+  if (response.status !== 200) {
+    throw 'Failed to get workspace snapshot.';
+  }
+  const responseJson = await response.json();
+  const snapshot = responseJson.snapshot;
+  snapshot.xml = Blockly.utils.xml.textToDom(snapshot.xml);
+  return snapshot;
+}
+
 /**
  * Query the database for entries since the given server id.
  * @param {number} serverId serverId for the lower bound of the query.
- * @returns {<!Array.<!Entry>>} Entries since the given serverId.
+ * @returns {<Array.<!Entry>>} Entries since the given serverId, or null if
+ * some of them have been deleted by a compaction.
  * @throws Will throw an error if the response status code is not 200.
  * @public
  */
 export async function getEvents(serverId) {
   const response = await fetch('/api/events/query?serverId=' + serverId);
+  if (response.status === 410) {
+    return null;
+  }
   const responseJson = await response.json();
   const entries = responseJson.entries;
   entries.forEach((entry) => {
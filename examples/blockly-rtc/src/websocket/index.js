@@ -27,16 +27,18 @@ import {
   getEvents,
   writeEvents,
   getBroadcast,
-} from './workspace_client_handlers';
+  getConnectionUpdates,
+} from './workspace_client_handlers.js';
 import {
   getPositionUpdates,
   sendPositionUpdate,
   getBroadcastPositionUpdates,
   connectUser,
   getUserDisconnects,
-} from './user_data_handlers';
-import UserDataManager from '../UserDataManager';
-import WorkspaceClient from '../WorkspaceClient';
+} from './user_data_handlers.js';
+import OfflineQueue from '../OfflineQueue.js';
+import UserDataManager from '../UserDataManager.js';
+import WorkspaceClient from '../WorkspaceClient.js';
 
 const toolbox = {
   kind: 'flyoutToolbox',
@@ -122,6 +124,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   workspaceClient.listener.on('runEvents', (eventQueue) => {
     runEvents_(eventQueue);
   });
+  workspaceClient.listener.on('conflicts', (conflicts) => {
+    reportConflicts_(conflicts);
+  });
+  workspaceClient.setOfflineQueue(new OfflineQueue());
+  workspaceClient.setConnectionHandler(getConnectionUpdates);
   await workspaceClient.start();
 
   const userDataManager = new UserDataManager(
@@ -130,12 +137,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     getPositionUpdates,
     getBroadcastPositionUpdates,
   );
+  userDataManager.setPresenceOptions({
+    name: getUserName_(),
+  });
   await userDataManager.setPresenceHandlers(connectUser, getUserDisconnects);
   await userDataManager.start();
 
+  userDataManager.listener.on('connectionState', (connectionState) => {
+    showConnectionState_(connectionState);
+  });
+  workspaceClient.listener.on('connectionState', (connectionState) => {
+    userDataManager.setConnectionState(connectionState);
+  });
+  userDataManager.setConnectionState(workspaceClient.connectionState);
+
   workspace.addChangeListener((event) => {
     if (
       event.type === Blockly.Events.SELECTED ||
+      event.type === Blockly.Events.BLOCK_DRAG ||
+      event.type === Blockly.Events.VIEWPORT_CHANGE ||
       (event.type === Blockly.Events.CHANGE && event.element === 'field')
     ) {
       userDataManager.handleEvent(event);
@@ -163,4 +183,44 @@ document.addEventListener('DOMContentLoaded', async () => {
       Blockly.Events.enable();
     });
   }
+
+  /**
+   * Get the name to show other users, from the name URL parameter if given.
+   * @returns {string} The display name of the user.
+   * @private
+   */
+  function getUserName_() {
+    const name = new URLSearchParams(window.location.search).get('name');
+    return name || 'Guest ' + workspace.id.slice(0, 4);
+  }
+
+  /**
+   * Show whether edits are reaching the server.
+   * @param {string} connectionState The ConnectionState to show.
+   * @private
+   */
+  function showConnectionState_(connectionState) {
+    const element = document.getElementById('connectionState');
+    element.className = connectionState;
+    element.textContent =
+      connectionState == 'offline'
+        ? 'Offline: your changes will be sent when you reconnect.'
+        : connectionState == 'syncing'
+        ? 'Reconnected: sending your changes...'
+        : '';
+  }
+
+  /**
+   * Tell the user that some of their edits were discarded because another user
+   * deleted the block or variable they were editing.
+   * @param {!Array.<!Conflict>} conflicts The discarded events.
+   * @private
+   */
+  function reportConflicts_(conflicts) {
+    const count = conflicts.length;
+    Blockly.dialog.alert(
+      (count == 1 ? '1 edit was' : count + ' edits were') +
+        ' discarded because another user deleted what you were editing.',
+    );
+  }
 });
@@ -23,7 +23,7 @@
  */
 
 import io from 'socket.io-client';
-import Position from '../Position';
+import Position from '../Position.js';
 
 const socket = io();
 
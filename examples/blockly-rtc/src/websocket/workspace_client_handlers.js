@@ -42,16 +42,41 @@ export async function getSnapshot() {
   });
 }
 
+/**
+ * Query the database for the state of the workspace at a retained server id.
+ * @param {number} serverId The serverId of the last entry to include.
+ * @returns {!Promise} Promise object that represents the snapshot of the
+ * workspace at the given serverId.
+ * @public
+ */
+export async function getSnapshotAt(serverId) {
+  return new Promise((resolve, reject) => {
+    socket.emit('getSnapshotAt', serverId, (snapshot) => {
+      if (!snapshot) {
+        reject('Failed to get workspace snapshot.');
+        return;
+      }
+      snapshot.xml = Blockly.utils.xml.textToDom(snapshot.xml);
+      resolve(snapshot);
+    });
+  });
+}
+
 /**
  * Query the database for entries since the given server id.
  * @param {number} serverId serverId for the lower bound of the query.
  * @returns {!Promise} Promise object that represents the entries of events since
- * the given serverId.
+ * the given serverId, or null if some of them have been deleted by a
+ * compaction.
  * @public
  */
 export async function getEvents(serverId) {
   return new Promise((resolve, reject) => {
     socket.emit('getEvents', serverId, (entries) => {
+      if (!entries) {
+        resolve(null);
+        return;
+      }
       entries.forEach((entry) => {
         entry.events = entry.events.map((entry) => {
           return Blockly.Events.fromJson(entry, Blockly.getMainWorkspace());
@@ -66,6 +91,7 @@ export async function getEvents(serverId) {
  * Add an entry to the database.
  * @param {!LocalEntry} entry The entry to be added to the database.
  * @returns {!Promise} Promise object that represents the success of the write.
+ * Rejects if the socket is disconnected before the write is acknowledged.
  * @public
  */
 export async function writeEvents(entry) {
@@ -75,7 +101,16 @@ export async function writeEvents(entry) {
     events: entry.events.map((event) => event.toJson()),
   };
   return new Promise((resolve, reject) => {
+    if (!socket.connected) {
+      reject('Failed to write to database.');
+      return;
+    }
+    const onDisconnect = () => {
+      reject('Failed to write to database.');
+    };
+    socket.once('disconnect', onDisconnect);
     socket.emit('addEvents', entryJson, () => {
+      socket.off('disconnect', onDisconnect);
       resolve();
     });
   });
@@ -98,3 +133,18 @@ export function getBroadcast(callback) {
     callback(entries);
   });
 }
+
+/**
+ * Listen for the socket disconnecting from and reconnecting to the server.
+ * @param {!Function} callback The callback handler that passes whether the
+ * socket is connected to the WorkspaceClient.
+ * @public
+ */
+export function getConnectionUpdates(callback) {
+  socket.on('connect', () => {
+    callback(true);
+  });
+  socket.on('disconnect', () => {
+    callback(false);
+  });
+}
@@ -0,0 +1,157 @@
+/**
+ * @license
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Unit tests for ConflictResolver.
+ */
+
+const assert = require('assert');
+
+const ConflictResolver = require('../shared/ConflictResolver');
+
+suite('ConflictResolver', () => {
+  setup(() => {
+    this.resolver = new ConflictResolver();
+  });
+
+  suite('resolveServerEvents()', () => {
+    test('Events without conflicts are all kept.', () => {
+      const events = [
+        {type: 'create', blockId: 'block0', ids: ['block0']},
+        {type: 'move', blockId: 'block0', newCoordinate: '10,10'},
+        {type: 'change', blockId: 'block0', element: 'field'},
+      ];
+      const resolution = this.resolver.resolveServerEvents(events);
+      assert.deepStrictEqual(events, resolution.events);
+      assert.deepStrictEqual([], resolution.conflicts);
+    });
+
+    test('Last move of the same block wins.', () => {
+      const events = [
+        {type: 'move', blockId: 'block0', newCoordinate: '10,10'},
+        {type: 'move', blockId: 'block0', newCoordinate: '20,20'},
+      ];
+      const resolution = this.resolver.resolveServerEvents(events);
+      assert.deepStrictEqual(events, resolution.events);
+    });
+
+    test('Edits to a deleted block are dropped.', () => {
+      this.resolver.resolveServerEvents([
+        {type: 'delete', blockId: 'block0', ids: ['block0', 'child0']},
+      ]);
+      const change = {type: 'change', blockId: 'child0', element: 'field'};
+      const move = {type: 'move', blockId: 'block0', newCoordinate: '1,1'};
+      const resolution = this.resolver.resolveServerEvents([change, move]);
+      assert.deepStrictEqual([], resolution.events);
+      assert.deepStrictEqual(
+        [
+          {event: change, reason: ConflictResolver.DELETED_BLOCK},
+          {event: move, reason: ConflictResolver.DELETED_BLOCK},
+        ],
+        resolution.conflicts,
+      );
+    });
+
+    test('Moves into a deleted block are dropped.', () => {
+      this.resolver.resolveServerEvents([
+        {type: 'delete', blockId: 'block0', ids: ['block0']},
+      ]);
+      const move = {type: 'move', blockId: 'block1', newParentId: 'block0'};
+      const resolution = this.resolver.resolveServerEvents([move]);
+      assert.deepStrictEqual([], resolution.events);
+      assert.deepStrictEqual(
+        [{event: move, reason: ConflictResolver.DELETED_BLOCK}],
+        resolution.conflicts,
+      );
+    });
+
+    test('Recreating a deleted block allows edits again.', () => {
+      this.resolver.resolveServerEvents([
+        {type: 'delete', blockId: 'block0', ids: ['block0']},
+        {type: 'create', blockId: 'block0', ids: ['block0']},
+      ]);
+      const change = {type: 'change', blockId: 'block0', element: 'field'};
+      const resolution = this.resolver.resolveServerEvents([change]);
+      assert.deepStrictEqual([change], resolution.events);
+    });
+
+    test('Renames of a deleted variable are dropped.', () => {
+      const rename = {
+        type: 'var_rename',
+        varId: 'var0',
+        oldName: 'a',
+        newName: 'b',
+      };
+      const resolution = this.resolver.resolveServerEvents([
+        {type: 'var_delete', varId: 'var0', varName: 'a'},
+        rename,
+      ]);
+      assert.deepStrictEqual(
+        [{event: rename, reason: ConflictResolver.DELETED_VARIABLE}],
+        resolution.conflicts,
+      );
+    });
+
+    test('Identical renames are merged.', () => {
+      const resolution = this.resolver.resolveServerEvents([
+        {type: 'var_rename', varId: 'var0', oldName: 'a', newName: 'b'},
+        {type: 'var_rename', varId: 'var0', oldName: 'a', newName: 'b'},
+      ]);
+      assert.equal(1, resolution.events.length);
+      assert.deepStrictEqual([], resolution.conflicts);
+    });
+
+    test('Stale rename is rebased onto the current name.', () => {
+      const resolution = this.resolver.resolveServerEvents([
+        {type: 'var_rename', varId: 'var0', oldName: 'a', newName: 'b'},
+        {type: 'var_rename', varId: 'var0', oldName: 'a', newName: 'c'},
+      ]);
+      assert.deepStrictEqual(
+        [
+          {type: 'var_rename', varId: 'var0', oldName: 'a', newName: 'b'},
+          {type: 'var_rename', varId: 'var0', oldName: 'b', newName: 'c'},
+        ],
+        resolution.events,
+      );
+    });
+  });
+
+  suite('resolveLocalEvents()', () => {
+    test('Local events are not recorded.', () => {
+      this.resolver.resolveLocalEvents([
+        {type: 'delete', blockId: 'block0', ids: ['block0']},
+      ]);
+      const change = {type: 'change', blockId: 'block0', element: 'field'};
+      const resolution = this.resolver.resolveServerEvents([change]);
+      assert.deepStrictEqual([change], resolution.events);
+    });
+
+    test('Local edits to a block deleted on the server are dropped.', () => {
+      this.resolver.resolveServerEvents([
+        {type: 'delete', blockId: 'block0', ids: ['block0']},
+      ]);
+      const change = {type: 'change', blockId: 'block0', element: 'field'};
+      const create = {type: 'create', blockId: 'block1', ids: ['block1']};
+      const resolution = this.resolver.resolveLocalEvents([change, create]);
+      assert.deepStrictEqual([create], resolution.events);
+      assert.deepStrictEqual(
+        [{event: change, reason: ConflictResolver.DELETED_BLOCK}],
+        resolution.conflicts,
+      );
+    });
+  });
+});
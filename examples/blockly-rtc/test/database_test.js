@@ -55,6 +55,12 @@ suite('Database', () => {
             xml:
               '<block xmlns="https://developers.google.com/blockly/xml" ' +
               'type="controls_if" id="^EzM:}wIx;MjBTcxQ@oB" x="16" y="10"/>',
+            json: {
+              type: 'controls_if',
+              id: '^EzM:}wIx;MjBTcxQ@oB',
+              x: 16,
+              y: 10,
+            },
             ids: ['^EzM:}wIx;MjBTcxQ@oB'],
           },
           {
@@ -82,6 +88,13 @@ suite('Database', () => {
               '<block xmlns="https://developers.google.com/blockly/xml" ' +
               'type="logic_compare" id="oNVDtK2cF?jWDM+.gCR3" x="8" y="97">' +
               '<field name="OP">EQ</field></block>',
+            json: {
+              type: 'logic_compare',
+              id: 'oNVDtK2cF?jWDM+.gCR3',
+              x: 8,
+              y: 97,
+              fields: {OP: 'EQ'},
+            },
             ids: ['oNVDtK2cF?jWDM+.gCR3'],
           },
           {
@@ -142,6 +155,158 @@ suite('Database', () => {
       assert.equal(2, newSnapshot.serverId);
       assert(database.query.calledOnceWith(1));
     });
+
+    test('Renames of a variable deleted earlier are dropped.', async () => {
+      database.snapshot = {
+        xml: this.xmlText0,
+        serverId: 0,
+      };
+      const variable = {varId: 'varId', varType: '', varName: 'name'};
+      sinon.stub(database, 'query').resolves([
+        {serverId: 1, events: [Object.assign({type: 'var_create'}, variable)]},
+        {serverId: 2, events: [Object.assign({type: 'var_delete'}, variable)]},
+        {
+          serverId: 3,
+          events: [
+            {
+              type: 'var_rename',
+              varId: 'varId',
+              oldName: 'name',
+              newName: 'newName',
+            },
+          ],
+        },
+      ]);
+      const newSnapshot = await database.getSnapshot();
+      assert.equal(
+        '<xml xmlns="https://developers.google.com/blockly/xml"></xml>',
+        newSnapshot.xml,
+      );
+      assert.equal(3, newSnapshot.serverId);
+    });
+  });
+
+  suite('getSnapshotAt()', () => {
+    setup(() => {
+      this.emptySnapshot = {
+        xml: '<xml xmlns="https://developers.google.com/blockly/xml"/>',
+        serverId: 0,
+      };
+    });
+
+    test('No new events since the stored snapshot.', async () => {
+      sinon.stub(database, 'getStoredSnapshot_').resolves(this.emptySnapshot);
+      sinon.stub(database, 'query').resolves([]);
+      const snapshot = await database.getSnapshotAt(3);
+      assert.deepStrictEqual(this.emptySnapshot, snapshot);
+      assert(database.getStoredSnapshot_.calledOnceWith(3));
+      assert(database.query.calledOnceWith(0, 3));
+    });
+
+    test('History not retained, reject.', async () => {
+      sinon.stub(database, 'getStoredSnapshot_').resolves(null);
+      sinon.stub(database, 'query').resolves([]);
+      await assert.rejects(database.getSnapshotAt(3));
+      assert(database.query.notCalled);
+    });
+
+    test('Events on blocks deleted before the snapshot are skipped.', async () => {
+      sinon.stub(database, 'getStoredSnapshot_').resolves(this.emptySnapshot);
+      sinon.stub(database, 'query').resolves([
+        {
+          serverId: 1,
+          events: [
+            {
+              type: 'change',
+              blockId: 'deletedBlock',
+              element: 'field',
+              name: 'OP',
+              newValue: 'EQ',
+            },
+            {type: 'move', blockId: 'deletedBlock', newCoordinate: '1,1'},
+          ],
+        },
+      ]);
+      const snapshot = await database.getSnapshotAt(1);
+      assert.equal(
+        '<xml xmlns="https://developers.google.com/blockly/xml"></xml>',
+        snapshot.xml,
+      );
+      assert.equal(1, snapshot.serverId);
+    });
+  });
+
+  suite('queryHistory()', () => {
+    setup(() => {
+      sinon.stub(database, 'query').resolves(['entry']);
+      sinon.stub(database, 'getOldestSnapshotId_').resolves(4);
+    });
+
+    test('History retained, entries returned.', async () => {
+      assert.deepStrictEqual(['entry'], await database.queryHistory(4));
+      assert(database.query.calledOnceWith(4));
+    });
+
+    test('History deleted by a compaction, null returned.', async () => {
+      assert.equal(null, await database.queryHistory(3));
+    });
+  });
+
+  suite('compact()', () => {
+    setup(() => {
+      database.snapshot = {xml: '<xml/>', serverId: 10};
+      sinon.stub(database, 'updateSnapshot_').resolves();
+      sinon.stub(database, 'runStoreSnapshotQuery_').resolves();
+      sinon.stub(database, 'runDeleteHistoryQuery_').resolves();
+      sinon.stub(database, 'getStoredSnapshot_');
+    });
+
+    test('Snapshot stored and older history deleted.', async () => {
+      database.getStoredSnapshot_.resolves({xml: '<xml/>', serverId: 4});
+      await database.compact(5);
+      assert(database.runStoreSnapshotQuery_.calledOnceWith(database.snapshot));
+      assert(database.getStoredSnapshot_.calledOnceWith(5));
+      assert(database.runDeleteHistoryQuery_.calledOnceWith(4));
+    });
+
+    test('No snapshot before the retention window, nothing deleted.', async () => {
+      database.getStoredSnapshot_.resolves(null);
+      await database.compact(5);
+      assert(database.runStoreSnapshotQuery_.calledOnce);
+      assert(database.runDeleteHistoryQuery_.notCalled);
+    });
+
+    test('Latest entry is always retained.', async () => {
+      database.getStoredSnapshot_.resolves(null);
+      await database.compact(0);
+      assert(database.getStoredSnapshot_.calledOnceWith(9));
+    });
+  });
+
+  suite('startCompaction()', () => {
+    setup(() => {
+      this.clock = sinon.useFakeTimers({
+        toFake: ['setInterval', 'clearInterval'],
+      });
+      sinon.stub(database, 'compact').resolves();
+      sinon.stub(database, 'deleteStaleUsers').resolves();
+    });
+
+    teardown(() => {
+      database.stopCompaction();
+    });
+
+    test('Compacts history and deletes stale users.', async () => {
+      database.startCompaction({
+        interval: 100,
+        retentionWindow: 5,
+        userTimeout: 1000,
+      });
+      this.clock.tick(100);
+      await new Promise((resolve) => setImmediate(resolve));
+      assert(database.compact.calledOnceWith(5));
+      assert(database.deleteStaleUsers.calledOnceWith(1000));
+    });
   });
 
   suite('addToDatabase()', () => {
@@ -205,7 +370,7 @@ suite('Database', () => {
       assert(database.runInsertQuery_.notCalled);
     });
 
-    test('Invalid entry, reject.', async () => {
+    test('Resent older entry, resolve without further action.', async () => {
       database.getLastEntryNumber_.resolves(2);
       database.runInsertQuery_.resolves();
       const entry = {
@@ -213,7 +378,8 @@ suite('Database', () => {
         entryNumber: '1',
         events: [JSON.stringify({mockEvent: 'event'})],
       };
-      assert.rejects(database.addToServer(entry));
+      const serverId = await database.addToServer(entry);
+      assert.equal(null, serverId);
       assert(database.runInsertQuery_.notCalled);
     });
   });
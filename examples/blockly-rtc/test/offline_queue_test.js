@@ -0,0 +1,52 @@
+/**
+ * @license
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Unit tests for OfflineQueue.
+ */
+
+const assert = require('assert');
+const {JSDOM} = require('jsdom');
+
+const OfflineQueue = require('../src/OfflineQueue').default;
+
+suite('OfflineQueue', () => {
+  setup(() => {
+    this.createTab = () => {
+      global.sessionStorage = new JSDOM('', {
+        url: 'http://localhost/',
+      }).window.sessionStorage;
+    };
+  });
+
+  teardown(() => {
+    delete global.sessionStorage;
+  });
+
+  test('Reloaded tab uses the same key.', () => {
+    this.createTab();
+    const key = new OfflineQueue().key;
+    assert.equal(key, new OfflineQueue().key);
+  });
+
+  test('Tabs use different keys.', () => {
+    this.createTab();
+    const key = new OfflineQueue().key;
+    this.createTab();
+    assert.notEqual(key, new OfflineQueue().key);
+  });
+});
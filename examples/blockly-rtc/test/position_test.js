@@ -37,14 +37,16 @@ suite('Position', () => {
       ]);
       this.FAKE_WORKSPACE_ID = 'mockWorkspaceId';
       this.FAKE_BLOCK_ID = 'mockBlockId';
-      sinon
-        .stub(Blockly.utils, 'genUid')
-        .onFirstCall()
-        .returns(this.FAKE_WORKSPACE_ID)
-        .onSecondCall()
-        .returns(this.FAKE_BLOCK_ID);
       this.workspace = new Blockly.Workspace();
-      this.block = new Blockly.Block(this.workspace, 'test_block');
+      sinon
+        .stub(Blockly.Workspace, 'getById')
+        .withArgs(this.FAKE_WORKSPACE_ID)
+        .returns(this.workspace);
+      this.block = new Blockly.Block(
+        this.workspace,
+        'test_block',
+        this.FAKE_BLOCK_ID,
+      );
       this.field = new Blockly.Field('hello');
       this.field.sourceBlock_ = this.block;
       this.field.name = 'message0';
@@ -57,11 +59,10 @@ suite('Position', () => {
     });
 
     test('From SELECT UI event on a block.', async () => {
-      const event = new Blockly.Events.Ui(
-        this.block,
-        'selected',
+      const event = new Blockly.Events.Selected(
         'old',
         this.FAKE_BLOCK_ID,
+        this.workspace.id,
       );
       const position = Position.fromEvent(event);
       const expectedPosition = new Position('BLOCK', this.FAKE_BLOCK_ID, null);
@@ -69,7 +70,7 @@ suite('Position', () => {
     });
 
     test('From CHANGE event on a field.', async () => {
-      const event = new Blockly.Events.Change(
+      const event = new Blockly.Events.BlockChange(
         this.block,
         'field',
         'message0',
@@ -87,7 +88,7 @@ suite('Position', () => {
 
     test('From other not supported event, throw error.', async () => {
       sinon.spy(Position, 'fromEvent');
-      const event = new Blockly.Events.Change(
+      const event = new Blockly.Events.BlockChange(
         this.block,
         'comment',
         'message0',
@@ -112,6 +113,30 @@ suite('Position', () => {
       const expectedPosition = new Position('type', 'blockId', 'fieldName');
       assert.deepEqual(position, expectedPosition);
     });
+
+    test('JSON object with presence to Position object.', async () => {
+      const user = {name: 'name', colour: '#fcba03'};
+      const drag = {blockId: 'blockId', x: 10, y: 20};
+      const viewport = {x: 100, y: 200, scale: 1.5};
+      const json = {
+        type: 'type',
+        blockId: 'blockId',
+        fieldName: 'fieldName',
+        user: user,
+        drag: drag,
+        viewport: viewport,
+      };
+      const position = Position.fromJson(json);
+      const expectedPosition = new Position(
+        'type',
+        'blockId',
+        'fieldName',
+        user,
+        drag,
+        viewport,
+      );
+      assert.deepEqual(position, expectedPosition);
+    });
   });
 
   suite('createNode()', () => {
@@ -22,6 +22,7 @@
 
 const assert = require('assert');
 const Blockly = require('blockly');
+const {JSDOM} = require('jsdom');
 const sinon = require('sinon');
 
 const handlers = require('../src/websocket/user_data_handlers');
@@ -29,6 +30,15 @@ const UserDataManager = require('../src/UserDataManager').default;
 const Position = require('../src/Position').default;
 
 suite('UserDataManager', () => {
+  suiteSetup(() => {
+    // Rendered workspaces measure text in the document.
+    global.document = new JSDOM('<!DOCTYPE html>').window.document;
+  });
+
+  suiteTeardown(() => {
+    delete global.document;
+  });
+
   setup(() => {
     this.userDataManager = new UserDataManager(
       'mockWorkspaceId',
@@ -44,20 +54,22 @@ suite('UserDataManager', () => {
     ]);
     this.FAKE_WORKSPACE_ID = 'mockWorkspaceId';
     this.FAKE_BLOCK_ID = 'blockId';
+    this.workspace = new Blockly.WorkspaceSvg(new Blockly.Options({}));
     sinon
-      .stub(Blockly.utils, 'genUid')
-      .onFirstCall()
-      .returns(this.FAKE_WORKSPACE_ID)
-      .onSecondCall()
-      .returns(this.FAKE_BLOCK_ID);
-    this.workspace = new Blockly.WorkspaceSvg({});
-    this.block = new Blockly.Block(this.workspace, 'test_block');
+      .stub(Blockly.Workspace, 'getById')
+      .withArgs(this.FAKE_WORKSPACE_ID)
+      .returns(this.workspace);
+    this.block = new Blockly.Block(
+      this.workspace,
+      'test_block',
+      this.FAKE_BLOCK_ID,
+    );
     this.position = new Position('BLOCK', 'blockId', null);
 
     this.BlocklyMarkerManager = new Blockly.MarkerManager(this.workspace);
     sinon.stub(this.BlocklyMarkerManager, 'registerMarker');
     this.BlocklyMarkerManager.registerMarker.callsFake((markerId, marker) => {
-      this.BlocklyMarkerManager.markers_[markerId] = marker;
+      this.BlocklyMarkerManager.markers.set(markerId, marker);
     });
     sinon
       .stub(this.workspace, 'getMarkerManager')
@@ -89,6 +101,16 @@ suite('UserDataManager', () => {
       assert.deepEqual(this.BlocklyMarkerManager.getMarker('mockId1'), marker1);
       assert.deepEqual(this.BlocklyMarkerManager.getMarker('mockId2'), marker2);
     });
+
+    test('Position has a user, marker uses the user colour.', async () => {
+      const position = new Position('BLOCK', 'blockId', null, {
+        name: 'name',
+        colour: '#123456',
+      });
+      const positionUpdate = {workspaceId: 'mockId1', position: position};
+      const marker = this.userDataManager.createMarker_(positionUpdate);
+      assert.equal('#123456', marker.colour);
+    });
   });
 
   suite('disposeMarker', () => {
@@ -110,7 +132,7 @@ suite('UserDataManager', () => {
     test('Unregister Marker from Blockly MarkerManager.', async () => {
       sinon.spy(this.BlocklyMarkerManager, 'unregisterMarker');
       const marker = new Blockly.Marker();
-      this.BlocklyMarkerManager.markers_['mockId'] = marker;
+      this.BlocklyMarkerManager.markers.set('mockId', marker);
       this.userDataManager.disposeMarker_('mockId');
       assert(
         this.BlocklyMarkerManager.unregisterMarker.calledOnceWith('mockId'),
@@ -118,18 +140,218 @@ suite('UserDataManager', () => {
     });
   });
 
+  suite('setConnectionState', () => {
+    test('Offline, position updates are not sent.', async () => {
+      sinon.stub(this.userDataManager, 'sendPositionUpdate').resolves();
+      await this.userDataManager.setConnectionState('offline');
+      await this.userDataManager.handleEvent({type: 'selected'});
+      assert(this.userDataManager.sendPositionUpdate.notCalled);
+      assert.equal('offline', this.userDataManager.getConnectionState());
+    });
+
+    test('Back online, user reconnects and markers are refreshed.', async () => {
+      const connectUserStub = sinon.stub().resolves();
+      this.userDataManager.connectUserHandler = connectUserStub;
+      sinon.stub(this.userDataManager, 'getPositionUpdates').resolves([]);
+      sinon.stub(this.userDataManager, 'updateMarkerPositions_').resolves();
+      const stateSpy = sinon.spy();
+      this.userDataManager.listener.on('connectionState', stateSpy);
+
+      await this.userDataManager.setConnectionState('offline');
+      await this.userDataManager.setConnectionState('syncing');
+      assert(connectUserStub.calledOnceWith('mockWorkspaceId'));
+      assert(this.userDataManager.updateMarkerPositions_.calledOnce);
+      assert.deepStrictEqual([['offline'], ['syncing']], stateSpy.args);
+    });
+  });
+
+  suite('handleEvent', () => {
+    setup(() => {
+      this.clock = sinon.useFakeTimers();
+      sinon.stub(this.userDataManager, 'sendPositionUpdate').resolves();
+      this.userDataManager.setPresenceOptions({
+        name: 'name',
+        throttleInterval: 50,
+      });
+    });
+
+    test('Updates within the throttle interval are sent together.', async () => {
+      const sendStub = this.userDataManager.sendPositionUpdate;
+      await this.userDataManager.handleEvent({
+        type: 'selected',
+        newElementId: 'blockId',
+      });
+      await this.userDataManager.handleEvent({type: 'selected'});
+      await this.userDataManager.handleEvent({
+        type: 'selected',
+        newElementId: 'blockId2',
+      });
+      assert(sendStub.calledOnce);
+      assert.equal('blockId', sendStub.args[0][0].position.blockId);
+      assert.equal('name', sendStub.args[0][0].position.user.name);
+
+      this.clock.tick(50);
+      assert(sendStub.calledTwice);
+      assert.equal('blockId2', sendStub.args[1][0].position.blockId);
+
+      this.clock.tick(50);
+      assert(sendStub.calledTwice);
+    });
+
+    test('Dragged block position is sampled until the drag ends.', async () => {
+      const sendStub = this.userDataManager.sendPositionUpdate;
+      const xyStub = sinon
+        .stub(this.block, 'getRelativeToSurfaceXY')
+        .returns(new Blockly.utils.Coordinate(0, 0));
+      await this.userDataManager.handleEvent({
+        type: 'drag',
+        blockId: 'blockId',
+        isStart: true,
+      });
+      assert.deepStrictEqual(
+        {blockId: 'blockId', x: 0, y: 0},
+        sendStub.args[0][0].position.drag,
+      );
+
+      xyStub.returns(new Blockly.utils.Coordinate(10, 20));
+      this.clock.tick(50);
+      this.clock.tick(50);
+      assert.deepStrictEqual(
+        {blockId: 'blockId', x: 10, y: 20},
+        sendStub.lastCall.args[0].position.drag,
+      );
+
+      await this.userDataManager.handleEvent({
+        type: 'drag',
+        blockId: 'blockId',
+        isStart: false,
+      });
+      this.clock.tick(50);
+      assert.equal(null, sendStub.lastCall.args[0].position.drag);
+      const callCount = sendStub.callCount;
+      this.clock.tick(200);
+      assert.equal(callCount, sendStub.callCount);
+    });
+
+    test('Failed throttled updates are caught.', async () => {
+      const sendStub = this.userDataManager.sendPositionUpdate;
+      sendStub.onSecondCall().rejects(new Error('offline'));
+      const warnStub = sinon.stub(console, 'warn');
+      await this.userDataManager.handleEvent({type: 'selected'});
+      await this.userDataManager.handleEvent({type: 'selected'});
+      this.clock.tick(50);
+      await sendStub.secondCall.returnValue.catch(() => {});
+      assert(sendStub.calledTwice);
+      assert(warnStub.calledOnce);
+    });
+
+    test('Viewport changes made to follow a user are not sent.', async () => {
+      const sendStub = this.userDataManager.sendPositionUpdate;
+      await this.userDataManager.handleEvent({
+        type: Blockly.Events.VIEWPORT_CHANGE,
+        group: UserDataManager.FOLLOW_GROUP,
+      });
+      assert(sendStub.notCalled);
+    });
+
+    test('Dispose stops pending updates.', async () => {
+      const sendStub = this.userDataManager.sendPositionUpdate;
+      sinon
+        .stub(this.block, 'getRelativeToSurfaceXY')
+        .returns(new Blockly.utils.Coordinate(0, 0));
+      await this.userDataManager.handleEvent({
+        type: 'drag',
+        blockId: 'blockId',
+        isStart: true,
+      });
+      await this.userDataManager.handleEvent({type: 'selected'});
+      this.userDataManager.dispose();
+      this.block.getRelativeToSurfaceXY.returns(
+        new Blockly.utils.Coordinate(10, 20),
+      );
+      this.clock.tick(200);
+      assert(sendStub.calledOnce);
+      assert.equal(null, this.userDataManager.sendTimer);
+      assert.equal(null, this.userDataManager.dragTimer);
+    });
+  });
+
+  suite('followUser', () => {
+    setup(() => {
+      this.viewport = {x: 100, y: 200, scale: 1.5};
+      this.BlocklyMarkerManager.markers.set('mockId', new Blockly.Marker());
+      sinon.stub(this.userDataManager, 'followViewport_');
+    });
+
+    test('Following a user mirrors their current viewport.', async () => {
+      const position = new Position('BLOCK', 'blockId', null, null, null, {
+        x: 100,
+        y: 200,
+        scale: 1.5,
+      });
+      this.userDataManager.updateMarkerPositions_([
+        {workspaceId: 'mockId', position: position},
+      ]);
+      assert(this.userDataManager.followViewport_.notCalled);
+
+      const followSpy = sinon.spy();
+      this.userDataManager.listener.on('followUser', followSpy);
+      this.userDataManager.followUser('mockId');
+      assert(
+        this.userDataManager.followViewport_.calledOnceWith(this.viewport),
+      );
+      assert(followSpy.calledOnceWith('mockId'));
+    });
+
+    test('Followed user moves, viewport is mirrored.', async () => {
+      this.userDataManager.followUser('mockId');
+      const position = new Position('BLOCK', 'blockId', null, null, null, {
+        x: 100,
+        y: 200,
+        scale: 1.5,
+      });
+      this.userDataManager.updateMarkerPositions_([
+        {workspaceId: 'mockId', position: position},
+      ]);
+      assert(
+        this.userDataManager.followViewport_.calledOnceWith(this.viewport),
+      );
+    });
+
+    test('Viewport changes made to follow are in the follow group.', async () => {
+      this.userDataManager.followViewport_.restore();
+      const groups = [];
+      const recordGroup = () => groups.push(Blockly.Events.getGroup());
+      sinon.stub(this.workspace, 'setScale').callsFake(recordGroup);
+      sinon.stub(this.workspace, 'scroll').callsFake(recordGroup);
+      sinon
+        .stub(this.workspace, 'getMetrics')
+        .returns({viewWidth: 100, viewHeight: 100});
+      this.userDataManager.followViewport_(this.viewport);
+      assert.deepStrictEqual(
+        [UserDataManager.FOLLOW_GROUP, UserDataManager.FOLLOW_GROUP],
+        groups,
+      );
+      assert.equal('', Blockly.Events.getGroup());
+    });
+
+    test('Followed user disconnects, user is unfollowed.', async () => {
+      this.userDataManager.followUser('mockId');
+      this.userDataManager.disposeMarker_('mockId');
+      assert.equal(null, this.userDataManager.getFollowedUser());
+    });
+  });
+
   suite('updateMarkerPositions', () => {
     setup(() => {
-      this.BlocklyMarkerManager.markers_ = {
-        mockId: new Blockly.Marker(),
-      };
+      this.BlocklyMarkerManager.markers.set('mockId', new Blockly.Marker());
     });
 
     test('New Position, update curNode.', async () => {
       const positionUpdate = {workspaceId: 'mockId', position: this.position};
       const positionUpdates = [positionUpdate];
       this.userDataManager.updateMarkerPositions_(positionUpdates);
-      const curNode = this.userDataManager.getMarker('mockId').curNode_;
+      const curNode = this.userDataManager.getMarker('mockId').getCurNode();
       const expectedNode = Blockly.ASTNode.createBlockNode(this.block);
       assert.deepEqual(curNode, expectedNode);
     });
@@ -63,15 +63,45 @@ suite('WorkspaceClient', () => {
       assert(Blockly.Events.filter.called);
     });
 
-    test('Write fails, error is thrown and events stay in notSent.', async () => {
+    test('Write fails, error is thrown and entry is kept for a resend.', async () => {
       sinon.stub(this.workspaceClient, 'addEventsHandler').rejects();
       this.workspaceClient.notSent = [1, 2, 3];
       await assert.rejects(this.workspaceClient.writeToDatabase_());
-      assert.deepStrictEqual([1, 2, 3], this.workspaceClient.notSent);
-      assert.deepStrictEqual([], this.workspaceClient.inProgress);
-      assert.strictEqual(0, this.workspaceClient.counter);
+      assert.deepStrictEqual([], this.workspaceClient.notSent);
+      assert.deepStrictEqual(
+        [
+          {
+            workspaceId: 'mockClient',
+            entryNumber: 0,
+            events: [1, 2, 3],
+          },
+        ],
+        this.workspaceClient.inProgress,
+      );
+      assert.strictEqual(1, this.workspaceClient.counter);
+      assert.equal(true, this.workspaceClient.writeFailed);
+      assert.equal(false, this.workspaceClient.connected);
       assert(Blockly.Events.filter.called);
     });
+
+    test('Resend after failure, same entry is sent unchanged.', async () => {
+      const addEventsStub = sinon.stub(
+        this.workspaceClient,
+        'addEventsHandler',
+      );
+      addEventsStub.onFirstCall().rejects().onSecondCall().resolves();
+      this.workspaceClient.notSent = [1, 2, 3];
+      await assert.rejects(this.workspaceClient.writeToDatabase_());
+      this.workspaceClient.notSent = [4];
+      await this.workspaceClient.writeToDatabase_();
+      assert.deepStrictEqual(
+        addEventsStub.firstCall.args,
+        addEventsStub.secondCall.args,
+      );
+      assert.deepStrictEqual([4], this.workspaceClient.notSent);
+      assert.strictEqual(1, this.workspaceClient.counter);
+      assert.equal(false, this.workspaceClient.writeFailed);
+    });
   });
 
   suite('addEvents()', () => {
@@ -334,6 +364,175 @@ suite('WorkspaceClient', () => {
     });
   });
 
+  suite('connection', () => {
+    test('Disconnected, state is offline and writes wait.', async () => {
+      const stateSpy = sinon.spy();
+      this.workspaceClient.listener.on('connectionState', stateSpy);
+      const writeStub = sinon.stub(this.workspaceClient, 'writeToDatabase_');
+      this.workspaceClient.setConnectionHandler((callback) => {
+        callback(false);
+      });
+      this.workspaceClient.notSent = ['event'];
+
+      await this.workspaceClient.updateServer_();
+      assert(stateSpy.calledOnceWith('offline'));
+      assert.equal(true, writeStub.notCalled);
+    });
+
+    test('Reconnected, queued entries are written before local ones.', async () => {
+      const calls = [];
+      sinon.stub(this.workspaceClient, 'writeQueuedEntries_').callsFake(() => {
+        calls.push('queue');
+      });
+      sinon.stub(this.workspaceClient, 'queryDatabase_').resolves([]);
+      sinon.stub(this.workspaceClient, 'updateServer_').callsFake(() => {
+        calls.push('local');
+      });
+      this.workspaceClient.connected = false;
+      this.workspaceClient.connectionState = 'offline';
+      this.workspaceClient.writeFailed = true;
+
+      this.workspaceClient.setConnected_(true);
+      await new Promise((resolve) => setTimeout(resolve));
+      assert.deepStrictEqual(['queue', 'local'], calls);
+      assert.equal('syncing', this.workspaceClient.connectionState);
+    });
+
+    test('Queued entries are resent with their original entryNumber.', async () => {
+      sinon.stub(Blockly.Workspace, 'getById').returns(null);
+      sinon.stub(Blockly.Events, 'fromJson').callsFake((json) => json);
+      const addEventsStub = sinon
+        .stub(this.workspaceClient, 'addEventsHandler')
+        .resolves();
+      this.workspaceClient.queuedEntries = [
+        {workspaceId: 'oldClient', entryNumber: 4, events: ['event']},
+      ];
+
+      await this.workspaceClient.writeQueuedEntries_();
+      assert(
+        addEventsStub.calledOnceWith({
+          workspaceId: 'oldClient',
+          entryNumber: 4,
+          events: ['event'],
+        }),
+      );
+      assert.deepStrictEqual([], this.workspaceClient.queuedEntries);
+    });
+
+    test('Unsent entries are saved to the offline queue.', async () => {
+      const offlineQueue = {save: sinon.stub().resolves()};
+      this.workspaceClient.setOfflineQueue(offlineQueue);
+      const toJson = () => 'eventJson';
+      this.workspaceClient.inProgress = [
+        {workspaceId: 'mockClient', entryNumber: 0, events: [{toJson}]},
+      ];
+      this.workspaceClient.notSent = [{toJson}];
+      this.workspaceClient.counter = 1;
+
+      await this.workspaceClient.saveQueue_();
+      assert(
+        offlineQueue.save.calledOnceWith([
+          {workspaceId: 'mockClient', entryNumber: 0, events: ['eventJson']},
+          {workspaceId: 'mockClient', entryNumber: 1, events: ['eventJson']},
+        ]),
+      );
+    });
+  });
+
+  suite('processQueryResults_() conflicts', () => {
+    setup(() => {
+      this.workspaceClient.inProgress = [];
+      this.deleteEvent = {
+        type: 'delete',
+        blockId: 'mockBlock',
+        ids: ['mockBlock'],
+      };
+      this.changeEvent = {type: 'change', blockId: 'mockBlock'};
+    });
+
+    test('Local edit to a block deleted by another user is dropped.', () => {
+      const conflictSpy = sinon.spy();
+      this.workspaceClient.listener.on('conflicts', conflictSpy);
+      this.workspaceClient.notSent = [this.changeEvent];
+
+      const eventQueue = this.workspaceClient.processQueryResults_([
+        {
+          events: [this.deleteEvent],
+          workspaceId: 'otherClient',
+          entryNumber: 0,
+          serverId: 1,
+        },
+      ]);
+      assert.deepStrictEqual(
+        [
+          {event: this.changeEvent, forward: false},
+          {event: this.deleteEvent, forward: true},
+        ],
+        eventQueue,
+      );
+      assert.deepStrictEqual([], this.workspaceClient.notSent);
+      assert(
+        conflictSpy.calledOnceWith([
+          {event: this.changeEvent, reason: 'deletedBlock'},
+        ]),
+      );
+    });
+
+    test('Own entry written after a delete is dropped and reported.', () => {
+      const conflictSpy = sinon.spy();
+      this.workspaceClient.listener.on('conflicts', conflictSpy);
+
+      const eventQueue = this.workspaceClient.processQueryResults_([
+        {
+          events: [this.deleteEvent],
+          workspaceId: 'otherClient',
+          entryNumber: 0,
+          serverId: 1,
+        },
+        {
+          events: [this.changeEvent],
+          workspaceId: 'mockClient',
+          entryNumber: 0,
+          serverId: 2,
+        },
+      ]);
+      assert.deepStrictEqual(
+        [{event: this.deleteEvent, forward: true}],
+        eventQueue,
+      );
+      assert(
+        conflictSpy.calledOnceWith([
+          {event: this.changeEvent, reason: 'deletedBlock'},
+        ]),
+      );
+    });
+
+    test("Other users' conflicts are dropped without a report.", () => {
+      const conflictSpy = sinon.spy();
+      this.workspaceClient.listener.on('conflicts', conflictSpy);
+
+      const eventQueue = this.workspaceClient.processQueryResults_([
+        {
+          events: [this.deleteEvent],
+          workspaceId: 'otherClient',
+          entryNumber: 0,
+          serverId: 1,
+        },
+        {
+          events: [this.changeEvent],
+          workspaceId: 'thirdClient',
+          entryNumber: 0,
+          serverId: 2,
+        },
+      ]);
+      assert.deepStrictEqual(
+        [{event: this.deleteEvent, forward: true}],
+        eventQueue,
+      );
+      assert(conflictSpy.notCalled);
+    });
+  });
+
   suite('addServerEvents_()', () => {
     test('serverEvents in correct order, add successfully.', async () => {
       const queryStub = sinon.stub(this.workspaceClient, 'queryDatabase_');
@@ -389,13 +588,85 @@ suite('WorkspaceClient', () => {
     });
 
     test('Query succeeds.', async () => {
-      const getEventsStub = sinon.stub(handler, 'getEvents');
       sinon
         .stub(this.workspaceClient, 'getEventsHandler')
         .resolves(['resolved']);
       const entries = await this.workspaceClient.queryDatabase_();
       assert.deepStrictEqual(['resolved'], entries);
     });
+
+    test('History deleted, snapshot reloaded then queried.', async () => {
+      const getEventsStub = sinon.stub(
+        this.workspaceClient,
+        'getEventsHandler',
+      );
+      getEventsStub.onFirstCall().resolves(null);
+      getEventsStub.onSecondCall().resolves(['resolved']);
+      sinon.stub(this.workspaceClient, 'reloadSnapshot_').callsFake(() => {
+        this.workspaceClient.lastSync = 10;
+      });
+      this.workspaceClient.lastSync = 2;
+      const entries = await this.workspaceClient.queryDatabase_();
+      assert.deepStrictEqual(['resolved'], entries);
+      assert(this.workspaceClient.reloadSnapshot_.calledOnce);
+      assert(getEventsStub.secondCall.calledWith(10));
+    });
+  });
+
+  suite('reloadSnapshot_()', () => {
+    setup(() => {
+      this.workspace = new Blockly.Workspace();
+      this.workspaceClient.workspaceId = this.workspace.id;
+      this.workspace.newBlock('logic_boolean', 'oldBlock');
+      sinon.stub(this.workspaceClient, 'getSnapshotHandler').resolves({
+        serverId: 10,
+        xml: Blockly.utils.xml.textToDom(
+          '<xml xmlns="https://developers.google.com/blockly/xml">' +
+            '<block type="logic_null" id="newBlock"/></xml>',
+        ),
+      });
+      this.runEventsSpy = sinon.spy();
+      this.workspaceClient.listener.on('runEvents', this.runEventsSpy);
+    });
+
+    teardown(() => {
+      this.workspace.dispose();
+    });
+
+    test('Workspace is replaced and written entries are dropped.', async () => {
+      this.workspaceClient.inProgress = [
+        {workspaceId: 'mockClient', entryNumber: 0, events: ['written']},
+      ];
+      this.workspaceClient.notSent = ['notSent'];
+      this.workspaceClient.serverEvents = [{serverId: 3}];
+
+      await this.workspaceClient.reloadSnapshot_();
+      assert.equal(null, this.workspace.getBlockById('oldBlock'));
+      assert.ok(this.workspace.getBlockById('newBlock'));
+      assert.equal(10, this.workspaceClient.lastSync);
+      assert.deepStrictEqual([], this.workspaceClient.inProgress);
+      assert.deepStrictEqual([], this.workspaceClient.serverEvents);
+      assert(
+        this.runEventsSpy.calledOnceWith([{event: 'notSent', forward: true}]),
+      );
+    });
+
+    test('Entry whose write failed is rerun.', async () => {
+      this.workspaceClient.inProgress = [
+        {workspaceId: 'mockClient', entryNumber: 0, events: ['written']},
+        {workspaceId: 'mockClient', entryNumber: 1, events: ['failed']},
+      ];
+      this.workspaceClient.writeFailed = true;
+
+      await this.workspaceClient.reloadSnapshot_();
+      assert.deepStrictEqual(
+        [{workspaceId: 'mockClient', entryNumber: 1, events: ['failed']}],
+        this.workspaceClient.inProgress,
+      );
+      assert(
+        this.runEventsSpy.calledOnceWith([{event: 'failed', forward: true}]),
+      );
+    });
   });
 
   suite('updateWorkspace_()', () => {
@@ -61,3 +61,60 @@
  * @property {!Blockly.Event} event A Blockly Event.
  * @property {boolean} forward Indicates the direction to run an event.
  */
+
+/**
+ * An event that was dropped because it conflicts with another user's edit.
+ * @typedef {Object} Conflict
+ * @property {!Blockly.Event} event The dropped Blockly Event.
+ * @property {string} reason Why the event was dropped. One of the reason
+ * constants on ConflictResolver.
+ */
+
+/**
+ * The result of resolving a list of events.
+ * @typedef {Object} Resolution
+ * @property {<!Array.<!Blockly.Event>>} events The events that should be run.
+ * @property {<!Array.<!Conflict>>} conflicts The events that were dropped.
+ */
+
+/**
+ * The state of a client's connection to the server. One of 'online',
+ * 'offline' (the server cannot be reached) or 'syncing' (connected, with
+ * unsent entries still being written).
+ * @typedef {string} ConnectionState
+ */
+
+/**
+ * Who a user is, as shown to other users.
+ * @typedef {Object} UserInfo
+ * @property {string} name The display name of the user.
+ * @property {string} colour The colour of the user's marker and highlights.
+ */
+
+/**
+ * A block that a user is dragging.
+ * @typedef {Object} DragPosition
+ * @property {string} blockId The id of the block being dragged.
+ * @property {number} x The x coordinate of the block in workspace units.
+ * @property {number} y The y coordinate of the block in workspace units.
+ */
+
+/**
+ * The part of the workspace a user can see.
+ * @typedef {Object} Viewport
+ * @property {number} x The x coordinate of the centre of the view in workspace
+ * units.
+ * @property {number} y The y coordinate of the centre of the view in workspace
+ * units.
+ * @property {number} scale The zoom level of the workspace.
+ */
+
+/**
+ * Options for how a user's presence is shared.
+ * @typedef {Object} PresenceOptions
+ * @property {string=} name The display name of the user.
+ * @property {string=} colour The colour of the user. Defaults to a colour
+ * derived from the workspaceId, so every client shows the same one.
+ * @property {number=} throttleInterval The minimum time in milliseconds
+ * between PositionUpdates sent to the server. Defaults to 100.
+ */
@@ -7,6 +7,9 @@
 import * as Blockly from 'blockly/core';
 import {FieldAngle} from '@blockly/field-angle';
 import {FieldColour} from '@blockly/field-colour';
+import {FieldColourHsvSliders} from '@blockly/field-colour-hsv-sliders';
+import {FieldDate} from '@blockly/field-date';
+import {FieldMultilineInput} from '@blockly/field-multilineinput';
 
 /** The default source to use as prepopulated text in image fields. */
 const defaultImageSrc =
@@ -17,6 +20,8 @@ const imageAltTooltip =
 /** The tooltip text to show explaining the 'flip RTL' option for images. */
 const imageFlipTooltip =
   'Whether the image should be reversed when a workspace is rendered RTL';
+/** The tooltip text to show for optional grid dropdown colours. */
+const gridColourTooltip = 'Optional. Leave empty to use the block colour';
 
 /**
  * Check to see if more than one field has this name.
@@ -481,3 +486,271 @@ export const fieldColour = {
     checkNameConflicts(this);
   },
 };
+
+/** Slider field. */
+export const fieldSlider = {
+  init: function () {
+    this.setStyle('field');
+    this.appendDummyInput()
+      .appendField('slider')
+      .appendField(new Blockly.FieldNumber(50), 'VALUE')
+      .appendField(',')
+      .appendField(new Blockly.FieldTextInput('NAME'), 'FIELDNAME');
+    this.appendDummyInput()
+      .appendField('min')
+      .appendField(new Blockly.FieldNumber(0), 'MIN')
+      .appendField('max')
+      .appendField(new Blockly.FieldNumber(100), 'MAX')
+      .appendField('precision')
+      .appendField(new Blockly.FieldNumber(0, 0), 'PRECISION');
+    this.setPreviousStatement(true, 'Field');
+    this.setNextStatement(true, 'Field');
+    this.setTooltip('A number field with a slider for choosing the value.');
+    this.setHelpUrl('https://www.npmjs.com/package/@blockly/field-slider');
+  },
+  onchange: function () {
+    checkNameConflicts(this);
+  },
+};
+
+/** Multiline text input field. */
+export const fieldMultilineInput = {
+  init: function () {
+    this.setStyle('field');
+    this.appendDummyInput()
+      .appendField('multiline text input')
+      .appendField(new FieldMultilineInput('default'), 'TEXT')
+      .appendField(',')
+      .appendField(new Blockly.FieldTextInput('NAME'), 'FIELDNAME');
+    this.appendDummyInput()
+      .appendField('max lines')
+      .appendField(
+        new Blockly.FieldNumber(Infinity, 1, Infinity, 1),
+        'MAX_LINES',
+      )
+      .appendField('spellcheck')
+      .appendField(new Blockly.FieldCheckbox('TRUE'), 'SPELLCHECK');
+    this.setPreviousStatement(true, 'Field');
+    this.setNextStatement(true, 'Field');
+    this.setTooltip(
+      'An input field for the user to enter text that can span multiple lines.',
+    );
+    this.setHelpUrl(
+      'https://www.npmjs.com/package/@blockly/field-multilineinput',
+    );
+  },
+  onchange: function () {
+    checkNameConflicts(this);
+  },
+};
+
+/** Date field. */
+export const fieldDate = {
+  init: function () {
+    this.setStyle('field');
+    this.appendDummyInput()
+      .appendField('date')
+      .appendField(new FieldDate('2020-02-20'), 'DATE')
+      .appendField(',')
+      .appendField(new Blockly.FieldTextInput('NAME'), 'FIELDNAME');
+    this.setPreviousStatement(true, 'Field');
+    this.setNextStatement(true, 'Field');
+    this.setTooltip('A field for the user to pick a date from a calendar.');
+    this.setHelpUrl('https://www.npmjs.com/package/@blockly/field-date');
+  },
+  onchange: function () {
+    checkNameConflicts(this);
+  },
+};
+
+/** Bitmap field. */
+export const fieldBitmap = {
+  init: function () {
+    this.setStyle('field');
+    this.appendDummyInput()
+      .appendField('bitmap')
+      .appendField(new Blockly.FieldTextInput('NAME'), 'FIELDNAME');
+    this.appendDummyInput()
+      .appendField('width')
+      .appendField(new Blockly.FieldNumber(5, 1, Infinity, 1), 'WIDTH')
+      .appendField('height')
+      .appendField(new Blockly.FieldNumber(5, 1, Infinity, 1), 'HEIGHT')
+      .appendField('filled colour')
+      .appendField(new FieldColour('#363d80'), 'FILLED')
+      .appendField('empty colour')
+      .appendField(new FieldColour('#ffffff'), 'EMPTY');
+    this.appendDummyInput()
+      .appendField('randomize button')
+      .appendField(new Blockly.FieldCheckbox('TRUE'), 'RANDOMIZE')
+      .appendField('clear button')
+      .appendField(new Blockly.FieldCheckbox('TRUE'), 'CLEAR');
+    this.setPreviousStatement(true, 'Field');
+    this.setNextStatement(true, 'Field');
+    this.setTooltip('A grid of pixels the user can draw on.');
+    this.setHelpUrl('https://www.npmjs.com/package/@blockly/field-bitmap');
+  },
+  onchange: function () {
+    checkNameConflicts(this);
+  },
+};
+
+/**
+ * Grid dropdown field. Shares the options mutator of the dropdown field.
+ */
+export const fieldGridDropdown = {
+  ...fieldDropdown,
+  init: function (this: FieldDropdownBlock) {
+    this.appendDummyInput()
+      .appendField('grid dropdown')
+      .appendField(new Blockly.FieldTextInput('NAME'), 'FIELDNAME');
+    this.appendDummyInput()
+      .appendField('columns')
+      .appendField(new Blockly.FieldNumber(3, 1, Infinity, 1), 'COLUMNS')
+      .appendField('primary colour')
+      .appendField(
+        new Blockly.FieldTextInput('', undefined, {
+          tooltip: gridColourTooltip,
+        }),
+        'PRIMARY_COLOUR',
+      )
+      .appendField('border colour')
+      .appendField(
+        new Blockly.FieldTextInput('', undefined, {
+          tooltip: gridColourTooltip,
+        }),
+        'BORDER_COLOUR',
+      );
+    this.optionList = ['text', 'text', 'text'];
+    this.updateShape();
+    this.setPreviousStatement(true, 'Field');
+    this.setNextStatement(true, 'Field');
+    this.setMutator(
+      new Blockly.icons.MutatorIcon(
+        ['field_dropdown_option_text', 'field_dropdown_option_image'],
+        this,
+      ),
+    );
+    this.setStyle('field');
+    this.setTooltip('Dropdown menu that shows its options in a grid.');
+    this.setHelpUrl(
+      'https://www.npmjs.com/package/@blockly/field-grid-dropdown',
+    );
+  },
+};
+
+/**
+ * Dependent dropdown field, whose options are chosen by the value of
+ * another field on the same block.
+ */
+export const fieldDependentDropdown = {
+  init: function () {
+    this.setStyle('field');
+    this.appendDummyInput()
+      .appendField('dependent dropdown')
+      .appendField(new Blockly.FieldTextInput('NAME'), 'FIELDNAME');
+    this.appendDummyInput()
+      .appendField('parent field')
+      .appendField(new Blockly.FieldTextInput('PARENT'), 'PARENT_NAME');
+    this.appendStatementInput('MAPPINGS')
+      .setCheck('DependentDropdownMapping')
+      .appendField('options for');
+    this.appendStatementInput('DEFAULT_OPTIONS')
+      .setCheck('DependentDropdownOption')
+      .appendField('default options');
+    this.setPreviousStatement(true, 'Field');
+    this.setNextStatement(true, 'Field');
+    this.setTooltip(
+      'Dropdown menu whose options depend on the value of a field ' +
+        'added earlier to the block.',
+    );
+    this.setHelpUrl(
+      'https://www.npmjs.com/package/@blockly/field-dependent-dropdown',
+    );
+  },
+  onchange: function () {
+    if (this.isDeadOrDying()) return;
+    let msg = null;
+    const parentName = this.getFieldValue('PARENT_NAME');
+    // The parent field has to be on the same block as the dropdown.
+    const hasParent = this.getRootBlock()
+      .getDescendants(false)
+      .some(
+        (block: Blockly.Block) =>
+          block !== this && block.getFieldValue('FIELDNAME') === parentName,
+      );
+    if (!hasParent) {
+      msg = `There is no field\nnamed ${parentName}.`;
+    } else if (
+      !this.getInputTargetBlock('MAPPINGS') &&
+      !this.getInputTargetBlock('DEFAULT_OPTIONS')
+    ) {
+      msg = 'Dependent dropdown must\nhave at least one option.';
+    }
+    this.setWarningText(msg, 'dependentdropdown');
+
+    checkNameConflicts(this);
+  },
+};
+
+/** The options a dependent dropdown has for one value of its parent field. */
+export const fieldDependentDropdownMapping = {
+  init: function () {
+    this.setStyle('field');
+    this.appendDummyInput()
+      .appendField('when parent is')
+      .appendField(new Blockly.FieldTextInput('OPTIONNAME'), 'PARENT_VALUE');
+    this.appendStatementInput('OPTIONS').setCheck('DependentDropdownOption');
+    this.setPreviousStatement(true, 'DependentDropdownMapping');
+    this.setNextStatement(true, 'DependentDropdownMapping');
+    this.setTooltip(
+      'The options to show when the parent field has this value.',
+    );
+    this.setHelpUrl(
+      'https://www.npmjs.com/package/@blockly/field-dependent-dropdown',
+    );
+  },
+};
+
+/** A text option of a dependent dropdown field. */
+export const fieldDependentDropdownOption = {
+  init: function () {
+    this.setStyle('field');
+    this.appendDummyInput()
+      .appendField('•')
+      .appendField(new Blockly.FieldTextInput('option'), 'USER')
+      .appendField(',')
+      .appendField(new Blockly.FieldTextInput('OPTIONNAME'), 'CPU');
+    this.setPreviousStatement(true, 'DependentDropdownOption');
+    this.setNextStatement(true, 'DependentDropdownOption');
+    this.setTooltip(
+      'A text option of a dependent dropdown menu, shown to the user ' +
+        'and saved as the option name.',
+    );
+    this.setHelpUrl(
+      'https://www.npmjs.com/package/@blockly/field-dependent-dropdown',
+    );
+  },
+};
+
+/** Colour field with hue, saturation and value sliders. */
+export const fieldColourHsvSliders = {
+  init: function () {
+    this.setStyle('field');
+    this.appendDummyInput()
+      .appendField('colour with HSV sliders')
+      .appendField(new FieldColourHsvSliders('#ff0000'), 'COLOUR')
+      .appendField(',')
+      .appendField(new Blockly.FieldTextInput('NAME'), 'FIELDNAME');
+    this.setPreviousStatement(true, 'Field');
+    this.setNextStatement(true, 'Field');
+    this.setTooltip(
+      'Colour field that picks a colour with hue, saturation and value sliders.',
+    );
+    this.setHelpUrl(
+      'https://www.npmjs.com/package/@blockly/field-colour-hsv-sliders',
+    );
+  },
+  onchange: function () {
+    checkNameConflicts(this);
+  },
+};
@@ -6,6 +6,7 @@
 
 import {registerFieldAngle} from '@blockly/field-angle';
 import {registerFieldColour} from '@blockly/field-colour';
+import {registerFieldMultilineInput} from '@blockly/field-multilineinput';
 
 import {factoryBase} from './factory_base';
 import * as Blockly from 'blockly/core';
@@ -18,17 +19,26 @@ import {
 } from './connection_check';
 import {
   fieldAngle,
+  fieldBitmap,
   fieldCheckbox,
   fieldColour,
+  fieldColourHsvSliders,
+  fieldDate,
+  fieldDependentDropdown,
+  fieldDependentDropdownMapping,
+  fieldDependentDropdownOption,
   fieldDropdown,
   fieldDropdownContainer,
   fieldDropdownOptionImage,
   fieldDropdownOptionText,
+  fieldGridDropdown,
   fieldImage,
   fieldInput,
   fieldLabel,
   fieldLabelSerializable,
+  fieldMultilineInput,
   fieldNumber,
+  fieldSlider,
   fieldVariable,
 } from './fields';
 import {colourHue} from './colour';
@@ -47,6 +57,13 @@ import '../output-generators/fields/image';
 import '../output-generators/fields/variable';
 import '../output-generators/fields/angle';
 import '../output-generators/fields/colour';
+import '../output-generators/fields/slider';
+import '../output-generators/fields/multiline_input';
+import '../output-generators/fields/date';
+import '../output-generators/fields/bitmap';
+import '../output-generators/fields/grid_dropdown';
+import '../output-generators/fields/dependent_dropdown';
+import '../output-generators/fields/colour_hsv_sliders';
 import '../output-generators/colour';
 
 /* eslint-disable @typescript-eslint/naming-convention
@@ -56,6 +73,7 @@ export const registerAllBlocks = function () {
   // Register the plugin fields before using them in blocks.
   registerFieldAngle();
   registerFieldColour();
+  registerFieldMultilineInput();
 
   Blockly.common.defineBlocks({
     factory_base: factoryBase,
@@ -73,6 +91,15 @@ export const registerAllBlocks = function () {
     field_image: fieldImage,
     field_angle: fieldAngle,
     field_colour: fieldColour,
+    field_slider: fieldSlider,
+    field_multilinetext: fieldMultilineInput,
+    field_date: fieldDate,
+    field_bitmap: fieldBitmap,
+    field_grid_dropdown: fieldGridDropdown,
+    field_dependent_dropdown: fieldDependentDropdown,
+    field_dependent_dropdown_mapping: fieldDependentDropdownMapping,
+    field_dependent_dropdown_option: fieldDependentDropdownOption,
+    field_colour_hsv_sliders: fieldColourHsvSliders,
     connection_check_group: connectionCheckGroup,
     connection_check_group_container: connectionCheckContainer,
     connection_check_group_item: connectionCheckItem,
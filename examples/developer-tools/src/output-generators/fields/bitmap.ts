@@ -0,0 +1,115 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as Blockly from 'blockly/core';
+import {
+  JsonDefinitionGenerator,
+  jsonDefinitionGenerator,
+} from '../json_definition_generator';
+import {
+  JavascriptDefinitionGenerator,
+  javascriptDefinitionGenerator,
+} from '../javascript_definition_generator';
+import {
+  CodeHeaderGenerator,
+  importHeaderGenerator,
+  scriptHeaderGenerator,
+} from '../code_header_generator';
+import {
+  GeneratorStubGenerator,
+  generatorStubGenerator,
+} from '../generator_stub_generator';
+
+/** The pixel colours FieldBitmap uses when none are configured. */
+const defaultColours = {filled: '#363d80', empty: '#ffffff'};
+
+/**
+ * Gets the bitmap options that differ from the FieldBitmap defaults.
+ *
+ * @param block Bitmap field block to read.
+ * @returns The colours and buttons options, if they were changed.
+ */
+function getBitmapConfig(block: Blockly.Block) {
+  const config: Record<string, Record<string, string | boolean>> = {};
+  const filled = block.getFieldValue('FILLED');
+  const empty = block.getFieldValue('EMPTY');
+  if (filled !== defaultColours.filled || empty !== defaultColours.empty) {
+    config.colours = {filled: filled, empty: empty};
+  }
+  const randomize = block.getFieldValue('RANDOMIZE') === 'TRUE';
+  const clear = block.getFieldValue('CLEAR') === 'TRUE';
+  if (!randomize || !clear) {
+    config.buttons = {randomize: randomize, clear: clear};
+  }
+  return config;
+}
+
+jsonDefinitionGenerator.forBlock['field_bitmap'] = function (
+  block: Blockly.Block,
+  generator: JsonDefinitionGenerator,
+): string {
+  const code = {
+    type: 'field_bitmap',
+    name: block.getFieldValue('FIELDNAME'),
+    width: block.getFieldValue('WIDTH'),
+    height: block.getFieldValue('HEIGHT'),
+    ...getBitmapConfig(block),
+  };
+  return JSON.stringify(code);
+};
+
+javascriptDefinitionGenerator.forBlock['field_bitmap'] = function (
+  block: Blockly.Block,
+  generator: JavascriptDefinitionGenerator,
+): string {
+  const name = generator.quote_(block.getFieldValue('FIELDNAME'));
+  const config = {
+    width: block.getFieldValue('WIDTH'),
+    height: block.getFieldValue('HEIGHT'),
+    ...getBitmapConfig(block),
+  };
+  const formatValue = function (value: unknown): string {
+    if (typeof value === 'string') return generator.quote_(value);
+    if (typeof value === 'object') {
+      const entries = Object.entries(value).map(
+        ([key, entryValue]) => `${key}: ${formatValue(entryValue)}`,
+      );
+      return `{${entries.join(', ')}}`;
+    }
+    return String(value);
+  };
+  const configCode = formatValue(config);
+  return `.appendField(new FieldBitmap(Blockly.Field.SKIP_SETUP, undefined, ${configCode}), ${name})`;
+};
+
+importHeaderGenerator.forBlock['field_bitmap'] = function (
+  block: Blockly.Block,
+  generator: CodeHeaderGenerator,
+): string {
+  generator.addHeaderLine(`import {FieldBitmap} from '@blockly/field-bitmap';`);
+  return '';
+};
+
+scriptHeaderGenerator.forBlock['field_bitmap'] = function (
+  block: Blockly.Block,
+  generator: CodeHeaderGenerator,
+): string {
+  generator.addHeaderLine(
+    `<script src="https://unpkg.com/@blockly/field-bitmap"></script>`,
+  );
+  return '';
+};
+
+generatorStubGenerator.forBlock['field_bitmap'] = function (
+  block: Blockly.Block,
+  generator: GeneratorStubGenerator,
+): string {
+  const name = block.getFieldValue('FIELDNAME');
+  const fieldVar = generator.createVariableName('bitmap', name);
+  return `const ${fieldVar} = block.getFieldValue(${generator.quote_(
+    name,
+  )});\n`;
+};
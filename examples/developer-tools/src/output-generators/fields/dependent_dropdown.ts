@@ -0,0 +1,177 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as Blockly from 'blockly/core';
+import {
+  JsonDefinitionGenerator,
+  jsonDefinitionGenerator,
+} from '../json_definition_generator';
+import {
+  JavascriptDefinitionGenerator,
+  javascriptDefinitionGenerator,
+} from '../javascript_definition_generator';
+import {
+  CodeHeaderGenerator,
+  importHeaderGenerator,
+  scriptHeaderGenerator,
+} from '../code_header_generator';
+import {
+  GeneratorStubGenerator,
+  generatorStubGenerator,
+} from '../generator_stub_generator';
+
+/** A text option of a dependent dropdown: [user-visible, machine-readable]. */
+type DependentOption = [string, string];
+
+/**
+ * Gets the options from a stack of dependent dropdown option blocks.
+ *
+ * @param block Block with the stack of options.
+ * @param inputName Name of the statement input holding the stack.
+ * @returns An array of dropdown option arrays.
+ */
+function getOptions(block: Blockly.Block, inputName: string) {
+  const options: DependentOption[] = [];
+  let optionBlock = block.getInputTargetBlock(inputName);
+  while (optionBlock) {
+    options.push([
+      optionBlock.getFieldValue('USER'),
+      optionBlock.getFieldValue('CPU'),
+    ]);
+    optionBlock = optionBlock.getNextBlock();
+  }
+  return options;
+}
+
+/**
+ * Gets the mapping from values of the parent field to the options of the
+ * dependent dropdown. Parent values without any options are left out.
+ *
+ * @param block Dependent dropdown field block to read.
+ * @returns The option mapping.
+ */
+function getOptionMapping(block: Blockly.Block) {
+  const mapping: Record<string, DependentOption[]> = {};
+  let mappingBlock = block.getInputTargetBlock('MAPPINGS');
+  while (mappingBlock) {
+    const options = getOptions(mappingBlock, 'OPTIONS');
+    if (options.length) {
+      mapping[mappingBlock.getFieldValue('PARENT_VALUE')] = options;
+    }
+    mappingBlock = mappingBlock.getNextBlock();
+  }
+  return mapping;
+}
+
+/**
+ * Formats dependent dropdown options as a JavaScript array literal.
+ *
+ * @param options The options to format.
+ * @param generator The JavaScript definition generator.
+ * @returns The array literal, with one option per line.
+ */
+function formatOptions(
+  options: DependentOption[],
+  generator: JavascriptDefinitionGenerator,
+) {
+  const optionsCode = options.map(
+    (option) =>
+      `[${generator.quote_(option[0])}, ${generator.quote_(option[1])}]`,
+  );
+  return `[
+${generator.prefixLines(optionsCode.join(',\n'), generator.INDENT)}
+]`;
+}
+
+jsonDefinitionGenerator.forBlock['field_dependent_dropdown'] = function (
+  block: Blockly.Block,
+  generator: JsonDefinitionGenerator,
+): string {
+  const optionMapping = getOptionMapping(block);
+  const defaultOptions = getOptions(block, 'DEFAULT_OPTIONS');
+  if (!Object.keys(optionMapping).length && !defaultOptions.length) {
+    // If there are no options in the dropdown, the field isn't valid.
+    // Remove it from the list of fields by returning an empty string.
+    return '';
+  }
+
+  const code: Record<string, unknown> = {
+    type: 'field_dependent_dropdown',
+    name: block.getFieldValue('FIELDNAME'),
+    parentName: block.getFieldValue('PARENT_NAME'),
+    optionMapping: optionMapping,
+  };
+  if (defaultOptions.length) code.defaultOptions = defaultOptions;
+  return JSON.stringify(code);
+};
+
+javascriptDefinitionGenerator.forBlock['field_dependent_dropdown'] = function (
+  block: Blockly.Block,
+  generator: JavascriptDefinitionGenerator,
+): string {
+  const name = generator.quote_(block.getFieldValue('FIELDNAME'));
+  const parentName = generator.quote_(block.getFieldValue('PARENT_NAME'));
+  const optionMapping = getOptionMapping(block);
+  const defaultOptions = getOptions(block, 'DEFAULT_OPTIONS');
+  if (!Object.keys(optionMapping).length && !defaultOptions.length) {
+    // If there are no options in the dropdown, the field isn't valid.
+    // Remove it from the list of fields by returning an empty string.
+    return '';
+  }
+
+  const mappingCode = Object.entries(optionMapping).map(
+    ([parentValue, options]) =>
+      `${generator.quote_(parentValue)}: ${formatOptions(options, generator)}`,
+  );
+  const args = [
+    parentName,
+    `{
+${generator.prefixLines(mappingCode.join(',\n'), generator.INDENT)}
+}`,
+  ];
+  if (defaultOptions.length) {
+    args.push(formatOptions(defaultOptions, generator));
+  }
+  const argsString = generator.prefixLines(
+    args.join(',\n'),
+    generator.INDENT + generator.INDENT,
+  );
+
+  return `.appendField(new FieldDependentDropdown(
+${argsString}
+${generator.INDENT}), ${name})`;
+};
+
+importHeaderGenerator.forBlock['field_dependent_dropdown'] = function (
+  block: Blockly.Block,
+  generator: CodeHeaderGenerator,
+): string {
+  generator.addHeaderLine(
+    `import {FieldDependentDropdown} from '@blockly/field-dependent-dropdown';`,
+  );
+  return '';
+};
+
+scriptHeaderGenerator.forBlock['field_dependent_dropdown'] = function (
+  block: Blockly.Block,
+  generator: CodeHeaderGenerator,
+): string {
+  generator.addHeaderLine(
+    `<script src="https://unpkg.com/@blockly/field-dependent-dropdown"></script>`,
+  );
+  return '';
+};
+
+generatorStubGenerator.forBlock['field_dependent_dropdown'] = function (
+  block: Blockly.Block,
+  generator: GeneratorStubGenerator,
+): string {
+  const name = block.getFieldValue('FIELDNAME');
+  const fieldVar = generator.createVariableName('dropdown', name);
+  return `const ${fieldVar} = block.getFieldValue(${generator.quote_(
+    name,
+  )});\n`;
+};
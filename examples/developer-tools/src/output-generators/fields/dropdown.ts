@@ -29,7 +29,7 @@ import {
  * @param block Dropdown field block to read.
  * @returns An array of dropdown option arrays.
  */
-function getOptionsList(block: FieldDropdownBlock) {
+export function getOptionsList(block: FieldDropdownBlock) {
   const options: Array<[DropdownOptionData, string]> = [];
   for (let i = 0; i < block.optionList.length; i++) {
     options.push([block.getUserData(i), block.getFieldValue('CPU' + i)]);
@@ -37,38 +37,17 @@ function getOptionsList(block: FieldDropdownBlock) {
   return options;
 }
 
-jsonDefinitionGenerator.forBlock['field_dropdown'] = function (
-  block: FieldDropdownBlock,
-  generator: JsonDefinitionGenerator,
-): string {
-  const code: Record<string, string | Array<[DropdownOptionData, string]>> = {
-    type: 'field_dropdown',
-    name: block.getFieldValue('FIELDNAME'),
-  };
-  const options: Array<[DropdownOptionData, string]> = getOptionsList(block);
-
-  if (options.length === 0) {
-    // If there are no options in the dropdown, the field isn't valid.
-    // Remove it from the list of fields by returning an empty string.
-    return '';
-  }
-
-  code.options = options;
-  return JSON.stringify(code);
-};
-
-javascriptDefinitionGenerator.forBlock['field_dropdown'] = function (
-  block: FieldDropdownBlock,
+/**
+ * Formats dropdown options as the lines of a JavaScript array literal.
+ *
+ * @param options Dropdown options from getOptionsList.
+ * @param generator The JavaScript definition generator.
+ * @returns The indented options, without the surrounding brackets.
+ */
+export function formatOptionsCode(
+  options: Array<[DropdownOptionData, string]>,
   generator: JavascriptDefinitionGenerator,
 ): string {
-  const name = generator.quote_(block.getFieldValue('FIELDNAME'));
-  const options = getOptionsList(block);
-  if (options.length === 0) {
-    // If there are no options in the dropdown, the field isn't valid.
-    // Remove it from the list of fields by returning an empty string.
-    return '';
-  }
-
   const formatImgOption = function (option: DropdownOptionData) {
     if (typeof option === 'string') return;
     const optionString = generator.prefixLines(
@@ -98,10 +77,45 @@ ${optionString}
     }
   }
 
-  const optionsString = generator.prefixLines(
+  return generator.prefixLines(
     optionsCode.join(',\n'),
     generator.INDENT + generator.INDENT,
   );
+}
+
+jsonDefinitionGenerator.forBlock['field_dropdown'] = function (
+  block: FieldDropdownBlock,
+  generator: JsonDefinitionGenerator,
+): string {
+  const code: Record<string, string | Array<[DropdownOptionData, string]>> = {
+    type: 'field_dropdown',
+    name: block.getFieldValue('FIELDNAME'),
+  };
+  const options: Array<[DropdownOptionData, string]> = getOptionsList(block);
+
+  if (options.length === 0) {
+    // If there are no options in the dropdown, the field isn't valid.
+    // Remove it from the list of fields by returning an empty string.
+    return '';
+  }
+
+  code.options = options;
+  return JSON.stringify(code);
+};
+
+javascriptDefinitionGenerator.forBlock['field_dropdown'] = function (
+  block: FieldDropdownBlock,
+  generator: JavascriptDefinitionGenerator,
+): string {
+  const name = generator.quote_(block.getFieldValue('FIELDNAME'));
+  const options = getOptionsList(block);
+  if (options.length === 0) {
+    // If there are no options in the dropdown, the field isn't valid.
+    // Remove it from the list of fields by returning an empty string.
+    return '';
+  }
+
+  const optionsString = formatOptionsCode(options, generator);
   const code = `.appendField(new Blockly.FieldDropdown([
 ${optionsString}
 ${generator.INDENT}]), ${name})`;
@@ -0,0 +1,120 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import {
+  JsonDefinitionGenerator,
+  jsonDefinitionGenerator,
+} from '../json_definition_generator';
+import {DropdownOptionData, FieldDropdownBlock} from '../../blocks/fields';
+import {
+  JavascriptDefinitionGenerator,
+  javascriptDefinitionGenerator,
+} from '../javascript_definition_generator';
+import {
+  CodeHeaderGenerator,
+  importHeaderGenerator,
+  scriptHeaderGenerator,
+} from '../code_header_generator';
+import {
+  GeneratorStubGenerator,
+  generatorStubGenerator,
+} from '../generator_stub_generator';
+import {formatOptionsCode, getOptionsList} from './dropdown';
+
+/**
+ * Gets the grid options that differ from the FieldGridDropdown defaults.
+ *
+ * @param block Grid dropdown field block to read.
+ * @returns The columns and colour options, if they were set.
+ */
+function getGridConfig(block: FieldDropdownBlock) {
+  const config: Record<string, string | number> = {};
+  const columns = block.getFieldValue('COLUMNS');
+  const primaryColour = block.getFieldValue('PRIMARY_COLOUR');
+  const borderColour = block.getFieldValue('BORDER_COLOUR');
+  if (columns !== 3) config.columns = columns;
+  if (primaryColour) config.primaryColour = primaryColour;
+  if (borderColour) config.borderColour = borderColour;
+  return config;
+}
+
+jsonDefinitionGenerator.forBlock['field_grid_dropdown'] = function (
+  block: FieldDropdownBlock,
+  generator: JsonDefinitionGenerator,
+): string {
+  const options: Array<[DropdownOptionData, string]> = getOptionsList(block);
+
+  if (options.length === 0) {
+    // If there are no options in the dropdown, the field isn't valid.
+    // Remove it from the list of fields by returning an empty string.
+    return '';
+  }
+
+  const code = {
+    type: 'field_grid_dropdown',
+    name: block.getFieldValue('FIELDNAME'),
+    options: options,
+    ...getGridConfig(block),
+  };
+  return JSON.stringify(code);
+};
+
+javascriptDefinitionGenerator.forBlock['field_grid_dropdown'] = function (
+  block: FieldDropdownBlock,
+  generator: JavascriptDefinitionGenerator,
+): string {
+  const name = generator.quote_(block.getFieldValue('FIELDNAME'));
+  const options = getOptionsList(block);
+  if (options.length === 0) {
+    // If there are no options in the dropdown, the field isn't valid.
+    // Remove it from the list of fields by returning an empty string.
+    return '';
+  }
+
+  const config = Object.entries(getGridConfig(block)).map(([key, value]) =>
+    typeof value === 'string'
+      ? `${key}: ${generator.quote_(value)}`
+      : `${key}: ${value}`,
+  );
+  const configCode = config.length ? `, undefined, {${config.join(', ')}}` : '';
+
+  const optionsString = formatOptionsCode(options, generator);
+  const code = `.appendField(new FieldGridDropdown([
+${optionsString}
+${generator.INDENT}]${configCode}), ${name})`;
+  return code;
+};
+
+importHeaderGenerator.forBlock['field_grid_dropdown'] = function (
+  block: FieldDropdownBlock,
+  generator: CodeHeaderGenerator,
+): string {
+  generator.addHeaderLine(
+    `import {FieldGridDropdown} from '@blockly/field-grid-dropdown';`,
+  );
+  return '';
+};
+
+scriptHeaderGenerator.forBlock['field_grid_dropdown'] = function (
+  block: FieldDropdownBlock,
+  generator: CodeHeaderGenerator,
+): string {
+  generator.addHeaderLine(
+    `<script src="https://unpkg.com/@blockly/field-grid-dropdown"></script>`,
+  );
+  return '';
+};
+
+generatorStubGenerator.forBlock['field_grid_dropdown'] = function (
+  block: FieldDropdownBlock,
+  generator: GeneratorStubGenerator,
+): string {
+  const name = block.getFieldValue('FIELDNAME');
+  const fieldVar = generator.createVariableName('dropdown', name);
+  return `const ${fieldVar} = block.getFieldValue(${generator.quote_(
+    name,
+  )});\n`;
+};
@@ -0,0 +1,89 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as Blockly from 'blockly/core';
+import {
+  JsonDefinitionGenerator,
+  jsonDefinitionGenerator,
+} from '../json_definition_generator';
+import {
+  JavascriptDefinitionGenerator,
+  javascriptDefinitionGenerator,
+} from '../javascript_definition_generator';
+import {
+  CodeHeaderGenerator,
+  importHeaderGenerator,
+  scriptHeaderGenerator,
+} from '../code_header_generator';
+import {
+  GeneratorStubGenerator,
+  generatorStubGenerator,
+} from '../generator_stub_generator';
+
+jsonDefinitionGenerator.forBlock['field_multilinetext'] = function (
+  block: Blockly.Block,
+  generator: JsonDefinitionGenerator,
+): string {
+  const code: Record<string, string | number | boolean> = {
+    type: 'field_multilinetext',
+    name: block.getFieldValue('FIELDNAME'),
+    text: block.getFieldValue('TEXT'),
+  };
+  const maxLines = block.getFieldValue('MAX_LINES');
+  if (maxLines !== Infinity) code.maxLines = maxLines;
+  if (block.getFieldValue('SPELLCHECK') === 'FALSE') code.spellcheck = false;
+  return JSON.stringify(code);
+};
+
+javascriptDefinitionGenerator.forBlock['field_multilinetext'] = function (
+  block: Blockly.Block,
+  generator: JavascriptDefinitionGenerator,
+): string {
+  const name = generator.quote_(block.getFieldValue('FIELDNAME'));
+  const text = generator.multiline_quote_(block.getFieldValue('TEXT'));
+  const maxLines = block.getFieldValue('MAX_LINES');
+  const config = [];
+  if (maxLines !== Infinity) config.push(`maxLines: ${maxLines}`);
+  if (block.getFieldValue('SPELLCHECK') === 'FALSE') {
+    config.push('spellcheck: false');
+  }
+  const configCode = config.length ? `, undefined, {${config.join(', ')}}` : '';
+
+  return `.appendField(new FieldMultilineInput(${text}${configCode}), ${name})`;
+};
+
+importHeaderGenerator.forBlock['field_multilinetext'] = function (
+  block: Blockly.Block,
+  generator: CodeHeaderGenerator,
+): string {
+  generator.addHeaderLine(
+    `import {registerFieldMultilineInput, FieldMultilineInput} from '@blockly/field-multilineinput';`,
+  );
+  generator.addHeaderLine(`registerFieldMultilineInput();`);
+  return '';
+};
+
+scriptHeaderGenerator.forBlock['field_multilinetext'] = function (
+  block: Blockly.Block,
+  generator: CodeHeaderGenerator,
+): string {
+  generator.addHeaderLine(
+    `<script src="https://unpkg.com/@blockly/field-multilineinput"></script>`,
+  );
+  generator.addHeaderLine(`registerFieldMultilineInput();`);
+  return '';
+};
+
+generatorStubGenerator.forBlock['field_multilinetext'] = function (
+  block: Blockly.Block,
+  generator: GeneratorStubGenerator,
+): string {
+  const name = block.getFieldValue('FIELDNAME');
+  const fieldVar = generator.createVariableName('text', name);
+  return `const ${fieldVar} = block.getFieldValue(${generator.quote_(
+    name,
+  )});\n`;
+};
@@ -0,0 +1,87 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as Blockly from 'blockly/core';
+import {
+  JsonDefinitionGenerator,
+  jsonDefinitionGenerator,
+} from '../json_definition_generator';
+import {
+  JavascriptDefinitionGenerator,
+  javascriptDefinitionGenerator,
+} from '../javascript_definition_generator';
+import {
+  CodeHeaderGenerator,
+  importHeaderGenerator,
+  scriptHeaderGenerator,
+} from '../code_header_generator';
+import {
+  GeneratorStubGenerator,
+  generatorStubGenerator,
+} from '../generator_stub_generator';
+
+jsonDefinitionGenerator.forBlock['field_slider'] = function (
+  block: Blockly.Block,
+  generator: JsonDefinitionGenerator,
+): string {
+  const code: Record<string, string | number> = {
+    type: 'field_slider',
+    name: block.getFieldValue('FIELDNAME'),
+    value: block.getFieldValue('VALUE'),
+    min: block.getFieldValue('MIN'),
+    max: block.getFieldValue('MAX'),
+  };
+  const precision = block.getFieldValue('PRECISION');
+  if (precision !== 0) code.precision = precision;
+  return JSON.stringify(code);
+};
+
+javascriptDefinitionGenerator.forBlock['field_slider'] = function (
+  block: Blockly.Block,
+  generator: JavascriptDefinitionGenerator,
+): string {
+  const name = generator.quote_(block.getFieldValue('FIELDNAME'));
+  const value = block.getFieldValue('VALUE');
+  const min = block.getFieldValue('MIN');
+  const max = block.getFieldValue('MAX');
+  const precision = block.getFieldValue('PRECISION');
+  const args = [value, min, max, precision];
+
+  // Remove the trailing precision argument if it isn't needed
+  if (precision === 0) args.pop();
+  const argsString = args.join(', ');
+
+  return `.appendField(new FieldSlider(${argsString}), ${name})`;
+};
+
+importHeaderGenerator.forBlock['field_slider'] = function (
+  block: Blockly.Block,
+  generator: CodeHeaderGenerator,
+): string {
+  generator.addHeaderLine(`import {FieldSlider} from '@blockly/field-slider';`);
+  return '';
+};
+
+scriptHeaderGenerator.forBlock['field_slider'] = function (
+  block: Blockly.Block,
+  generator: CodeHeaderGenerator,
+): string {
+  generator.addHeaderLine(
+    `<script src="https://unpkg.com/@blockly/field-slider"></script>`,
+  );
+  return '';
+};
+
+generatorStubGenerator.forBlock['field_slider'] = function (
+  block: Blockly.Block,
+  generator: GeneratorStubGenerator,
+): string {
+  const name = block.getFieldValue('FIELDNAME');
+  const fieldVar = generator.createVariableName('slider', name);
+  return `const ${fieldVar} = block.getFieldValue(${generator.quote_(
+    name,
+  )});\n`;
+};
@@ -87,6 +87,42 @@ export const toolbox = {
           kind: 'block',
           type: 'field_colour',
         },
+        {
+          kind: 'block',
+          type: 'field_slider',
+        },
+        {
+          kind: 'block',
+          type: 'field_multilinetext',
+        },
+        {
+          kind: 'block',
+          type: 'field_date',
+        },
+        {
+          kind: 'block',
+          type: 'field_bitmap',
+        },
+        {
+          kind: 'block',
+          type: 'field_grid_dropdown',
+        },
+        {
+          kind: 'block',
+          type: 'field_dependent_dropdown',
+        },
+        {
+          kind: 'block',
+          type: 'field_dependent_dropdown_mapping',
+        },
+        {
+          kind: 'block',
+          type: 'field_dependent_dropdown_option',
+        },
+        {
+          kind: 'block',
+          type: 'field_colour_hsv_sliders',
+        },
       ],
     },
     {
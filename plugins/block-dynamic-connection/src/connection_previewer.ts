@@ -78,7 +78,7 @@ export function decoratePreviewer(
 
     dispose(): void {
       for (const block of this.pendingBlocks) {
-        if (block.isDeadOrDying()) return;
+        if (block.isDeadOrDying()) continue;
         block.finalizeConnections();
       }
       this.pendingBlocks.clear();
@@ -0,0 +1,456 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Defines a mixin that gives any block a repeating group of
+ *     inputs that grows when a block is dragged over its inputs.
+ */
+
+import * as Blockly from 'blockly/core';
+
+/** Configures the repeating group of inputs of a block. */
+export interface DynamicInputsConfig {
+  /**
+   * The prefix of the names of the value inputs. Inputs are named with the
+   * prefix followed by their index, e.g. 'ADD0', 'ADD1', etc.
+   */
+  inputName: string;
+  /** The connection check of the value inputs. */
+  check?: string | string[] | null;
+  /** The label of the first value input. Defaults to `label`. */
+  firstLabel?: string;
+  /** The label of the other value inputs. */
+  label?: string;
+  /**
+   * The prefix of the names of statement inputs paired with each value input,
+   * e.g. 'DO' like the if block. If not given, there are no statement inputs.
+   */
+  statementInputName?: string;
+  /** The connection check of the statement inputs. */
+  statementCheck?: string | string[] | null;
+  /** The label of the statement inputs. */
+  statementLabel?: string;
+  /** The minimum number of inputs (or pairs of inputs). Defaults to 1. */
+  minInputs?: number;
+  /** The maximum number of inputs (or pairs of inputs). Defaults to no limit. */
+  maxInputs?: number;
+}
+
+/** Extra state for serializing blocks with dynamic inputs. */
+interface DynamicInputsExtraState {
+  itemCount?: number;
+}
+
+/** A value input of the repeating group, and its paired statement input. */
+interface DynamicItem {
+  valueInput: Blockly.Input;
+  statementInput?: Blockly.Input;
+}
+
+/** The target connections of the inputs of an item. */
+interface DynamicItemTargets {
+  valueTarget?: Blockly.Connection | null;
+  statementTarget?: Blockly.Connection | null;
+}
+
+/** Type of a block that has the DYNAMIC_INPUTS_MIXIN. */
+type DynamicInputsBlock = Blockly.Block & DynamicInputsMixin;
+/* eslint-disable @typescript-eslint/no-empty-interface */
+/** This interface avoids a "circular reference" compile error. */
+interface DynamicInputsMixin extends DynamicInputsMixinType {}
+/* eslint-enable @typescript-eslint/no-empty-interface */
+type DynamicInputsMixinType = typeof DYNAMIC_INPUTS_MIXIN;
+
+/** The inputs that are part of a repeating group. */
+const dynamicInputs = new WeakSet<Blockly.Input>();
+
+/**
+ * Returns whether an input has a block attached that is not an insertion
+ * marker.
+ *
+ * @param input The input to check.
+ * @returns True if a block is attached to the input.
+ */
+function inputIsOccupied(input?: Blockly.Input): boolean {
+  const target = input?.connection?.targetBlock();
+  return !!target && !target.isInsertionMarker();
+}
+
+const DYNAMIC_INPUTS_MIXIN = {
+  /** The configuration of the repeating group of inputs. */
+  dynamicInputsConfig: {inputName: 'ADD'} as DynamicInputsConfig,
+
+  /** Count of the items in the repeating group. */
+  itemCount: 0,
+
+  /**
+   * Adds the minimum number of inputs to this block. Must be called when the
+   * block is initialized. Inputs appended before this are kept before the
+   * repeating group, and inputs appended after it are kept after it.
+   */
+  initDynamicInputs(this: DynamicInputsBlock): void {
+    this.itemCount = this.getMinInputs();
+    for (let i = 0; i < this.itemCount; i++) {
+      this.appendDynamicItem(i, null, i === 0);
+    }
+  },
+
+  /**
+   * Returns the minimum number of items.
+   *
+   * @returns The minimum number of items, at least 1 so that there is always
+   *     an input to drag blocks onto.
+   */
+  getMinInputs(this: DynamicInputsBlock): number {
+    return Math.max(1, this.dynamicInputsConfig.minInputs ?? 1);
+  },
+
+  /**
+   * Returns the maximum number of items.
+   *
+   * @returns The maximum number of items.
+   */
+  getMaxInputs(this: DynamicInputsBlock): number {
+    return this.dynamicInputsConfig.maxInputs ?? Infinity;
+  },
+
+  /**
+   * Create XML to represent the number of items.
+   *
+   * @returns XML storage element.
+   */
+  mutationToDom(this: DynamicInputsBlock): Element {
+    if (!this.isDeadOrDying()) {
+      // If we call finalizeConnections here without disabling events, we get
+      // into an event loop.
+      Blockly.Events.disable();
+      this.finalizeConnections();
+      if (this instanceof Blockly.BlockSvg) this.initSvg();
+      Blockly.Events.enable();
+    }
+
+    const container = Blockly.utils.xml.createElement('mutation');
+    container.setAttribute('items', `${this.itemCount}`);
+    return container;
+  },
+
+  /**
+   * Parse XML to restore the items.
+   *
+   * @param xmlElement XML storage element.
+   */
+  domToMutation(this: DynamicInputsBlock, xmlElement: Element): void {
+    const inputs = xmlElement.getAttribute('inputs');
+    if (inputs) {
+      this.deserializeInputs(inputs.split(','));
+    } else {
+      this.setItemCount(parseInt(xmlElement.getAttribute('items') ?? '0', 10));
+    }
+  },
+
+  /**
+   * Restores items based on the 'inputs' attribute (non-standard). It lists
+   * the names of the value inputs, or the ids appended to the input names if
+   * the value inputs are paired with statement inputs.
+   *
+   * @param names The names or ids of the items.
+   */
+  deserializeInputs(this: DynamicInputsBlock, names: string[]): void {
+    const {inputName, statementInputName} = this.dynamicInputsConfig;
+    const after = this.getInputAfterItems();
+    this.getDynamicItems().forEach((item) => this.removeDynamicItem(item));
+    names.forEach((name, i) => {
+      const id = statementInputName ? name : name.substring(inputName.length);
+      this.appendDynamicItem(id, after?.name ?? null, i === 0);
+    });
+    this.itemCount = names.length;
+  },
+
+  /**
+   * Returns the state of this block as a JSON serializable object.
+   *
+   * @returns The state of this block, ie the item count.
+   */
+  saveExtraState: function (this: DynamicInputsBlock): DynamicInputsExtraState {
+    if (!this.isDeadOrDying() && !this.isCorrectlyFormatted()) {
+      // If we call finalizeConnections here without disabling events, we get
+      // into an event loop.
+      Blockly.Events.disable();
+      this.finalizeConnections();
+      if (this instanceof Blockly.BlockSvg) this.initSvg();
+      Blockly.Events.enable();
+    }
+
+    return {
+      itemCount: this.itemCount,
+    };
+  },
+
+  /**
+   * Applies the given state to this block.
+   *
+   * @param state The state to apply to this block, ie the item count.
+   */
+  loadExtraState: function (
+    this: DynamicInputsBlock,
+    state: DynamicInputsExtraState | string,
+  ) {
+    if (typeof state === 'string') {
+      this.domToMutation(Blockly.utils.xml.textToDom(state));
+      return;
+    }
+
+    this.setItemCount(state['itemCount'] ?? 0);
+  },
+
+  /**
+   * Adds or removes items at the end of the repeating group until it has the
+   * given number of items, within the minimum and maximum number of items.
+   *
+   * @param count The number of items.
+   */
+  setItemCount(this: DynamicInputsBlock, count: number): void {
+    const items = this.getDynamicItems();
+    const after = this.getInputAfterItems();
+    const itemCount = Math.min(
+      Math.max(count || 0, this.getMinInputs()),
+      this.getMaxInputs(),
+    );
+    for (let i = items.length; i < itemCount; i++) {
+      this.appendDynamicItem(i, after?.name ?? null, i === 0);
+    }
+    items.slice(itemCount).forEach((item) => this.removeDynamicItem(item));
+    this.itemCount = itemCount;
+  },
+
+  /**
+   * Returns the items in the repeating group, in order.
+   *
+   * @returns The value input of each item, and its paired statement input.
+   */
+  getDynamicItems(this: DynamicInputsBlock): DynamicItem[] {
+    const inputs = this.inputList.filter((input) => dynamicInputs.has(input));
+    const paired = !!this.dynamicInputsConfig.statementInputName;
+    const items: DynamicItem[] = [];
+    for (let i = 0; i < inputs.length; i += paired ? 2 : 1) {
+      items.push({
+        valueInput: inputs[i],
+        statementInput: paired ? inputs[i + 1] : undefined,
+      });
+    }
+    return items;
+  },
+
+  /**
+   * Returns the first input after the repeating group.
+   *
+   * @returns The input, or null if the repeating group is at the end of the
+   *     block.
+   */
+  getInputAfterItems(this: DynamicInputsBlock): Blockly.Input | null {
+    let lastIndex = -1;
+    this.inputList.forEach((input, i) => {
+      if (dynamicInputs.has(input)) lastIndex = i;
+    });
+    if (lastIndex === -1) return null;
+    return this.inputList[lastIndex + 1] ?? null;
+  },
+
+  /**
+   * Appends the inputs of an item.
+   *
+   * @param id The id appended to the input names to make them unique.
+   * @param beforeName The name of the input to move the new inputs before, or
+   *     null to keep them at the end of the block.
+   * @param isFirst Whether this is the first item, which has its own label.
+   * @returns The added inputs.
+   */
+  appendDynamicItem(
+    this: DynamicInputsBlock,
+    id: string | number,
+    beforeName: string | null,
+    isFirst: boolean,
+  ): DynamicItem {
+    const config = this.dynamicInputsConfig;
+    const label = isFirst ? config.firstLabel ?? config.label : config.label;
+    const valueInput = this.appendValueInput(`${config.inputName}${id}`);
+    if (config.check !== undefined) valueInput.setCheck(config.check);
+    if (label) {
+      valueInput.appendField(
+        Blockly.utils.parsing.replaceMessageReferences(label),
+      );
+    }
+    dynamicInputs.add(valueInput);
+    if (beforeName) this.moveInputBefore(valueInput.name, beforeName);
+
+    if (!config.statementInputName) return {valueInput};
+    const statementInput = this.appendStatementInput(
+      `${config.statementInputName}${id}`,
+    );
+    if (config.statementCheck !== undefined) {
+      statementInput.setCheck(config.statementCheck);
+    }
+    if (config.statementLabel) {
+      statementInput.appendField(
+        Blockly.utils.parsing.replaceMessageReferences(config.statementLabel),
+      );
+    }
+    dynamicInputs.add(statementInput);
+    if (beforeName) this.moveInputBefore(statementInput.name, beforeName);
+    return {valueInput, statementInput};
+  },
+
+  /**
+   * Removes the inputs of an item.
+   *
+   * @param item The item to remove.
+   */
+  removeDynamicItem(this: DynamicInputsBlock, item: DynamicItem): void {
+    this.removeInput(item.valueInput.name);
+    if (item.statementInput) this.removeInput(item.statementInput.name);
+  },
+
+  /**
+   * Returns whether a block is attached to any input of an item.
+   *
+   * @param item The item to check.
+   * @returns True if the item is occupied.
+   */
+  itemIsOccupied(item: DynamicItem): boolean {
+    return (
+      inputIsOccupied(item.valueInput) || inputIsOccupied(item.statementInput)
+    );
+  },
+
+  /**
+   * Called by the decorated connection previewer when a block is dragged over
+   * one of the connections on this block. Adds an item after the item of the
+   * connection if it is occupied, and the next item is occupied too or there
+   * is no next item.
+   *
+   * @param connection The connection on this block that has a pending
+   *     connection.
+   */
+  onPendingConnection(
+    this: DynamicInputsBlock,
+    connection: Blockly.Connection,
+  ): void {
+    const items = this.getDynamicItems();
+    const index = items.findIndex(
+      (item) =>
+        item.valueInput.connection === connection ||
+        item.statementInput?.connection === connection,
+    );
+    if (index === -1 || items.length >= this.getMaxInputs()) return;
+    const input = this.inputList.find((i) => i.connection === connection);
+    if (!inputIsOccupied(input)) {
+      // This connection is available.
+      return;
+    }
+
+    const nextItem = items[index + 1];
+    if (nextItem && !this.itemIsOccupied(nextItem)) {
+      // Don't add new inputs.
+      return;
+    }
+    const beforeName =
+      nextItem?.valueInput.name ?? this.getInputAfterItems()?.name ?? null;
+    this.appendDynamicItem(
+      Blockly.utils.idGenerator.genUid(),
+      beforeName,
+      false,
+    );
+  },
+
+  /**
+   * Called by the decorated connection previewer when a block drag ends if
+   * the dragged block had a pending connection with this block. Removes empty
+   * items, starting at the end, down to the minimum number of items, and
+   * renames the remaining inputs in order.
+   */
+  finalizeConnections(this: DynamicInputsBlock): void {
+    const items = this.getDynamicItems();
+    const targets: DynamicItemTargets[] = items.map((item) => ({
+      valueTarget: item.valueInput.connection?.targetConnection,
+      statementTarget: item.statementInput?.connection?.targetConnection,
+    }));
+    for (let i = targets.length - 1; i >= 0; i--) {
+      const {valueTarget, statementTarget} = targets[i];
+      if (
+        !valueTarget &&
+        !statementTarget &&
+        targets.length > this.getMinInputs()
+      ) {
+        targets.splice(i, 1);
+      }
+    }
+
+    const after = this.getInputAfterItems();
+    items.forEach((item) => this.removeDynamicItem(item));
+    targets.forEach(({valueTarget, statementTarget}, i) => {
+      const {valueInput, statementInput} = this.appendDynamicItem(
+        i,
+        after?.name ?? null,
+        i === 0,
+      );
+      if (valueTarget) valueInput.connection?.connect(valueTarget);
+      if (statementTarget) statementInput?.connection?.connect(statementTarget);
+    });
+    this.itemCount = targets.length;
+  },
+
+  /**
+   * Returns true if all of the items on this block are in order.
+   * False otherwise.
+   */
+  isCorrectlyFormatted(this: DynamicInputsBlock): boolean {
+    const {inputName, statementInputName} = this.dynamicInputsConfig;
+    return this.getDynamicItems().every(
+      ({valueInput, statementInput}, i) =>
+        valueInput.name === `${inputName}${i}` &&
+        (!statementInput ||
+          statementInput.name === `${statementInputName}${i}`),
+    );
+  },
+};
+
+/**
+ * Creates a mixin that gives a block a repeating group of inputs, which grows
+ * when blocks are dragged over its inputs and shrinks when the drag ends.
+ * The block's `init` must call `initDynamicInputs`.
+ *
+ * The item count is serialized like the dynamic list create and text join
+ * blocks, i.e. `{"itemCount": 3}` in JSON and `<mutation items="3">` in XML.
+ *
+ * @param config The configuration of the repeating group of inputs.
+ * @returns The mixin.
+ */
+export function createDynamicInputsMixin(
+  config: DynamicInputsConfig,
+): DynamicInputsMixinType {
+  return {...DYNAMIC_INPUTS_MIXIN, dynamicInputsConfig: {...config}};
+}
+
+/**
+ * Registers a mutator extension that gives a block a repeating group of
+ * inputs, so that blocks defined in JSON can use it with `"mutator": name`.
+ * The inputs are added after the inputs defined by the block's message.
+ *
+ * @param name The name of the extension.
+ * @param config The configuration of the repeating group of inputs.
+ */
+export function registerDynamicInputsMutator(
+  name: string,
+  config: DynamicInputsConfig,
+): void {
+  Blockly.Extensions.registerMutator(
+    name,
+    createDynamicInputsMixin(config),
+    function (this: DynamicInputsBlock) {
+      this.initDynamicInputs();
+    },
+  );
+}
@@ -14,8 +14,18 @@ import './dynamic_if';
 import './dynamic_text_join';
 import './dynamic_list_create';
 import {decoratePreviewer, blockIsDynamic} from './connection_previewer';
+import {
+  DynamicInputsConfig,
+  createDynamicInputsMixin,
+  registerDynamicInputsMutator,
+} from './dynamic_inputs';
 
 export {decoratePreviewer, blockIsDynamic};
+export {
+  DynamicInputsConfig,
+  createDynamicInputsMixin,
+  registerDynamicInputsMutator,
+};
 
 export const overrideOldBlockDefinitions = function (): void {
   Blockly.Blocks['lists_create_with'] = Blockly.Blocks['dynamic_list_create'];
@@ -23,20 +33,117 @@ export const overrideOldBlockDefinitions = function (): void {
   Blockly.Blocks['controls_if'] = Blockly.Blocks['dynamic_if'];
 };
 
+/** Tracks which dynamic blocks need finalizing after blocks are deleted. */
+interface FinalizationState {
+  /** The id of the parent each block was last unplugged from, by block id. */
+  unpluggedFrom: Map<string, string>;
+  /** The ids of the dynamic blocks to finalize. */
+  blockIds: Set<string>;
+  /** The group of the delete events the blocks are finalized for. */
+  group: string;
+  /** Whether finalizing the blocks has been scheduled. */
+  scheduled: boolean;
+}
+
+const finalizationStates = new WeakMap<Blockly.Workspace, FinalizationState>();
+
+/**
+ * Returns the finalization state of a workspace, creating it if needed.
+ *
+ * @param ws The workspace.
+ * @returns The finalization state.
+ */
+function getFinalizationState(ws: Blockly.Workspace): FinalizationState {
+  let state = finalizationStates.get(ws);
+  if (!state) {
+    state = {
+      unpluggedFrom: new Map(),
+      blockIds: new Set(),
+      group: '',
+      scheduled: false,
+    };
+    finalizationStates.set(ws, state);
+  }
+  return state;
+}
+
+/**
+ * Finalizes the dynamic blocks that blocks were deleted from, in the group of
+ * the delete events.
+ *
+ * @param ws The workspace of the blocks.
+ * @param state The finalization state of the workspace.
+ */
+function finalizePendingBlocks(
+  ws: Blockly.Workspace,
+  state: FinalizationState,
+) {
+  state.scheduled = false;
+  const blockIds = [...state.blockIds];
+  state.blockIds.clear();
+
+  const existingGroup = Blockly.Events.getGroup();
+  Blockly.Events.setGroup(state.group);
+  try {
+    for (const id of blockIds) {
+      const block = ws.getBlockById(id) as Blockly.BlockSvg | null;
+      if (block && !block.isDeadOrDying() && blockIsDynamic(block)) {
+        block.finalizeConnections();
+      }
+    }
+  } finally {
+    Blockly.Events.setGroup(existingGroup);
+  }
+}
+
 /**
  * Finalizes connections when certain events (such as block deletion) are
  * detected.
  *
- * @param e
+ * Only the dynamic blocks that deleted blocks were unplugged from are
+ * finalized, once all the events fired together have been handled, rather
+ * than once per delete event.
+ *
+ * @param e The workspace event.
  */
 export function finalizeConnections(e: Blockly.Events.Abstract) {
-  if (e.type === Blockly.Events.BLOCK_DELETE) {
-    const ws = Blockly.Workspace.getById(e.workspaceId ?? '');
-    if (!ws) return;
-    for (const block of ws.getAllBlocks() as Blockly.BlockSvg[]) {
-      if (blockIsDynamic(block)) {
-        block.finalizeConnections();
-      }
+  if (
+    e.type !== Blockly.Events.BLOCK_MOVE &&
+    e.type !== Blockly.Events.BLOCK_DELETE
+  ) {
+    return;
+  }
+  const ws = Blockly.Workspace.getById(e.workspaceId ?? '');
+  if (!ws) return;
+  const state = getFinalizationState(ws);
+
+  if (e.type === Blockly.Events.BLOCK_MOVE) {
+    // Deleted blocks are unplugged from their parent before they're deleted,
+    // possibly in an earlier group, e.g. when dragged to the trashcan.
+    const {blockId, oldParentId, newParentId} = e as Blockly.Events.BlockMove;
+    if (!blockId) return;
+    if (oldParentId && oldParentId !== newParentId) {
+      state.unpluggedFrom.set(blockId, oldParentId);
+    } else if (newParentId) {
+      state.unpluggedFrom.delete(blockId);
     }
+    return;
+  }
+
+  const deleteEvent = e as Blockly.Events.BlockDelete;
+  if (state.blockIds.size && deleteEvent.group !== state.group) {
+    finalizePendingBlocks(ws, state);
+  }
+  state.group = deleteEvent.group;
+  for (const id of deleteEvent.ids ?? [deleteEvent.blockId]) {
+    if (!id) continue;
+    const parentId = state.unpluggedFrom.get(id);
+    if (parentId) state.blockIds.add(parentId);
+    state.unpluggedFrom.delete(id);
+  }
+  if (state.blockIds.size && !state.scheduled) {
+    state.scheduled = true;
+    // All the events fired together are handled before microtasks run.
+    queueMicrotask(() => finalizePendingBlocks(ws, state));
   }
 }
@@ -0,0 +1,58 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+const chai = require('chai');
+const {decoratePreviewer} = require('../src/index');
+
+const assert = chai.assert;
+
+suite('Decorated connection previewer', function () {
+  /**
+   * A base previewer that doesn't preview anything.
+   */
+  class BasePreviewer {
+    /** Does nothing. */
+    previewReplacement() {}
+    /** Does nothing. */
+    previewConnection() {}
+    /** Does nothing. */
+    hidePreview() {}
+    /** Does nothing. */
+    dispose() {}
+  }
+
+  /**
+   * Creates a stand-in for a dynamic block that records whether its
+   * connections were finalized.
+   * @param {boolean} isDead Whether the block has been deleted.
+   * @returns {!Object} The block.
+   */
+  function createDynamicBlock(isDead) {
+    return {
+      finalized: false,
+      isDeadOrDying: () => isDead,
+      onPendingConnection() {},
+      finalizeConnections() {
+        this.finalized = true;
+      },
+    };
+  }
+
+  test('blocks after a deleted block are finalized on dispose', function () {
+    const Previewer = decoratePreviewer(BasePreviewer);
+    const previewer = new Previewer(null);
+    const deletedBlock = createDynamicBlock(true);
+    const block = createDynamicBlock(false);
+    for (const source of [deletedBlock, block]) {
+      previewer.previewConnection(null, {getSourceBlock: () => source});
+    }
+
+    previewer.dispose();
+
+    assert.isFalse(deletedBlock.finalized);
+    assert.isTrue(block.finalized);
+  });
+});
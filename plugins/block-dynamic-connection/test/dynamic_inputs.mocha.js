@@ -0,0 +1,252 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+const chai = require('chai');
+const Blockly = require('blockly/core');
+require('blockly/blocks');
+const En = require('blockly/msg/en');
+const {
+  createDynamicInputsMixin,
+  registerDynamicInputsMutator,
+} = require('../src/index');
+
+const assert = chai.assert;
+
+Blockly.setLocale(En);
+
+suite('Dynamic inputs mixin', function () {
+  /**
+   * Asserts that the block has the expected inputs.
+   * @param {!Blockly.Block} block The block to check.
+   * @param {!Array<RegExp>} expectedInputs The expected inputs.
+   */
+  function assertBlockStructure(block, expectedInputs) {
+    assert.equal(block.inputList.length, expectedInputs.length);
+    for (let i = 0; i < expectedInputs.length; i++) {
+      assert.match(block.inputList[i].name, expectedInputs[i]);
+    }
+  }
+
+  /**
+   * Creates a block and connects it to the specified connection.
+   * @param {!Blockly.Workspace} workspace The workspace.
+   * @param {!Blockly.Connection} connection The connection to connect a new
+   *    block to.
+   */
+  function connectBlockToConnection(workspace, connection) {
+    const newBlock = workspace.newBlock(
+      connection.type === Blockly.NEXT_STATEMENT ? 'text_print' : 'math_number',
+    );
+    connection.connect(
+      newBlock.outputConnection ?? newBlock.previousConnection,
+    );
+  }
+
+  suiteSetup(function () {
+    Blockly.Blocks['test_max_of'] = {
+      ...createDynamicInputsMixin({
+        inputName: 'NUM',
+        check: 'Number',
+        firstLabel: 'max of',
+        minInputs: 2,
+        maxInputs: 3,
+      }),
+      init: function () {
+        this.appendDummyInput('HEADER');
+        this.initDynamicInputs();
+        this.appendDummyInput('FOOTER');
+        this.setOutput(true, 'Number');
+      },
+    };
+
+    registerDynamicInputsMutator('test_switch_mutator', {
+      inputName: 'CASE',
+      statementInputName: 'DO',
+      firstLabel: 'case',
+      label: '%{BKY_CONTROLS_IF_MSG_ELSEIF}',
+      statementLabel: 'do',
+    });
+    Blockly.defineBlocksWithJsonArray([
+      {
+        type: 'test_switch',
+        message0: 'switch %1',
+        args0: [{type: 'input_value', name: 'VALUE'}],
+        previousStatement: null,
+        nextStatement: null,
+        mutator: 'test_switch_mutator',
+      },
+    ]);
+  });
+
+  suiteTeardown(function () {
+    delete Blockly.Blocks['test_max_of'];
+    delete Blockly.Blocks['test_switch'];
+    Blockly.Extensions.unregister('test_switch_mutator');
+  });
+
+  setup(function () {
+    this.workspace = new Blockly.Workspace();
+  });
+
+  teardown(function () {
+    this.workspace.dispose();
+  });
+
+  suite('Creation', function () {
+    test('minInputs controls the number of inputs', function () {
+      const block = this.workspace.newBlock('test_max_of');
+      assertBlockStructure(block, [/HEADER/, /NUM0/, /NUM1/, /FOOTER/]);
+    });
+
+    test('inputs have the configured check and labels', function () {
+      const block = this.workspace.newBlock('test_max_of');
+      assert.deepEqual(block.getInput('NUM0').connection.getCheck(), [
+        'Number',
+      ]);
+      assert.equal(block.getInput('NUM0').fieldRow[0].getValue(), 'max of');
+      assert.isEmpty(block.getInput('NUM1').fieldRow);
+    });
+
+    test('JSON blocks add paired statement inputs after their message', function () {
+      const block = this.workspace.newBlock('test_switch');
+      assertBlockStructure(block, [/VALUE/, /CASE0/, /DO0/]);
+      assert.equal(
+        block.getInput('DO0').type,
+        Blockly.inputs.inputTypes.STATEMENT,
+      );
+    });
+  });
+
+  suite('adding inputs', function () {
+    test('an empty input does not add an input', function () {
+      const block = this.workspace.newBlock('test_max_of');
+
+      block.onPendingConnection(block.getInput('NUM1').connection);
+
+      assertBlockStructure(block, [/HEADER/, /NUM0/, /NUM1/, /FOOTER/]);
+    });
+
+    test('an occupied last input adds an input before later inputs', function () {
+      const block = this.workspace.newBlock('test_max_of');
+      const connection = block.getInput('NUM1').connection;
+      connectBlockToConnection(this.workspace, connection);
+
+      block.onPendingConnection(connection);
+
+      assertBlockStructure(block, [
+        /HEADER/,
+        /NUM0/,
+        /NUM1/,
+        /NUM.+/,
+        /FOOTER/,
+      ]);
+    });
+
+    test('inputs are not added beyond maxInputs', function () {
+      const block = this.workspace.newBlock('test_max_of');
+      block.loadExtraState({itemCount: 3});
+      const connection = block.getInput('NUM2').connection;
+      connectBlockToConnection(this.workspace, connection);
+
+      block.onPendingConnection(connection);
+
+      assertBlockStructure(block, [/HEADER/, /NUM0/, /NUM1/, /NUM2/, /FOOTER/]);
+    });
+
+    test('an occupied statement input adds a pair of inputs', function () {
+      const block = this.workspace.newBlock('test_switch');
+      const connection = block.getInput('DO0').connection;
+      connectBlockToConnection(this.workspace, connection);
+
+      block.onPendingConnection(connection);
+
+      assertBlockStructure(block, [/VALUE/, /CASE0/, /DO0/, /CASE.+/, /DO.+/]);
+    });
+  });
+
+  suite('finalizing inputs', function () {
+    test('empty inputs are removed and the rest are renamed', function () {
+      const block = this.workspace.newBlock('test_switch');
+      const connection = block.getInput('CASE0').connection;
+      connectBlockToConnection(this.workspace, connection);
+      block.onPendingConnection(connection);
+      const newCase = block.inputList[3];
+      connectBlockToConnection(this.workspace, newCase.connection);
+      block.onPendingConnection(newCase.connection);
+      const lastCaseTarget = newCase.connection.targetBlock();
+
+      block.finalizeConnections();
+
+      assertBlockStructure(block, [/VALUE/, /CASE0/, /DO0/, /CASE1/, /DO1/]);
+      assert.equal(block.getInputTargetBlock('CASE1'), lastCaseTarget);
+      assert.equal(block.getInput('CASE1').fieldRow[0].getValue(), 'else if');
+    });
+
+    test('the block does not go below min inputs', function () {
+      const block = this.workspace.newBlock('test_max_of');
+
+      block.finalizeConnections();
+
+      assertBlockStructure(block, [/HEADER/, /NUM0/, /NUM1/, /FOOTER/]);
+    });
+  });
+
+  suite('serialization', function () {
+    test('the item count is saved like the dynamic list block', function () {
+      const block = this.workspace.newBlock('test_max_of');
+      block.loadExtraState({itemCount: 3});
+      connectBlockToConnection(
+        this.workspace,
+        block.getInput('NUM2').connection,
+      );
+
+      const state = Blockly.serialization.blocks.save(block);
+
+      assert.deepEqual(state.extraState, {itemCount: 3});
+    });
+
+    test('blocks are loaded from JSON', function () {
+      const block = Blockly.serialization.blocks.append(
+        {
+          type: 'test_max_of',
+          extraState: {itemCount: 3},
+          inputs: {
+            NUM0: {block: {type: 'math_number'}},
+            NUM1: {block: {type: 'math_number'}},
+            NUM2: {block: {type: 'math_number'}},
+          },
+        },
+        this.workspace,
+      );
+
+      assertBlockStructure(block, [/HEADER/, /NUM0/, /NUM1/, /NUM2/, /FOOTER/]);
+      assert.equal(block.getInputTargetBlock('NUM2').type, 'math_number');
+    });
+
+    test('blocks are loaded from XML', function () {
+      const block = Blockly.Xml.domToBlock(
+        Blockly.utils.xml.textToDom(
+          '<block type="test_switch"><mutation items="2"></mutation>' +
+            '<statement name="DO0"><block type="text_print"></block>' +
+            '</statement><statement name="DO1">' +
+            '<block type="text_print"></block></statement></block>',
+        ),
+        this.workspace,
+      );
+
+      assertBlockStructure(block, [/VALUE/, /CASE0/, /DO0/, /CASE1/, /DO1/]);
+      assert.equal(block.getInputTargetBlock('DO1').type, 'text_print');
+      assert.equal(
+        Blockly.Xml.domToText(Blockly.Xml.blockToDom(block, true)),
+        '<block xmlns="https://developers.google.com/blockly/xml" ' +
+          'type="test_switch"><mutation items="2"></mutation>' +
+          '<statement name="DO0"><block type="text_print"></block>' +
+          '</statement><statement name="DO1">' +
+          '<block type="text_print"></block></statement></block>',
+      );
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+const chai = require('chai');
+const Blockly = require('blockly/core');
+require('blockly/blocks');
+const En = require('blockly/msg/en');
+const {
+  finalizeConnections,
+  overrideOldBlockDefinitions,
+} = require('../src/index');
+
+const assert = chai.assert;
+
+Blockly.setLocale(En);
+
+suite('finalizeConnections listener', function () {
+  /**
+   * Waits until the workspace events that have been fired are handled.
+   * @returns {!Promise} A promise that resolves once the events are handled.
+   */
+  function waitForEvents() {
+    return new Promise((resolve) => setTimeout(resolve));
+  }
+
+  /**
+   * Creates a text join block with a text block in each of its inputs.
+   * @param {!Blockly.Workspace} workspace The workspace.
+   * @param {number} itemCount The number of inputs.
+   * @returns {!Blockly.Block} The text join block.
+   */
+  function createFilledTextJoin(workspace, itemCount) {
+    const block = workspace.newBlock('dynamic_text_join');
+    block.loadExtraState({itemCount});
+    for (let i = 0; i < itemCount; i++) {
+      const text = workspace.newBlock('text');
+      block.getInput(`ADD${i}`).connection.connect(text.outputConnection);
+    }
+    return block;
+  }
+
+  /**
+   * Counts the calls to finalizeConnections on a block.
+   * @param {!Blockly.Block} block The block to spy on.
+   * @returns {{count: number}} The call count, updated as calls are made.
+   */
+  function countFinalizeCalls(block) {
+    const calls = {count: 0};
+    const original = block.finalizeConnections;
+    block.finalizeConnections = function () {
+      calls.count++;
+      return original.call(this);
+    };
+    return calls;
+  }
+
+  setup(async function () {
+    overrideOldBlockDefinitions();
+    this.workspace = new Blockly.Workspace();
+    this.workspace.addChangeListener(finalizeConnections);
+    this.joinA = createFilledTextJoin(this.workspace, 3);
+    this.joinB = createFilledTextJoin(this.workspace, 2);
+    // Let the creation events be handled before each test.
+    await waitForEvents();
+  });
+
+  teardown(function () {
+    this.workspace.dispose();
+  });
+
+  test('the block a child was deleted from is finalized', async function () {
+    this.joinA.getInputTargetBlock('ADD1').dispose(true);
+    await waitForEvents();
+
+    assert.equal(this.joinA.inputList.length, 2);
+    assert.equal(this.joinA.itemCount, 2);
+  });
+
+  test('blocks nothing was deleted from are not finalized', async function () {
+    const callsB = countFinalizeCalls(this.joinB);
+    this.joinB.onPendingConnection(this.joinB.getInput('ADD1').connection);
+
+    this.joinA.getInputTargetBlock('ADD1').dispose(true);
+    await waitForEvents();
+
+    assert.equal(callsB.count, 0);
+    assert.equal(this.joinB.inputList.length, 3);
+  });
+
+  test('deletions in one group finalize each block once', async function () {
+    const callsA = countFinalizeCalls(this.joinA);
+    const callsB = countFinalizeCalls(this.joinB);
+
+    Blockly.Events.setGroup(true);
+    this.joinA.getInputTargetBlock('ADD0').dispose(true);
+    this.joinA.getInputTargetBlock('ADD2').dispose(true);
+    this.joinB.getInputTargetBlock('ADD1').dispose(true);
+    Blockly.Events.setGroup(false);
+    await waitForEvents();
+
+    assert.equal(callsA.count, 1);
+    assert.equal(callsB.count, 1);
+    assert.equal(this.joinA.inputList.length, 2);
+    assert.equal(this.joinB.inputList.length, 2);
+  });
+
+  test('blocks dragged out and deleted later finalize their old parent', async function () {
+    const child = this.joinA.getInputTargetBlock('ADD1');
+    child.unplug();
+    await waitForEvents();
+    assert.equal(this.joinA.inputList.length, 3);
+
+    child.dispose();
+    await waitForEvents();
+
+    assert.equal(this.joinA.inputList.length, 2);
+  });
+
+  test('blocks reconnected elsewhere before deletion finalize their new parent', async function () {
+    const callsA = countFinalizeCalls(this.joinA);
+    const child = this.joinA.getInputTargetBlock('ADD1');
+    child.unplug();
+    this.joinB.onPendingConnection(this.joinB.getInput('ADD1').connection);
+    this.joinB.inputList[2].connection.connect(child.outputConnection);
+    await waitForEvents();
+
+    child.dispose(true);
+    await waitForEvents();
+
+    assert.equal(callsA.count, 0);
+    assert.equal(this.joinB.inputList.length, 2);
+  });
+
+  test('a deleted dynamic block is not finalized', async function () {
+    const callsA = countFinalizeCalls(this.joinA);
+    const child = this.joinA.getInputTargetBlock('ADD1');
+    child.unplug();
+    await waitForEvents();
+
+    Blockly.Events.setGroup(true);
+    child.dispose();
+    this.joinA.dispose();
+    Blockly.Events.setGroup(false);
+    await waitForEvents();
+
+    assert.equal(callsA.count, 0);
+  });
+});
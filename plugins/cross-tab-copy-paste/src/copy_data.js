@@ -0,0 +1,215 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Helpers for copying several blocks and workspace comments at
+ * once, along with the variables and procedures they reference.
+ */
+
+import * as Blockly from 'blockly/core';
+
+/**
+ * The paster type of copy data that holds several copied items.
+ * @type {string}
+ */
+export const MULTI_PASTER_TYPE = 'cross-tab-multi';
+
+/**
+ * Returns the serialized position of copied item.
+ * @param {!Blockly.ICopyData} copyData The copy data of a block or comment.
+ * @returns {!Blockly.utils.Coordinate} The position the item was copied at.
+ */
+function getCopiedPosition(copyData) {
+  const state = copyData.blockState || copyData.commentState || {};
+  return new Blockly.utils.Coordinate(state.x || 0, state.y || 0);
+}
+
+/**
+ * Returns the position of a pasted item, in the same coordinates as the
+ * serialized position of copied items.
+ * @param {!Blockly.ICopyable} item The pasted block or comment.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace it was pasted into.
+ * @returns {!Blockly.utils.Coordinate} The position of the item.
+ */
+function getPastedPosition(item, workspace) {
+  const xy = item.getRelativeToSurfaceXY();
+  // Serialized positions are mirrored in RTL.
+  return new Blockly.utils.Coordinate(
+    workspace.RTL ? workspace.getWidth() - xy.x : xy.x,
+    xy.y,
+  );
+}
+
+/**
+ * Pastes copy data holding several items, keeping their relative positions.
+ */
+export class MultiPaster {
+  /**
+   * Pastes the items into the workspace.
+   * @param {!Object} copyData The copy data holding the items.
+   * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+   * @param {Blockly.utils.Coordinate=} coordinate Where to paste the first
+   *     item. If not given, the items are pasted where they were copied,
+   *     moved as a group to not overlap existing blocks.
+   * @returns {?Blockly.ICopyable} The first pasted item, or null if nothing
+   *     was pasted.
+   */
+  paste(copyData, workspace, coordinate) {
+    if (!workspace.isCapacityAvailable(copyData.typeCounts || {})) {
+      return null;
+    }
+    const [firstItem, ...otherItems] = copyData.items || [];
+    if (!firstItem) return null;
+
+    const existingGroup = Blockly.Events.getGroup();
+    if (!existingGroup) Blockly.Events.setGroup(true);
+    try {
+      // Pasters overwrite the copied position with the coordinate given, so
+      // read it first.
+      const firstPosition = getCopiedPosition(firstItem);
+      const first = Blockly.clipboard.paste(firstItem, workspace, coordinate);
+      if (!first) return null;
+      // Move every item by as much as the first one moved.
+      const offset = Blockly.utils.Coordinate.difference(
+        getPastedPosition(first, workspace),
+        firstPosition,
+      );
+      for (const item of otherItems) {
+        Blockly.clipboard.paste(
+          item,
+          workspace,
+          Blockly.utils.Coordinate.sum(getCopiedPosition(item), offset),
+        );
+      }
+      return first;
+    } finally {
+      if (!existingGroup) Blockly.Events.setGroup(false);
+    }
+  }
+}
+
+/**
+ * Registers the paster for copy data holding several items, if it hasn't
+ * been registered already.
+ */
+export function registerMultiPaster() {
+  if (
+    Blockly.registry.hasItem(Blockly.registry.Type.PASTER, MULTI_PASTER_TYPE)
+  ) {
+    return;
+  }
+  Blockly.clipboard.registry.register(MULTI_PASTER_TYPE, new MultiPaster());
+}
+
+/**
+ * Saves the variables and procedure models referenced by the given blocks,
+ * so they can be created in a workspace that doesn't have them.
+ * Procedures defined by the blocks themselves are not saved, because the
+ * definition blocks create them when pasted.
+ * @param {!Array<!Blockly.BlockSvg>} blocks The copied blocks.
+ * @returns {{variables: (!Array<!Object>|undefined),
+ *     procedures: (!Array<!Object>|undefined)}} The saved references.
+ */
+function saveReferences(blocks) {
+  const descendants = blocks.flatMap((block) => block.getDescendants(false));
+
+  const variables = new Map();
+  for (const block of descendants) {
+    for (const variable of block.getVarModels()) {
+      variables.set(variable.getId(), {
+        name: variable.name,
+        id: variable.getId(),
+        type: variable.type,
+      });
+    }
+  }
+
+  const procedureBlocks = descendants.filter((block) =>
+    Blockly.procedures.isProcedureBlock(block),
+  );
+  const definedIds = new Set(
+    procedureBlocks
+      .filter((block) => block.isProcedureDef())
+      .map((block) => block.getProcedureModel().getId()),
+  );
+  const procedures = new Map();
+  for (const block of procedureBlocks) {
+    const model = block.getProcedureModel();
+    if (!model || definedIds.has(model.getId())) continue;
+    procedures.set(
+      model.getId(),
+      Blockly.serialization.procedures.saveProcedure(model),
+    );
+  }
+
+  const references = {};
+  if (variables.size) references.variables = [...variables.values()];
+  if (procedures.size) references.procedures = [...procedures.values()];
+  return references;
+}
+
+/**
+ * Creates the copy data for the given items. A single item is copied with
+ * its own copy data, so that it can be pasted by Blockly's own pasters.
+ * @param {!Array<!Blockly.ICopyable>} items The blocks and workspace comments
+ *     to copy.
+ * @returns {?Object} The copy data, or null if nothing can be copied.
+ */
+export function createCopyData(items) {
+  const itemsData = items.map((item) => item.toCopyData()).filter(Boolean);
+  if (!itemsData.length) return null;
+
+  let copyData;
+  if (itemsData.length === 1) {
+    copyData = itemsData[0];
+  } else {
+    const typeCounts = {};
+    for (const itemData of itemsData) {
+      for (const [type, count] of Object.entries(itemData.typeCounts || {})) {
+        typeCounts[type] = (typeCounts[type] || 0) + count;
+      }
+    }
+    copyData = {paster: MULTI_PASTER_TYPE, items: itemsData, typeCounts};
+  }
+  const blocks = items.filter((item) => item instanceof Blockly.BlockSvg);
+  return {...copyData, ...saveReferences(blocks)};
+}
+
+/**
+ * Creates the variables and procedure models referenced by the copy data
+ * that don't exist in the workspace yet.
+ * @param {!Object} copyData The copy data being pasted.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace being pasted into.
+ */
+export function createReferences(copyData, workspace) {
+  for (const {name, id, type} of copyData.variables || []) {
+    // Variable fields find variables by name if the id doesn't match.
+    if (workspace.getVariableById(id) || workspace.getVariable(name, type)) {
+      continue;
+    }
+    workspace.createVariable(name, type, id);
+  }
+
+  const procedureMap = workspace.getProcedureMap();
+  const existingNames = new Set(
+    procedureMap.getProcedures().map((model) => model.getName().toLowerCase()),
+  );
+  const procedures = (copyData.procedures || []).filter(
+    (state) =>
+      !procedureMap.has(state.id) &&
+      !existingNames.has(state.name.toLowerCase()),
+  );
+  if (!procedures.length) return;
+  // Procedure models are loaded by the serializer registered by the plugin
+  // providing them, e.g. @blockly/block-shareable-procedures.
+  const serializer = Blockly.registry.getObject(
+    Blockly.registry.Type.SERIALIZER,
+    'procedures',
+  );
+  if (serializer) {
+    serializer.load(procedures, workspace);
+  }
+}
@@ -1,3 +1,121 @@
+import * as Blockly from 'blockly/core';
+
+/**
+ * Carries copied blocks between tabs.
+ */
+export class CopyDataTransport {
+  /**
+   * Writes the copy data.
+   *
+   * @param copyData The copy data to write.
+   */
+  write(copyData: object): Promise<void>;
+
+  /**
+   * Reads the most recently written copy data.
+   */
+  read(): Promise<object | null>;
+
+  /**
+   * Returns the most recently written copy data without waiting, null if
+   * there is none, or undefined if it can't be known without reading it.
+   */
+  peek(): object | null | undefined;
+
+  /**
+   * Adds a listener that is called when copy data is written, in this tab or
+   * in another one.
+   *
+   * @param listener The function to call with the new copy data.
+   * @returns A function that removes the listener.
+   */
+  addChangeListener(
+    listener: (copyData: object | null | undefined) => void,
+  ): () => void;
+
+  /**
+   * Calls all of the change listeners.
+   *
+   * @param copyData The new copy data.
+   */
+  protected notifyListeners(copyData: object | null | undefined): void;
+
+  /**
+   * Releases any resources held by the transport.
+   */
+  dispose(): void;
+}
+
+/**
+ * Stores copy data in localStorage. This is the default transport.
+ */
+export class LocalStorageTransport extends CopyDataTransport {
+  constructor(key?: string);
+  peek(): object | null;
+}
+
+/**
+ * Stores copy data in localStorage and announces it to other open tabs
+ * through a BroadcastChannel.
+ */
+export class BroadcastChannelTransport extends LocalStorageTransport {
+  constructor(channelName?: string, key?: string);
+}
+
+/**
+ * Writes copy data to the system clipboard, in a custom format and as plain
+ * text.
+ */
+export class ClipboardTransport extends CopyDataTransport {}
+
+export const STORAGE_KEY: string;
+export const CHANNEL_NAME: string;
+export const COPY_DATA_MIME_TYPE: string;
+export const CLIPBOARD_FORMAT: string;
+
+/**
+ * Parses copy data that was written as text.
+ *
+ * @param text The text to parse.
+ * @returns The copy data, or null if the text is not copy data.
+ */
+export function parseCopyData(text: string | null): object | null;
+
+/**
+ * Creates the transport for the given option.
+ *
+ * @param transport The name of a built-in transport, or a transport object.
+ * @returns The transport.
+ */
+export function createTransport(
+  transport:
+    | 'localStorage'
+    | 'broadcastChannel'
+    | 'clipboard'
+    | CopyDataTransport,
+): CopyDataTransport;
+
+export const MULTI_PASTER_TYPE: string;
+
+/**
+ * Pastes copy data holding several items, keeping their relative positions.
+ */
+export class MultiPaster {
+  /**
+   * Pastes the items into the workspace.
+   *
+   * @param copyData The copy data holding the items.
+   * @param workspace The workspace to paste into.
+   * @param coordinate Where to paste the first item.
+   * @returns The first pasted item, or null if nothing was pasted.
+   */
+  paste(
+    copyData: object,
+    workspace: Blockly.WorkspaceSvg,
+    coordinate?: Blockly.utils.Coordinate,
+  ): Blockly.ICopyable<Blockly.ICopyData> | null;
+}
+
 /**
  * A Blockly plugin that adds context menu items and keyboard shortcuts
  * to allow users to copy and paste a block between tabs.
@@ -11,12 +129,54 @@ export class CrossTabCopyPaste {
    * `contextMenu` Register copy and paste in the context menu.
    * `shortcut` Register cut (ctr + x), copy (ctr + c) and paste (ctr + v)
    * in the shortcut.
+   * `transport` How copied blocks are carried between tabs.
+   * `getSelection` Returns the blocks and workspace comments to copy or cut.
+   * `onError` Called with errors thrown by the transport while copying or
+   * pasting. If it isn't set, the errors are logged as warnings.
+   * @param typeErrorCallback callback function to handle type errors
+   */
+  init(
+    {
+      contextMenu,
+      shortcut,
+      transport,
+    }?: {
+      contextMenu: boolean;
+      shortcut: boolean;
+      transport?:
+        | 'localStorage'
+        | 'broadcastChannel'
+        | 'clipboard'
+        | CopyDataTransport;
+      getSelection?: (
+        workspace: Blockly.WorkspaceSvg,
+      ) => Array<Blockly.ICopyable<Blockly.ICopyData>>;
+      onError?: (error: unknown) => void;
+    },
+    typeErrorCallback?: () => void,
+  ): void;
+
+  /**
+   * Returns the transport that carries copied blocks between tabs.
+   */
+  getTransport(): CopyDataTransport | null;
+
+  /**
+   * Returns whether there are copied blocks available to paste.
+   */
+  isPasteAvailable(): boolean;
+
+  /**
+   * Adds a listener that is called when blocks are copied in this tab or in
+   * another tab.
+   *
+   * @param listener The function to call with whether pasting is possible.
+   * @returns A function that removes the listener.
+   */
+  addPasteAvailableListener(listener: (available: boolean) => void): () => void;
+
+  /**
+   * Disposes of the transport.
    */
-  init({
-    contextMenu,
-    shortcut,
-  }?: {
-    contextMenu: boolean;
-    shortcut: boolean;
-  }): void;
+  dispose(): void;
 }
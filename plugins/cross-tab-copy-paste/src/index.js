@@ -5,32 +5,92 @@
  */
 
 import * as Blockly from 'blockly/core';
+import {CopyDataTransport, createTransport} from './transports';
+import {
+  createCopyData,
+  createReferences,
+  registerMultiPaster,
+} from './copy_data';
+
+export * from './transports';
+export {MULTI_PASTER_TYPE, MultiPaster} from './copy_data';
 
 /**
  * A Blockly plugin that adds context menu items and keyboard shortcuts
  * to allow users to copy and paste a block between tabs.
  */
 export class CrossTabCopyPaste {
+  /**
+   * Constructs the cross tab copy paste plugin.
+   */
+  constructor() {
+    /**
+     * The transport that carries copied blocks between tabs. Initialized
+     * during init.
+     * @type {?CopyDataTransport}
+     * @private
+     */
+    this.transport_ = null;
+
+    /**
+     * Returns the items to copy or cut. Initialized during init.
+     * @type {function(!Blockly.WorkspaceSvg): !Array<!Blockly.ICopyable>}
+     * @private
+     */
+    this.getSelection_ = getSelectedItem;
+
+    /**
+     * Called with errors thrown while copying or pasting through the
+     * transport. Initialized during init.
+     * @type {?function(*)}
+     * @private
+     */
+    this.onError_ = null;
+  }
+
   /**
    * Initializes the cross tab copy paste plugin. If no options are selected
    * then both context menu items and keyboard shortcuts are added.
-   * @param {{contextMenu: boolean, shortcut: boolean}} options
+   * @param {{contextMenu: boolean, shortcut: boolean,
+   *     transport: (string|!CopyDataTransport|undefined),
+   *     getSelection: (function(!Blockly.WorkspaceSvg):
+   *         !Array<!Blockly.ICopyable>|undefined),
+   *     onError: (function(*)|undefined)}} options
    * `contextMenu` Register copy and paste in the context menu.
    * `shortcut` Register cut (ctr + x), copy (ctr + c) and paste (ctr + v)
    * in the shortcut.
+   * `transport` How copied blocks are carried between tabs: 'localStorage'
+   * (the default), 'broadcastChannel', 'clipboard' or a custom transport.
+   * `getSelection` Returns the blocks and workspace comments to copy or cut,
+   * for apps that support selecting several items. Defaults to the selected
+   * item.
+   * `onError` Called with errors thrown by the transport while copying or
+   * pasting. If it isn't set, the errors are logged as warnings.
    * @param {Function=} typeErrorCallback
    * callback function to handle type errors
    */
   init(
-    {contextMenu = true, shortcut = true} = {
+    {
+      contextMenu = true,
+      shortcut = true,
+      transport = 'localStorage',
+      getSelection = getSelectedItem,
+      onError = null,
+    } = {
       contextMenu: true,
       shortcut: true,
     },
     typeErrorCallback,
   ) {
+    this.transport_ = createTransport(transport);
+    this.getSelection_ = getSelection;
+    this.onError_ = onError;
+    registerMultiPaster();
+
     if (contextMenu) {
       // Register the menus
       this.blockCopyToStorageContextMenu();
+      this.commentCopyToStorageContextMenu();
       this.blockPasteFromStorageContextMenu(typeErrorCallback);
     }
 
@@ -52,10 +112,157 @@ export class CrossTabCopyPaste {
     }
   }
 
+  /**
+   * Returns the transport that carries copied blocks between tabs.
+   * @returns {?CopyDataTransport} The transport, or null before init.
+   */
+  getTransport() {
+    return this.transport_;
+  }
+
+  /**
+   * Returns whether there are copied blocks available to paste. Transports
+   * that can't tell without reading, such as the clipboard, are always
+   * considered to have blocks available.
+   * @returns {boolean} True if pasting may be possible.
+   */
+  isPasteAvailable() {
+    return !!this.transport_ && this.transport_.peek() !== null;
+  }
+
+  /**
+   * Adds a listener that is called when blocks are copied in this tab or in
+   * another tab, e.g. to show a "paste available" state.
+   * @param {function(boolean)} listener The function to call with whether
+   *     pasting is possible.
+   * @returns {function()} A function that removes the listener.
+   */
+  addPasteAvailableListener(listener) {
+    if (!this.transport_) {
+      throw new Error('The plugin must be initialized before adding listeners');
+    }
+    return this.transport_.addChangeListener((copyData) =>
+      listener(copyData !== null),
+    );
+  }
+
+  /**
+   * Disposes of the transport.
+   */
+  dispose() {
+    if (this.transport_) {
+      this.transport_.dispose();
+      this.transport_ = null;
+    }
+  }
+
+  /**
+   * Returns the selected items that can be copied, if all of them can be.
+   * @param {!Blockly.WorkspaceSvg} workspace The workspace to get the
+   *     selection of.
+   * @returns {!Array<!Blockly.ICopyable>} The items to copy, or an empty
+   *     array if some of the selected items can't be copied.
+   * @private
+   */
+  getCopyableSelection_(workspace) {
+    const items = this.getSelection_(workspace);
+    const copyable = items.every(
+      (item) =>
+        Blockly.isCopyable(item) && item.isDeletable() && item.isMovable(),
+    );
+    return copyable ? items : [];
+  }
+
+  /**
+   * Writes copy data for the given items to the transport.
+   * @param {!Array<!Blockly.ICopyable>} items The items to copy.
+   * @returns {?Promise<void>} A promise that resolves once the copy data has
+   *     been written, or null if there was nothing to copy.
+   * @private
+   */
+  copyItems_(items) {
+    const copyData = createCopyData(items);
+    if (!copyData) return null;
+    return this.transport_.write(copyData);
+  }
+
+  /**
+   * Reports an error thrown by the transport while copying or pasting to the
+   * onError option. If it isn't set, the error is logged as a warning.
+   * Errors are reported from promise callbacks, so this must not throw.
+   * @param {*} e The error.
+   * @private
+   */
+  handleError_(e) {
+    if (this.onError_) {
+      this.onError_(e);
+    } else {
+      console.warn('Cross-tab copy paste failed:', e);
+    }
+  }
+
+  /**
+   * Returns whether the copied blocks can be pasted into the workspace.
+   * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+   * @returns {boolean} True if pasting is possible, or may be possible.
+   * @private
+   */
+  canPaste_(workspace) {
+    const copyData = this.transport_.peek();
+    if (copyData === undefined) return true;
+    return (
+      !!copyData && workspace.isCapacityAvailable(copyData.typeCounts || {})
+    );
+  }
+
+  /**
+   * Pastes the copied blocks into the workspace. If the transport can't give
+   * the copy data without waiting, they are pasted once it has been read.
+   * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+   * @param {Function=} typeErrorCallback
+   * callback function to handle type errors
+   * @private
+   */
+  paste_(workspace, typeErrorCallback) {
+    const pasteCopyData = (copyData) => {
+      if (
+        !copyData ||
+        !workspace.isCapacityAvailable(copyData.typeCounts || {})
+      ) {
+        return;
+      }
+      Blockly.Events.setGroup(true);
+      try {
+        // Blocks from another tab may use variables and procedures that
+        // don't exist here yet.
+        createReferences(copyData, workspace);
+        Blockly.clipboard.paste(copyData, workspace);
+      } catch (e) {
+        if (e instanceof TypeError && typeErrorCallback) {
+          typeErrorCallback();
+        } else {
+          throw e;
+        }
+      } finally {
+        Blockly.Events.setGroup(false);
+      }
+    };
+    const copyData = this.transport_.peek();
+    if (copyData !== undefined) {
+      pasteCopyData(copyData);
+      return;
+    }
+    this.transport_
+      .read()
+      .then(pasteCopyData)
+      .catch((e) => this.handleError_(e));
+  }
+
   /**
    * Adds a copy command to the block context menu.
    */
   blockCopyToStorageContextMenu() {
+    const plugin = this;
     /** @type {!Blockly.ContextMenuRegistry.RegistryItem} */
     const copyToStorageOption = {
       displayText: function () {
@@ -67,21 +274,17 @@ export class CrossTabCopyPaste {
       preconditionFn: function (
         /** @type {!Blockly.ContextMenuRegistry.Scope} */ scope,
       ) {
-        if (
-          Blockly.getSelected().isDeletable() &&
-          Blockly.getSelected().isMovable()
-        ) {
-          return 'enabled';
-        }
-        return 'disabled';
+        return plugin.getContextMenuItems_(scope.block).length
+          ? 'enabled'
+          : 'disabled';
       },
       callback: function (
         /** @type {!Blockly.ContextMenuRegistry.Scope} */ scope,
       ) {
-        localStorage.setItem(
-          'blocklyStash',
-          JSON.stringify(scope.block.toCopyData()),
+        const written = plugin.copyItems_(
+          plugin.getContextMenuItems_(scope.block),
         );
+        if (written) written.catch((e) => plugin.handleError_(e));
       },
       scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
       id: 'blockCopyToStorage',
@@ -90,12 +293,67 @@ export class CrossTabCopyPaste {
     Blockly.ContextMenuRegistry.registry.register(copyToStorageOption);
   }
 
+  /**
+   * Adds a copy command to the workspace comment context menu.
+   */
+  commentCopyToStorageContextMenu() {
+    const plugin = this;
+    /** @type {!Blockly.ContextMenuRegistry.RegistryItem} */
+    const copyToStorageOption = {
+      displayText: function () {
+        if (Blockly.Msg['CROSS_TAB_COPY']) {
+          return Blockly.Msg['CROSS_TAB_COPY'];
+        }
+        return 'Copy';
+      },
+      preconditionFn: function (
+        /** @type {!Blockly.ContextMenuRegistry.Scope} */ scope,
+      ) {
+        return plugin.getContextMenuItems_(scope.comment).length
+          ? 'enabled'
+          : 'disabled';
+      },
+      callback: function (
+        /** @type {!Blockly.ContextMenuRegistry.Scope} */ scope,
+      ) {
+        const written = plugin.copyItems_(
+          plugin.getContextMenuItems_(scope.comment),
+        );
+        if (written) written.catch((e) => plugin.handleError_(e));
+      },
+      scopeType: Blockly.ContextMenuRegistry.ScopeType.COMMENT,
+      id: 'commentCopyToStorage',
+      weight: 0,
+    };
+    Blockly.ContextMenuRegistry.registry.register(copyToStorageOption);
+  }
+
+  /**
+   * Returns the items to copy from a context menu. If the item the menu was
+   * opened on is selected, the whole selection is copied.
+   * @param {!Blockly.ICopyable} target The block or comment the context menu
+   *     was opened on.
+   * @returns {!Array<!Blockly.ICopyable>} The items to copy, or an empty array
+   *     if they can't be copied.
+   * @private
+   */
+  getContextMenuItems_(target) {
+    const selection = this.getSelection_(target.workspace);
+    const items = selection.includes(target) ? selection : [target];
+    const copyable = items.every(
+      (item) =>
+        Blockly.isCopyable(item) && item.isDeletable() && item.isMovable(),
+    );
+    return copyable ? items : [];
+  }
+
   /**
    * Adds a paste command to the block context menu.
    * @param {Function=} typeErrorCallback
    * callback function to handle type errors
    */
   blockPasteFromStorageContextMenu(typeErrorCallback) {
+    const plugin = this;
     /** @type {!Blockly.ContextMenuRegistry.RegistryItem} */
     const pasteFromStorageOption = {
       displayText: function () {
@@ -107,28 +365,12 @@ export class CrossTabCopyPaste {
       preconditionFn: function (
         /** @type {!Blockly.ContextMenuRegistry.Scope} */ scope,
       ) {
-        const copyData = JSON.parse(localStorage.getItem('blocklyStash'));
-        if (
-          copyData &&
-          scope.workspace.isCapacityAvailable(copyData.typeCounts)
-        ) {
-          return 'enabled';
-        }
-        return 'disabled';
+        return plugin.canPaste_(scope.workspace) ? 'enabled' : 'disabled';
       },
       callback: function (
         /** @type {!Blockly.ContextMenuRegistry.Scope} */ scope,
       ) {
-        const copyData = JSON.parse(localStorage.getItem('blocklyStash'));
-        try {
-          Blockly.clipboard.paste(copyData, scope.workspace);
-        } catch (e) {
-          if (e instanceof TypeError && typeErrorCallback) {
-            typeErrorCallback();
-          } else {
-            throw e;
-          }
-        }
+        plugin.paste_(scope.workspace, typeErrorCallback);
       },
       scopeType: Blockly.ContextMenuRegistry.ScopeType.WORKSPACE,
       id: 'blockPasteFromStorage',
@@ -139,34 +381,31 @@ export class CrossTabCopyPaste {
 
   /**
    * Adds a keyboard shortcut that will store copy information for a block
-   * in localStorage.
+   * in the transport.
    */
   blockCopyToStorageShortcut() {
+    const plugin = this;
     /** @type {!Blockly.ShortcutRegistry.KeyboardShortcut} */
     const copyShortcut = {
       name: 'copy',
       preconditionFn: function (workspace) {
-        return (
-          !workspace.options.readOnly &&
-          !Blockly.Gesture.inProgress() &&
-          Blockly.getSelected() &&
-          Blockly.getSelected().isDeletable() &&
-          Blockly.getSelected().isMovable() &&
-          !Blockly.getSelected().isInMutator
-        );
+        if (workspace.options.readOnly || Blockly.Gesture.inProgress()) {
+          return false;
+        }
+        const items = plugin.getCopyableSelection_(workspace);
+        return !!items.length && items.every((item) => !item.isInMutator);
       },
       callback: function (workspace, e) {
         // Prevent the default copy behavior,
         // which may beep or otherwise indicate
         // an error due to the lack of a selection.
         e.preventDefault();
-        const block = Blockly.getSelected();
-        if (!block || !Blockly.isCopyable(block)) return false;
+        const items = plugin.getCopyableSelection_(workspace);
+        if (!items.length) return false;
         workspace.hideChaff();
-        localStorage.setItem(
-          'blocklyStash',
-          JSON.stringify(block.toCopyData()),
-        );
+        const written = plugin.copyItems_(items);
+        if (!written) return false;
+        written.catch((e) => plugin.handleError_(e));
         return true;
       },
     };
@@ -193,20 +432,20 @@ export class CrossTabCopyPaste {
 
   /**
    * Adds a keyboard shortcut that will store copy information for a block
-   * in local storage and delete the block.
+   * in the transport and delete the block.
    */
   blockCutToStorageShortcut() {
+    const plugin = this;
     /** @type {!Blockly.ShortcutRegistry.KeyboardShortcut} */
     const cutShortcut = {
       name: 'cut',
       preconditionFn: function (workspace) {
+        if (workspace.options.readOnly || Blockly.Gesture.inProgress()) {
+          return false;
+        }
+        const items = plugin.getCopyableSelection_(workspace);
         return (
-          !workspace.options.readOnly &&
-          !Blockly.Gesture.inProgress() &&
-          Blockly.getSelected() &&
-          Blockly.getSelected().isDeletable() &&
-          Blockly.getSelected().isMovable() &&
-          !Blockly.getSelected().workspace.isFlyout
+          !!items.length && items.every((item) => !item.workspace.isFlyout)
         );
       },
       callback: function (workspace, e) {
@@ -214,15 +453,27 @@ export class CrossTabCopyPaste {
         // which may beep or otherwise indicate
         // an error due to the lack of a selection.
         e.preventDefault();
-        const block = /** @type {Blockly.BlockSvg} */ (Blockly.getSelected());
-        if (!block || !Blockly.isCopyable(block)) return false;
-        localStorage.setItem(
-          'blocklyStash',
-          JSON.stringify(block.toCopyData()),
-        );
-        Blockly.Events.setGroup(true);
-        block.dispose(true);
-        Blockly.Events.setGroup(false);
+        const items = plugin.getCopyableSelection_(workspace);
+        const written = plugin.copyItems_(items);
+        if (!written) return false;
+        // Only delete the items once they are safely copied.
+        written
+          .then(() => {
+            Blockly.Events.setGroup(true);
+            try {
+              for (const item of items) {
+                if (item.isDisposed()) continue;
+                if (item instanceof Blockly.BlockSvg) {
+                  item.dispose(true);
+                } else {
+                  item.dispose();
+                }
+              }
+            } finally {
+              Blockly.Events.setGroup(false);
+            }
+          })
+          .catch((e) => plugin.handleError_(e));
         return true;
       },
     };
@@ -248,11 +499,13 @@ export class CrossTabCopyPaste {
   }
 
   /**
-   * Adds a keyboard shortcut that will paste the block stored in localStorage.
+   * Adds a keyboard shortcut that will paste the block stored in the
+   * transport.
    * @param {Function=} typeErrorCallback
    * callback function to handle type errors
    */
   blockPasteFromStorageShortcut(typeErrorCallback) {
+    const plugin = this;
     /** @type {!Blockly.ShortcutRegistry.KeyboardShortcut} */
     const pasteShortcut = {
       name: 'paste',
@@ -260,27 +513,14 @@ export class CrossTabCopyPaste {
         if (workspace.options.readOnly || Blockly.Gesture.inProgress()) {
           return false;
         }
-        const copyData = JSON.parse(localStorage.getItem('blocklyStash'));
-        if (!copyData || !workspace.isCapacityAvailable(copyData.typeCounts)) {
-          return false;
-        }
-        return true;
+        return plugin.canPaste_(workspace);
       },
       callback: function (workspace, e) {
         // Prevent the default copy behavior,
         // which may beep or otherwise indicate
         // an error due to the lack of a selection.
         e.preventDefault();
-        const copyData = JSON.parse(localStorage.getItem('blocklyStash'));
-        try {
-          Blockly.clipboard.paste(copyData, workspace);
-        } catch (e) {
-          if (e instanceof TypeError && typeErrorCallback) {
-            typeErrorCallback();
-          } else {
-            throw e;
-          }
-        }
+        plugin.paste_(workspace, typeErrorCallback);
         return true;
       },
     };
@@ -305,3 +545,13 @@ export class CrossTabCopyPaste {
     Blockly.ShortcutRegistry.registry.addKeyMapping(metaV, pasteShortcut.name);
   }
 }
+
+/**
+ * Returns the selected item, which is copied by default.
+ * @returns {!Array<!Blockly.ICopyable>} The selected item, or an empty array
+ *     if nothing is selected.
+ */
+function getSelectedItem() {
+  const selected = Blockly.getSelected();
+  return selected ? [selected] : [];
+}
@@ -0,0 +1,358 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Transports that carry copied blocks between tabs.
+ */
+
+/**
+ * The localStorage key that copied blocks are stored under.
+ * @type {string}
+ */
+export const STORAGE_KEY = 'blocklyStash';
+
+/**
+ * The name of the BroadcastChannel used to announce copied blocks.
+ * @type {string}
+ */
+export const CHANNEL_NAME = 'blocklyCrossTabCopyPaste';
+
+/**
+ * The MIME type of copied blocks.
+ * @type {string}
+ */
+export const COPY_DATA_MIME_TYPE = 'application/vnd.blockly.copy+json';
+
+/**
+ * The custom clipboard format used for copied blocks. The "web " prefix marks
+ * it as a web custom format, which browsers don't sanitize.
+ * @type {string}
+ */
+export const CLIPBOARD_FORMAT = `web ${COPY_DATA_MIME_TYPE}`;
+
+/**
+ * Parses copy data that was written as text, e.g. to the clipboard or to
+ * localStorage.
+ * @param {?string} text The text to parse.
+ * @returns {?Object} The copy data, or null if the text is not copy data.
+ */
+export function parseCopyData(text) {
+  if (!text) return null;
+  let copyData;
+  try {
+    copyData = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  if (
+    !copyData ||
+    typeof copyData !== 'object' ||
+    typeof copyData.paster !== 'string'
+  ) {
+    return null;
+  }
+  return copyData;
+}
+
+/**
+ * Base class for transports, which keeps track of change listeners.
+ *
+ * Transports write copy data when something is copied and read it back when
+ * pasting. `peek` gives the copy data synchronously where possible, so that
+ * context menus and shortcuts can tell whether pasting is possible.
+ */
+export class CopyDataTransport {
+  /**
+   * Constructs a transport.
+   */
+  constructor() {
+    /**
+     * The functions to call when the copy data changes.
+     * @type {!Set<function(?Object)>}
+     * @private
+     */
+    this.listeners_ = new Set();
+  }
+
+  /**
+   * Writes the copy data.
+   * @param {!Object} copyData The copy data to write.
+   * @returns {!Promise<void>} A promise that resolves once the data is
+   *     written.
+   */
+  async write(copyData) {
+    throw new Error('write must be implemented by transports');
+  }
+
+  /**
+   * Reads the most recently written copy data.
+   * @returns {!Promise<?Object>} A promise resolving to the copy data, or null
+   *     if there is none.
+   */
+  async read() {
+    const copyData = this.peek();
+    return copyData === undefined ? null : copyData;
+  }
+
+  /**
+   * Returns the most recently written copy data without waiting.
+   * @returns {?Object|undefined} The copy data, null if there is none, or
+   *     undefined if it can't be known without reading it.
+   */
+  peek() {
+    return undefined;
+  }
+
+  /**
+   * Adds a listener that is called when copy data is written, in this tab or
+   * in another one.
+   * @param {function(?Object)} listener The function to call with the new copy
+   *     data, or with undefined if it is not known.
+   * @returns {function()} A function that removes the listener.
+   */
+  addChangeListener(listener) {
+    this.listeners_.add(listener);
+    return () => this.listeners_.delete(listener);
+  }
+
+  /**
+   * Calls all of the change listeners.
+   * @param {?Object|undefined} copyData The new copy data.
+   * @protected
+   */
+  notifyListeners(copyData) {
+    for (const listener of [...this.listeners_]) {
+      listener(copyData);
+    }
+  }
+
+  /**
+   * Releases any resources held by the transport.
+   */
+  dispose() {
+    this.listeners_.clear();
+  }
+}
+
+/**
+ * Stores copy data in localStorage, so it can be pasted into any tab of the
+ * same site. This is the default transport.
+ */
+export class LocalStorageTransport extends CopyDataTransport {
+  /**
+   * Constructs a LocalStorageTransport.
+   * @param {string=} key The localStorage key to store copy data under.
+   */
+  constructor(key = STORAGE_KEY) {
+    super();
+    /**
+     * The localStorage key to store copy data under.
+     * @type {string}
+     * @protected
+     */
+    this.key = key;
+
+    /**
+     * Notifies listeners about copy data written in other tabs.
+     * @param {!StorageEvent} e The storage event.
+     * @private
+     */
+    this.onStorage_ = (e) => {
+      if (e.storageArea !== localStorage || e.key !== this.key) return;
+      this.notifyListeners(parseCopyData(e.newValue));
+    };
+    window.addEventListener('storage', this.onStorage_);
+  }
+
+  /**
+   * Writes the copy data to localStorage.
+   * @param {!Object} copyData The copy data to write.
+   * @returns {!Promise<void>} A promise that resolves once the data is
+   *     written.
+   */
+  async write(copyData) {
+    localStorage.setItem(this.key, JSON.stringify(copyData));
+    this.notifyListeners(copyData);
+  }
+
+  /**
+   * Returns the copy data stored in localStorage.
+   * @returns {?Object} The copy data, or null if there is none.
+   */
+  peek() {
+    return parseCopyData(localStorage.getItem(this.key));
+  }
+
+  /**
+   * Stops listening for changes in other tabs.
+   */
+  dispose() {
+    super.dispose();
+    window.removeEventListener('storage', this.onStorage_);
+  }
+}
+
+/**
+ * Stores copy data in localStorage and announces it to other open tabs
+ * through a BroadcastChannel, so they can show a live "paste available"
+ * state.
+ */
+export class BroadcastChannelTransport extends LocalStorageTransport {
+  /**
+   * Constructs a BroadcastChannelTransport.
+   * @param {string=} channelName The name of the BroadcastChannel to use.
+   * @param {string=} key The localStorage key to store copy data under.
+   */
+  constructor(channelName = CHANNEL_NAME, key = STORAGE_KEY) {
+    super(key);
+    /**
+     * The channel used to announce copy data, if supported.
+     * @type {?BroadcastChannel}
+     * @private
+     */
+    this.channel_ = null;
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel_ = new BroadcastChannel(channelName);
+      this.channel_.onmessage = (e) => {
+        this.notifyListeners(parseCopyData(e.data));
+      };
+    }
+  }
+
+  /**
+   * Writes the copy data to localStorage and announces it to other tabs.
+   * @param {!Object} copyData The copy data to write.
+   * @returns {!Promise<void>} A promise that resolves once the data is
+   *     written.
+   */
+  async write(copyData) {
+    await super.write(copyData);
+    if (this.channel_) {
+      this.channel_.postMessage(JSON.stringify(copyData));
+    }
+  }
+
+  /**
+   * Closes the channel.
+   */
+  dispose() {
+    super.dispose();
+    if (this.channel_) {
+      this.channel_.close();
+      this.channel_ = null;
+    }
+  }
+}
+
+/**
+ * Writes copy data to the system clipboard, so it can be pasted into other
+ * browser profiles or applications, and pasted back in later. The data is
+ * written in a custom format and as plain text, for browsers and
+ * applications that don't support custom formats.
+ */
+export class ClipboardTransport extends CopyDataTransport {
+  /**
+   * Writes the copy data to the clipboard.
+   * @param {!Object} copyData The copy data to write.
+   * @returns {!Promise<void>} A promise that resolves once the data is
+   *     written.
+   */
+  async write(copyData) {
+    const clipboard = navigator.clipboard;
+    if (!clipboard) {
+      throw new Error('The clipboard is not available');
+    }
+    const text = JSON.stringify(copyData);
+    if (this.supportsCustomFormat_()) {
+      try {
+        await clipboard.write([
+          new ClipboardItem({
+            [CLIPBOARD_FORMAT]: new Blob([text], {type: COPY_DATA_MIME_TYPE}),
+            'text/plain': new Blob([text], {type: 'text/plain'}),
+          }),
+        ]);
+        this.notifyListeners(copyData);
+        return;
+      } catch (e) {
+        // Fall back to writing plain text.
+      }
+    }
+    await clipboard.writeText(text);
+    this.notifyListeners(copyData);
+  }
+
+  /**
+   * Reads copy data from the clipboard. The user may be asked for permission.
+   * @returns {!Promise<?Object>} A promise resolving to the copy data, or null
+   *     if the clipboard doesn't contain any.
+   */
+  async read() {
+    const clipboard = navigator.clipboard;
+    if (!clipboard) return null;
+    if (clipboard.read) {
+      try {
+        for (const item of await clipboard.read()) {
+          const type = item.types.includes(CLIPBOARD_FORMAT)
+            ? CLIPBOARD_FORMAT
+            : item.types.includes('text/plain')
+            ? 'text/plain'
+            : null;
+          if (!type) continue;
+          const copyData = parseCopyData(
+            await (await item.getType(type)).text(),
+          );
+          if (copyData) return copyData;
+        }
+        return null;
+      } catch (e) {
+        // Fall back to reading plain text.
+      }
+    }
+    try {
+      return parseCopyData(await clipboard.readText());
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Returns whether the browser can write custom clipboard formats.
+   * @returns {boolean} True if custom formats are supported.
+   * @private
+   */
+  supportsCustomFormat_() {
+    if (typeof ClipboardItem === 'undefined' || !navigator.clipboard.write) {
+      return false;
+    }
+    return (
+      typeof ClipboardItem.supports !== 'function' ||
+      ClipboardItem.supports(CLIPBOARD_FORMAT)
+    );
+  }
+}
+
+/**
+ * Creates the transport for the given option.
+ * @param {string|!CopyDataTransport} transport The name of a built-in
+ *     transport ('localStorage', 'broadcastChannel' or 'clipboard'), or a
+ *     transport object.
+ * @returns {!CopyDataTransport} The transport.
+ */
+export function createTransport(transport) {
+  if (transport && typeof transport === 'object') {
+    return transport;
+  }
+  switch (transport) {
+    case 'localStorage':
+      return new LocalStorageTransport();
+    case 'broadcastChannel':
+      return new BroadcastChannelTransport();
+    case 'clipboard':
+      return new ClipboardTransport();
+    default:
+      throw new Error(`Unknown cross-tab copy paste transport: ${transport}`);
+  }
+}
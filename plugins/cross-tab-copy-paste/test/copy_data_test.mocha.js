@@ -0,0 +1,273 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Unit tests for copying several items and the variables and
+ * procedures they reference.
+ */
+
+const assert = require('assert');
+const Blockly = require('blockly');
+const sinon = require('sinon');
+
+const {MULTI_PASTER_TYPE} = require('../src/index');
+const {
+  createCopyData,
+  createReferences,
+  registerMultiPaster,
+} = require('../src/copy_data');
+const {
+  createBlock,
+  setUpRenderedWorkspace,
+  tearDownRenderedWorkspace,
+} = require('./test_helper');
+
+/**
+ * Creates a rendered workspace comment.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {number} x The x coordinate of the comment.
+ * @param {number} y The y coordinate of the comment.
+ * @returns {!Blockly.comments.RenderedWorkspaceComment} The comment.
+ */
+function createComment(workspace, x, y) {
+  const comment = new Blockly.comments.RenderedWorkspaceComment(workspace);
+  comment.setText('A comment');
+  comment.moveTo(new Blockly.utils.Coordinate(x, y));
+  return comment;
+}
+
+/**
+ * Returns the position of an item relative to another.
+ * @param {!Blockly.ICopyable} item The item.
+ * @param {!Blockly.ICopyable} origin The item to measure from.
+ * @returns {!Blockly.utils.Coordinate} The relative position.
+ */
+function getRelativePosition(item, origin) {
+  return Blockly.utils.Coordinate.difference(
+    item.getRelativeToSurfaceXY(),
+    origin.getRelativeToSurfaceXY(),
+  );
+}
+
+suite('Copy data', function () {
+  setup(function () {
+    this.workspace = setUpRenderedWorkspace();
+    registerMultiPaster();
+  });
+
+  teardown(function () {
+    tearDownRenderedWorkspace(this.workspace);
+  });
+
+  suite('createCopyData', function () {
+    test('A single item is copied with its own copy data', function () {
+      const block = createBlock(this.workspace, 'text');
+      const copyData = createCopyData([block]);
+      assert.equal(copyData.paster, 'block');
+      assert.equal(copyData.blockState.type, 'text');
+    });
+
+    test('Several items are copied together', function () {
+      const items = [
+        createBlock(this.workspace, 'text', 0, 0),
+        createBlock(this.workspace, 'text', 100, 0),
+        createBlock(this.workspace, 'math_number', 0, 100),
+        createComment(this.workspace, 200, 200),
+      ];
+      const copyData = createCopyData(items);
+      assert.equal(copyData.paster, MULTI_PASTER_TYPE);
+      assert.deepEqual(
+        copyData.items.map((item) => item.paster),
+        ['block', 'block', 'block', 'workspace-comment'],
+      );
+      assert.deepEqual(copyData.typeCounts, {text: 2, math_number: 1});
+    });
+
+    test('Referenced variables are saved', function () {
+      const variable = this.workspace.createVariable('item', '', 'itemId');
+      const block = createBlock(this.workspace, 'variables_get');
+      block.getField('VAR').setValue(variable.getId());
+      const copyData = createCopyData([block]);
+      assert.deepEqual(copyData.variables, [
+        {name: 'item', id: 'itemId', type: ''},
+      ]);
+    });
+
+    test('Nothing is copied without items', function () {
+      assert.equal(createCopyData([]), null);
+    });
+  });
+
+  suite('MultiPaster', function () {
+    setup(function () {
+      this.items = [
+        createBlock(this.workspace, 'text', 10, 20),
+        createBlock(this.workspace, 'math_number', 110, 70),
+        createComment(this.workspace, 60, 200),
+      ];
+      this.copyData = createCopyData(this.items);
+    });
+
+    /**
+     * Returns the items that were pasted, in the order they were copied.
+     * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+     * @param {!Array<!Blockly.ICopyable>} copied The copied items.
+     * @returns {!Array<!Blockly.ICopyable>} The pasted items.
+     */
+    function getPastedItems(workspace, copied) {
+      const blocks = workspace
+        .getTopBlocks(false)
+        .filter((block) => !copied.includes(block));
+      const comments = workspace
+        .getTopComments(false)
+        .filter((comment) => !copied.includes(comment));
+      return [
+        blocks.find((block) => block.type === 'text'),
+        blocks.find((block) => block.type === 'math_number'),
+        comments[0],
+      ];
+    }
+
+    test('Items keep their relative positions', function () {
+      const coordinate = new Blockly.utils.Coordinate(500, 500);
+      const first = Blockly.clipboard.paste(
+        this.copyData,
+        this.workspace,
+        coordinate,
+      );
+      const pasted = getPastedItems(this.workspace, this.items);
+      assert.equal(first, pasted[0]);
+      assert.deepEqual(
+        first.getRelativeToSurfaceXY(),
+        new Blockly.utils.Coordinate(500, 500),
+      );
+      for (let i = 1; i < pasted.length; i++) {
+        assert.deepEqual(
+          getRelativePosition(pasted[i], pasted[0]),
+          getRelativePosition(this.items[i], this.items[0]),
+        );
+      }
+    });
+
+    test('Items pasted where they were copied move together', function () {
+      Blockly.clipboard.paste(this.copyData, this.workspace);
+      const pasted = getPastedItems(this.workspace, this.items);
+      const offset = getRelativePosition(pasted[0], this.items[0]);
+      assert.notDeepEqual(offset, new Blockly.utils.Coordinate(0, 0));
+      for (let i = 1; i < pasted.length; i++) {
+        assert.deepEqual(getRelativePosition(pasted[i], this.items[i]), offset);
+      }
+    });
+
+    test('Items are pasted in one event group', async function () {
+      // Events are fired asynchronously, so let the copied items' events
+      // fire first.
+      await new Promise((resolve) => setTimeout(resolve));
+      const events = [];
+      this.workspace.addChangeListener((e) => {
+        if (
+          e.type === Blockly.Events.BLOCK_CREATE ||
+          e.type === Blockly.Events.COMMENT_CREATE
+        ) {
+          events.push(e);
+        }
+      });
+      Blockly.clipboard.paste(this.copyData, this.workspace);
+      await new Promise((resolve) => setTimeout(resolve));
+      assert.equal(events.length, 3);
+      const groups = new Set(events.map((e) => e.group));
+      assert.equal(groups.size, 1);
+      assert.ok([...groups][0]);
+    });
+
+    test('Nothing is pasted beyond the workspace capacity', function () {
+      this.workspace.options.maxBlocks = 3;
+      assert.equal(
+        Blockly.clipboard.paste(this.copyData, this.workspace),
+        null,
+      );
+      assert.equal(this.workspace.getTopBlocks(false).length, 2);
+    });
+  });
+
+  suite('createReferences', function () {
+    setup(function () {
+      this.serializer = {
+        priority: Blockly.serialization.priorities.PROCEDURES,
+        save: () => null,
+        load: sinon.spy(),
+        clear: () => {},
+      };
+      Blockly.registry.register(
+        Blockly.registry.Type.SERIALIZER,
+        'procedures',
+        this.serializer,
+      );
+    });
+
+    teardown(function () {
+      Blockly.registry.unregister(
+        Blockly.registry.Type.SERIALIZER,
+        'procedures',
+      );
+    });
+
+    test('Missing variables are created', function () {
+      this.workspace.createVariable('existing', '', 'existingId');
+      createReferences(
+        {
+          paster: 'block',
+          variables: [
+            {name: 'item', id: 'itemId', type: ''},
+            {name: 'existing', id: 'otherId', type: ''},
+            {name: 'count', id: 'countId', type: 'Number'},
+          ],
+        },
+        this.workspace,
+      );
+      assert.equal(this.workspace.getVariableById('itemId').name, 'item');
+      assert.equal(this.workspace.getVariableById('countId').type, 'Number');
+      assert.equal(this.workspace.getVariableById('otherId'), null);
+      assert.equal(this.workspace.getAllVariables().length, 3);
+    });
+
+    test('Missing procedures are loaded by the serializer', function () {
+      this.workspace.getProcedureMap().add({
+        getId: () => 'existingId',
+        getName: () => 'Existing',
+      });
+      const missing = {id: 'missingId', name: 'missing'};
+      createReferences(
+        {
+          paster: 'block',
+          procedures: [
+            missing,
+            {id: 'existingId', name: 'renamed'},
+            {id: 'otherId', name: 'EXISTING'},
+          ],
+        },
+        this.workspace,
+      );
+      sinon.assert.calledOnceWithExactly(
+        this.serializer.load,
+        [missing],
+        this.workspace,
+      );
+    });
+
+    test('Nothing is loaded if all procedures exist', function () {
+      this.workspace.getProcedureMap().add({
+        getId: () => 'existingId',
+        getName: () => 'Existing',
+      });
+      createReferences(
+        {paster: 'block', procedures: [{id: 'existingId', name: 'Existing'}]},
+        this.workspace,
+      );
+      sinon.assert.notCalled(this.serializer.load);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Unit tests for copying, cutting and pasting through a
+ * transport.
+ */
+
+const assert = require('assert');
+const Blockly = require('blockly');
+const sinon = require('sinon');
+
+const {CopyDataTransport, CrossTabCopyPaste} = require('../src/index');
+const {
+  createBlock,
+  setUpRenderedWorkspace,
+  tearDownRenderedWorkspace,
+} = require('./test_helper');
+
+/**
+ * A transport whose writes and reads are controlled by the tests.
+ */
+class FakeTransport extends CopyDataTransport {
+  /**
+   * Constructs a FakeTransport.
+   */
+  constructor() {
+    super();
+    this.write = sinon.stub().resolves();
+    this.read = sinon.stub().resolves(null);
+  }
+}
+
+/**
+ * Returns a promise and the functions that settle it.
+ * @returns {{promise: !Promise, resolve: !Function, reject: !Function}} The
+ *     promise and its resolve and reject functions.
+ */
+function createDeferred() {
+  const deferred = {};
+  deferred.promise = new Promise((resolve, reject) => {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  });
+  return deferred;
+}
+
+/**
+ * Waits for pending promise callbacks to run.
+ * @returns {!Promise} A promise that resolves after them.
+ */
+function flushPromises() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
+
+suite('CrossTabCopyPaste', function () {
+  setup(function () {
+    this.workspace = setUpRenderedWorkspace();
+    this.block = createBlock(this.workspace, 'text');
+    this.transport = new FakeTransport();
+    this.onError = sinon.spy();
+    this.plugin = new CrossTabCopyPaste();
+    this.plugin.init({
+      contextMenu: false,
+      shortcut: true,
+      transport: this.transport,
+      getSelection: () => [this.block],
+      onError: this.onError,
+    });
+    this.event = new window.KeyboardEvent('keydown');
+  });
+
+  teardown(function () {
+    this.plugin.dispose();
+    const registry = Blockly.ShortcutRegistry.registry;
+    for (const name of ['copy', 'cut', 'paste']) {
+      registry.unregister(name);
+    }
+    Blockly.ShortcutItems.registerCopy();
+    Blockly.ShortcutItems.registerCut();
+    Blockly.ShortcutItems.registerPaste();
+    tearDownRenderedWorkspace(this.workspace);
+  });
+
+  /**
+   * Runs a registered keyboard shortcut on the workspace.
+   * @param {string} name The name of the shortcut.
+   * @returns {boolean} What the shortcut's callback returned.
+   */
+  function runShortcut(name) {
+    const shortcut = Blockly.ShortcutRegistry.registry.getRegistry()[name];
+    return shortcut.callback(this.workspace, this.event, shortcut);
+  }
+
+  suite('Copy', function () {
+    test('The selection is written to the transport', function () {
+      assert.ok(runShortcut.call(this, 'copy'));
+      sinon.assert.calledOnce(this.transport.write);
+      const copyData = this.transport.write.firstCall.args[0];
+      assert.equal(copyData.blockState.type, 'text');
+    });
+
+    test('Failed writes are passed to onError', async function () {
+      const error = new Error('Denied');
+      this.transport.write.rejects(error);
+      runShortcut.call(this, 'copy');
+      await flushPromises();
+      sinon.assert.calledOnceWithExactly(this.onError, error);
+    });
+
+    test('Failed writes are logged without onError', async function () {
+      this.plugin.onError_ = null;
+      const warn = sinon.stub(console, 'warn');
+      const error = new Error('Denied');
+      this.transport.write.rejects(error);
+      runShortcut.call(this, 'copy');
+      await flushPromises();
+      sinon.assert.calledOnce(warn);
+      assert.equal(warn.firstCall.args[1], error);
+    });
+  });
+
+  suite('Cut', function () {
+    test('Items are deleted only after the write resolves', async function () {
+      const written = createDeferred();
+      this.transport.write.returns(written.promise);
+      assert.ok(runShortcut.call(this, 'cut'));
+      await flushPromises();
+      assert.ok(!this.block.isDisposed());
+
+      written.resolve();
+      await flushPromises();
+      assert.ok(this.block.isDisposed());
+      sinon.assert.notCalled(this.onError);
+    });
+
+    test('Items are kept if the write rejects', async function () {
+      const error = new Error('Full');
+      this.transport.write.rejects(error);
+      runShortcut.call(this, 'cut');
+      await flushPromises();
+      assert.ok(!this.block.isDisposed());
+      sinon.assert.calledOnceWithExactly(this.onError, error);
+    });
+  });
+
+  suite('Paste', function () {
+    setup(function () {
+      this.copyData = this.block.toCopyData();
+    });
+
+    test('Copy data that is known is pasted at once', function () {
+      sinon.stub(this.transport, 'peek').returns(this.copyData);
+      runShortcut.call(this, 'paste');
+      assert.equal(this.workspace.getTopBlocks().length, 2);
+      sinon.assert.notCalled(this.transport.read);
+    });
+
+    test('Copy data is pasted once it has been read', async function () {
+      const read = createDeferred();
+      this.transport.read.returns(read.promise);
+      runShortcut.call(this, 'paste');
+      assert.equal(this.workspace.getTopBlocks().length, 1);
+
+      read.resolve(this.copyData);
+      await flushPromises();
+      assert.equal(this.workspace.getTopBlocks().length, 2);
+    });
+
+    test('Failed reads are passed to onError', async function () {
+      const error = new Error('Denied');
+      this.transport.read.rejects(error);
+      runShortcut.call(this, 'paste');
+      await flushPromises();
+      sinon.assert.calledOnceWithExactly(this.onError, error);
+      assert.equal(this.workspace.getTopBlocks().length, 1);
+    });
+  });
+});
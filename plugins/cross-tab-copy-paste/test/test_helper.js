@@ -0,0 +1,64 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+const Blockly = require('blockly');
+const sinon = require('sinon');
+
+/**
+ * Sets up a page with a rendered workspace on it.
+ * @returns {!Blockly.WorkspaceSvg} The workspace.
+ */
+export function setUpRenderedWorkspace() {
+  const jsdomCleanup = require('jsdom-global')(
+    '<!DOCTYPE html><div id="blocklyDiv"></div>',
+    // Blocks are rendered in animation frames.
+    {pretendToBeVisual: true, url: 'http://localhost/'},
+  );
+  // Used by Blockly to measure text while rendering, which jsdom doesn't
+  // implement.
+  sinon
+    .stub(window.HTMLCanvasElement.prototype, 'getContext')
+    .returns({measureText: (text) => ({width: text.length * 8})});
+  // Used by Blockly to size workspace comments. The window is new for every
+  // page, so these don't need to be undone.
+  window.SVGElement.prototype.getBBox = () => ({
+    x: 0,
+    y: 0,
+    width: 0,
+    height: 0,
+  });
+  window.Element.prototype.checkVisibility = () => true;
+  const workspace = Blockly.inject('blocklyDiv');
+  workspace.jsdomCleanup = jsdomCleanup;
+  return workspace;
+}
+
+/**
+ * Disposes of a workspace created by setUpRenderedWorkspace(), and cleans up
+ * the page.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ */
+export function tearDownRenderedWorkspace(workspace) {
+  workspace.dispose();
+  sinon.restore();
+  workspace.jsdomCleanup();
+}
+
+/**
+ * Creates a rendered block on a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {string} type The type of the block.
+ * @param {number} x The x coordinate of the block.
+ * @param {number} y The y coordinate of the block.
+ * @returns {!Blockly.BlockSvg} The block.
+ */
+export function createBlock(workspace, type, x = 0, y = 0) {
+  const block = workspace.newBlock(type);
+  block.initSvg();
+  block.render();
+  block.moveBy(x, y);
+  return block;
+}
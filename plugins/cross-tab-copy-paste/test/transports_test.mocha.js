@@ -0,0 +1,293 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Unit tests for the transports that carry copied blocks
+ * between tabs.
+ */
+
+const assert = require('assert');
+const sinon = require('sinon');
+
+const {
+  BroadcastChannelTransport,
+  CLIPBOARD_FORMAT,
+  ClipboardTransport,
+  CopyDataTransport,
+  LocalStorageTransport,
+  STORAGE_KEY,
+  createTransport,
+} = require('../src/index');
+
+/**
+ * A stand-in for the part of Blob used by ClipboardTransport, since jsdom's
+ * Blob can't be read back as text.
+ */
+class FakeBlob {
+  /**
+   * Constructs a FakeBlob.
+   * @param {!Array<string>} parts The contents of the blob.
+   * @param {{type: string}} options The type of the blob.
+   */
+  constructor(parts, options) {
+    this.parts = parts;
+    this.type = options.type;
+  }
+
+  /**
+   * Returns the contents of the blob.
+   * @returns {!Promise<string>} The contents.
+   */
+  async text() {
+    return this.parts.join('');
+  }
+}
+
+/**
+ * A stand-in for ClipboardItem, which jsdom doesn't implement.
+ */
+class FakeClipboardItem {
+  /**
+   * Constructs a FakeClipboardItem.
+   * @param {!Object<string, !FakeBlob>} items The blobs by type.
+   */
+  constructor(items) {
+    this.items = items;
+    this.types = Object.keys(items);
+  }
+
+  /**
+   * Returns the blob of the given type.
+   * @param {string} type The type.
+   * @returns {!Promise<!FakeBlob>} The blob.
+   */
+  async getType(type) {
+    return this.items[type];
+  }
+}
+
+/**
+ * Creates an in-memory stand-in for navigator.clipboard.
+ * @returns {!Object} The clipboard.
+ */
+function createClipboard() {
+  const clipboard = {items: [], text: ''};
+  clipboard.write = sinon.fake(async (items) => {
+    clipboard.items = items;
+  });
+  clipboard.read = sinon.fake(async () => clipboard.items);
+  clipboard.writeText = sinon.fake(async (text) => {
+    clipboard.text = text;
+    clipboard.items = [
+      new FakeClipboardItem({'text/plain': new FakeBlob([text], {})}),
+    ];
+  });
+  clipboard.readText = sinon.fake(async () => clipboard.text);
+  return clipboard;
+}
+
+suite('Transports', function () {
+  setup(function () {
+    this.jsdomCleanup = require('jsdom-global')('', {
+      url: 'http://localhost/',
+    });
+    global.localStorage = window.localStorage;
+    this.copyData = {paster: 'block', blockState: {type: 'text'}};
+  });
+
+  teardown(function () {
+    sinon.restore();
+    window.localStorage.clear();
+    delete global.localStorage;
+    this.jsdomCleanup();
+  });
+
+  suite('LocalStorageTransport', function () {
+    setup(function () {
+      this.transport = new LocalStorageTransport();
+    });
+
+    teardown(function () {
+      this.transport.dispose();
+    });
+
+    test('Nothing is available before writing', async function () {
+      assert.equal(this.transport.peek(), null);
+      assert.equal(await this.transport.read(), null);
+    });
+
+    test('Written copy data is read back', async function () {
+      await this.transport.write(this.copyData);
+      assert.deepEqual(this.transport.peek(), this.copyData);
+      assert.deepEqual(await this.transport.read(), this.copyData);
+      assert.deepEqual(
+        JSON.parse(window.localStorage.getItem(STORAGE_KEY)),
+        this.copyData,
+      );
+    });
+
+    test('Text that is not copy data is ignored', function () {
+      window.localStorage.setItem(STORAGE_KEY, '{');
+      assert.equal(this.transport.peek(), null);
+      window.localStorage.setItem(STORAGE_KEY, '{"blockState": {}}');
+      assert.equal(this.transport.peek(), null);
+    });
+
+    test('Listeners are told about writes in other tabs', function () {
+      const listener = sinon.spy();
+      const removeListener = this.transport.addChangeListener(listener);
+      window.dispatchEvent(
+        new window.StorageEvent('storage', {
+          key: STORAGE_KEY,
+          newValue: JSON.stringify(this.copyData),
+          storageArea: window.localStorage,
+        }),
+      );
+      window.dispatchEvent(
+        new window.StorageEvent('storage', {
+          key: 'otherKey',
+          newValue: JSON.stringify(this.copyData),
+          storageArea: window.localStorage,
+        }),
+      );
+      sinon.assert.calledOnce(listener);
+      assert.deepEqual(listener.firstCall.args[0], this.copyData);
+
+      removeListener();
+      this.transport.write(this.copyData);
+      sinon.assert.calledOnce(listener);
+    });
+
+    test('Failed writes reject', async function () {
+      sinon
+        .stub(window.localStorage.__proto__, 'setItem')
+        .throws(new window.DOMException('Full', 'QuotaExceededError'));
+      await assert.rejects(this.transport.write(this.copyData), {
+        name: 'QuotaExceededError',
+      });
+    });
+  });
+
+  suite('BroadcastChannelTransport', function () {
+    setup(function () {
+      this.transport = new BroadcastChannelTransport('testChannel');
+      this.otherTab = new BroadcastChannelTransport('testChannel');
+    });
+
+    teardown(function () {
+      this.transport.dispose();
+      this.otherTab.dispose();
+    });
+
+    test('Written copy data is read back', async function () {
+      await this.transport.write(this.copyData);
+      assert.deepEqual(await this.transport.read(), this.copyData);
+      assert.deepEqual(await this.otherTab.read(), this.copyData);
+    });
+
+    test('Other tabs are told about writes', async function () {
+      const received = new Promise((resolve) =>
+        this.otherTab.addChangeListener(resolve),
+      );
+      const listener = sinon.spy();
+      this.transport.addChangeListener(listener);
+      await this.transport.write(this.copyData);
+      assert.deepEqual(await received, this.copyData);
+      sinon.assert.calledOnceWithExactly(listener, this.copyData);
+    });
+  });
+
+  suite('ClipboardTransport', function () {
+    setup(function () {
+      this.clipboard = createClipboard();
+      Object.defineProperty(window.navigator, 'clipboard', {
+        value: this.clipboard,
+        configurable: true,
+      });
+      this.transport = new ClipboardTransport();
+    });
+
+    teardown(function () {
+      this.transport.dispose();
+      delete window.navigator.clipboard;
+      delete global.ClipboardItem;
+      delete global.Blob;
+    });
+
+    test('Copy data is not known without reading', function () {
+      assert.strictEqual(this.transport.peek(), undefined);
+    });
+
+    test('Copy data is written in the custom format', async function () {
+      global.ClipboardItem = FakeClipboardItem;
+      global.Blob = FakeBlob;
+      await this.transport.write(this.copyData);
+      sinon.assert.calledOnce(this.clipboard.write);
+      sinon.assert.notCalled(this.clipboard.writeText);
+      assert.deepEqual(this.clipboard.items[0].types, [
+        CLIPBOARD_FORMAT,
+        'text/plain',
+      ]);
+      assert.deepEqual(await this.transport.read(), this.copyData);
+    });
+
+    test('Copy data falls back to plain text', async function () {
+      await this.transport.write(this.copyData);
+      sinon.assert.notCalled(this.clipboard.write);
+      sinon.assert.calledOnce(this.clipboard.writeText);
+      assert.deepEqual(await this.transport.read(), this.copyData);
+    });
+
+    test('Failed custom format writes fall back to plain text', async function () {
+      global.ClipboardItem = FakeClipboardItem;
+      global.Blob = FakeBlob;
+      this.clipboard.write = sinon.fake.rejects(new Error('Not allowed'));
+      await this.transport.write(this.copyData);
+      sinon.assert.calledOnce(this.clipboard.writeText);
+      assert.deepEqual(await this.transport.read(), this.copyData);
+    });
+
+    test('Plain text is read when clipboard items fail', async function () {
+      await this.transport.write(this.copyData);
+      this.clipboard.read = sinon.fake.rejects(new Error('Not allowed'));
+      assert.deepEqual(await this.transport.read(), this.copyData);
+      sinon.assert.calledOnce(this.clipboard.readText);
+    });
+
+    test('Text that is not copy data is ignored', async function () {
+      await this.clipboard.writeText('Hello');
+      assert.equal(await this.transport.read(), null);
+    });
+
+    test('Denied writes reject', async function () {
+      this.clipboard.writeText = sinon.fake.rejects(new Error('Denied'));
+      await assert.rejects(this.transport.write(this.copyData), /Denied/);
+    });
+  });
+
+  suite('createTransport', function () {
+    test('Built-in transports are created by name', function () {
+      const transports = [
+        [createTransport('localStorage'), LocalStorageTransport],
+        [createTransport('broadcastChannel'), BroadcastChannelTransport],
+        [createTransport('clipboard'), ClipboardTransport],
+      ];
+      for (const [transport, type] of transports) {
+        assert.equal(transport.constructor, type);
+        transport.dispose();
+      }
+    });
+
+    test('Transport objects are used as they are', function () {
+      const transport = new CopyDataTransport();
+      assert.equal(createTransport(transport), transport);
+    });
+
+    test('Unknown transports throw', function () {
+      assert.throws(() => createTransport('carrierPigeon'), /carrierPigeon/);
+    });
+  });
+});
@@ -211,6 +211,9 @@ export class FieldAngle extends Blockly.FieldNumber {
       Blockly.utils.userAgent.ANDROID ||
       Blockly.utils.userAgent.IPAD;
     super.showEditor_(e, noFocus);
+    // Describe the text input as a spin button, so that screen readers
+    // announce its value as it is stepped with the arrow keys.
+    this.htmlInput_?.setAttribute('role', 'spinbutton');
 
     const editor = this.dropdownCreate();
     Blockly.DropDownDiv.getContentDiv().appendChild(editor);
@@ -246,6 +249,9 @@ export class FieldAngle extends Blockly.FieldNumber {
       'version': '1.1',
       'height': FieldAngle.HALF * 2 + 'px',
       'width': FieldAngle.HALF * 2 + 'px',
+      // The dial can be focused and operated with the keyboard.
+      'tabindex': 0,
+      'role': 'slider',
     });
     svg.style.touchAction = 'none';
     const circle = Blockly.utils.dom.createSvgElement(
@@ -348,6 +354,14 @@ export class FieldAngle extends Blockly.FieldNumber {
     this.boundEvents.push(
       Blockly.browserEvents.conditionalBind(svg, 'click', this, this.hide),
     );
+    this.boundEvents.push(
+      Blockly.browserEvents.conditionalBind(
+        svg,
+        'keydown',
+        this,
+        this.onDialKeyDown,
+      ),
+    );
     // On touch devices, the picker's value is only updated with a drag.  Add
     // a click handler on the drag surface to update the value if the surface
     // is clicked.
@@ -499,7 +513,10 @@ export class FieldAngle extends Blockly.FieldNumber {
     }
   }
 
-  /** Redraw the graph with the current angle. */
+  /**
+   * Redraw the graph with the current angle, and update the values that the
+   * dial and the text input report to screen readers.
+   */
   private updateGraph() {
     if (!this.gauge || !this.line) {
       return;
@@ -509,6 +526,13 @@ export class FieldAngle extends Blockly.FieldNumber {
       // This shouldn't happen, but let's not let this error propagate further.
       return;
     }
+    const valueText = this.getText() + this.symbol;
+    for (const element of [this.gauge.ownerSVGElement, this.htmlInput_]) {
+      element?.setAttribute('aria-valuemin', `${this.min_}`);
+      element?.setAttribute('aria-valuemax', `${this.max_}`);
+      element?.setAttribute('aria-valuenow', `${angle}`);
+      element?.setAttribute('aria-valuetext', valueText);
+    }
     angle = this.fieldAngleToRadians(angle);
 
     let path = `M ${FieldAngle.HALF},${FieldAngle.HALF}`;
@@ -536,13 +560,62 @@ export class FieldAngle extends Blockly.FieldNumber {
   }
 
   /**
-   * Handle key down to the editor.
+   * Handle key down to the editor. Alt + down arrow moves focus to the dial.
    *
    * @param e Keyboard event.
    */
   // eslint-disable-next-line @typescript-eslint/naming-convention
   protected override onHtmlInputKeyDown_(e: KeyboardEvent) {
+    const dial = this.gauge?.ownerSVGElement;
+    if (e.altKey && e.key === 'ArrowDown' && dial) {
+      dial.focus({preventScroll: true});
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
     super.onHtmlInputKeyDown_(e);
+
+    const value = this.getKeyboardValue(e, false);
+    if (value !== null) {
+      this.displayMouseOrKeyboardValue(value);
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+
+  /**
+   * Handle key down to the dial. Typing a number moves focus to the text
+   * input, so that the value can be typed directly.
+   *
+   * @param e Keyboard event.
+   */
+  private onDialKeyDown(e: KeyboardEvent) {
+    const value = this.getKeyboardValue(e, true);
+    if (value !== null) {
+      this.displayMouseOrKeyboardValue(value);
+      e.preventDefault();
+      e.stopPropagation();
+    } else if (/^[\d.-]$/.test(e.key) && this.htmlInput_) {
+      // Don't prevent the default, so the key is typed into the text input.
+      this.htmlInput_.focus({preventScroll: true});
+      this.htmlInput_.select();
+    } else {
+      // Enter, escape and tab are handled like in the text input.
+      super.onHtmlInputKeyDown_(e);
+    }
+  }
+
+  /**
+   * Gets the angle that a key press moves the field to. The arrow keys step
+   * the angle by the precision, or by the major tick interval if shift is
+   * held, as do page up/down. Home/end jump to the min/max, on the dial only
+   * since they move the caret in the text input.
+   *
+   * @param e Keyboard event.
+   * @param isDial True if the key was pressed on the dial.
+   * @returns The new angle, or null if the key doesn't change the angle.
+   */
+  private getKeyboardValue(e: KeyboardEvent, isDial: boolean): number | null {
     const block = this.getSourceBlock();
     if (!block) {
       throw new Error(
@@ -550,7 +623,13 @@ export class FieldAngle extends Blockly.FieldNumber {
           'Call appendField to attach it.',
       );
     }
+    if (e.altKey || e.ctrlKey || e.metaKey) {
+      return null;
+    }
 
+    const value = this.getValue() as number;
+    const step = this.precision_ || 1;
+    const largeStep = Math.max(step, this.majorTick || step * 10);
     let multiplier = 0;
     switch (e.key) {
       case 'ArrowLeft':
@@ -569,13 +648,24 @@ export class FieldAngle extends Blockly.FieldNumber {
         // increment
         multiplier = 1;
         break;
+      case 'PageUp':
+        return value + largeStep;
+      case 'PageDown':
+        return value - largeStep;
+      case 'Home':
+        return isDial ? this.min_ : null;
+      case 'End':
+        if (!isDial) return null;
+        // A max at the end of the display range wraps around to the start,
+        // so go to the last step before it instead.
+        return this.wrapValue(this.max_) === this.max_
+          ? this.max_
+          : this.max_ - step;
     }
-    if (multiplier) {
-      const value = this.getValue() as number;
-      this.displayMouseOrKeyboardValue(value + multiplier * this.precision_);
-      e.preventDefault();
-      e.stopPropagation();
+    if (!multiplier) {
+      return null;
     }
+    return value + multiplier * (e.shiftKey ? largeStep : step);
   }
 
   /**
@@ -7,6 +7,7 @@
 const {testHelpers} = require('@blockly/dev-tools');
 const {FieldAngle, registerFieldAngle} = require('../src/index');
 const {assert} = require('chai');
+const sinon = require('sinon');
 
 const {
   assertFieldValue,
@@ -325,4 +326,115 @@ suite('FieldAngle', function () {
       this.assertValue(90);
     });
   });
+
+  suite('Keyboard', function () {
+    /**
+     * Creates a fake key down event.
+     * @param {string} key The key that was pressed.
+     * @param {!Object=} modifiers The modifier keys that were held.
+     * @returns {!Object} The fake event.
+     */
+    function createKeyDownEvent(key, modifiers = {}) {
+      return {
+        key,
+        altKey: false,
+        ctrlKey: false,
+        metaKey: false,
+        shiftKey: false,
+        ...modifiers,
+        preventDefault: sinon.fake(),
+        stopPropagation: sinon.fake(),
+      };
+    }
+
+    setup(function () {
+      this.workspace = new Blockly.Workspace();
+      Blockly.defineBlocksWithJsonArray([
+        {
+          type: 'angle_block',
+          message0: '%1',
+          args0: [
+            {
+              type: 'field_angle',
+              name: 'ANGLE',
+              value: 90,
+            },
+          ],
+        },
+      ]);
+      this.field = this.workspace.newBlock('angle_block').getField('ANGLE');
+    });
+
+    teardown(function () {
+      this.workspace.dispose();
+      delete Blockly.Blocks['angle_block'];
+    });
+
+    suite('Dial', function () {
+      const testCases = [
+        {title: 'Right arrow steps up', key: 'ArrowRight', expected: 105},
+        {title: 'Up arrow steps up', key: 'ArrowUp', expected: 105},
+        {title: 'Left arrow steps down', key: 'ArrowLeft', expected: 75},
+        {title: 'Down arrow steps down', key: 'ArrowDown', expected: 75},
+        {
+          title: 'Shift + up arrow steps by the major tick',
+          key: 'ArrowUp',
+          modifiers: {shiftKey: true},
+          expected: 135,
+        },
+        {
+          title: 'Page down steps by the major tick',
+          key: 'PageDown',
+          expected: 45,
+        },
+        {title: 'Home jumps to the min', key: 'Home', expected: 0},
+        {
+          title: 'End jumps to the last step before a wrapping max',
+          key: 'End',
+          expected: 345,
+        },
+      ];
+      testCases.forEach(function (testCase) {
+        test(testCase.title, function () {
+          const e = createKeyDownEvent(testCase.key, testCase.modifiers);
+          this.field.onDialKeyDown(e);
+          assertFieldValue(this.field, testCase.expected);
+          sinon.assert.calledOnce(e.preventDefault);
+        });
+      });
+      test('Steps wrap around the dial', function () {
+        this.field.setValue(0);
+        this.field.onDialKeyDown(createKeyDownEvent('ArrowDown'));
+        assertFieldValue(this.field, 345);
+      });
+      test('End jumps to a max that does not wrap', function () {
+        this.field.setConstraints(0, 180, 15);
+        this.field.onDialKeyDown(createKeyDownEvent('End'));
+        assertFieldValue(this.field, 180);
+      });
+      test('Other keys do not change the value', function () {
+        const e = createKeyDownEvent('a');
+        this.field.onDialKeyDown(e);
+        assertFieldValue(this.field, 90);
+        sinon.assert.notCalled(e.preventDefault);
+      });
+    });
+
+    suite('Text input', function () {
+      test('Shift + up arrow steps by the major tick', function () {
+        this.field.onHtmlInputKeyDown_(
+          createKeyDownEvent('ArrowUp', {shiftKey: true}),
+        );
+        assertFieldValue(this.field, 135);
+      });
+      test('Home and end move the caret', function () {
+        for (const key of ['Home', 'End']) {
+          const e = createKeyDownEvent(key);
+          this.field.onHtmlInputKeyDown_(e);
+          sinon.assert.notCalled(e.preventDefault);
+        }
+        assertFieldValue(this.field, 90);
+      });
+    });
+  });
 });
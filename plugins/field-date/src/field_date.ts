@@ -8,7 +8,17 @@
  * @fileoverview Plugin overview.
  */
 import * as Blockly from 'blockly/core';
-import {getLocaleDateString} from './utils';
+import {
+  addDays,
+  addMonths,
+  getCalendarWeeks,
+  getDayOfWeek,
+  getLocaleDateString,
+} from './utils';
+
+// Translations that were loaded before this plugin are kept.
+Blockly.Msg['FIELD_DATE_PREVIOUS_MONTH'] ??= 'Previous month';
+Blockly.Msg['FIELD_DATE_NEXT_MONTH'] ??= 'Next month';
 
 /**
  * Class for a date input field.
@@ -25,6 +35,29 @@ export class FieldDate extends Blockly.FieldTextInput {
    */
   CURSOR = 'text';
 
+  /**
+   * Array holding info needed to unbind events.
+   * Used for disposing.
+   * Ex: [[node, name, func], [node, name, func]].
+   */
+  private boundEvents: Blockly.browserEvents.Data[] = [];
+
+  /**
+   * The month and year shown by the calendar. Announced by screen readers
+   * when the month changes.
+   */
+  private calendarTitle: HTMLElement | null = null;
+
+  /**
+   * The body of the calendar grid, which holds a cell for each day.
+   */
+  private calendarBody: HTMLTableSectionElement | null = null;
+
+  /**
+   * The date that the calendar was last drawn for.
+   */
+  private calendarDate: string | null = null;
+
   /**
    * Class for a date input field. Derived from the Closure library date
    * picker.
@@ -104,6 +137,7 @@ export class FieldDate extends Blockly.FieldTextInput {
    */
   protected render_() {
     super.render_();
+    this.updateCalendar(false);
   }
 
   /**
@@ -140,21 +174,322 @@ export class FieldDate extends Blockly.FieldTextInput {
     super.updateSize_((margin ?? 0) + 20);
   }
 
+  /**
+   * Handles key down on the date input. Alt + down arrow moves focus to the
+   * calendar.
+   *
+   * @param e Keyboard event.
+   */
+  protected override onHtmlInputKeyDown_(e: KeyboardEvent) {
+    if (e.altKey && e.key === 'ArrowDown' && this.calendarBody) {
+      this.updateCalendar(true);
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+    super.onHtmlInputKeyDown_(e);
+  }
+
   /**
    * Shows the datepicker.
    */
   private showDropdown(): void {
     if (!this.htmlInput_) return;
     Blockly.utils.dom.addClass(this.htmlInput_, 'blocklyDateInput');
+    this.htmlInput_.setAttribute('aria-haspopup', 'grid');
+
+    // NOTE: The browser's own date picker (HTMLInputElement.showPicker()) is
+    // not used, because it isn't available for date inputs in Safari, and its
+    // calendar can't be described to screen readers or operated like the
+    // other field editors.
+    const editor = this.dropdownCreate();
+    Blockly.DropDownDiv.getContentDiv().appendChild(editor);
+    const sourceBlock = this.getSourceBlock();
+    if (sourceBlock instanceof Blockly.BlockSvg) {
+      Blockly.DropDownDiv.setColour(
+        sourceBlock.style.colourPrimary,
+        sourceBlock.style.colourTertiary,
+      );
+    }
+    Blockly.DropDownDiv.showPositionedByField<string>(
+      this,
+      this.dropdownDispose.bind(this),
+    );
+    this.updateCalendar(false);
+  }
+
+  /**
+   * Creates the calendar editor: a title with the month, buttons to go to
+   * the previous and next month, and a grid of the days of the month.
+   *
+   * @returns The newly created calendar.
+   */
+  private dropdownCreate(): HTMLElement {
+    const picker = document.createElement('div');
+    picker.className = 'blocklyDatePicker';
+
+    const header = document.createElement('div');
+    header.className = 'blocklyDatePickerHeader';
+    picker.appendChild(header);
+    const previousButton = this.createMonthButton(
+      '\u2039',
+      Blockly.Msg['FIELD_DATE_PREVIOUS_MONTH'],
+      -1,
+    );
+    header.appendChild(previousButton);
+    const title = document.createElement('div');
+    title.id = Blockly.utils.idGenerator.getNextUniqueId();
+    title.className = 'blocklyDatePickerTitle';
+    title.setAttribute('aria-live', 'polite');
+    header.appendChild(title);
+    this.calendarTitle = title;
+    header.appendChild(
+      this.createMonthButton('\u203A', Blockly.Msg['FIELD_DATE_NEXT_MONTH'], 1),
+    );
+
+    const grid = document.createElement('table');
+    grid.className = 'blocklyDatePickerGrid';
+    grid.setAttribute('role', 'grid');
+    grid.setAttribute('aria-labelledby', title.id);
+    picker.appendChild(grid);
+
+    // Label the columns with the days of the week, starting on a Sunday.
+    const language = navigator.language ?? 'en-US';
+    const shortFormat = new Intl.DateTimeFormat(language, {
+      weekday: 'narrow',
+      timeZone: 'UTC',
+    });
+    const longFormat = new Intl.DateTimeFormat(language, {
+      weekday: 'long',
+      timeZone: 'UTC',
+    });
+    const headerRow = grid.createTHead().insertRow();
+    for (let i = 0; i < 7; i++) {
+      // 2023-01-01 was a Sunday.
+      const date = new Date(Date.UTC(2023, 0, 1 + i));
+      const columnHeader = document.createElement('th');
+      columnHeader.scope = 'col';
+      columnHeader.abbr = longFormat.format(date);
+      columnHeader.textContent = shortFormat.format(date);
+      headerRow.appendChild(columnHeader);
+    }
+    this.calendarBody = grid.createTBody();
+
+    this.boundEvents.push(
+      Blockly.browserEvents.conditionalBind(
+        grid,
+        'click',
+        this,
+        this.onCalendarClick,
+      ),
+    );
+    this.boundEvents.push(
+      Blockly.browserEvents.conditionalBind(
+        grid,
+        'keydown',
+        this,
+        this.onCalendarKeyDown,
+      ),
+    );
+    return picker;
+  }
+
+  /**
+   * Creates a button that goes to another month.
+   *
+   * @param text The text of the button.
+   * @param label The label of the button for screen readers.
+   * @param months The number of months to go forward, or back if negative.
+   * @returns The newly created button.
+   */
+  private createMonthButton(
+    text: string,
+    label: string,
+    months: number,
+  ): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'blocklyDatePickerButton';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    this.boundEvents.push(
+      Blockly.browserEvents.conditionalBind(button, 'click', this, () => {
+        const value = this.getValue();
+        if (value) this.setIntermediateValue(addMonths(value, months));
+      }),
+    );
+    return button;
+  }
+
+  /**
+   * Disposes of events and elements belonging to the calendar editor.
+   */
+  private dropdownDispose() {
+    for (const event of this.boundEvents) {
+      Blockly.browserEvents.unbind(event);
+    }
+    this.boundEvents.length = 0;
+    this.calendarTitle = null;
+    this.calendarBody = null;
+    this.calendarDate = null;
+  }
+
+  /**
+   * Redraws the calendar for the current date, if it is shown.
+   *
+   * @param focus True to move focus to the current date in the calendar.
+   */
+  private updateCalendar(focus: boolean) {
+    const value = this.getValue();
+    if (!this.calendarBody || !this.calendarTitle || !value) return;
+
+    if (value !== this.calendarDate) {
+      this.calendarDate = value;
+      const language = navigator.language ?? 'en-US';
+      this.calendarTitle.textContent = new Intl.DateTimeFormat(language, {
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC',
+      }).format(new Date(value));
+      const dayFormat = new Intl.DateTimeFormat(language, {
+        day: 'numeric',
+        timeZone: 'UTC',
+      });
 
-    // NOTE: HTMLInputElement.showPicker() is not available in earlier
-    // TypeScript versions (like 4.7.4), so casting to `any` to be compatible
-    // with dev scripts. Additionally, it's not available for date inputs for
-    // Safari. For browser compatibility of showPicker, see:
-    // https://developer.mozilla.org/en-US/docs/Web/API/HTMLInputElement/showPicker
-    /* eslint-disable @typescript-eslint/no-explicit-any */
-    (this.htmlInput_ as any).showPicker();
-    /* eslint-enable @typescript-eslint/no-explicit-any */
+      this.calendarBody.textContent = '';
+      for (const week of getCalendarWeeks(value)) {
+        const row = this.calendarBody.insertRow();
+        for (const date of week) {
+          const cell = row.insertCell();
+          cell.setAttribute('role', 'gridcell');
+          if (!date) continue;
+          const selected = date === value;
+          cell.className = 'blocklyDatePickerDay';
+          if (selected) {
+            Blockly.utils.dom.addClass(cell, 'blocklyDatePickerSelected');
+          }
+          cell.textContent = dayFormat.format(new Date(date));
+          cell.setAttribute('aria-label', getLocaleDateString(date));
+          cell.setAttribute('aria-selected', `${selected}`);
+          cell.setAttribute('data-date', date);
+          // Only the selected date is in the tab order.
+          cell.tabIndex = selected ? 0 : -1;
+        }
+      }
+    }
+    if (focus) {
+      this.calendarBody
+        .querySelector<HTMLElement>('[aria-selected="true"]')
+        ?.focus({preventScroll: true});
+    }
+  }
+
+  /**
+   * Selects the date that was clicked on in the calendar, and closes the
+   * editor.
+   *
+   * @param e Pointer event.
+   */
+  private onCalendarClick(e: PointerEvent) {
+    const cell = (e.target as Element | null)?.closest('[data-date]');
+    const date = cell?.getAttribute('data-date');
+    if (!date) return;
+    this.setIntermediateValue(date);
+    this.hide();
+  }
+
+  /**
+   * Handles key down on the calendar. The arrow keys move by a day or a week,
+   * or by a month if shift is held. Page up/down move by a month, or by a
+   * year if shift is held. Home/end move to the start/end of the week. Space
+   * selects the date and closes the editor. Typing a number moves focus to
+   * the date input, so that the date can be typed directly.
+   *
+   * @param e Keyboard event.
+   */
+  private onCalendarKeyDown(e: KeyboardEvent) {
+    const date = this.getKeyboardDate(e);
+    if (date) {
+      this.setIntermediateValue(date);
+      this.updateCalendar(true);
+      e.preventDefault();
+      e.stopPropagation();
+    } else if (e.key === ' ') {
+      this.hide();
+      e.preventDefault();
+      e.stopPropagation();
+    } else if (/^\d$/.test(e.key) && this.htmlInput_) {
+      // Don't prevent the default, so the key is typed into the date input.
+      this.htmlInput_.focus({preventScroll: true});
+    } else {
+      // Enter, escape and tab are handled like in the date input.
+      super.onHtmlInputKeyDown_(e);
+    }
+  }
+
+  /**
+   * Gets the date that a key press in the calendar moves to.
+   *
+   * @param e Keyboard event.
+   * @returns The new date, or null if the key doesn't change the date.
+   */
+  private getKeyboardDate(e: KeyboardEvent): string | null {
+    const value = this.getValue();
+    if (!value || e.altKey || e.ctrlKey || e.metaKey) return null;
+    const rtl = !!this.getSourceBlock()?.RTL;
+    const forward = rtl ? 'ArrowLeft' : 'ArrowRight';
+    const back = rtl ? 'ArrowRight' : 'ArrowLeft';
+    switch (e.key) {
+      case back:
+        return e.shiftKey ? addMonths(value, -1) : addDays(value, -1);
+      case forward:
+        return e.shiftKey ? addMonths(value, 1) : addDays(value, 1);
+      case 'ArrowUp':
+        return e.shiftKey ? addMonths(value, -1) : addDays(value, -7);
+      case 'ArrowDown':
+        return e.shiftKey ? addMonths(value, 1) : addDays(value, 7);
+      case 'PageUp':
+        return addMonths(value, e.shiftKey ? -12 : -1);
+      case 'PageDown':
+        return addMonths(value, e.shiftKey ? 12 : 1);
+      case 'Home':
+        return addDays(value, -getDayOfWeek(value));
+      case 'End':
+        return addDays(value, 6 - getDayOfWeek(value));
+    }
+    return null;
+  }
+
+  /**
+   * Sets the value of the field while it is being edited.
+   *
+   * @param date The new date, in the format 'yyyy-mm-dd'.
+   */
+  private setIntermediateValue(date: string) {
+    // Intermediate value changes from user input are not confirmed until the
+    // user closes the editor, and may be numerous. Inhibit reporting these as
+    // normal block change events, and instead report them as special
+    // intermediate changes that do not get recorded in undo history.
+    const oldValue = this.value_;
+    this.setEditorValue_(date, false);
+    if (
+      this.sourceBlock_ &&
+      Blockly.Events.isEnabled() &&
+      this.value_ !== oldValue
+    ) {
+      Blockly.Events.fire(
+        new (Blockly.Events.get(
+          Blockly.Events.BLOCK_FIELD_INTERMEDIATE_CHANGE,
+        ))(this.sourceBlock_, this.name || null, oldValue, this.value_),
+      );
+    }
+    this.updateCalendar(false);
+  }
+
+  /** Hides the editor. */
+  private hide() {
+    Blockly.DropDownDiv.hideIfOwner<string>(this);
+    Blockly.WidgetDiv.hide();
   }
 
   /**
@@ -172,6 +507,62 @@ export class FieldDate extends Blockly.FieldTextInput {
   /* eslint-enable @typescript-eslint/naming-convention */
 }
 
+Blockly.Css.register(`
+.blocklyDatePicker {
+  color: #fff;
+  font-family: sans-serif;
+  padding: 4px;
+}
+.blocklyDatePickerHeader {
+  align-items: center;
+  display: flex;
+  justify-content: space-between;
+  margin-bottom: 4px;
+}
+.blocklyDatePickerButton {
+  background: transparent;
+  border: none;
+  border-radius: 4px;
+  color: inherit;
+  cursor: pointer;
+  font-size: 18px;
+  height: 28px;
+  width: 28px;
+}
+.blocklyDatePickerButton:hover,
+.blocklyDatePickerDay:hover {
+  background: rgba(255, 255, 255, .2);
+}
+.blocklyDatePickerGrid {
+  border-collapse: collapse;
+}
+.blocklyDatePickerGrid th {
+  font-size: 12px;
+  font-weight: normal;
+  height: 24px;
+  opacity: .8;
+}
+.blocklyDatePickerDay {
+  border-radius: 4px;
+  cursor: pointer;
+  height: 28px;
+  text-align: center;
+  width: 28px;
+}
+.blocklyDatePickerDay.blocklyDatePickerSelected {
+  background: #fff;
+  color: #000;
+}
+.blocklyDatePickerButton:focus-visible,
+.blocklyDatePickerDay:focus {
+  outline: 2px solid #fff;
+  outline-offset: -2px;
+}
+.blocklyDatePickerSelected:focus {
+  outline-color: #000;
+}
+`);
+
 /**
  * NOTE: There are a few minor ways to tweak the datepicker CSS, though they're
  * not consistent across browsers.
@@ -18,3 +18,77 @@ export function getLocaleDateString(dateString: string): string {
     timeZone: 'UTC',
   }).format(date);
 }
+
+/**
+ * Get the day of the week of a date.
+ *
+ * @param dateString A string in the format 'yyyy-mm-dd'
+ * @returns The day of the week, from 0 for Sunday to 6 for Saturday.
+ */
+export function getDayOfWeek(dateString: string): number {
+  // NOTE: The date object assumes midnight at GMT+0, so use the UTC day.
+  return new Date(dateString).getUTCDay();
+}
+
+/**
+ * Add a number of days to a date.
+ *
+ * @param dateString A string in the format 'yyyy-mm-dd'
+ * @param days The number of days to add. May be negative.
+ * @returns The new date, in the format 'yyyy-mm-dd'.
+ * @example
+ * addDays('2020-02-28', 2) === '2020-03-01'
+ */
+export function addDays(dateString: string, days: number): string {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add a number of months to a date. If the day doesn't exist in the new
+ * month, the last day of the new month is used.
+ *
+ * @param dateString A string in the format 'yyyy-mm-dd'
+ * @param months The number of months to add. May be negative.
+ * @returns The new date, in the format 'yyyy-mm-dd'.
+ * @example
+ * addMonths('2020-01-31', 1) === '2020-02-29'
+ */
+export function addMonths(dateString: string, months: number): string {
+  const date = new Date(dateString);
+  const day = date.getUTCDate();
+  // Go to the first of the month first, so that the month doesn't overflow.
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the weeks of the month of a date, for drawing a calendar.
+ *
+ * @param dateString A string in the format 'yyyy-mm-dd'
+ * @returns The weeks of the month, from Sunday to Saturday. Each day is in the
+ *     format 'yyyy-mm-dd', or null if it is in the previous or next month.
+ */
+export function getCalendarWeeks(
+  dateString: string,
+): Array<Array<string | null>> {
+  const first = `${dateString.slice(0, 8)}01`;
+  const month = first.slice(0, 7);
+  const weeks: Array<Array<string | null>> = [];
+  let day = addDays(first, -getDayOfWeek(first));
+  while (day.slice(0, 7) <= month) {
+    const week: Array<string | null> = [];
+    for (let i = 0; i < 7; i++) {
+      week.push(day.slice(0, 7) === month ? day : null);
+      day = addDays(day, 1);
+    }
+    weeks.push(week);
+  }
+  return weeks;
+}
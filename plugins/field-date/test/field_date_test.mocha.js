@@ -5,9 +5,15 @@
  */
 
 import {assert} from 'chai';
+import sinon from 'sinon';
 import {testHelpers} from '@blockly/dev-tools';
 import {FieldDate} from '../src/index';
-import {getLocaleDateString} from '../src/utils';
+import {
+  addDays,
+  addMonths,
+  getCalendarWeeks,
+  getLocaleDateString,
+} from '../src/utils';
 
 const {
   assertFieldValue,
@@ -264,4 +270,143 @@ suite('FieldDate', function () {
       });
     });
   });
+
+  suite('Calendar', function () {
+    suite('Date math', function () {
+      test('addDays crosses months and years', function () {
+        assert.equal(addDays('2020-02-28', 2), '2020-03-01');
+        assert.equal(addDays('2020-01-01', -1), '2019-12-31');
+      });
+      test('addMonths uses the last day of shorter months', function () {
+        assert.equal(addMonths('2020-01-31', 1), '2020-02-29');
+        assert.equal(addMonths('2020-03-31', -13), '2019-02-28');
+      });
+      test('getCalendarWeeks starts weeks on a Sunday', function () {
+        const weeks = getCalendarWeeks('2020-02-20');
+        assert.equal(weeks.length, 5);
+        // 2020-02-01 was a Saturday.
+        assert.deepEqual(weeks[0], [
+          null,
+          null,
+          null,
+          null,
+          null,
+          null,
+          '2020-02-01',
+        ]);
+        assert.deepEqual(weeks[4], [
+          '2020-02-23',
+          '2020-02-24',
+          '2020-02-25',
+          '2020-02-26',
+          '2020-02-27',
+          '2020-02-28',
+          '2020-02-29',
+        ]);
+      });
+    });
+
+    suite('Keyboard', function () {
+      /**
+       * Creates a fake key down event.
+       * @param {string} key The key that was pressed.
+       * @param {!Object=} modifiers The modifier keys that were held.
+       * @returns {!Object} The fake event.
+       */
+      function createKeyDownEvent(key, modifiers = {}) {
+        return {
+          key,
+          altKey: false,
+          ctrlKey: false,
+          metaKey: false,
+          shiftKey: false,
+          ...modifiers,
+          preventDefault: sinon.fake(),
+          stopPropagation: sinon.fake(),
+        };
+      }
+
+      setup(function () {
+        // 2020-02-20 was a Thursday.
+        this.field = new FieldDate('2020-02-20');
+      });
+      const testCases = [
+        {
+          title: 'Right arrow moves a day forward',
+          key: 'ArrowRight',
+          expected: '2020-02-21',
+        },
+        {
+          title: 'Left arrow moves a day back',
+          key: 'ArrowLeft',
+          expected: '2020-02-19',
+        },
+        {
+          title: 'Down arrow moves a week forward',
+          key: 'ArrowDown',
+          expected: '2020-02-27',
+        },
+        {
+          title: 'Up arrow moves a week back',
+          key: 'ArrowUp',
+          expected: '2020-02-13',
+        },
+        {
+          title: 'Shift + right arrow moves a month forward',
+          key: 'ArrowRight',
+          modifiers: {shiftKey: true},
+          expected: '2020-03-20',
+        },
+        {
+          title: 'Shift + up arrow moves a month back',
+          key: 'ArrowUp',
+          modifiers: {shiftKey: true},
+          expected: '2020-01-20',
+        },
+        {
+          title: 'Page down moves a month forward',
+          key: 'PageDown',
+          expected: '2020-03-20',
+        },
+        {
+          title: 'Shift + page up moves a year back',
+          key: 'PageUp',
+          modifiers: {shiftKey: true},
+          expected: '2019-02-20',
+        },
+        {
+          title: 'Home moves to the start of the week',
+          key: 'Home',
+          expected: '2020-02-16',
+        },
+        {
+          title: 'End moves to the end of the week',
+          key: 'End',
+          expected: '2020-02-22',
+        },
+      ];
+      testCases.forEach(function (testCase) {
+        test(testCase.title, function () {
+          const e = createKeyDownEvent(testCase.key, testCase.modifiers);
+          this.field.onCalendarKeyDown(e);
+          assertFieldValue(
+            this.field,
+            testCase.expected,
+            getLocaleDateString(testCase.expected),
+          );
+          sinon.assert.calledOnce(e.preventDefault);
+        });
+      });
+      test('Other keys do not change the date', function () {
+        const e = createKeyDownEvent('a');
+        this.field.onCalendarKeyDown(e);
+        assertFieldValue(
+          this.field,
+          '2020-02-20',
+          getLocaleDateString('2020-02-20'),
+        );
+        sinon.assert.notCalled(e.preventDefault);
+      });
+    });
+  });
 });
@@ -121,6 +121,11 @@ export class FieldSlider extends Blockly.FieldNumber {
       this.dropdownDispose_.bind(this),
     );
 
+    // Describe the text input as a spin button, so that screen readers
+    // announce its value as it is stepped with the arrow keys.
+    this.htmlInput_?.setAttribute('role', 'spinbutton');
+    this.updateSlider_();
+
     // Focus on the slider field, unless quietInput is passed.
     if (!quietInput) {
       (editor.firstChild as HTMLInputElement).focus({
@@ -164,6 +169,14 @@ export class FieldSlider extends Blockly.FieldNumber {
         this.onSliderChange_,
       ),
     );
+    this.boundEvents.push(
+      Blockly.browserEvents.conditionalBind(
+        sliderInput,
+        'keydown',
+        this,
+        this.onSliderKeyDown_,
+      ),
+    );
 
     return wrapper;
   }
@@ -183,12 +196,116 @@ export class FieldSlider extends Blockly.FieldNumber {
    * Sets the text to match the slider's position.
    */
   private onSliderChange_() {
+    this.setIntermediateValue_(this.sliderInput?.value);
+  }
+
+  /**
+   * Handles key down on the slider. The arrow keys step the value, by a
+   * larger step if shift is held, page up/down also take a larger step, and
+   * home/end jump to the min/max. Typing a number moves focus to the text
+   * input, so that the value can be typed directly.
+   *
+   * @param e Keyboard event.
+   */
+  private onSliderKeyDown_(e: KeyboardEvent) {
+    const value = this.getKeyboardValue_(e, true);
+    if (value !== null) {
+      this.setIntermediateValue_(value);
+      e.preventDefault();
+      e.stopPropagation();
+    } else if (/^[\d.-]$/.test(e.key) && this.htmlInput_) {
+      // Don't prevent the default, so the key is typed into the text input.
+      this.htmlInput_.focus({preventScroll: true});
+      this.htmlInput_.select();
+    } else {
+      // Enter, escape and tab are handled like in the text input.
+      this.onHtmlInputKeyDown_(e);
+    }
+  }
+
+  /**
+   * Handles key down on the text input. The up/down arrow keys step the
+   * value like on the slider, and alt + down arrow moves focus to the slider.
+   *
+   * @param e Keyboard event.
+   */
+  protected override onHtmlInputKeyDown_(e: KeyboardEvent) {
+    if (e.altKey && e.key === 'ArrowDown' && this.sliderInput) {
+      this.sliderInput.focus({preventScroll: true});
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+    const value = this.getKeyboardValue_(e, false);
+    if (value !== null) {
+      this.setIntermediateValue_(value);
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+    super.onHtmlInputKeyDown_(e);
+  }
+
+  /**
+   * Gets the value that a key press moves the field to.
+   *
+   * @param e Keyboard event.
+   * @param isSlider True if the key was pressed on the slider. Left/right
+   *     arrow and home/end keys only change the value on the slider, since
+   *     they move the caret in the text input.
+   * @returns The new value, or null if the key doesn't change the value.
+   */
+  private getKeyboardValue_(
+    e: KeyboardEvent,
+    isSlider: boolean,
+  ): number | null {
+    const value = Number(this.getValue());
+    const step = this.precision_ || 1;
+    const range = this.max_ - this.min_;
+    // Take a tenth of the range, or ten steps if the range is unbounded.
+    const largeStep = isFinite(range) ? Math.max(step, range / 10) : step * 10;
+    const rtl = !!this.getSourceBlock()?.RTL;
+    let direction = 0;
+    switch (e.key) {
+      case 'ArrowUp':
+        direction = 1;
+        break;
+      case 'ArrowDown':
+        direction = -1;
+        break;
+      case 'ArrowRight':
+        direction = isSlider ? (rtl ? -1 : 1) : 0;
+        break;
+      case 'ArrowLeft':
+        direction = isSlider ? (rtl ? 1 : -1) : 0;
+        break;
+      case 'PageUp':
+        return value + largeStep;
+      case 'PageDown':
+        return value - largeStep;
+      case 'Home':
+        return isSlider && isFinite(this.min_) ? this.min_ : null;
+      case 'End':
+        return isSlider && isFinite(this.max_) ? this.max_ : null;
+    }
+    if (!direction || e.altKey || e.ctrlKey || e.metaKey) {
+      return null;
+    }
+    return value + direction * (e.shiftKey ? largeStep : step);
+  }
+
+  /**
+   * Sets the value of the field while it is being edited.
+   *
+   * @param newValue The new value.
+   */
+  private setIntermediateValue_(newValue: unknown) {
     // Intermediate value changes from user input are not confirmed until the
     // user closes the editor, and may be numerous. Inhibit reporting these as
     // normal block change events, and instead report them as special
     // intermediate changes that do not get recorded in undo history.
     const oldValue = this.value_;
-    this.setEditorValue_(this.sliderInput?.value, false);
+    this.setEditorValue_(newValue, false);
     if (this.getSourceBlock()) {
       Blockly.Events.fire(
         new (Blockly.Events.get(
@@ -197,16 +314,33 @@ export class FieldSlider extends Blockly.FieldNumber {
       );
     }
     this.resizeEditor_();
+    this.updateSlider_();
   }
 
   /**
-   * Updates the slider when the field rerenders.
+   * Updates the slider, and the values that the slider and the text input
+   * report to screen readers, when the field rerenders.
    */
   private updateSlider_() {
-    if (!this.sliderInput) {
-      return;
+    const value = `${this.getValue()}`;
+    const text = this.getText();
+    if (this.sliderInput) {
+      this.sliderInput.setAttribute('value', value);
+      this.sliderInput.value = value;
+      this.sliderInput.setAttribute('aria-valuetext', text);
+    }
+    if (this.htmlInput_ && this.isBeingEdited_) {
+      // The slider gets these from its min, max and value attributes.
+      const input = this.htmlInput_;
+      if (isFinite(this.min_)) {
+        input.setAttribute('aria-valuemin', `${this.min_}`);
+      }
+      if (isFinite(this.max_)) {
+        input.setAttribute('aria-valuemax', `${this.max_}`);
+      }
+      input.setAttribute('aria-valuenow', value);
+      input.setAttribute('aria-valuetext', text);
     }
-    this.sliderInput.setAttribute('value', `${this.getValue()}`);
   }
   /* eslint-enable @typescript-eslint/naming-convention */
 }
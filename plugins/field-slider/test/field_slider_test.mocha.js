@@ -401,4 +401,116 @@ suite('FieldSlider', function () {
       });
     });
   });
+  suite('Keyboard', function () {
+    /**
+     * Creates a fake key down event.
+     * @param {string} key The key that was pressed.
+     * @param {!Object=} modifiers The modifier keys that were held.
+     * @returns {!Object} The fake event.
+     */
+    function createKeyDownEvent(key, modifiers = {}) {
+      return {
+        key,
+        altKey: false,
+        ctrlKey: false,
+        metaKey: false,
+        shiftKey: false,
+        ...modifiers,
+        preventDefault: sinon.fake(),
+        stopPropagation: sinon.fake(),
+      };
+    }
+
+    setup(function () {
+      this.field = new FieldSlider(50, 0, 100, 1);
+      sinon.stub(this.field, 'resizeEditor_');
+    });
+    teardown(function () {
+      sinon.restore();
+    });
+    suite('Slider', function () {
+      const testCases = [
+        {title: 'Right arrow steps up', key: 'ArrowRight', expected: 51},
+        {title: 'Up arrow steps up', key: 'ArrowUp', expected: 51},
+        {title: 'Left arrow steps down', key: 'ArrowLeft', expected: 49},
+        {title: 'Down arrow steps down', key: 'ArrowDown', expected: 49},
+        {
+          title: 'Shift + up arrow takes a large step',
+          key: 'ArrowUp',
+          modifiers: {shiftKey: true},
+          expected: 60,
+        },
+        {
+          title: 'Shift + left arrow takes a large step',
+          key: 'ArrowLeft',
+          modifiers: {shiftKey: true},
+          expected: 40,
+        },
+        {title: 'Page up takes a large step', key: 'PageUp', expected: 60},
+        {title: 'Page down takes a large step', key: 'PageDown', expected: 40},
+        {title: 'Home jumps to the min', key: 'Home', expected: 0},
+        {title: 'End jumps to the max', key: 'End', expected: 100},
+      ];
+      testCases.forEach(function (testCase) {
+        test(testCase.title, function () {
+          const e = createKeyDownEvent(testCase.key, testCase.modifiers);
+          this.field.onSliderKeyDown_(e);
+          assertFieldValue(this.field, testCase.expected);
+          sinon.assert.calledOnce(e.preventDefault);
+        });
+      });
+      test('Steps are clamped to the max', function () {
+        this.field.setValue(99);
+        this.field.onSliderKeyDown_(
+          createKeyDownEvent('ArrowUp', {shiftKey: true}),
+        );
+        assertFieldValue(this.field, 100);
+      });
+      test('Steps use the precision', function () {
+        this.field.setPrecision(5);
+        this.field.onSliderKeyDown_(createKeyDownEvent('ArrowUp'));
+        assertFieldValue(this.field, 55);
+      });
+      test('Large steps are ten steps when the range is unbounded', function () {
+        const field = new FieldSlider(50, undefined, undefined, 2);
+        sinon.stub(field, 'resizeEditor_');
+        field.onSliderKeyDown_(createKeyDownEvent('PageUp'));
+        assertFieldValue(field, 70);
+      });
+      test('Home does nothing when there is no min', function () {
+        const field = new FieldSlider(50);
+        sinon.stub(field, 'resizeEditor_');
+        const e = createKeyDownEvent('Home');
+        field.onSliderKeyDown_(e);
+        assertFieldValue(field, 50);
+        sinon.assert.notCalled(e.preventDefault);
+      });
+      test('Other keys do not change the value', function () {
+        const e = createKeyDownEvent('a');
+        this.field.onSliderKeyDown_(e);
+        assertFieldValue(this.field, 50);
+        sinon.assert.notCalled(e.preventDefault);
+      });
+    });
+    suite('Text input', function () {
+      test('Up arrow steps up', function () {
+        this.field.onHtmlInputKeyDown_(createKeyDownEvent('ArrowUp'));
+        assertFieldValue(this.field, 51);
+      });
+      test('Shift + down arrow takes a large step', function () {
+        this.field.onHtmlInputKeyDown_(
+          createKeyDownEvent('ArrowDown', {shiftKey: true}),
+        );
+        assertFieldValue(this.field, 40);
+      });
+      test('Left/right arrows and home/end move the caret', function () {
+        for (const key of ['ArrowLeft', 'ArrowRight', 'Home', 'End']) {
+          const e = createKeyDownEvent(key);
+          this.field.onHtmlInputKeyDown_(e);
+          sinon.assert.notCalled(e.preventDefault);
+        }
+        assertFieldValue(this.field, 50);
+      });
+    });
+  });
 });
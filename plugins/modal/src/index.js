@@ -57,6 +57,34 @@ export class Modal {
      */
     this.htmlDiv_ = null;
 
+    /**
+     * The id of the modal's title element, which labels the dialog.
+     * @type {string}
+     * @protected
+     */
+    this.titleId_ = Blockly.utils.idGenerator.getNextUniqueId();
+
+    /**
+     * The element that had focus before the modal was shown.
+     * @type {Element}
+     * @private
+     */
+    this.previouslyFocusedEl_ = null;
+
+    /**
+     * The result that the modal is being hidden with.
+     * @type {*}
+     * @private
+     */
+    this.result_ = null;
+
+    /**
+     * Resolves the promise returned by showAsync, if it is pending.
+     * @type {?function(*)}
+     * @private
+     */
+    this.resolveShowAsync_ = null;
+
     /**
      * Array holding info needed to unbind events.
      * Used for disposing.
@@ -105,18 +133,17 @@ export class Modal {
    * Shows the Blockly modal and focus on the first focusable element.
    */
   show() {
+    // Showing the widget div can move the focus to the workspace.
+    const previouslyFocusedEl = document.activeElement;
     Blockly.WidgetDiv.show(this, this.workspace_.RTL, () =>
       this.widgetDispose_(),
     );
+    this.previouslyFocusedEl_ = previouslyFocusedEl;
+    this.result_ = null;
     this.widgetCreate_();
-    const focusableEls = this.htmlDiv_.querySelectorAll(
-      'a[href],' +
-        'area[href], input:not([disabled]), select:not([disabled]),' +
-        'textarea:not([disabled]), button:not([disabled]), [tabindex="0"]',
-    );
+    this.applyTheme_();
+    const focusableEls = this.updateFocusableEls_();
     if (focusableEls.length > 0) {
-      this.firstFocusableEl_ = focusableEls[0];
-      this.lastFocusableEl_ = focusableEls[focusableEls.length - 1];
       if (
         focusableEls[0].classList.contains('blocklyModalBtnClose') &&
         focusableEls.length > 1
@@ -128,11 +155,32 @@ export class Modal {
     }
   }
 
+  /**
+   * Shows the Blockly modal, and waits for the user to close it.
+   * @returns {!Promise<*>} A promise that resolves with the result the modal
+   *     is hidden with, or null if the user cancels the modal.
+   */
+  showAsync() {
+    this.show();
+    return new Promise((resolve) => {
+      this.resolveShowAsync_ = resolve;
+    });
+  }
+
   /**
    * Hide the Blockly modal.
+   * @param {*=} result The result to resolve the promise returned by showAsync
+   *     with. Defaults to null, which means the modal was cancelled.
    */
-  hide() {
+  hide(result = null) {
+    const previouslyFocusedEl = this.previouslyFocusedEl_;
+    this.result_ = result;
     Blockly.WidgetDiv.hide();
+    // Hiding the widget div focuses the main workspace, so restore the focus
+    // afterwards.
+    if (previouslyFocusedEl) {
+      this.restoreFocus_(previouslyFocusedEl);
+    }
   }
 
   /**
@@ -159,6 +207,80 @@ export class Modal {
    */
   widgetDispose_() {
     Blockly.utils.dom.removeClass(this.htmlDiv_, 'blocklyModalOpen');
+    this.previouslyFocusedEl_ = null;
+
+    const resolve = this.resolveShowAsync_;
+    const result = this.result_;
+    this.resolveShowAsync_ = null;
+    this.result_ = null;
+    if (resolve) {
+      resolve(result);
+    }
+  }
+
+  /**
+   * Returns focus to the element that had it before the modal was shown, or
+   * to the workspace if that element is gone.
+   * @param {!Element} previouslyFocusedEl The element that had focus before
+   *     the modal was shown.
+   * @private
+   */
+  restoreFocus_(previouslyFocusedEl) {
+    if (
+      previouslyFocusedEl &&
+      previouslyFocusedEl !== document.body &&
+      previouslyFocusedEl.isConnected &&
+      typeof previouslyFocusedEl.focus === 'function'
+    ) {
+      previouslyFocusedEl.focus();
+    } else {
+      this.workspace_.markFocused();
+    }
+  }
+
+  /**
+   * Styles the modal with the colours and font of the workspace's theme.
+   * Colours that the theme doesn't define fall back to the default styles.
+   * @protected
+   */
+  applyTheme_() {
+    const theme = this.workspace_.getTheme();
+    const properties = [
+      [
+        '--blocklyModalBackgroundColour',
+        theme.getComponentStyle('toolboxBackgroundColour'),
+      ],
+      [
+        '--blocklyModalForegroundColour',
+        theme.getComponentStyle('toolboxForegroundColour'),
+      ],
+      ['--blocklyModalFontFamily', theme.fontStyle.family],
+      ['--blocklyModalFontWeight', theme.fontStyle.weight],
+    ];
+    for (const [name, value] of properties) {
+      if (value) {
+        this.htmlDiv_.style.setProperty(name, value);
+      } else {
+        this.htmlDiv_.style.removeProperty(name);
+      }
+    }
+  }
+
+  /**
+   * Finds the first and last focusable elements in the modal, which the focus
+   * wraps around between.
+   * @returns {!NodeList<!HTMLElement>} The focusable elements in the modal.
+   * @private
+   */
+  updateFocusableEls_() {
+    const focusableEls = this.htmlDiv_.querySelectorAll(
+      'a[href],' +
+        'area[href], input:not([disabled]), select:not([disabled]),' +
+        'textarea:not([disabled]), button:not([disabled]), [tabindex="0"]',
+    );
+    this.firstFocusableEl_ = focusableEls[0] || null;
+    this.lastFocusableEl_ = focusableEls[focusableEls.length - 1] || null;
+    return focusableEls;
   }
 
   /**
@@ -193,6 +315,8 @@ export class Modal {
    */
   handleKeyDown_(e) {
     if (e.key === 'Tab') {
+      // The content of the modal may have changed since it was shown.
+      this.updateFocusableEls_();
       // If there are no elements or there is one element don't wrap.
       if (
         !this.firstFocusableEl_ ||
@@ -208,7 +332,7 @@ export class Modal {
         this.handleForwardTab_(e);
       }
     } else if (e.key === 'Escape' && this.shouldCloseOnEsc) {
-      this.hide();
+      this.onCancel_();
     }
     e.stopPropagation();
   }
@@ -237,10 +361,12 @@ export class Modal {
   render() {
     /*
      * Creates the Modal. The generated modal looks like:
-     * <div class="blocklyModalContainer" role="dialog">
+     * <div class="blocklyModalContainer" role="dialog" aria-modal="true"
+     *     aria-labelledby="titleId">
      *   <header class="blocklyModalHeader">
-     *     <h2 class="blocklyModalHeaderTitle">Modal Name</h2>
-     *     <button class="blocklyModalBtn blocklyModalBtnClose">X</button>
+     *     <h2 class="blocklyModalHeaderTitle" id="titleId">Modal Name</h2>
+     *     <button class="blocklyModalBtn blocklyModalBtnClose"
+     *         aria-label="Close">X</button>
      *   </header>
      *   <div class="blocklyModalContent">
      *   </div>
@@ -258,7 +384,8 @@ export class Modal {
     const modalContainer = document.createElement('div');
     modalContainer.className = 'blocklyModalContainer';
     modalContainer.setAttribute('role', 'dialog');
-    modalContainer.setAttribute('aria-labelledby', this.title_);
+    modalContainer.setAttribute('aria-modal', 'true');
+    modalContainer.setAttribute('aria-labelledby', this.titleId_);
     // End creating the container
 
     // Add Events
@@ -270,7 +397,7 @@ export class Modal {
     );
 
     if (this.shouldCloseOnOverlayClick) {
-      this.addEvent_(this.htmlDiv_, 'click', this, this.hide);
+      this.addEvent_(this.htmlDiv_, 'click', this, this.onCancel_);
       this.addEvent_(modalContainer, 'click', this, (e) => {
         e.stopPropagation();
       });
@@ -284,6 +411,7 @@ export class Modal {
 
     const exitButton = document.createElement('button');
     exitButton.className = 'blocklyModalBtn blocklyModalBtnClose';
+    exitButton.setAttribute('aria-label', 'Close');
     this.addEvent_(exitButton, 'click', this, this.onCancel_);
     modalHeader.appendChild(exitButton);
     // End create header
@@ -315,6 +443,7 @@ export class Modal {
   renderHeader_(headerContainer) {
     const modalTitle = document.createElement('h2');
     modalTitle.className = 'blocklyModalHeaderTitle';
+    modalTitle.id = this.titleId_;
     modalTitle.appendChild(document.createTextNode(this.title_));
     headerContainer.appendChild(modalTitle);
   }
@@ -347,10 +476,11 @@ Blockly.Css.register(`
   position: fixed;
 }
 .blocklyModalContainer {
-  background-color: #fff;
+  background-color: var(--blocklyModalBackgroundColour, #fff);
+  color: var(--blocklyModalForegroundColour, inherit);
   border: 1px solid gray;
-  font-family: Helvetica;
-  font-weight: 300;
+  font-family: var(--blocklyModalFontFamily, Helvetica);
+  font-weight: var(--blocklyModalFontWeight, 300);
   padding: 1em;
   width: 400px;
   display: flex;
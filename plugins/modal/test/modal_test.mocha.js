@@ -106,4 +106,99 @@ suite('Modal', function () {
       assert(this.modal.hide.calledOnce);
     });
   });
+
+  suite('render()', function () {
+    test('Dialog is labelled by its title', function () {
+      this.modal.init();
+      this.modal.show();
+      const container = this.modal.htmlDiv_.querySelector(
+        '.blocklyModalContainer',
+      );
+      assert.equal(container.getAttribute('role'), 'dialog');
+      assert.equal(container.getAttribute('aria-modal'), 'true');
+      const title = document.getElementById(
+        container.getAttribute('aria-labelledby'),
+      );
+      assert.equal(title.textContent, 'Title');
+    });
+  });
+
+  suite('showAsync()', function () {
+    setup(function () {
+      this.modal.init();
+    });
+    test('Resolves with the result the modal is hidden with', async function () {
+      const promise = this.modal.showAsync();
+      this.modal.hide('result');
+      assert.equal(await promise, 'result');
+    });
+    test('Resolves with null when cancelled', async function () {
+      const promise = this.modal.showAsync();
+      this.modal.onCancel_();
+      assert.equal(await promise, null);
+    });
+    test('Resolves with null when another widget is shown', async function () {
+      const promise = this.modal.showAsync();
+      Blockly.WidgetDiv.show({}, false, () => {});
+      assert.equal(await promise, null);
+    });
+  });
+
+  suite('hide()', function () {
+    test('Focus restored to the previously focused element', function () {
+      const button = document.createElement('button');
+      document.body.appendChild(button);
+      button.focus();
+      this.modal.init();
+      this.modal.show();
+      assert.notEqual(document.activeElement, button);
+      this.modal.hide();
+      assert.equal(document.activeElement, button);
+    });
+    test('Focus restored to the workspace', function () {
+      document.body.focus();
+      this.modal.init();
+      this.modal.show();
+      this.workspace.markFocused = sinon.fake();
+      this.modal.hide();
+      sinon.assert.called(this.workspace.markFocused);
+    });
+  });
+
+  suite('applyTheme_()', function () {
+    test('Styles come from the workspace theme', function () {
+      this.workspace.setTheme(
+        Blockly.Theme.defineTheme('modalTestTheme', {
+          base: Blockly.Themes.Classic,
+          componentStyles: {
+            toolboxBackgroundColour: '#333',
+            toolboxForegroundColour: '#fff',
+          },
+          fontStyle: {family: 'serif'},
+        }),
+      );
+      this.modal.init();
+      this.modal.show();
+      const style = this.modal.htmlDiv_.style;
+      assert.equal(
+        style.getPropertyValue('--blocklyModalBackgroundColour'),
+        '#333',
+      );
+      assert.equal(
+        style.getPropertyValue('--blocklyModalForegroundColour'),
+        '#fff',
+      );
+      assert.equal(style.getPropertyValue('--blocklyModalFontFamily'), 'serif');
+    });
+    test('Styles fall back to the defaults', function () {
+      this.modal.init();
+      this.modal.show();
+      assert.equal(
+        this.modal.htmlDiv_.style.getPropertyValue(
+          '--blocklyModalBackgroundColour',
+        ),
+        '',
+      );
+    });
+  });
 });
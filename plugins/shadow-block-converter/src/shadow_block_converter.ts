@@ -292,67 +292,315 @@ function reifyEditedShadowBlock(shadowBlock: Blockly.Block): Blockly.Block {
 }
 
 /**
- * Add this function to your workspace as a change listener to automatically
- * convert shadow blocks to real blocks whenever the user edits a field on the
- * block, like this:
- *
- * workspace.addChangeListener(shadowBlockConversionChangeListener);
- *
- * Ideally the Blockly.Field.prototype.setValue method should handle this logic,
- * but for the purposes of this plugin it can be a workspace change listener.
+ * Convert the shadow blocks attached to the provided block into regular
+ * blocks, all the way down its subtree.
  *
- * @param event An event broadcast by the workspace.
+ * @param block The block whose shadow descendants should be converted.
  */
-export function shadowBlockConversionChangeListener(
-  event: Blockly.Events.Abstract,
-) {
-  // Auto-converting shadow blocks to real blocks should happen in response to
-  // new user action events (which get recorded as undo events) but not when
-  // undoing or redoing events (which do not get recorded again).
-  if (!event.recordUndo) {
-    return;
+function reifyShadowDescendants(block: Blockly.Block) {
+  for (const child of block.getChildren(true)) {
+    reifyShadowDescendants(
+      child.isShadow() ? reifyEditedShadowBlock(child) : child,
+    );
   }
+}
 
-  // Auto-converting shadow blocks to real blocks should happen in response to
-  // editing a field value, which is recorded as Blockly.Events.BLOCK_CHANGE.
-  if (event.type != Blockly.Events.BLOCK_CHANGE) {
-    return;
+/**
+ * Returns the parts of a serialized block state that make up its value: its
+ * type, fields, extra state and children, but not its id or position.
+ *
+ * @param state The serialized block state.
+ * @returns The value of the block, with children whether they are shadows or
+ *     not.
+ */
+function getStateValue(
+  state: Blockly.serialization.blocks.State,
+): Record<string, unknown> {
+  const value: Record<string, unknown> = {type: state.type};
+  if (state.fields) value.fields = state.fields;
+  if (state.extraState !== undefined) value.extraState = state.extraState;
+  if (state.inputs) {
+    const inputs: Record<string, unknown> = {};
+    for (const [name, input] of Object.entries(state.inputs)) {
+      const child = input.block ?? input.shadow;
+      if (child) inputs[name] = getStateValue(child);
+    }
+    value.inputs = inputs;
   }
-  const blockEvent = event as Blockly.Events.BlockChange;
+  const next = state.next?.block ?? state.next?.shadow;
+  if (next) value.next = getStateValue(next);
+  return value;
+}
 
-  if (!blockEvent.workspaceId || !blockEvent.blockId) {
-    return;
+/**
+ * Serializes a value so that equal values produce equal strings, whatever
+ * order their keys are in.
+ *
+ * @param value The value to serialize.
+ * @returns The serialized value.
+ */
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
   }
-  const workspace = Blockly.Workspace.getById(blockEvent.workspaceId);
-  if (!workspace) {
-    return;
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .filter(([, entryValue]) => entryValue !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, entryValue]) => {
+        return `${JSON.stringify(key)}:${stableStringify(entryValue)}`;
+      });
+    return `{${entries.join(',')}}`;
   }
-  const block = workspace.getBlockById(blockEvent.blockId);
-  if (!block) {
-    return;
+  return JSON.stringify(value);
+}
+
+/**
+ * The headless workspace that shadow states are instantiated in to be
+ * compared, so that no blocks are created in the user's workspace. It is
+ * created the first time it is needed and reused after that.
+ */
+let comparisonWorkspace: Blockly.Workspace | null = null;
+
+/**
+ * Returns the value of a shadow state once it is instantiated, so that fields
+ * left out of the state are compared with their default values.
+ *
+ * @param shadowState The shadow state of a connection.
+ * @returns The serialized value of the shadow state.
+ */
+function getShadowStateValue(
+  shadowState: Blockly.serialization.blocks.State,
+): string {
+  if (!comparisonWorkspace) comparisonWorkspace = new Blockly.Workspace();
+  // Drop the ids, which may still be in use by blocks in the workspace.
+  const state = JSON.parse(
+    JSON.stringify(shadowState, (key, value) =>
+      key === 'id' ? undefined : value,
+    ),
+  );
+  Blockly.Events.disable();
+  try {
+    const block = Blockly.serialization.blocks.append(
+      state,
+      comparisonWorkspace,
+      {recordUndo: false},
+    );
+    const savedState = Blockly.serialization.blocks.save(block, {
+      addCoordinates: false,
+      addInputBlocks: true,
+      addNextBlocks: true,
+      doFullSerialization: false,
+    });
+    block.dispose(false);
+    return stableStringify(savedState && getStateValue(savedState));
+  } finally {
+    Blockly.Events.enable();
   }
+}
 
-  // Blocks that are already real blocks can be ignored.
-  if (!block.isShadow()) {
-    return;
+/**
+ * Convert the provided regular block back into the shadow block of its parent
+ * connection, if the block's value matches the connection's shadow state.
+ *
+ * The regular block will be deleted, and the connection will respawn its
+ * shadow block.
+ *
+ * @param block The regular block to revert.
+ * @returns The respawned shadow block, or null if the block doesn't match the
+ *     shadow state of its parent connection.
+ */
+function revertBlockToShadow(block: Blockly.Block): Blockly.Block | null {
+  const parentConnection =
+    block.outputConnection?.targetConnection ??
+    block.previousConnection?.targetConnection ??
+    null;
+  if (parentConnection === null) return null;
+  const shadowState = parentConnection.getShadowState(
+    /* returnCurrent = */ false,
+  );
+  const blockState = Blockly.serialization.blocks.save(block, {
+    addCoordinates: false,
+    addInputBlocks: true,
+    addNextBlocks: true,
+    doFullSerialization: false,
+  });
+  if (
+    shadowState === null ||
+    blockState === null ||
+    stableStringify(getStateValue(blockState)) !==
+      getShadowStateValue(shadowState)
+  ) {
+    return null;
   }
 
-  // Remember the current event group so that it can be resumed below.
-  const currentGroup = Blockly.Events.getGroup();
-
-  if (blockEvent.group) {
-    // Temporarily use the same group as the initiating event so that
-    // the shadow events get grouped with it for undo purposes.
-    Blockly.Events.setGroup(blockEvent.group);
-  } else {
-    // The initiating event wasn't part of any named group, so the shadow events
-    // can't be grouped with it, but at least they can be grouped with each
-    // other.
-    Blockly.Events.setGroup(true);
+  const parentBlock = parentConnection.getSourceBlock();
+  const inputInParent = parentConnection.getParentInput();
+  const inputIndexInParent: number | null = inputInParent
+    ? parentBlock.inputList.indexOf(inputInParent)
+    : null;
+
+  // Disconnecting the regular block respawns the shadow block from the
+  // connection's shadow state.
+  block.dispose(false);
+  Blockly.Events.fire(
+    new BlockShadowStateChange(parentBlock, inputIndexInParent, shadowState),
+  );
+
+  return parentConnection.targetBlock();
+}
+
+/**
+ * Convert the provided regular block back into a shadow block, along with any
+ * parent blocks that then match their own connection's shadow state again.
+ *
+ * @param block The regular block to revert.
+ */
+function revertBlockAndAncestorsToShadow(block: Blockly.Block) {
+  let current: Blockly.Block | null = block;
+  while (current && !current.isShadow()) {
+    const shadowBlock = revertBlockToShadow(current);
+    if (!shadowBlock) return;
+    current = shadowBlock.getParent();
   }
+}
+
+/**
+ * Options for how shadow blocks are converted to regular blocks.
+ */
+export interface ShadowBlockConversionOptions {
+  /**
+   * Whether a regular block is converted back into a shadow block when it is
+   * edited so that it matches its parent connection's shadow state again.
+   * Parent blocks that then match their own shadow state are converted back
+   * too. Defaults to false.
+   */
+  revertToShadow?: boolean;
 
-  reifyEditedShadowBlock(block);
+  /**
+   * The types of blocks to convert when edited. Shadow parents of a converted
+   * block are always converted, whatever their type. Defaults to all types.
+   */
+  blockTypes?: string[];
+
+  /**
+   * The names of the fields that cause a block to be converted when edited.
+   * Defaults to any change to the block, including its mutation.
+   */
+  fields?: string[];
+
+  /**
+   * Whether to convert just the edited block, which keeps any shadow blocks
+   * attached to it, or the edited block along with its whole subtree of
+   * shadow blocks. Shadow parents are converted either way. Defaults to
+   * 'block'.
+   */
+  scope?: 'block' | 'subtree';
+}
 
-  // Revert to the current event group, if any.
-  Blockly.Events.setGroup(currentGroup);
+/**
+ * Creates a change listener that converts shadow blocks to regular blocks when
+ * the user edits them, according to the provided options:
+ *
+ * workspace.addChangeListener(
+ *   createShadowBlockConversionChangeListener({revertToShadow: true}),
+ * );
+ *
+ * Conversions in either direction fire a BlockShadowStateChange event, so that
+ * they can be undone, redone, and replayed on other workspaces.
+ *
+ * @param options The options for converting blocks.
+ * @returns A workspace change listener.
+ */
+export function createShadowBlockConversionChangeListener(
+  options: ShadowBlockConversionOptions = {},
+): (event: Blockly.Events.Abstract) => void {
+  const {revertToShadow = false, blockTypes, fields, scope = 'block'} = options;
+
+  return function (event: Blockly.Events.Abstract) {
+    // Auto-converting shadow blocks to real blocks should happen in response
+    // to new user action events (which get recorded as undo events) but not
+    // when undoing or redoing events (which do not get recorded again).
+    if (!event.recordUndo) {
+      return;
+    }
+
+    // Auto-converting shadow blocks to real blocks should happen in response
+    // to editing a field value, which is recorded as
+    // Blockly.Events.BLOCK_CHANGE.
+    if (event.type != Blockly.Events.BLOCK_CHANGE) {
+      return;
+    }
+    const blockEvent = event as Blockly.Events.BlockChange;
+    if (
+      fields &&
+      (blockEvent.element !== 'field' ||
+        !fields.includes(blockEvent.name ?? ''))
+    ) {
+      return;
+    }
+
+    if (!blockEvent.workspaceId || !blockEvent.blockId) {
+      return;
+    }
+    const workspace = Blockly.Workspace.getById(blockEvent.workspaceId);
+    if (!workspace) {
+      return;
+    }
+    const block = workspace.getBlockById(blockEvent.blockId);
+    if (!block || (blockTypes && !blockTypes.includes(block.type))) {
+      return;
+    }
+
+    // Regular blocks only need to be handled if they can revert to shadows.
+    if (!block.isShadow() && !revertToShadow) {
+      return;
+    }
+
+    // Remember the current event group so that it can be resumed below.
+    const currentGroup = Blockly.Events.getGroup();
+
+    if (blockEvent.group) {
+      // Temporarily use the same group as the initiating event so that
+      // the shadow events get grouped with it for undo purposes.
+      Blockly.Events.setGroup(blockEvent.group);
+    } else {
+      // The initiating event wasn't part of any named group, so the shadow
+      // events can't be grouped with it, but at least they can be grouped with
+      // each other.
+      Blockly.Events.setGroup(true);
+    }
+
+    if (!block.isShadow()) {
+      revertBlockAndAncestorsToShadow(block);
+    } else {
+      const regularBlock = reifyEditedShadowBlock(block);
+      if (scope === 'subtree') reifyShadowDescendants(regularBlock);
+    }
+
+    // Revert to the current event group, if any.
+    Blockly.Events.setGroup(currentGroup);
+  };
+}
+
+const defaultChangeListener = createShadowBlockConversionChangeListener();
+
+/**
+ * Add this function to your workspace as a change listener to automatically
+ * convert shadow blocks to real blocks whenever the user edits a field on the
+ * block, like this:
+ *
+ * workspace.addChangeListener(shadowBlockConversionChangeListener);
+ *
+ * Ideally the Blockly.Field.prototype.setValue method should handle this logic,
+ * but for the purposes of this plugin it can be a workspace change listener.
+ * To configure how blocks are converted, use
+ * createShadowBlockConversionChangeListener instead.
+ *
+ * @param event An event broadcast by the workspace.
+ */
+export function shadowBlockConversionChangeListener(
+  event: Blockly.Events.Abstract,
+) {
+  defaultChangeListener(event);
 }
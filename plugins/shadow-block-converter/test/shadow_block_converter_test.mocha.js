@@ -7,7 +7,10 @@
 const chai = require('chai');
 const sinon = require('sinon');
 const Blockly = require('blockly');
-const {shadowBlockConversionChangeListener} = require('../src/index');
+const {
+  createShadowBlockConversionChangeListener,
+  shadowBlockConversionChangeListener,
+} = require('../src/index');
 
 const assert = chai.assert;
 
@@ -207,4 +210,210 @@ suite('shadowBlockConversionChangeListener', function () {
       rootConnection.targetBlock().nextConnection.targetBlock().isShadow(),
     );
   });
+
+  suite('createShadowBlockConversionChangeListener', function () {
+    /**
+     * Replace the workspace's change listener with one using the options.
+     * @param {Blockly.Workspace} workspace The workspace to use.
+     * @param {Object} options The options for the change listener.
+     */
+    function useListenerOptions(workspace, options) {
+      workspace.removeChangeListener(shadowBlockConversionChangeListener);
+      workspace.addChangeListener(
+        createShadowBlockConversionChangeListener(options),
+      );
+    }
+
+    test('reverts to shadow when the value matches again', function () {
+      useListenerOptions(this.workspace, {revertToShadow: true});
+      const connection = makeEmptyConnection(this.workspace);
+      const shadowState = {type: 'text', id: '123', fields: {TEXT: 'abc'}};
+      const shadowBlock = attachShadowBlock(connection, shadowState);
+      shadowBlock.getField('TEXT').setValue('new value');
+      this.clock.runAll();
+      assert.isFalse(connection.targetBlock().isShadow());
+      connection.targetBlock().getField('TEXT').setValue('abc');
+      this.clock.runAll();
+      assert.isTrue(connection.targetBlock().isShadow());
+      assert.deepEqual(
+        connection.getShadowState(/* returnCurrent= */ false),
+        shadowState,
+      );
+    });
+
+    test('compares with the default values of the shadow state', function () {
+      useListenerOptions(this.workspace, {revertToShadow: true});
+      const connection = makeEmptyConnection(this.workspace);
+      const shadowBlock = attachShadowBlock(connection, {type: 'text'});
+      shadowBlock.getField('TEXT').setValue('new value');
+      this.clock.runAll();
+      connection.targetBlock().getField('TEXT').setValue('');
+      this.clock.runAll();
+      assert.isTrue(connection.targetBlock().isShadow());
+    });
+
+    test('does not revert when the value still differs', function () {
+      useListenerOptions(this.workspace, {revertToShadow: true});
+      const connection = makeEmptyConnection(this.workspace);
+      const shadowBlock = attachShadowBlock(connection, {
+        type: 'text',
+        fields: {TEXT: 'abc'},
+      });
+      shadowBlock.getField('TEXT').setValue('new value');
+      this.clock.runAll();
+      connection.targetBlock().getField('TEXT').setValue('other value');
+      this.clock.runAll();
+      assert.isFalse(connection.targetBlock().isShadow());
+    });
+
+    test('compares shadow states in a separate workspace', function () {
+      useListenerOptions(this.workspace, {revertToShadow: true});
+      const connection = makeEmptyConnection(this.workspace);
+      const shadowBlock = attachShadowBlock(connection, {
+        type: 'text',
+        fields: {TEXT: 'abc'},
+      });
+      shadowBlock.getField('TEXT').setValue('new value');
+      this.clock.runAll();
+      const newBlock = sinon.spy(this.workspace, 'newBlock');
+      connection.targetBlock().getField('TEXT').setValue('other value');
+      this.clock.runAll();
+      const workspaceCount = Blockly.Workspace.getAll().length;
+      connection.targetBlock().getField('TEXT').setValue('another value');
+      this.clock.runAll();
+      sinon.assert.notCalled(newBlock);
+      assert.equal(Blockly.Workspace.getAll().length, workspaceCount);
+      newBlock.restore();
+    });
+
+    test('does not revert by default', function () {
+      const connection = makeEmptyConnection(this.workspace);
+      const shadowBlock = attachShadowBlock(connection, {
+        type: 'text',
+        fields: {TEXT: 'abc'},
+      });
+      shadowBlock.getField('TEXT').setValue('new value');
+      this.clock.runAll();
+      connection.targetBlock().getField('TEXT').setValue('abc');
+      this.clock.runAll();
+      assert.isFalse(connection.targetBlock().isShadow());
+    });
+
+    test('undo and redo revert to shadow', function () {
+      useListenerOptions(this.workspace, {revertToShadow: true});
+      const connection = makeEmptyConnection(this.workspace);
+      const shadowBlock = attachShadowBlock(connection, {
+        type: 'text',
+        fields: {TEXT: 'abc'},
+      });
+      shadowBlock.getField('TEXT').setValue('new value');
+      this.clock.runAll();
+      this.clock.runAll();
+      connection.targetBlock().getField('TEXT').setValue('abc');
+      // Wait for the block change event to get handled by the shadow listener.
+      this.clock.runAll();
+      // Wait for the shadow change event to get fired and recorded in history.
+      this.clock.runAll();
+      this.workspace.undo(false);
+      assert.isFalse(connection.targetBlock().isShadow());
+      assert.equal(
+        connection.targetBlock().getField('TEXT').getValue(),
+        'new value',
+      );
+      this.workspace.undo(true);
+      assert.isTrue(connection.targetBlock().isShadow());
+      assert.equal(connection.targetBlock().getField('TEXT').getValue(), 'abc');
+    });
+
+    test('reverts parents that match their shadow state again', function () {
+      useListenerOptions(this.workspace, {revertToShadow: true});
+      const rootConnection = makeEmptyConnection(this.workspace);
+      const parentShadowBlock = attachShadowBlock(rootConnection, {
+        type: 'text_reverse',
+        inputs: {TEXT: {shadow: {type: 'text', fields: {TEXT: 'abc'}}}},
+      });
+      parentShadowBlock
+        .getInputTargetBlock('TEXT')
+        .getField('TEXT')
+        .setValue('new value');
+      this.clock.runAll();
+      assert.isFalse(rootConnection.targetBlock().isShadow());
+      rootConnection
+        .targetBlock()
+        .getInputTargetBlock('TEXT')
+        .getField('TEXT')
+        .setValue('abc');
+      this.clock.runAll();
+      assert.isTrue(rootConnection.targetBlock().isShadow());
+      assert.isTrue(
+        rootConnection.targetBlock().getInputTargetBlock('TEXT').isShadow(),
+      );
+    });
+
+    test('only converts the configured block types', function () {
+      useListenerOptions(this.workspace, {blockTypes: ['math_number']});
+      const connection = makeEmptyConnection(this.workspace);
+      const shadowBlock = attachShadowBlock(connection, {type: 'text'});
+      shadowBlock.getField('TEXT').setValue('new value');
+      this.clock.runAll();
+      assert.isTrue(connection.targetBlock().isShadow());
+    });
+
+    test('only converts when the configured fields change', function () {
+      useListenerOptions(this.workspace, {fields: ['MODE']});
+      const rootConnection = this.workspace.newBlock(
+        'controls_whileUntil',
+      ).nextConnection;
+      const shadowBlock = attachShadowBlock(rootConnection, {
+        type: 'controls_whileUntil',
+      });
+      shadowBlock.setCommentText('comment');
+      this.clock.runAll();
+      assert.isTrue(rootConnection.targetBlock().isShadow());
+      shadowBlock.getField('MODE').setValue('UNTIL');
+      this.clock.runAll();
+      assert.isFalse(rootConnection.targetBlock().isShadow());
+    });
+
+    test('converts the subtree of the edited block', function () {
+      useListenerOptions(this.workspace, {scope: 'subtree'});
+      const rootConnection = this.workspace.newBlock(
+        'controls_whileUntil',
+      ).nextConnection;
+      const shadowBlock = attachShadowBlock(rootConnection, {
+        type: 'controls_whileUntil',
+        inputs: {BOOL: {shadow: {type: 'logic_boolean'}}},
+        next: {shadow: {type: 'controls_whileUntil'}},
+      });
+      shadowBlock.getField('MODE').setValue('UNTIL');
+      this.clock.runAll();
+      const regularBlock = rootConnection.targetBlock();
+      assert.isFalse(regularBlock.isShadow());
+      assert.isFalse(regularBlock.getInputTargetBlock('BOOL').isShadow());
+      assert.isFalse(regularBlock.getNextBlock().isShadow());
+      assert.equal(
+        regularBlock.getInput('BOOL').connection.getShadowState(false).type,
+        'logic_boolean',
+      );
+      // Wait for the shadow change events to get fired and recorded in history.
+      this.clock.runAll();
+      this.workspace.undo(false);
+      assert.isTrue(rootConnection.targetBlock().isShadow());
+      assert.isTrue(rootConnection.targetBlock().getNextBlock().isShadow());
+    });
+
+    test('keeps the shadow subtree of the edited block by default', function () {
+      const rootConnection = this.workspace.newBlock(
+        'controls_whileUntil',
+      ).nextConnection;
+      const shadowBlock = attachShadowBlock(rootConnection, {
+        type: 'controls_whileUntil',
+        next: {shadow: {type: 'controls_whileUntil'}},
+      });
+      shadowBlock.getField('MODE').setValue('UNTIL');
+      this.clock.runAll();
+      assert.isFalse(rootConnection.targetBlock().isShadow());
+      assert.isTrue(rootConnection.targetBlock().getNextBlock().isShadow());
+    });
+  });
 });
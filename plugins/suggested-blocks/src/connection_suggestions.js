@@ -0,0 +1,436 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview A popup that suggests blocks to connect to an empty input or
+ * next connection.
+ */
+'use strict';
+
+import * as Blockly from 'blockly/core';
+import {SuggestionStrategy, createStrategy} from './strategies';
+
+/**
+ * A BlockSuggestor, as defined in index.js. index.js re-exports this module,
+ * so the type is declared here instead of being imported.
+ * @typedef {Object} BlockSuggestor
+ * @property {function(string, (string|!SuggestionStrategy))} setStrategy
+ *     Sets the strategy used to rank the blocks of a category.
+ */
+
+/**
+ * The key the strategy ranking connection suggestions is registered under
+ * with the BlockSuggestor, so that its statistics are collected and saved.
+ * @type {string}
+ */
+export const CONNECTION_SUGGESTIONS_KEY = 'CONNECTION_SUGGESTIONS';
+
+/**
+ * Shows a popup suggesting blocks when the user selects an empty input or
+ * next connection, by clicking a block close to the connection. Only blocks
+ * that can be connected to the selected connection are suggested. Picking a
+ * suggestion inserts the block and connects it, as a single undo step.
+ */
+export class ConnectionSuggestions {
+  /**
+   * Constructs a ConnectionSuggestions popup.
+   * @param {!Blockly.WorkspaceSvg} workspace The workspace to suggest blocks
+   *     in.
+   * @param {!BlockSuggestor} suggestor The suggestor tracking the blocks used
+   *     in the workspace.
+   * @param {{maxSuggestions: (number|undefined),
+   *     strategy: (string|!SuggestionStrategy|undefined),
+   *     radius: (number|undefined)}=} options The maximum number of blocks to
+   *     suggest (defaults to 5), the strategy used to rank them (defaults to
+   *     'nextBlock'), and how close to a connection the user must click to
+   *     select it, in workspace units (defaults to the snap radius).
+   */
+  constructor(workspace, suggestor, options = {}) {
+    /**
+     * The workspace to suggest blocks in.
+     * @type {!Blockly.WorkspaceSvg}
+     * @private
+     */
+    this.workspace_ = workspace;
+
+    /**
+     * The suggestor tracking the blocks used in the workspace.
+     * @type {!BlockSuggestor}
+     * @private
+     */
+    this.suggestor_ = suggestor;
+
+    /**
+     * The maximum number of blocks to suggest.
+     * @type {number}
+     */
+    this.maxSuggestions = options.maxSuggestions ?? 5;
+
+    /**
+     * How close to a connection the user must click to select it, in
+     * workspace units.
+     * @type {number}
+     */
+    this.radius = options.radius ?? Blockly.config.snapRadius;
+
+    suggestor.setStrategy(
+      CONNECTION_SUGGESTIONS_KEY,
+      createStrategy(options.strategy || 'nextBlock'),
+    );
+
+    /**
+     * A headless workspace holding a sample block of each suggested block
+     * type, used to check which blocks can be connected to a connection.
+     * @type {?Blockly.Workspace}
+     * @private
+     */
+    this.sampleWorkspace_ = null;
+
+    /**
+     * Map from block types to their sample blocks, or to null if the block
+     * type couldn't be created.
+     * @type {!Map<string, ?Blockly.Block>}
+     * @private
+     */
+    this.sampleBlocks_ = new Map();
+
+    /**
+     * The position of the last pointerup event on the workspace, in screen
+     * coordinates.
+     * @type {?Blockly.utils.Coordinate}
+     * @private
+     */
+    this.lastPointer_ = null;
+
+    /**
+     * The data for unbinding the pointerup listener.
+     * @type {?Blockly.browserEvents.Data}
+     * @private
+     */
+    this.pointerUpWrapper_ = null;
+
+    this.onChange_ = this.onChange_.bind(this);
+  }
+
+  /**
+   * Starts showing suggestions when the user selects a connection.
+   */
+  init() {
+    this.pointerUpWrapper_ = Blockly.browserEvents.bind(
+      this.workspace_.getParentSvg(),
+      'pointerup',
+      this,
+      (e) => {
+        this.lastPointer_ = new Blockly.utils.Coordinate(e.clientX, e.clientY);
+      },
+    );
+    this.workspace_.addChangeListener(this.onChange_);
+  }
+
+  /**
+   * Stops showing suggestions and releases the sample blocks.
+   */
+  dispose() {
+    this.hide();
+    if (this.pointerUpWrapper_) {
+      Blockly.browserEvents.unbind(this.pointerUpWrapper_);
+      this.pointerUpWrapper_ = null;
+    }
+    this.workspace_.removeChangeListener(this.onChange_);
+    if (this.sampleWorkspace_) {
+      this.sampleWorkspace_.dispose();
+      this.sampleWorkspace_ = null;
+    }
+    this.sampleBlocks_.clear();
+  }
+
+  /**
+   * Shows suggestions when a block is clicked close to one of its empty
+   * connections.
+   * @param {!Blockly.Events.Abstract} e The event fired by the workspace.
+   * @private
+   */
+  onChange_(e) {
+    if (
+      e.type !== Blockly.Events.CLICK ||
+      e.targetType !== 'block' ||
+      !this.lastPointer_
+    ) {
+      return;
+    }
+    const block = this.workspace_.getBlockById(e.blockId);
+    if (!block) return;
+    const connection = this.findConnection_(
+      block,
+      Blockly.utils.svgMath.screenToWsCoordinates(
+        this.workspace_,
+        this.lastPointer_,
+      ),
+    );
+    if (connection) this.show(connection);
+  }
+
+  /**
+   * Finds the empty connection of a block closest to a position.
+   * @param {!Blockly.BlockSvg} block The block to search.
+   * @param {!Blockly.utils.Coordinate} xy The position, in workspace
+   *     coordinates.
+   * @returns {?Blockly.Connection} The closest empty connection within the
+   *     radius, or null if there is none.
+   * @private
+   */
+  findConnection_(block, xy) {
+    let closest = null;
+    let closestDistance = this.radius;
+    for (const connection of block.getConnections_(false)) {
+      if (!this.isEmptyConnection(connection)) continue;
+      const distance = Blockly.utils.Coordinate.distance(
+        new Blockly.utils.Coordinate(connection.x, connection.y),
+        xy,
+      );
+      if (distance <= closestDistance) {
+        closest = connection;
+        closestDistance = distance;
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Returns whether blocks can be suggested for a connection, which is the
+   * case for empty inputs and next connections of editable blocks.
+   * @param {!Blockly.Connection} connection The connection to check.
+   * @returns {boolean} True if the connection is an empty input or next
+   *     connection.
+   */
+  isEmptyConnection(connection) {
+    const block = connection.getSourceBlock();
+    if (
+      connection.isConnected() ||
+      block.isShadow() ||
+      !block.isEditable() ||
+      block.workspace.isFlyout
+    ) {
+      return false;
+    }
+    if (connection === block.nextConnection) return true;
+    const input = block.inputList.find(
+      (input) => input.connection === connection,
+    );
+    return !!input && input.isVisible() && !block.isCollapsed();
+  }
+
+  /**
+   * Returns the connection of a block that would be connected to the given
+   * connection.
+   * @param {!Blockly.Block} block The block to connect.
+   * @param {!Blockly.Connection} connection The connection to connect it to.
+   * @returns {?Blockly.Connection} The block's output connection for inputs,
+   *     its previous connection otherwise, or null if it doesn't have one.
+   * @private
+   */
+  getConnectionToConnect_(block, connection) {
+    return connection.type === Blockly.ConnectionType.INPUT_VALUE
+      ? block.outputConnection
+      : block.previousConnection;
+  }
+
+  /**
+   * Returns the state to create a suggested block from, which is the state of
+   * the first block of its type that was created.
+   * @param {string} blockType The block type.
+   * @returns {!Blockly.serialization.blocks.State} The block state.
+   * @private
+   */
+  getBlockState_(blockType) {
+    const state = {
+      ...(this.suggestor_.defaultJsonForBlockLookup[blockType] || {}),
+      type: blockType,
+    };
+    delete state['kind'];
+    delete state['id'];
+    delete state['x'];
+    delete state['y'];
+    return state;
+  }
+
+  /**
+   * Returns a headless block of the given type, which is used to check
+   * whether the type can be connected to a connection.
+   * @param {string} blockType The block type.
+   * @returns {?Blockly.Block} The sample block, or null if the block type
+   *     can't be created.
+   * @private
+   */
+  getSampleBlock_(blockType) {
+    if (this.sampleBlocks_.has(blockType)) {
+      return this.sampleBlocks_.get(blockType);
+    }
+    if (!this.sampleWorkspace_) {
+      this.sampleWorkspace_ = new Blockly.Workspace();
+    }
+    let block = null;
+    Blockly.Events.disable();
+    try {
+      block = Blockly.serialization.blocks.append(
+        this.getBlockState_(blockType),
+        this.sampleWorkspace_,
+        {recordUndo: false},
+      );
+    } catch (e) {
+      // Some blocks can only be created in specific workspaces.
+    } finally {
+      Blockly.Events.enable();
+    }
+    this.sampleBlocks_.set(blockType, block);
+    return block;
+  }
+
+  /**
+   * Returns the block types to suggest for a connection, best first.
+   * @param {!Blockly.Connection} connection The connection to suggest blocks
+   *     for.
+   * @returns {!Array<string>} The types of the blocks that can be connected
+   *     to the connection.
+   */
+  getSuggestedBlockTypes(connection) {
+    const strategy = this.suggestor_.getStrategy(CONNECTION_SUGGESTIONS_KEY);
+    if (!strategy) return [];
+    const checker = connection.getConnectionChecker();
+    const suggestions = [];
+    for (const blockType of strategy.rankBlockTypes(this.suggestor_)) {
+      const sample = this.getSampleBlock_(blockType);
+      const sampleConnection =
+        sample && this.getConnectionToConnect_(sample, connection);
+      if (
+        !sampleConnection ||
+        !checker.doTypeChecks(connection, sampleConnection)
+      ) {
+        continue;
+      }
+      suggestions.push(blockType);
+      if (suggestions.length >= this.maxSuggestions) break;
+    }
+    return suggestions;
+  }
+
+  /**
+   * Creates a block of the given type and connects it to a connection, as a
+   * single undo step.
+   * @param {!Blockly.Connection} connection The connection to connect the
+   *     block to.
+   * @param {string} blockType The type of the block to create.
+   * @returns {?Blockly.Block} The created block, or null if it couldn't be
+   *     connected.
+   */
+  insertSuggestion(connection, blockType) {
+    const workspace = connection.getSourceBlock().workspace;
+    const existingGroup = Blockly.Events.getGroup();
+    if (!existingGroup) Blockly.Events.setGroup(true);
+    try {
+      const block = Blockly.serialization.blocks.append(
+        this.getBlockState_(blockType),
+        workspace,
+        {recordUndo: true},
+      );
+      const blockConnection = this.getConnectionToConnect_(block, connection);
+      if (
+        !blockConnection ||
+        !connection
+          .getConnectionChecker()
+          .canConnect(connection, blockConnection, false)
+      ) {
+        block.dispose(false);
+        return null;
+      }
+      connection.connect(blockConnection);
+      if (block instanceof Blockly.BlockSvg) {
+        Blockly.common.setSelected(block);
+      }
+      return block;
+    } finally {
+      if (!existingGroup) Blockly.Events.setGroup(false);
+    }
+  }
+
+  /**
+   * Returns the text shown for a suggested block type.
+   * @param {string} blockType The block type.
+   * @returns {string} The text of the block's fields, or its type if it has
+   *     no text.
+   * @private
+   */
+  getLabel_(blockType) {
+    const sample = this.getSampleBlock_(blockType);
+    return (sample && sample.toString(30).trim()) || blockType;
+  }
+
+  /**
+   * Shows the blocks suggested for a connection in a popup next to it.
+   * @param {!Blockly.RenderedConnection} connection The connection to
+   *     suggest blocks for.
+   * @returns {boolean} True if the popup was shown, false if there are no
+   *     blocks to suggest.
+   */
+  show(connection) {
+    this.hide();
+    const blockTypes = this.getSuggestedBlockTypes(connection);
+    if (!blockTypes.length) return false;
+
+    const rtl = this.workspace_.RTL;
+    const menu = new Blockly.Menu();
+    menu.setRole(Blockly.utils.aria.Role.MENU);
+    for (const blockType of blockTypes) {
+      const menuItem = new Blockly.MenuItem(
+        this.getLabel_(blockType),
+        blockType,
+      );
+      menuItem.setRightToLeft(rtl);
+      menuItem.setRole(Blockly.utils.aria.Role.MENUITEM);
+      menuItem.onAction(() => {
+        this.hide();
+        this.insertSuggestion(connection, blockType);
+      }, this);
+      menu.addChild(menuItem);
+    }
+
+    Blockly.WidgetDiv.show(this, rtl, () => menu.dispose(), this.workspace_);
+    const menuDom = menu.render(Blockly.WidgetDiv.getDiv());
+    Blockly.utils.dom.addClass(menuDom, 'blocklyContextMenu');
+
+    // Anchor the popup to the connection, in page coordinates.
+    const viewportBBox = Blockly.utils.svgMath.getViewportBBox();
+    const xy = Blockly.utils.svgMath.wsToScreenCoordinates(
+      this.workspace_,
+      new Blockly.utils.Coordinate(connection.x, connection.y),
+    );
+    const top = xy.y + viewportBBox.top;
+    const left = xy.x + viewportBBox.left;
+    const anchorBBox = new Blockly.utils.Rect(top, top, left, left);
+    const menuSize = menu.getSize();
+    if (rtl) {
+      anchorBBox.left += menuSize.width;
+      anchorBBox.right += menuSize.width;
+      viewportBBox.left += menuSize.width;
+      viewportBBox.right += menuSize.width;
+    }
+    Blockly.WidgetDiv.positionWithAnchor(
+      viewportBBox,
+      anchorBBox,
+      menuSize,
+      rtl,
+    );
+    menu.focus();
+    return true;
+  }
+
+  /**
+   * Hides the popup, if it is shown.
+   */
+  hide() {
+    Blockly.WidgetDiv.hideIfOwner(this);
+  }
+}
@@ -10,10 +10,27 @@
 'use strict';
 
 import * as Blockly from 'blockly/core';
+import {
+  SuggestionStrategy,
+  MostUsedStrategy,
+  RecentlyUsedStrategy,
+  createStrategy,
+} from './strategies';
+
+export * from './strategies';
+export * from './connection_suggestions';
 
 /** Map from workspaces to BlockSuggestor objects. */
 const suggestorLookup = new WeakMap();
 
+/**
+ * The strategies used for the suggestion categories when none are given.
+ */
+const DEFAULT_CATEGORIES = {
+  MOST_USED: 'mostUsed',
+  RECENTLY_USED: 'recentlyUsed',
+};
+
 /**
  * Class that tracks all blocks created in a workspace and suggests future
  * blocks to use.
@@ -43,43 +60,60 @@ export class BlockSuggestor {
      * Config parameter which sets the size of the toolbox categories.
      */
     this.numBlocksPerCategory = numBlocksPerCategory;
+    /**
+     * Map from the custom keys of toolbox categories to the strategies used to
+     * rank their blocks.
+     * @type {!Map<string, !SuggestionStrategy>}
+     */
+    this.strategies = new Map();
 
     this.eventListener = this.eventListener.bind(this);
     this.getMostUsed = this.getMostUsed.bind(this);
     this.getRecentlyUsed = this.getRecentlyUsed.bind(this);
+    this.getSuggestions = this.getSuggestions.bind(this);
     this.generateBlockData = this.generateBlockData.bind(this);
   }
 
+  /**
+   * Sets the strategy used to rank the blocks of a toolbox category.
+   * @param {string} categoryKey The custom key of the toolbox category.
+   * @param {string|!SuggestionStrategy} strategy The name of a built-in
+   *     strategy, or a strategy object.
+   */
+  setStrategy(categoryKey, strategy) {
+    this.strategies.set(categoryKey, createStrategy(strategy));
+  }
+
+  /**
+   * Returns the strategy used to rank the blocks of a toolbox category.
+   * @param {string} categoryKey The custom key of the toolbox category.
+   * @returns {?SuggestionStrategy} The strategy, or null if the category
+   *     doesn't have one.
+   */
+  getStrategy(categoryKey) {
+    return this.strategies.get(categoryKey) || null;
+  }
+
+  /**
+   * Generates the list of blocks suggested for a toolbox category, in order.
+   * @param {string} categoryKey The custom key of the toolbox category.
+   * @returns {!Array<!Blockly.utils.toolbox.BlockInfo>} A list of block JSON
+   */
+  getSuggestions(categoryKey) {
+    const strategy = this.getStrategy(categoryKey);
+    if (!strategy) {
+      throw new Error(`No suggestion strategy for category: ${categoryKey}`);
+    }
+    return this.generateBlockData(strategy.rankBlockTypes(this));
+  }
+
   /**
    * Generates a list of the 10 most frequently used blocks, in order.
    * Includes a secondary sort by most recent blocks.
    * @returns {!Array<!Blockly.utils.toolbox.BlockInfo>}A list of block JSON
    */
   getMostUsed = function () {
-    // Store the frequency of each block, as well as the index first appears at.
-    const countMap = new Map();
-    const recencyMap = new Map();
-    for (const [index, key] of this.recentlyUsedBlocks.entries()) {
-      countMap.set(key, (countMap.get(key) || 0) + 1);
-      if (!recencyMap.has(key)) {
-        recencyMap.set(key, index + 1);
-      }
-    }
-
-    // Get a sorted list.
-    const freqUsedBlockTypes = [];
-    for (const key of countMap.keys()) {
-      freqUsedBlockTypes.push(key);
-    }
-    // Use recency as a tiebreak.
-    freqUsedBlockTypes.sort(
-      (a, b) =>
-        countMap.get(b) -
-        countMap.get(a) +
-        0.01 * (recencyMap.get(a) - recencyMap.get(b)),
-    );
-
-    return this.generateBlockData(freqUsedBlockTypes);
+    return this.generateBlockData(new MostUsedStrategy().rankBlockTypes(this));
   };
 
   /**
@@ -87,15 +121,9 @@ export class BlockSuggestor {
    * @returns {Array <object>} A list of block JSON objects
    */
   getRecentlyUsed = function () {
-    const uniqueRecentBlocks = [...new Set(this.recentlyUsedBlocks)];
-    const recencyMap = new Map();
-    for (const [index, key] of this.recentlyUsedBlocks.entries()) {
-      if (!recencyMap.has(key)) {
-        recencyMap.set(key, index + 1);
-      }
-    }
-    uniqueRecentBlocks.sort((a, b) => recencyMap[a] - recencyMap[b]);
-    return this.generateBlockData(uniqueRecentBlocks);
+    return this.generateBlockData(
+      new RecentlyUsedStrategy().rankBlockTypes(this),
+    );
   };
 
   /**
@@ -131,6 +159,13 @@ export class BlockSuggestor {
   loadFromSerializedData(data) {
     this.defaultJsonForBlockLookup = data.defaultJsonForBlockLookup;
     this.recentlyUsedBlocks = data.recentlyUsedBlocks;
+    // Data saved by older versions doesn't include any strategy state.
+    const strategyStates = data.strategies || {};
+    for (const [categoryKey, strategy] of this.strategies) {
+      if (strategyStates[categoryKey]) {
+        strategy.loadState(strategyStates[categoryKey]);
+      }
+    }
   }
 
   /**
@@ -138,9 +173,15 @@ export class BlockSuggestor {
    * @returns {object} a serialized data object including this object's state
    */
   saveToSerializedData() {
+    const strategyStates = {};
+    for (const [categoryKey, strategy] of this.strategies) {
+      const state = strategy.saveState();
+      if (state) strategyStates[categoryKey] = state;
+    }
     return {
       defaultJsonForBlockLookup: this.defaultJsonForBlockLookup,
       recentlyUsedBlocks: this.recentlyUsedBlocks,
+      strategies: strategyStates,
     };
   }
 
@@ -150,6 +191,9 @@ export class BlockSuggestor {
   clearPriorBlockData() {
     this.defaultJsonForBlockLookup = {};
     this.recentlyUsedBlocks = [];
+    for (const strategy of this.strategies.values()) {
+      strategy.clearState();
+    }
   }
 
   /**
@@ -173,6 +217,11 @@ export class BlockSuggestor {
       }
       this.recentlyUsedBlocks.unshift(newBlockType);
     }
+    if (this.workspaceHasFinishedLoading) {
+      for (const strategy of this.strategies.values()) {
+        strategy.handleEvent(e, this);
+      }
+    }
   }
 }
 
@@ -184,18 +233,25 @@ export class BlockSuggestor {
  * @param {boolean} waitForFinishedLoading whether to wait until we hear the
  * FINISHED_LOADING event before responding to BLOCK_CREATE events. Set to false
  * if you disable events during initial load. Defaults to true.
+ * @param {!Object<string, (string|!SuggestionStrategy)>=} categories Map from
+ * the custom keys of toolbox categories to the strategies used to rank their
+ * blocks. Strategies are given by the name of a built-in strategy ('mostUsed',
+ * 'recentlyUsed', 'timeDecay' or 'nextBlock'), or as a strategy object.
+ * Defaults to 'mostUsed' for MOST_USED and 'recentlyUsed' for RECENTLY_USED.
  */
 export const init = function (
   workspace,
   numBlocksPerCategory = 10,
   waitForFinishedLoading = true,
+  categories = DEFAULT_CATEGORIES,
 ) {
   const suggestor = new BlockSuggestor(numBlocksPerCategory);
-  workspace.registerToolboxCategoryCallback('MOST_USED', suggestor.getMostUsed);
-  workspace.registerToolboxCategoryCallback(
-    'RECENTLY_USED',
-    suggestor.getRecentlyUsed,
-  );
+  for (const [categoryKey, strategy] of Object.entries(categories)) {
+    suggestor.setStrategy(categoryKey, strategy);
+    workspace.registerToolboxCategoryCallback(categoryKey, () =>
+      suggestor.getSuggestions(categoryKey),
+    );
+  }
   // If user says not to wait to hear FINISHED_LOADING event,
   // then always respond to BLOCK_CREATE events.
   if (!waitForFinishedLoading) suggestor.workspaceHasFinishedLoading = true;
@@ -203,6 +259,16 @@ export const init = function (
   suggestorLookup.set(workspace, suggestor);
 };
 
+/**
+ * Returns the BlockSuggestor initialized for a workspace.
+ * @param {!Blockly.Workspace} workspace the workspace passed to `init`
+ * @returns {?BlockSuggestor} the suggestor, or null if `init` hasn't been
+ * called for the workspace
+ */
+export const getSuggestor = function (workspace) {
+  return suggestorLookup.get(workspace) || null;
+};
+
 /**
  * Custom serializer so that the block suggestor can save and later recall which
  * blocks have been used in a workspace.
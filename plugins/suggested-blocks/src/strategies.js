@@ -0,0 +1,347 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Strategies for ranking the blocks suggested in a category.
+ */
+'use strict';
+
+import * as Blockly from 'blockly/core';
+
+/**
+ * The BlockSuggestor whose statistics a strategy reads, as defined in
+ * index.js. Only its type is needed here, and index.js imports this module,
+ * so it isn't imported back.
+ * @typedef {Object} BlockSuggestor
+ * @property {!Array<string>} recentlyUsedBlocks The block types created in
+ *     the workspace, most recent first.
+ */
+
+/**
+ * Base class for strategies that decide which blocks a suggestion category
+ * shows, and in what order.
+ *
+ * All strategies can read the block types tracked by the BlockSuggestor.
+ * Strategies that need other statistics collect them in `handleEvent`, and
+ * save them with `saveState` so they're serialized alongside the workspace.
+ */
+export class SuggestionStrategy {
+  /**
+   * Updates the statistics of this strategy. Only called for events fired
+   * after the workspace has finished loading.
+   * @param {!Blockly.Events.Abstract} e The event fired by the workspace.
+   * @param {!BlockSuggestor} suggestor The suggestor using this strategy.
+   */
+  handleEvent(e, suggestor) {}
+
+  /**
+   * Ranks the block types to suggest. Must be overridden by strategies.
+   * @param {!BlockSuggestor} suggestor The suggestor using this strategy.
+   * @returns {!Array<string>} The block types to suggest, best first.
+   */
+  rankBlockTypes(suggestor) {
+    return [];
+  }
+
+  /**
+   * Saves the statistics of this strategy.
+   * @returns {?Object|undefined} The serialized statistics, or undefined if
+   *     the strategy doesn't have any.
+   */
+  saveState() {
+    return undefined;
+  }
+
+  /**
+   * Loads statistics previously saved by `saveState`.
+   * @param {!Object} state The serialized statistics.
+   */
+  loadState(state) {}
+
+  /**
+   * Resets the statistics of this strategy.
+   */
+  clearState() {}
+}
+
+/**
+ * Ranks blocks by how often they have been used, with the most recently used
+ * blocks first when there is a tie.
+ */
+export class MostUsedStrategy extends SuggestionStrategy {
+  /**
+   * Ranks the block types by how often they have been used.
+   * @param {!BlockSuggestor} suggestor The suggestor using this strategy.
+   * @returns {!Array<string>} The block types to suggest, best first.
+   */
+  rankBlockTypes(suggestor) {
+    // Store the frequency of each block, as well as the index first appears at.
+    const countMap = new Map();
+    const recencyMap = new Map();
+    for (const [index, key] of suggestor.recentlyUsedBlocks.entries()) {
+      countMap.set(key, (countMap.get(key) || 0) + 1);
+      if (!recencyMap.has(key)) {
+        recencyMap.set(key, index + 1);
+      }
+    }
+
+    // Get a sorted list.
+    const freqUsedBlockTypes = [...countMap.keys()];
+    // Use recency as a tiebreak.
+    freqUsedBlockTypes.sort(
+      (a, b) =>
+        countMap.get(b) -
+        countMap.get(a) +
+        0.01 * (recencyMap.get(a) - recencyMap.get(b)),
+    );
+    return freqUsedBlockTypes;
+  }
+}
+
+/**
+ * Ranks blocks by how recently they have been used.
+ */
+export class RecentlyUsedStrategy extends SuggestionStrategy {
+  /**
+   * Ranks the block types by how recently they have been used.
+   * @param {!BlockSuggestor} suggestor The suggestor using this strategy.
+   * @returns {!Array<string>} The block types to suggest, best first.
+   */
+  rankBlockTypes(suggestor) {
+    // The list of used blocks is ordered from most to least recent.
+    return [...new Set(suggestor.recentlyUsedBlocks)];
+  }
+}
+
+/**
+ * Ranks blocks by how often they have been used, counting recent uses more
+ * than old ones. Each use counts half as much once `halfLife` milliseconds
+ * have passed.
+ */
+export class TimeDecayStrategy extends SuggestionStrategy {
+  /**
+   * Constructs a TimeDecayStrategy.
+   * @param {{halfLife: (number|undefined)}=} options The half-life of a use in
+   *     milliseconds. Defaults to one hour.
+   */
+  constructor({halfLife = 60 * 60 * 1000} = {}) {
+    super();
+    /**
+     * The time in milliseconds after which a use counts half as much.
+     * @type {number}
+     */
+    this.halfLife = halfLife;
+
+    /**
+     * The score of each block type when it was last used, and the time it
+     * was last used at.
+     * @type {!Object<string, {score: number, time: number}>}
+     * @private
+     */
+    this.scores_ = {};
+  }
+
+  /**
+   * Returns the score of a block type at the given time.
+   * @param {string} blockType The block type.
+   * @param {number} now The current time in milliseconds.
+   * @returns {number} The decayed score, or 0 if the block was never used.
+   * @private
+   */
+  getScore_(blockType, now) {
+    const entry = this.scores_[blockType];
+    if (!entry) return 0;
+    return entry.score * Math.pow(0.5, (now - entry.time) / this.halfLife);
+  }
+
+  /**
+   * Adds a use of the created block type.
+   * @param {!Blockly.Events.Abstract} e The event fired by the workspace.
+   * @param {!BlockSuggestor} suggestor The suggestor using this strategy.
+   */
+  handleEvent(e, suggestor) {
+    if (e.type !== Blockly.Events.BLOCK_CREATE) return;
+    const blockType = e.json.type;
+    const now = Date.now();
+    this.scores_[blockType] = {
+      score: this.getScore_(blockType, now) + 1,
+      time: now,
+    };
+  }
+
+  /**
+   * Ranks the block types by their decayed frequency.
+   * @param {!BlockSuggestor} suggestor The suggestor using this strategy.
+   * @returns {!Array<string>} The block types to suggest, best first.
+   */
+  rankBlockTypes(suggestor) {
+    const now = Date.now();
+    const scores = new Map(
+      Object.keys(this.scores_).map((type) => [
+        type,
+        this.getScore_(type, now),
+      ]),
+    );
+    // Use recency as a tiebreak, like the most used strategy.
+    const recentlyUsed = new RecentlyUsedStrategy().rankBlockTypes(suggestor);
+    const recency = (type) => {
+      const index = recentlyUsed.indexOf(type);
+      return index === -1 ? recentlyUsed.length : index;
+    };
+    return [...scores.keys()].sort(
+      (a, b) => scores.get(b) - scores.get(a) || recency(a) - recency(b),
+    );
+  }
+
+  /**
+   * Saves the score of each block type.
+   * @returns {!Object} The serialized scores.
+   */
+  saveState() {
+    return {scores: this.scores_};
+  }
+
+  /**
+   * Loads the score of each block type.
+   * @param {!Object} state The serialized scores.
+   */
+  loadState(state) {
+    this.scores_ = {...(state.scores || {})};
+  }
+
+  /**
+   * Resets the score of each block type.
+   */
+  clearState() {
+    this.scores_ = {};
+  }
+}
+
+/**
+ * Ranks blocks by how often they have been connected to blocks of the same
+ * type as the selected block. If no block is selected, the most recently used
+ * block type is used instead.
+ *
+ * The statistics are collected from the move events fired when a block is
+ * connected to a parent block, counting which child block types follow each
+ * parent block type. When there aren't enough statistics for a block type,
+ * the most used blocks fill the rest of the category.
+ */
+export class NextBlockStrategy extends SuggestionStrategy {
+  /**
+   * Constructs a NextBlockStrategy.
+   */
+  constructor() {
+    super();
+    /**
+     * How many times each block type has been connected to each parent block
+     * type, keyed by the parent block type and then the child block type.
+     * @type {!Object<string, !Object<string, number>>}
+     * @private
+     */
+    this.transitions_ = {};
+  }
+
+  /**
+   * Counts the blocks connected to parent blocks.
+   * @param {!Blockly.Events.Abstract} e The event fired by the workspace.
+   * @param {!BlockSuggestor} suggestor The suggestor using this strategy.
+   */
+  handleEvent(e, suggestor) {
+    if (
+      e.type !== Blockly.Events.BLOCK_MOVE ||
+      !e.newParentId ||
+      e.newParentId === e.oldParentId
+    ) {
+      return;
+    }
+    const workspace = Blockly.Workspace.getById(e.workspaceId);
+    const parent = workspace?.getBlockById(e.newParentId);
+    const child = workspace?.getBlockById(e.blockId);
+    if (!parent || !child) return;
+
+    if (!this.transitions_[parent.type]) {
+      this.transitions_[parent.type] = {};
+    }
+    const counts = this.transitions_[parent.type];
+    counts[child.type] = (counts[child.type] || 0) + 1;
+  }
+
+  /**
+   * Returns the block type to suggest the next blocks for.
+   * @param {!BlockSuggestor} suggestor The suggestor using this strategy.
+   * @returns {string|undefined} The type of the selected block, or of the
+   *     most recently used block if no block is selected.
+   * @protected
+   */
+  getCurrentBlockType(suggestor) {
+    const selected = Blockly.getSelected();
+    if (selected instanceof Blockly.Block) return selected.type;
+    return suggestor.recentlyUsedBlocks[0];
+  }
+
+  /**
+   * Ranks the block types by how often they follow the current block type.
+   * @param {!BlockSuggestor} suggestor The suggestor using this strategy.
+   * @returns {!Array<string>} The block types to suggest, best first.
+   */
+  rankBlockTypes(suggestor) {
+    const counts = this.transitions_[this.getCurrentBlockType(suggestor)] || {};
+    const nextBlockTypes = Object.keys(counts).sort(
+      (a, b) => counts[b] - counts[a],
+    );
+    const mostUsed = new MostUsedStrategy().rankBlockTypes(suggestor);
+    return [...new Set([...nextBlockTypes, ...mostUsed])];
+  }
+
+  /**
+   * Saves the connection statistics.
+   * @returns {!Object} The serialized statistics.
+   */
+  saveState() {
+    return {transitions: this.transitions_};
+  }
+
+  /**
+   * Loads the connection statistics.
+   * @param {!Object} state The serialized statistics.
+   */
+  loadState(state) {
+    this.transitions_ = {...(state.transitions || {})};
+  }
+
+  /**
+   * Resets the connection statistics.
+   */
+  clearState() {
+    this.transitions_ = {};
+  }
+}
+
+/**
+ * Creates the strategy for the given option.
+ * @param {string|!SuggestionStrategy} strategy The name of a built-in strategy
+ *     ('mostUsed', 'recentlyUsed', 'timeDecay' or 'nextBlock'), or a strategy
+ *     object.
+ * @returns {!SuggestionStrategy} The strategy.
+ */
+export function createStrategy(strategy) {
+  if (strategy && typeof strategy === 'object') {
+    return strategy;
+  }
+  switch (strategy) {
+    case 'mostUsed':
+      return new MostUsedStrategy();
+    case 'recentlyUsed':
+      return new RecentlyUsedStrategy();
+    case 'timeDecay':
+      return new TimeDecayStrategy();
+    case 'nextBlock':
+      return new NextBlockStrategy();
+    default:
+      throw new Error(`Unknown block suggestion strategy: ${strategy}`);
+  }
+}
@@ -20,7 +20,16 @@ import * as SuggestedBlocks from '../src/index';
  */
 function createWorkspace(blocklyDiv, options) {
   const workspace = Blockly.inject(blocklyDiv, options);
-  SuggestedBlocks.init(workspace);
+  SuggestedBlocks.init(workspace, 10, true, {
+    MOST_USED: 'mostUsed',
+    RECENTLY_USED: 'recentlyUsed',
+    NEXT_BLOCK: 'nextBlock',
+    TRENDING: 'timeDecay',
+  });
+  new SuggestedBlocks.ConnectionSuggestions(
+    workspace,
+    SuggestedBlocks.getSuggestor(workspace),
+  ).init();
   return workspace;
 }
 
@@ -51,6 +60,18 @@ document.addEventListener('DOMContentLoaded', async function () {
     custom: 'RECENTLY_USED',
     categorystyle: 'recently_used_category',
   });
+  toolboxCategories['contents'].push({
+    kind: 'category',
+    name: 'Next Block',
+    custom: 'NEXT_BLOCK',
+    categorystyle: 'recently_used_category',
+  });
+  toolboxCategories['contents'].push({
+    kind: 'category',
+    name: 'Trending',
+    custom: 'TRENDING',
+    categorystyle: 'frequently_used_category',
+  });
   const defaultOptions = {
     toolbox: toolboxCategories,
     theme: customTheme,
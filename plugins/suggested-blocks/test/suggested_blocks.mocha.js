@@ -236,6 +236,282 @@ suite('Suggested blocks', function () {
     );
   });
 
+  test('Can serialize/de-serialize data without strategies', function () {
+    simulateTestCase(STANDARD_TEST_CASE, this.workspace, this.clock);
+
+    const serializedData = this.suggestor.saveToSerializedData();
+    delete serializedData.strategies;
+    this.suggestor.setStrategy('TRENDING', 'timeDecay');
+    this.suggestor.clearPriorBlockData();
+    this.suggestor.loadFromSerializedData(serializedData);
+
+    assertSuggestedListEquals(
+      this.suggestor.getMostUsed(),
+      STANDARD_TEST_CASE.expectedFrequentBlocks,
+    );
+  });
+
+  suite('Strategies', function () {
+    test('Built-in strategies match the default categories', function () {
+      simulateTestCase(STANDARD_TEST_CASE, this.workspace, this.clock);
+      this.suggestor.setStrategy('MOST_USED', 'mostUsed');
+      this.suggestor.setStrategy('RECENTLY_USED', 'recentlyUsed');
+
+      assertSuggestedListEquals(
+        this.suggestor.getSuggestions('MOST_USED'),
+        STANDARD_TEST_CASE.expectedFrequentBlocks,
+      );
+      assertSuggestedListEquals(
+        this.suggestor.getSuggestions('RECENTLY_USED'),
+        STANDARD_TEST_CASE.expectedRecentBlocks,
+      );
+    });
+
+    test('Custom strategy objects are used', function () {
+      const strategy = new SuggestedBlocks.SuggestionStrategy();
+      strategy.rankBlockTypes = () => ['text', 'controls_if'];
+      this.suggestor.setStrategy('CUSTOM', strategy);
+
+      assert.equal(this.suggestor.getStrategy('CUSTOM'), strategy);
+      assertSuggestedListEquals(this.suggestor.getSuggestions('CUSTOM'), [
+        'text',
+        'controls_if',
+      ]);
+    });
+
+    test('Unknown strategy names throw', function () {
+      assert.throws(() => this.suggestor.setStrategy('CUSTOM', 'unknown'));
+    });
+
+    suite('Time decay', function () {
+      setup(function () {
+        this.suggestor.setStrategy(
+          'TRENDING',
+          new SuggestedBlocks.TimeDecayStrategy({halfLife: 1000}),
+        );
+      });
+
+      test('Recent uses count more than old ones', function () {
+        for (let i = 0; i < 3; i++) this.workspace.newBlock('controls_if');
+        this.clock.tick(5000);
+        for (let i = 0; i < 2; i++) this.workspace.newBlock('text');
+        this.clock.tick(10);
+
+        assertSuggestedListEquals(this.suggestor.getSuggestions('TRENDING'), [
+          'text',
+          'controls_if',
+        ]);
+        // Without decay, the block used most often comes first.
+        assertSuggestedListEquals(this.suggestor.getMostUsed(), [
+          'controls_if',
+          'text',
+        ]);
+      });
+
+      test('Ties are broken by recency', function () {
+        this.workspace.newBlock('controls_if');
+        this.workspace.newBlock('text');
+        this.clock.tick(10);
+
+        assertSuggestedListEquals(this.suggestor.getSuggestions('TRENDING'), [
+          'text',
+          'controls_if',
+        ]);
+      });
+
+      test('Can serialize/de-serialize', function () {
+        for (let i = 0; i < 3; i++) this.workspace.newBlock('controls_if');
+        this.clock.tick(5000);
+        for (let i = 0; i < 2; i++) this.workspace.newBlock('text');
+        this.clock.tick(10);
+
+        const serializedData = this.suggestor.saveToSerializedData();
+        this.suggestor.clearPriorBlockData();
+        assert.equal(
+          this.suggestor.getSuggestions('TRENDING')[0].kind,
+          'LABEL',
+        );
+        this.suggestor.loadFromSerializedData(
+          JSON.parse(JSON.stringify(serializedData)),
+        );
+
+        assertSuggestedListEquals(this.suggestor.getSuggestions('TRENDING'), [
+          'text',
+          'controls_if',
+        ]);
+      });
+    });
+
+    suite('Next block', function () {
+      setup(function () {
+        this.suggestor.setStrategy('NEXT_BLOCK', 'nextBlock');
+        this.connect = (parentType, childType) => {
+          const parent = this.workspace.newBlock(parentType);
+          const child = this.workspace.newBlock(childType);
+          parent.getInput('DO0').connection.connect(child.previousConnection);
+          return parent;
+        };
+      });
+
+      test('Suggests blocks connected after the current one', function () {
+        this.connect('controls_if', 'text_print');
+        this.connect('controls_if', 'text_print');
+        this.connect('controls_if', 'controls_whileUntil');
+        this.workspace.newBlock('math_number');
+        this.workspace.newBlock('math_number');
+        this.workspace.newBlock('math_number');
+        this.workspace.newBlock('controls_if');
+        this.clock.tick(10);
+
+        assertSuggestedListEquals(this.suggestor.getSuggestions('NEXT_BLOCK'), [
+          'text_print',
+          'controls_whileUntil',
+          'controls_if',
+          'math_number',
+        ]);
+      });
+
+      test('Falls back to the most used blocks', function () {
+        this.connect('controls_if', 'text_print');
+        this.workspace.newBlock('math_number');
+        this.clock.tick(10);
+
+        assertSuggestedListEquals(
+          this.suggestor.getSuggestions('NEXT_BLOCK'),
+          this.suggestor.getMostUsed().map((x) => x.type),
+        );
+      });
+
+      test('Ignores events before the workspace finished loading', function () {
+        this.suggestor.workspaceHasFinishedLoading = false;
+        this.connect('controls_if', 'controls_whileUntil');
+        this.clock.tick(10);
+        this.suggestor.workspaceHasFinishedLoading = true;
+        this.workspace.newBlock('controls_if');
+        this.clock.tick(10);
+
+        assertSuggestedListEquals(this.suggestor.getSuggestions('NEXT_BLOCK'), [
+          'controls_if',
+        ]);
+      });
+
+      test('Can serialize/de-serialize', function () {
+        this.connect('controls_if', 'text_print');
+        this.workspace.newBlock('controls_if');
+        this.clock.tick(10);
+
+        const serializedData = this.suggestor.saveToSerializedData();
+        assert.deepEqual(serializedData.strategies, {
+          NEXT_BLOCK: {transitions: {controls_if: {text_print: 1}}},
+        });
+        this.suggestor.clearPriorBlockData();
+        this.suggestor.loadFromSerializedData(serializedData);
+
+        assertSuggestedListEquals(this.suggestor.getSuggestions('NEXT_BLOCK'), [
+          'text_print',
+          'controls_if',
+        ]);
+      });
+    });
+  });
+
+  suite('Connection suggestions', function () {
+    setup(function () {
+      this.suggestions = new SuggestedBlocks.ConnectionSuggestions(
+        this.workspace,
+        this.suggestor,
+        {maxSuggestions: 3, strategy: 'mostUsed'},
+      );
+      for (const blockType of [
+        'math_number',
+        'math_number',
+        'math_number',
+        'logic_boolean',
+        'logic_boolean',
+        'text_print',
+        'text',
+        'controls_if',
+      ]) {
+        this.workspace.newBlock(blockType);
+      }
+      this.clock.tick(10);
+    });
+
+    teardown(function () {
+      this.suggestions.dispose();
+    });
+
+    test('Only suggests blocks compatible with a value input', function () {
+      const block = this.workspace.newBlock('controls_if');
+      const connection = block.getInput('IF0').connection;
+
+      assert.deepEqual(this.suggestions.getSuggestedBlockTypes(connection), [
+        'logic_boolean',
+      ]);
+    });
+
+    test('Only suggests statement blocks for next connections', function () {
+      const block = this.workspace.newBlock('text_print');
+
+      assert.deepEqual(
+        this.suggestions.getSuggestedBlockTypes(block.nextConnection),
+        ['controls_if', 'text_print'],
+      );
+    });
+
+    test('Limits the number of suggestions', function () {
+      const block = this.workspace.newBlock('text_print');
+      const connection = block.getInput('TEXT').connection;
+
+      assert.deepEqual(this.suggestions.getSuggestedBlockTypes(connection), [
+        'math_number',
+        'logic_boolean',
+        'text',
+      ]);
+    });
+
+    test('Connected connections are not empty', function () {
+      const block = this.workspace.newBlock('text_print');
+      assert.isTrue(this.suggestions.isEmptyConnection(block.nextConnection));
+
+      block.nextConnection.connect(
+        this.workspace.newBlock('text_print').previousConnection,
+      );
+      assert.isFalse(this.suggestions.isEmptyConnection(block.nextConnection));
+    });
+
+    test('Inserting connects the block in a single undo group', function () {
+      const parent = this.workspace.newBlock('controls_if');
+      this.clock.tick(10);
+      const connection = parent.getInput('IF0').connection;
+
+      const block = this.suggestions.insertSuggestion(
+        connection,
+        'logic_boolean',
+      );
+      this.clock.tick(10);
+
+      assert.equal(block.type, 'logic_boolean');
+      assert.equal(connection.targetBlock(), block);
+      const undoStack = this.workspace.getUndoStack();
+      const groups = new Set(undoStack.slice(-2).map((event) => event.group));
+      assert.equal(groups.size, 1);
+      assert.isNotEmpty([...groups][0]);
+
+      this.workspace.undo(false);
+      this.clock.tick(10);
+      assert.isNull(connection.targetBlock());
+      assert.isNull(this.workspace.getBlockById(block.id));
+    });
+
+    test('Registers its strategy with the suggestor', function () {
+      assert.instanceOf(
+        this.suggestor.getStrategy(SuggestedBlocks.CONNECTION_SUGGESTIONS_KEY),
+        SuggestedBlocks.MostUsedStrategy,
+      );
+    });
+  });
+
   teardown(function () {
     this.workspace.dispose();
     this.suggestor = null;
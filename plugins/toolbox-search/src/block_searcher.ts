@@ -6,89 +6,487 @@
 
 import * as Blockly from 'blockly/core';
 
+/**
+ * Extra keywords that blocks can be found by, keyed by block type.
+ */
+const registeredKeywords = new Map<string, Set<string>>();
+
+/**
+ * Code generators whose output blocks can be found by.
+ */
+const registeredGenerators = new Set<Blockly.CodeGenerator>();
+
+/**
+ * Registers keywords that a block type can be found by, in addition to the
+ * text shown on the block. This is useful for synonyms, e.g. "loop" for
+ * controls_repeat_ext.
+ *
+ * Keywords must be registered before the toolbox is created.
+ *
+ * @param blockType The block type to register keywords for.
+ * @param keywords The keywords to find the block by.
+ */
+export function registerKeywords(blockType: string, keywords: string[]) {
+  const blockKeywords = registeredKeywords.get(blockType) ?? new Set<string>();
+  keywords.forEach((keyword) => blockKeywords.add(keyword));
+  registeredKeywords.set(blockType, blockKeywords);
+}
+
+/**
+ * Unregisters all of the keywords registered for a block type.
+ *
+ * @param blockType The block type to unregister keywords for.
+ */
+export function unregisterKeywords(blockType: string) {
+  registeredKeywords.delete(blockType);
+}
+
+/**
+ * Registers a code generator whose output for each block is also searched,
+ * so blocks can be found by the code they generate.
+ *
+ * Generators must be registered before the toolbox is created.
+ *
+ * @param generator The code generator to register.
+ */
+export function registerGenerator(generator: Blockly.CodeGenerator) {
+  registeredGenerators.add(generator);
+}
+
+/**
+ * Unregisters a code generator registered with registerGenerator().
+ *
+ * @param generator The code generator to unregister.
+ */
+export function unregisterGenerator(generator: Blockly.CodeGenerator) {
+  registeredGenerators.delete(generator);
+}
+
+/**
+ * The searchable text of an indexed block.
+ */
+interface IndexedBlock {
+  /** The normalized block type. */
+  type: string;
+  /** The normalized text shown on the block. */
+  label: string;
+  /** The normalized keywords registered for the block. */
+  keywords: string[];
+  /** All of the normalized searchable text of the block. */
+  text: string;
+  /** The distinct words in the searchable text. */
+  words: Set<string>;
+  /** The trigrams of the searchable text. */
+  trigrams: Set<string>;
+}
+
+/**
+ * The score of blocks whose type exactly matches the query. Scores of other
+ * matches are lower, so these blocks always come first.
+ */
+const EXACT_TYPE_SCORE = 3;
+
+/**
+ * The score of blocks whose label or one of whose keywords starts with the
+ * query, before adding their trigram overlap.
+ */
+const PREFIX_SCORE = 2;
+
+/**
+ * Matches the characters between words of searchable text, which is anything
+ * other than letters and digits. Code created by generators is split into
+ * words at punctuation, e.g. "for(var" becomes "for" and "var".
+ */
+const WORD_SEPARATOR = /[^a-z0-9\u00c0-\uffff]+/;
+
+/**
+ * Creates a copy of a code generator that shares its block generator
+ * functions and settings, but keeps its own state once initialized.
+ *
+ * @param generator The code generator to copy.
+ * @returns The copy.
+ */
+function createIndexingGenerator(
+  generator: Blockly.CodeGenerator,
+): Blockly.CodeGenerator {
+  const copy = Object.create(generator) as Blockly.CodeGenerator;
+  // Generators reset their name database when initialized if they already
+  // have one, so the copy needs its own rather than the inherited one.
+  copy.nameDB_ = undefined;
+  return copy;
+}
+
 /**
  * A class that provides methods for indexing and searching blocks.
  */
 export class BlockSearcher {
-  private blockCreationWorkspace = new Blockly.Workspace();
-  private trigramsToBlocks = new Map<string, Set<string>>();
+  private indexedBlocks = new Map<string, IndexedBlock>();
 
   /**
-   * Populates the cached map of trigrams to the blocks they correspond to.
+   * Copies of the registered generators, initialized for the workspace that
+   * blocks are being indexed on.
+   */
+  private indexingGenerators: Blockly.CodeGenerator[] = [];
+
+  /**
+   * Populates the cached searchable text of the blocks.
    *
    * This method must be called before blockTypesMatching(). Behind the
    * scenes, it creates a workspace, loads the specified block types on it,
-   * indexes their types and human-readable text, and cleans up after
+   * indexes their types, human-readable text, tooltips, registered keywords
+   * and the code registered generators create for them, and cleans up after
    * itself.
    *
    * @param blockTypes A list of block types to index.
    */
   indexBlocks(blockTypes: string[]) {
+    this.withBlockCreationWorkspace((workspace) => {
+      blockTypes.forEach((blockType) => {
+        this.indexBlock(blockType, workspace.newBlock(blockType));
+      });
+    });
+  }
+
+  /**
+   * Populates the cached searchable text of blocks configured by toolbox
+   * definitions, e.g. the contents of dynamic categories.
+   *
+   * Unlike indexBlocks(), blocks are indexed under the given keys rather than
+   * their types, so that several configurations of a block type (e.g. getters
+   * of different variables) can be told apart. Blocks that are already
+   * indexed under the same keys are replaced.
+   *
+   * @param blockInfos The toolbox definitions of the blocks, keyed by the
+   *     keys to index them under.
+   */
+  indexBlockInfos(blockInfos: Map<string, Blockly.utils.toolbox.BlockInfo>) {
+    this.withBlockCreationWorkspace((workspace) => {
+      blockInfos.forEach((blockInfo, key) => {
+        const block = this.createBlock(blockInfo, workspace);
+        // Reinsert the block, so that it's ranked as the latest indexed block.
+        this.indexedBlocks.delete(key);
+        if (block) this.indexBlock(key, block);
+      });
+    });
+  }
+
+  /**
+   * Removes blocks from the index.
+   *
+   * @param keys The keys the blocks were indexed under.
+   */
+  removeBlocks(keys: string[]) {
+    keys.forEach((key) => this.indexedBlocks.delete(key));
+  }
+
+  /**
+   * Creates a headless workspace to create blocks on while indexing them, and
+   * disposes of it afterwards.
+   *
+   * @param callback The function that indexes blocks.
+   */
+  private withBlockCreationWorkspace(
+    callback: (workspace: Blockly.Workspace) => void,
+  ) {
     const blockCreationWorkspace = new Blockly.Workspace();
-    blockTypes.forEach((blockType) => {
-      const block = blockCreationWorkspace.newBlock(blockType);
-      this.indexBlockText(blockType.replaceAll('_', ' '), blockType);
-      block.inputList.forEach((input) => {
-        input.fieldRow.forEach((field) => {
-          this.indexDropdownOption(field, blockType);
-          this.indexBlockText(field.getText(), blockType);
+    // Initializing a generator resets its definitions and variable names, so
+    // use copies to leave the state of the app's own generators alone.
+    this.indexingGenerators = [...registeredGenerators].map((generator) => {
+      const copy = createIndexingGenerator(generator);
+      copy.init(blockCreationWorkspace);
+      return copy;
+    });
+    try {
+      callback(blockCreationWorkspace);
+    } finally {
+      this.indexingGenerators = [];
+      blockCreationWorkspace.dispose();
+    }
+  }
+
+  /**
+   * Creates a block from its toolbox definition.
+   *
+   * @param blockInfo The toolbox definition of the block.
+   * @param workspace The workspace to create the block on.
+   * @returns The block, or null if it couldn't be created.
+   */
+  private createBlock(
+    blockInfo: Blockly.utils.toolbox.BlockInfo,
+    workspace: Blockly.Workspace,
+  ): Blockly.Block | null {
+    try {
+      if (blockInfo.blockxml) {
+        const xml =
+          typeof blockInfo.blockxml === 'string'
+            ? Blockly.utils.xml.textToDom(blockInfo.blockxml)
+            : (blockInfo.blockxml as Element);
+        return Blockly.Xml.domToBlock(xml, workspace);
+      }
+      return Blockly.serialization.blocks.append(
+        blockInfo as Blockly.serialization.blocks.State,
+        workspace,
+      );
+    } catch (e) {
+      // Blocks that can't be created headlessly can't be searched for.
+      return null;
+    }
+  }
+
+  /**
+   * Indexes the searchable text of a block.
+   *
+   * @param key The key to index the block under.
+   * @param block The block to index.
+   */
+  private indexBlock(key: string, block: Blockly.Block) {
+    const labelParts: string[] = [];
+    const texts: string[] = [block.type.replaceAll('_', ' ')];
+    block.inputList.forEach((input) => {
+      input.fieldRow.forEach((field) => {
+        texts.push(...this.getDropdownOptionTexts(field));
+        const fieldText = field.getText();
+        labelParts.push(fieldText);
+        texts.push(fieldText);
+      });
+    });
+    // The blocks preset in the block's inputs, e.g. shadow blocks, are part of
+    // what's shown in the toolbox, so their text can be searched for too.
+    block
+      .getDescendants(false)
+      .slice(1)
+      .forEach((child) => {
+        child.inputList.forEach((input) => {
+          input.fieldRow.forEach((field) => texts.push(field.getText()));
         });
       });
+    const keywords = [...(registeredKeywords.get(block.type) ?? [])];
+    texts.push(...keywords, block.getTooltip());
+    this.indexingGenerators.forEach((generator) => {
+      texts.push(this.getGeneratedCode(generator, block));
     });
+    this.indexBlockText(key, block.type, labelParts.join(' '), keywords, texts);
   }
 
   /**
-   * Check if the field is a dropdown, and index every text in the option
+   * Check if the field is a dropdown, and return the text of every option.
+   * The options of variable fields are skipped, because they list every
+   * variable in the workspace rather than the one the block refers to.
    *
    * @param field We need to check the type of field
-   * @param blockType The block type to associate the trigrams with.
-   */
-  private indexDropdownOption(field: Blockly.Field, blockType: string) {
-    if (field instanceof Blockly.FieldDropdown) {
-      field.getOptions(true).forEach((option) => {
-        if (typeof option[0] === 'string') {
-          this.indexBlockText(option[0], blockType);
-        } else if ('alt' in option[0]) {
-          this.indexBlockText(option[0].alt, blockType);
-        }
-      });
+   * @returns The text of each option, or an empty list if the field is not a
+   *     dropdown.
+   */
+  private getDropdownOptionTexts(field: Blockly.Field): string[] {
+    if (
+      !(field instanceof Blockly.FieldDropdown) ||
+      field instanceof Blockly.FieldVariable
+    ) {
+      return [];
     }
+    const texts: string[] = [];
+    field.getOptions(true).forEach((option) => {
+      if (typeof option[0] === 'string') {
+        texts.push(option[0]);
+      } else if ('alt' in option[0]) {
+        texts.push(option[0].alt);
+      }
+    });
+    return texts;
   }
 
   /**
-   * Filters the available blocks based on the current query string.
+   * Returns the code a generator creates for a block, ignoring any errors
+   * thrown by generators that don't support the block.
+   *
+   * @param generator The code generator to use.
+   * @param block The block to generate code for.
+   * @returns The generated code, or an empty string if there is none.
+   */
+  private getGeneratedCode(
+    generator: Blockly.CodeGenerator,
+    block: Blockly.Block,
+  ): string {
+    try {
+      const code = generator.blockToCode(block, true);
+      return Array.isArray(code) ? code[0] : code;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Filters the available blocks based on the current query string, and ranks
+   * them by relevance.
+   *
+   * Blocks whose type exactly matches the query come first, then blocks whose
+   * label or keywords start with the query, then the other matching blocks by
+   * how many of the query's trigrams they contain. Each word of the query must
+   * appear in the block's searchable text, or be a small typo away from one of
+   * its words.
    *
    * @param query The text to use to match blocks against.
-   * @returns A list of block types matching the query.
+   * @returns A list of the keys of the blocks matching the query, most
+   *     relevant first. Blocks indexed by indexBlocks() are keyed by their
+   *     type.
    */
   blockTypesMatching(query: string): string[] {
-    return [
-      ...this.generateTrigrams(query)
-        .map((trigram) => {
-          return this.trigramsToBlocks.get(trigram) ?? new Set<string>();
-        })
-        .reduce((matches, current) => {
-          return this.getIntersection(matches, current);
-        })
-        .values(),
-    ];
-  }
-
-  /**
-   * Generates trigrams for the given text and associates them with the given
-   * block type.
-   *
-   * @param text The text to generate trigrams of.
-   * @param blockType The block type to associate the trigrams with.
-   */
-  private indexBlockText(text: string, blockType: string) {
-    this.generateTrigrams(text).forEach((trigram) => {
-      const blockSet = this.trigramsToBlocks.get(trigram) ?? new Set<string>();
-      blockSet.add(blockType);
-      this.trigramsToBlocks.set(trigram, blockSet);
+    const normalizedQuery = this.normalize(query);
+    if (!normalizedQuery) return [];
+
+    const matches: Array<{key: string; score: number}> = [];
+    this.indexedBlocks.forEach((indexedBlock, key) => {
+      const score = this.scoreBlock(indexedBlock, normalizedQuery);
+      if (score > 0) matches.push({key, score});
+    });
+    // Sorting is stable, so blocks with equal scores keep the toolbox order.
+    return matches.sort((a, b) => b.score - a.score).map((match) => match.key);
+  }
+
+  /**
+   * Returns how relevant a block is to a query.
+   *
+   * @param indexedBlock The searchable text of the block.
+   * @param query The normalized query.
+   * @returns The relevance of the block, or 0 if it doesn't match.
+   */
+  private scoreBlock(indexedBlock: IndexedBlock, query: string): number {
+    if (
+      indexedBlock.type === query ||
+      indexedBlock.type.replaceAll('_', ' ') === query
+    ) {
+      return EXACT_TYPE_SCORE;
+    }
+    if (!this.matchesAllWords(indexedBlock, query)) return 0;
+
+    const queryTrigrams = this.generateTrigrams(query);
+    const overlap =
+      queryTrigrams.filter((trigram) => indexedBlock.trigrams.has(trigram))
+        .length / queryTrigrams.length;
+    const isPrefix =
+      indexedBlock.label.startsWith(query) ||
+      indexedBlock.keywords.some((keyword) => keyword.startsWith(query));
+    // Blocks that only match with typos still need a positive score.
+    return (isPrefix ? PREFIX_SCORE : 0) + Math.max(overlap, Number.EPSILON);
+  }
+
+  /**
+   * Returns whether every word of the query appears in the searchable text of
+   * a block, or is a small typo away from one of its words.
+   *
+   * @param indexedBlock The searchable text of the block.
+   * @param query The normalized query.
+   * @returns True if every word of the query matches.
+   */
+  private matchesAllWords(indexedBlock: IndexedBlock, query: string): boolean {
+    return query.split(' ').every((queryWord) => {
+      if (indexedBlock.text.includes(queryWord)) return true;
+      const maxEdits = this.getMaxEdits(queryWord);
+      if (!maxEdits) return false;
+      for (const word of indexedBlock.words) {
+        // Also compare against the start of longer words, so that typos in
+        // words that are still being typed are tolerated.
+        if (
+          this.getEditDistance(queryWord, word) <= maxEdits ||
+          this.getEditDistance(queryWord, word.slice(0, queryWord.length)) <=
+            maxEdits
+        ) {
+          return true;
+        }
+      }
+      return false;
     });
   }
 
+  /**
+   * Returns how many typos are tolerated in a word of the query.
+   *
+   * @param word The word of the query.
+   * @returns The maximum edit distance for the word to still match.
+   */
+  private getMaxEdits(word: string): number {
+    if (word.length < 4) return 0;
+    if (word.length < 8) return 1;
+    return 2;
+  }
+
+  /**
+   * Returns the number of insertions, deletions, substitutions and
+   * transpositions of adjacent characters needed to turn one string into
+   * another.
+   *
+   * @param a The first string.
+   * @param b The second string.
+   * @returns The edit distance between the strings.
+   */
+  private getEditDistance(a: string, b: string): number {
+    const distances: number[][] = [];
+    for (let i = 0; i <= a.length; i++) {
+      distances.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+      distances[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        distances[i][j] = Math.min(
+          distances[i - 1][j] + 1,
+          distances[i][j - 1] + 1,
+          distances[i - 1][j - 1] + cost,
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          distances[i][j] = Math.min(
+            distances[i][j],
+            distances[i - 2][j - 2] + 1,
+          );
+        }
+      }
+    }
+    return distances[a.length][b.length];
+  }
+
+  /**
+   * Stores the searchable text of a block.
+   *
+   * @param key The key to index the block under.
+   * @param blockType The type of the block.
+   * @param label The text shown on the block.
+   * @param keywords The keywords registered for the block type.
+   * @param texts All of the searchable text of the block.
+   */
+  private indexBlockText(
+    key: string,
+    blockType: string,
+    label: string,
+    keywords: string[],
+    texts: string[],
+  ) {
+    const text = texts
+      .map((text) => this.normalize(text))
+      .filter(Boolean)
+      .join(' ');
+    this.indexedBlocks.set(key, {
+      type: blockType.toLowerCase(),
+      label: this.normalize(label),
+      keywords: keywords.map((keyword) => this.normalize(keyword)),
+      text,
+      words: new Set(text.split(WORD_SEPARATOR).filter(Boolean)),
+      trigrams: new Set(this.generateTrigrams(text)),
+    });
+  }
+
+  /**
+   * Normalizes text for searching, by lowercasing it and collapsing
+   * whitespace.
+   *
+   * @param text The text to normalize.
+   * @returns The normalized text.
+   */
+  private normalize(text: string): string {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
   /**
    * Generates a list of trigrams for a given string.
    *
@@ -101,21 +499,10 @@ export class BlockSearcher {
     if (normalizedInput.length <= 3) return [normalizedInput];
 
     const trigrams: string[] = [];
-    for (let start = 0; start < normalizedInput.length - 3; start++) {
+    for (let start = 0; start <= normalizedInput.length - 3; start++) {
       trigrams.push(normalizedInput.substring(start, start + 3));
     }
 
     return trigrams;
   }
-
-  /**
-   * Returns the intersection of two sets.
-   *
-   * @param a The first set.
-   * @param b The second set.
-   * @returns The intersection of the two sets.
-   */
-  private getIntersection(a: Set<string>, b: Set<string>): Set<string> {
-    return new Set([...a].filter((value) => b.has(value)));
-  }
 }
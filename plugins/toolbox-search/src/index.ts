@@ -1,2 +1,15 @@
-// This file exists solely as an entrypoint.
-import './toolbox_search';
+/**
+ * @license
+ * Copyright 2023 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// Importing this file registers the search toolbox category.
+export {ToolboxSearchCategory} from './toolbox_search';
+export {
+  BlockSearcher,
+  registerKeywords,
+  unregisterKeywords,
+  registerGenerator,
+  unregisterGenerator,
+} from './block_searcher';
@@ -13,6 +13,16 @@ import {BlockSearcher} from './block_searcher';
 
 /* eslint-disable @typescript-eslint/naming-convention */
 
+/**
+ * A block in the toolbox definition, along with the category it's in.
+ */
+interface ToolboxBlock {
+  /** The name of the category the block is in, or '' if it isn't in one. */
+  categoryName: string;
+  /** The exact configuration of the block in the toolbox. */
+  blockInfo: Blockly.utils.toolbox.BlockInfo;
+}
+
 /**
  * A toolbox category that provides a search field and displays matching blocks
  * in its flyout.
@@ -22,6 +32,21 @@ export class ToolboxSearchCategory extends Blockly.ToolboxCategory {
   static readonly SEARCH_CATEGORY_KIND = 'search';
   private searchField?: HTMLInputElement;
   private blockSearcher = new BlockSearcher();
+  /**
+   * The blocks in the toolbox definition, keyed by the keys they're indexed
+   * under. Static blocks are keyed by their serialized definition, so the
+   * same block in several categories is only indexed once.
+   */
+  private toolboxBlocks = new Map<string, ToolboxBlock[]>();
+  /** The dynamic categories in the toolbox definition. */
+  private dynamicCategories: Array<{customKey: string; categoryName: string}> =
+    [];
+  /** The keys the contents of dynamic categories are indexed under. */
+  private dynamicBlockKeys = new Set<string>();
+  /** Whether the contents of dynamic categories have been indexed yet. */
+  private hasIndexedDynamicCategories = false;
+  /** The index of the result chosen with the keyboard, or -1 if none is. */
+  private highlightedIndex = -1;
 
   /**
    * Initializes a ToolboxSearchCategory.
@@ -40,6 +65,7 @@ export class ToolboxSearchCategory extends Blockly.ToolboxCategory {
     super(categoryDef, parentToolbox, opt_parent);
     this.initBlockSearcher();
     this.registerShortcut();
+    this.workspace_.addChangeListener(this.onWorkspaceChange);
   }
 
   /**
@@ -55,11 +81,28 @@ export class ToolboxSearchCategory extends Blockly.ToolboxCategory {
     this.workspace_.RTL
       ? (this.searchField.style.marginRight = '8px')
       : (this.searchField.style.marginLeft = '8px');
+    this.searchField.addEventListener('keydown', (event) => {
+      switch (event.key) {
+        case 'ArrowDown':
+          this.highlightResult(this.highlightedIndex + 1);
+          break;
+        case 'ArrowUp':
+          this.highlightResult(this.highlightedIndex - 1);
+          break;
+        case 'Enter':
+          this.insertHighlightedResult();
+          break;
+        default:
+          return;
+      }
+      event.preventDefault();
+    });
     this.searchField.addEventListener('keyup', (event) => {
       if (event.key === 'Escape') {
         this.parentToolbox_.clearSelection();
         return true;
       }
+      if (['ArrowDown', 'ArrowUp', 'Enter'].includes(event.key)) return;
 
       this.matchBlocks();
     });
@@ -105,23 +148,43 @@ export class ToolboxSearchCategory extends Blockly.ToolboxCategory {
   }
 
   /**
-   * Returns a list of block types that are present in the toolbox definition.
+   * Collects the blocks that are present in the toolbox definition, along with
+   * the categories they're in, and the dynamic categories.
    *
    * @param schema A toolbox item definition.
-   * @param allBlocks The set of all available blocks that have been encountered
-   *     so far.
+   * @param categoryName The name of the category containing the item, or '' if
+   *     it isn't in a category.
+   * @param allBlocks The available blocks that have been encountered so far,
+   *     keyed by their serialized definition.
    */
   private getAvailableBlocks(
     schema: Blockly.utils.toolbox.ToolboxItemInfo,
-    allBlocks: Set<string>,
+    categoryName: string,
+    allBlocks: Map<string, ToolboxBlock[]>,
   ) {
     if ('contents' in schema) {
+      const name =
+        'name' in schema && schema.name
+          ? Blockly.utils.parsing.replaceMessageReferences(schema.name)
+          : categoryName;
       schema.contents.forEach((contents) => {
-        this.getAvailableBlocks(contents, allBlocks);
+        this.getAvailableBlocks(contents, name, allBlocks);
+      });
+    } else if ('custom' in schema && schema.custom) {
+      this.dynamicCategories.push({
+        customKey: schema.custom,
+        categoryName:
+          'name' in schema && schema.name
+            ? Blockly.utils.parsing.replaceMessageReferences(schema.name)
+            : categoryName,
       });
     } else if (schema.kind.toLowerCase() === 'block') {
-      if ('type' in schema && schema.type) {
-        allBlocks.add(schema.type);
+      const blockInfo = schema as Blockly.utils.toolbox.BlockInfo;
+      if (blockInfo.type || blockInfo.blockxml) {
+        const key = this.serializeBlockInfo(blockInfo);
+        const blocks = allBlocks.get(key) ?? [];
+        blocks.push({categoryName, blockInfo});
+        allBlocks.set(key, blocks);
       }
     }
   }
@@ -130,11 +193,154 @@ export class ToolboxSearchCategory extends Blockly.ToolboxCategory {
    * Builds the BlockSearcher index based on the available blocks.
    */
   private initBlockSearcher() {
-    const availableBlocks = new Set<string>();
+    this.toolboxBlocks.clear();
+    this.dynamicCategories = [];
     this.workspace_.options.languageTree?.contents?.forEach((item) =>
-      this.getAvailableBlocks(item, availableBlocks),
+      this.getAvailableBlocks(item, '', this.toolboxBlocks),
+    );
+    // Blocks are created from their definitions, so the values of their
+    // fields and the blocks in their inputs can be searched for too.
+    const blockInfos = new Map<string, Blockly.utils.toolbox.BlockInfo>();
+    this.toolboxBlocks.forEach(([{blockInfo}], key) => {
+      blockInfos.set(key, blockInfo);
+    });
+    this.blockSearcher.indexBlockInfos(blockInfos);
+  }
+
+  /**
+   * Indexes the current contents of the dynamic categories, e.g. the blocks
+   * for each variable and procedure. Only blocks that weren't indexed yet are
+   * created and indexed, and blocks that are no longer in the categories are
+   * removed from the index.
+   *
+   * Dynamic categories are first indexed when searching, because their
+   * callbacks may be registered after the toolbox is created.
+   */
+  private indexDynamicCategories() {
+    this.hasIndexedDynamicCategories = true;
+    const dynamicBlocks = new Map<string, ToolboxBlock>();
+    this.dynamicCategories.forEach(({customKey, categoryName}) => {
+      const callback = this.workspace_.getToolboxCategoryCallback(customKey);
+      if (!callback) return;
+      Blockly.utils.toolbox
+        .convertFlyoutDefToJsonArray(callback(this.workspace_))
+        .forEach((item) => {
+          if (item.kind.toLowerCase() !== 'block') return;
+          const blockInfo = item as Blockly.utils.toolbox.BlockInfo;
+          // Blocks are keyed by their configuration, so unchanged blocks keep
+          // their keys and don't need to be indexed again.
+          const key = `${customKey}:${this.serializeBlockInfo(blockInfo)}`;
+          dynamicBlocks.set(key, {categoryName, blockInfo});
+        });
+    });
+
+    const removedKeys = [...this.dynamicBlockKeys].filter(
+      (key) => !dynamicBlocks.has(key),
+    );
+    this.blockSearcher.removeBlocks(removedKeys);
+    removedKeys.forEach((key) => this.toolboxBlocks.delete(key));
+
+    const addedBlockInfos = new Map<string, Blockly.utils.toolbox.BlockInfo>();
+    dynamicBlocks.forEach((toolboxBlock, key) => {
+      if (!this.dynamicBlockKeys.has(key)) {
+        addedBlockInfos.set(key, toolboxBlock.blockInfo);
+      }
+      this.toolboxBlocks.set(key, [toolboxBlock]);
+    });
+    this.blockSearcher.indexBlockInfos(addedBlockInfos);
+    this.dynamicBlockKeys = new Set(dynamicBlocks.keys());
+  }
+
+  /**
+   * Serializes the toolbox definition of a block, including its XML if it is
+   * defined by XML.
+   *
+   * @param blockInfo The toolbox definition of the block.
+   * @returns The serialized definition.
+   */
+  private serializeBlockInfo(blockInfo: Blockly.utils.toolbox.BlockInfo) {
+    // XML is found by its key rather than with instanceof Node, since it may
+    // belong to another window, e.g. the one blockly/core uses in Node.js.
+    return JSON.stringify(blockInfo, (key, value) =>
+      key === 'blockxml' && typeof value !== 'string'
+        ? Blockly.Xml.domToText(value)
+        : value,
     );
-    this.blockSearcher.indexBlocks([...availableBlocks]);
+  }
+
+  /**
+   * Re-indexes the contents of the dynamic categories when variables or
+   * procedures change.
+   *
+   * @param e The workspace event.
+   */
+  private onWorkspaceChange = (e: Blockly.Events.Abstract) => {
+    if (!this.hasIndexedDynamicCategories) return;
+    if (this.affectsDynamicCategories(e)) this.indexDynamicCategories();
+  };
+
+  /**
+   * Returns whether an event may change the contents of dynamic categories,
+   * which is the case for changes to variables and procedures.
+   *
+   * @param e The workspace event.
+   * @returns True if the dynamic categories should be re-indexed.
+   */
+  private affectsDynamicCategories(e: Blockly.Events.Abstract): boolean {
+    switch (e.type) {
+      case Blockly.Events.VAR_CREATE:
+      case Blockly.Events.VAR_DELETE:
+      case Blockly.Events.VAR_RENAME:
+        return true;
+      case Blockly.Events.BLOCK_CREATE:
+        return this.hasProcedureDefinition(
+          (e as Blockly.Events.BlockCreate).json,
+        );
+      case Blockly.Events.BLOCK_DELETE:
+        return this.hasProcedureDefinition(
+          (e as Blockly.Events.BlockDelete).oldJson,
+        );
+      case Blockly.Events.BLOCK_CHANGE: {
+        const blockId = (e as Blockly.Events.BlockChange).blockId;
+        const block = blockId ? this.workspace_.getBlockById(blockId) : null;
+        return !!block && this.isProcedureDefinition(block.type);
+      }
+      default:
+        // Events for procedure models, e.g. from
+        // @blockly/block-shareable-procedures.
+        return e.type.startsWith('procedure_');
+    }
+  }
+
+  /**
+   * Returns whether a block state contains a procedure definition block.
+   *
+   * @param state The serialized block, including its children.
+   * @returns True if the block or one of its children defines a procedure.
+   */
+  private hasProcedureDefinition(
+    state?: Blockly.serialization.blocks.State,
+  ): boolean {
+    if (!state) return false;
+    if (this.isProcedureDefinition(state.type)) return true;
+    const connections = [...Object.values(state.inputs ?? {}), state.next];
+    return connections.some(
+      (connection) =>
+        !!connection &&
+        (this.hasProcedureDefinition(connection.block) ||
+          this.hasProcedureDefinition(connection.shadow)),
+    );
+  }
+
+  /**
+   * Returns whether a block type defines a procedure.
+   *
+   * @param blockType The block type.
+   * @returns True if blocks of the type are procedure definitions.
+   */
+  private isProcedureDefinition(blockType: string): boolean {
+    const definition = Blockly.Blocks[blockType];
+    return !!definition && 'getProcedureDef' in definition;
   }
 
   /**
@@ -171,15 +377,19 @@ export class ToolboxSearchCategory extends Blockly.ToolboxCategory {
    */
   private matchBlocks() {
     const query = this.searchField?.value || '';
+    if (!this.hasIndexedDynamicCategories) this.indexDynamicCategories();
 
-    this.flyoutItems_ = query
-      ? this.blockSearcher.blockTypesMatching(query).map((blockType) => {
-          return {
-            kind: 'block',
-            type: blockType,
-          };
-        })
-      : [];
+    const flyoutItems: Blockly.utils.toolbox.FlyoutItemInfoArray = [];
+    const groups = this.groupByCategory(
+      query ? this.blockSearcher.blockTypesMatching(query) : [],
+    );
+    groups.forEach((blockInfos, categoryName) => {
+      if (categoryName) {
+        flyoutItems.push({kind: 'label', text: categoryName});
+      }
+      flyoutItems.push(...blockInfos);
+    });
+    this.flyoutItems_ = flyoutItems;
 
     if (!this.flyoutItems_.length) {
       this.flyoutItems_.push({
@@ -191,6 +401,142 @@ export class ToolboxSearchCategory extends Blockly.ToolboxCategory {
       });
     }
     this.parentToolbox_.refreshSelection();
+    this.highlightedIndex = -1;
+    this.highlightResult(0);
+  }
+
+  /**
+   * Groups the toolbox configurations of the matching blocks by the category
+   * they're in.
+   *
+   * @param keys The keys of the matching blocks, most relevant first.
+   * @returns The configurations of the matching blocks, keyed by category
+   *     name. Categories and blocks are in order of relevance.
+   */
+  private groupByCategory(
+    keys: string[],
+  ): Map<string, Blockly.utils.toolbox.BlockInfo[]> {
+    const groups = new Map<string, Blockly.utils.toolbox.BlockInfo[]>();
+    keys.forEach((key) => {
+      this.toolboxBlocks.get(key)?.forEach(({categoryName, blockInfo}) => {
+        const group = groups.get(categoryName) ?? [];
+        group.push(blockInfo);
+        groups.set(categoryName, group);
+      });
+    });
+    return groups;
+  }
+
+  /**
+   * Returns the blocks shown in the flyout, in the order they're shown in.
+   *
+   * @returns The flyout blocks.
+   */
+  private getResultBlocks(): Blockly.BlockSvg[] {
+    const flyout = this.parentToolbox_.getFlyout();
+    if (!flyout) return [];
+    const position = (block: Blockly.BlockSvg) => {
+      const xy = block.getRelativeToSurfaceXY();
+      return flyout.horizontalLayout ? xy.x : xy.y;
+    };
+    return flyout
+      .getWorkspace()
+      .getTopBlocks(false)
+      .sort((a, b) => position(a) - position(b));
+  }
+
+  /**
+   * Highlights one of the results, so that it can be inserted with the
+   * keyboard.
+   *
+   * @param index The index of the result to highlight. Indices past either
+   *     end of the results wrap around.
+   */
+  private highlightResult(index: number) {
+    const blocks = this.getResultBlocks();
+    blocks[this.highlightedIndex]?.removeSelect();
+    if (!blocks.length) {
+      this.highlightedIndex = -1;
+      return;
+    }
+    this.highlightedIndex = (index + blocks.length) % blocks.length;
+    const block = blocks[this.highlightedIndex];
+    block.addSelect();
+    this.scrollToResult(block);
+  }
+
+  /**
+   * Scrolls the flyout so that a result is visible.
+   *
+   * @param block The flyout block to scroll to.
+   */
+  private scrollToResult(block: Blockly.BlockSvg) {
+    const flyout = this.parentToolbox_.getFlyout();
+    const flyoutWorkspace = flyout?.getWorkspace();
+    if (!flyout || !flyoutWorkspace?.scrollbar) return;
+    const metricsManager = flyoutWorkspace.getMetricsManager();
+    const view = metricsManager.getViewMetrics(true);
+    const scroll = metricsManager.getScrollMetrics(true);
+    const bounds = block.getBoundingRectangle();
+    const scale = flyoutWorkspace.scale;
+    if (flyout.horizontalLayout) {
+      if (bounds.left < view.left || bounds.right > view.left + view.width) {
+        flyoutWorkspace.scrollbar.setX((bounds.left - scroll.left) * scale);
+      }
+    } else if (
+      bounds.top < view.top ||
+      bounds.bottom > view.top + view.height
+    ) {
+      flyoutWorkspace.scrollbar.setY((bounds.top - scroll.top) * scale);
+    }
+  }
+
+  /**
+   * Inserts the highlighted result into the workspace, at the keyboard
+   * navigation cursor if it is on the workspace, or in the centre of the
+   * viewport otherwise.
+   */
+  private insertHighlightedResult() {
+    const flyoutBlock = this.getResultBlocks()[this.highlightedIndex];
+    if (!flyoutBlock) return;
+    const workspace = this.workspace_;
+
+    const existingGroup = Blockly.Events.getGroup();
+    if (!existingGroup) Blockly.Events.setGroup(true);
+    try {
+      const state = Blockly.serialization.blocks.save(flyoutBlock, {
+        addCoordinates: false,
+      });
+      if (!state) return;
+      const block = Blockly.serialization.blocks.append(state, workspace, {
+        recordUndo: true,
+      }) as Blockly.BlockSvg;
+      block.moveTo(this.getInsertionPosition());
+      Blockly.common.setSelected(block);
+    } finally {
+      if (!existingGroup) Blockly.Events.setGroup(false);
+    }
+    this.parentToolbox_.clearSelection();
+  }
+
+  /**
+   * Returns where a result inserted with the keyboard is placed.
+   *
+   * @returns The position of the keyboard navigation cursor if it is on the
+   *     workspace, or the centre of the viewport otherwise, in workspace
+   *     coordinates.
+   */
+  private getInsertionPosition(): Blockly.utils.Coordinate {
+    const workspace = this.workspace_;
+    const node = workspace.getCursor()?.getCurNode();
+    if (node?.getType() === Blockly.ASTNode.types.WORKSPACE) {
+      return node.getWsCoordinate();
+    }
+    const view = workspace.getMetricsManager().getViewMetrics(true);
+    return new Blockly.utils.Coordinate(
+      view.left + view.width / 2,
+      view.top + view.height / 2,
+    );
   }
 
   /**
@@ -198,6 +544,7 @@ export class ToolboxSearchCategory extends Blockly.ToolboxCategory {
    */
   override dispose() {
     super.dispose();
+    this.workspace_.removeChangeListener(this.onWorkspaceChange);
     Blockly.ShortcutRegistry.registry.unregister(
       ToolboxSearchCategory.START_SEARCH_SHORTCUT,
     );
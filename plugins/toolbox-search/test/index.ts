@@ -10,7 +10,7 @@
 
 import * as Blockly from 'blockly';
 import {toolboxCategories, createPlayground} from '@blockly/dev-tools';
-import '../src/toolbox_search';
+import {registerKeywords} from '../src/index';
 
 /**
  * Create a workspace.
@@ -27,6 +27,8 @@ function createWorkspace(
 }
 
 document.addEventListener('DOMContentLoaded', function () {
+  registerKeywords('controls_repeat_ext', ['loop', 'again']);
+  registerKeywords('text_print', ['say', 'show']);
   const toolbox = {...toolboxCategories};
   toolbox['contents'].push({
     kind: 'search',
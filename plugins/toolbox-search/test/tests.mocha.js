@@ -1,7 +1,118 @@
 import {assert} from 'chai';
 import * as Blockly from 'blockly';
+import * as sinon from 'sinon';
 import {ToolboxSearchCategory} from '../src/toolbox_search';
-import {BlockSearcher} from '../src/block_searcher';
+import {javascriptGenerator} from 'blockly/javascript';
+import {
+  BlockSearcher,
+  registerKeywords,
+  unregisterKeywords,
+  registerGenerator,
+  unregisterGenerator,
+} from '../src/block_searcher';
+
+/**
+ * Sets up a page with a workspace on it whose toolbox has a search category.
+ * @param {!Array<!Object>} contents The toolbox contents after the search
+ *     category.
+ * @returns {!Blockly.WorkspaceSvg} The workspace.
+ */
+function setUpSearchWorkspace(contents) {
+  const jsdomCleanup = require('jsdom-global')(
+    '<!DOCTYPE html><div id="blocklyDiv"></div>',
+    // Blocks are rendered in animation frames.
+    {pretendToBeVisual: true},
+  );
+  // Used by Blockly to measure text while rendering, which jsdom doesn't
+  // implement.
+  sinon
+    .stub(window.HTMLCanvasElement.prototype, 'getContext')
+    .returns({measureText: (text) => ({width: text.length * 8})});
+  sinon.stub(window.HTMLElement.prototype, 'clientWidth').get(() => 400);
+  sinon.stub(window.HTMLElement.prototype, 'clientHeight').get(() => 400);
+  const workspace = Blockly.inject('blocklyDiv', {
+    toolbox: {
+      kind: 'categoryToolbox',
+      contents: [{kind: 'search', name: 'Search', contents: []}, ...contents],
+    },
+  });
+  workspace.jsdomCleanup = jsdomCleanup;
+  return workspace;
+}
+
+/**
+ * Disposes of a workspace created by setUpSearchWorkspace(), and cleans up
+ * the page.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ */
+function tearDownSearchWorkspace(workspace) {
+  workspace.dispose();
+  sinon.restore();
+  workspace.jsdomCleanup();
+}
+
+/**
+ * Returns the search category of a workspace's toolbox.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @returns {!ToolboxSearchCategory} The search category.
+ */
+function getSearchCategory(workspace) {
+  return workspace
+    .getToolbox()
+    .getToolboxItems()
+    .find((item) => item instanceof ToolboxSearchCategory);
+}
+
+/**
+ * Selects the search category and types a query into its search field.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {string} query The text to search for.
+ * @returns {!Array<!Object>} The contents of the flyout.
+ */
+function search(workspace, query) {
+  const category = getSearchCategory(workspace);
+  const toolbox = workspace.getToolbox();
+  if (toolbox.getSelectedItem() !== category) {
+    toolbox.setSelectedItem(category);
+  }
+  const input = category.getDiv().querySelector('input');
+  input.value = query;
+  input.dispatchEvent(new window.KeyboardEvent('keyup', {key: query.at(-1)}));
+  return category.flyoutItems_;
+}
+
+/**
+ * Presses a key in the search field of the search category.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {string} key The key to press.
+ */
+function pressKey(workspace, key) {
+  const input = getSearchCategory(workspace).getDiv().querySelector('input');
+  input.dispatchEvent(new window.KeyboardEvent('keydown', {key}));
+  input.dispatchEvent(new window.KeyboardEvent('keyup', {key}));
+}
+
+/**
+ * Returns the names of the labels and the types of the blocks in flyout
+ * contents.
+ * @param {!Array<!Object>} flyoutItems The flyout contents.
+ * @returns {!Array<string>} The labels and block types.
+ */
+function describeResults(flyoutItems) {
+  return flyoutItems.map((item) =>
+    item.kind === 'label'
+      ? `label: ${item.text}`
+      : item.type ?? item.blockxml.getAttribute('type'),
+  );
+}
+
+/**
+ * Waits for the workspace events that have been fired to be handled.
+ * @returns {!Promise} A promise that resolves after the events are handled.
+ */
+function flushEvents() {
+  return new Promise((resolve) => setTimeout(resolve));
+}
 
 suite('Toolbox search', () => {
   test('registers itself as a toolbox item', () => {
@@ -12,6 +123,290 @@ suite('Toolbox search', () => {
       ),
     );
   });
+
+  suite('Results', () => {
+    let workspace;
+    const printBlock = {
+      kind: 'block',
+      type: 'text_print',
+      inputs: {
+        TEXT: {shadow: {type: 'text', fields: {TEXT: 'hello world'}}},
+      },
+    };
+
+    setup(() => {
+      workspace = setUpSearchWorkspace([
+        {
+          kind: 'category',
+          name: 'Text',
+          contents: [printBlock, {kind: 'block', type: 'text_length'}],
+        },
+        {
+          kind: 'category',
+          name: 'Output',
+          contents: [printBlock],
+        },
+      ]);
+    });
+
+    teardown(() => {
+      tearDownSearchWorkspace(workspace);
+    });
+
+    test('groups results under the categories they are in', () => {
+      const results = search(workspace, 'print');
+      assert.deepEqual(describeResults(results), [
+        'label: Text',
+        'text_print',
+        'label: Output',
+        'text_print',
+      ]);
+    });
+
+    test('shows results with their toolbox configuration', () => {
+      const results = search(workspace, 'hello world');
+      assert.deepEqual(results[1], printBlock);
+    });
+
+    test('asks for a longer query when nothing matches', () => {
+      assert.deepEqual(search(workspace, 'zq'), [
+        {kind: 'label', text: 'Type to search for blocks'},
+      ]);
+      assert.deepEqual(search(workspace, 'zzzq'), [
+        {kind: 'label', text: 'No matching blocks found'},
+      ]);
+    });
+  });
+
+  suite('Keyboard selection', () => {
+    let workspace;
+    let category;
+
+    setup(() => {
+      workspace = setUpSearchWorkspace([
+        {
+          kind: 'category',
+          name: 'Text',
+          contents: [
+            {kind: 'block', type: 'text_length'},
+            {kind: 'block', type: 'text_isEmpty'},
+          ],
+        },
+      ]);
+      category = getSearchCategory(workspace);
+      search(workspace, 'text');
+    });
+
+    teardown(() => {
+      tearDownSearchWorkspace(workspace);
+    });
+
+    /**
+     * Returns the type of the highlighted result.
+     * @returns {string} The block type.
+     */
+    function getHighlightedType() {
+      return category.getResultBlocks()[category.highlightedIndex].type;
+    }
+
+    test('highlights the first result', () => {
+      assert.equal(category.getResultBlocks().length, 2);
+      assert.equal(category.highlightedIndex, 0);
+    });
+
+    test('moves the highlight with the arrow keys', () => {
+      const first = getHighlightedType();
+      pressKey(workspace, 'ArrowDown');
+      assert.equal(category.highlightedIndex, 1);
+      assert.notEqual(getHighlightedType(), first);
+      pressKey(workspace, 'ArrowDown');
+      assert.equal(getHighlightedType(), first);
+      pressKey(workspace, 'ArrowUp');
+      assert.equal(category.highlightedIndex, 1);
+    });
+
+    test('inserts the highlighted result on Enter in one undo step', async () => {
+      pressKey(workspace, 'ArrowDown');
+      const type = getHighlightedType();
+      pressKey(workspace, 'Enter');
+      const blocks = workspace.getTopBlocks(false);
+      assert.deepEqual(
+        blocks.map((block) => block.type),
+        [type],
+      );
+      assert.equal(Blockly.getSelected(), blocks[0]);
+      assert.isNull(workspace.getToolbox().getSelectedItem());
+
+      await flushEvents();
+      workspace.undo(false);
+      assert.isEmpty(workspace.getTopBlocks(false));
+    });
+
+    test('inserts results in the centre of the viewport', () => {
+      pressKey(workspace, 'Enter');
+      const view = workspace.getMetricsManager().getViewMetrics(true);
+      const xy = workspace.getTopBlocks(false)[0].getRelativeToSurfaceXY();
+      assert.closeTo(xy.x, view.left + view.width / 2, 0.001);
+      assert.closeTo(xy.y, view.top + view.height / 2, 0.001);
+    });
+
+    test('inserts results at the workspace cursor', () => {
+      const cursor = workspace.getCursor();
+      cursor.setCurNode(
+        Blockly.ASTNode.createWorkspaceNode(
+          workspace,
+          new Blockly.utils.Coordinate(120, 80),
+        ),
+      );
+      pressKey(workspace, 'Enter');
+      const xy = workspace.getTopBlocks(false)[0].getRelativeToSurfaceXY();
+      assert.deepEqual(xy, new Blockly.utils.Coordinate(120, 80));
+    });
+  });
+
+  suite('Dynamic categories', () => {
+    let workspace;
+    let category;
+
+    setup(async () => {
+      workspace = setUpSearchWorkspace([
+        {kind: 'category', name: 'Variables', custom: 'VARIABLE'},
+        {kind: 'category', name: 'Functions', custom: 'PROCEDURE'},
+      ]);
+      category = getSearchCategory(workspace);
+      workspace.createVariable('count');
+      await flushEvents();
+    });
+
+    teardown(() => {
+      tearDownSearchWorkspace(workspace);
+    });
+
+    /**
+     * Creates a procedure definition block.
+     * @param {string} name The name of the procedure.
+     * @returns {!Blockly.BlockSvg} The block.
+     */
+    function createProcedure(name) {
+      return Blockly.serialization.blocks.append(
+        {type: 'procedures_defnoreturn', fields: {NAME: name}},
+        workspace,
+      );
+    }
+
+    test('shows variable getters and setters', () => {
+      const results = search(workspace, 'count');
+      assert.equal(results[0].text, 'Variables');
+      assert.includeMembers(describeResults(results), [
+        'variables_get',
+        'variables_set',
+      ]);
+    });
+
+    test('shows procedure calls', () => {
+      createProcedure('greet');
+      const results = search(workspace, 'greet');
+      assert.deepEqual(describeResults(results), [
+        'label: Functions',
+        'procedures_callnoreturn',
+      ]);
+    });
+
+    test('indexes created, renamed and deleted variables', async () => {
+      search(workspace, 'count');
+      workspace.createVariable('total');
+      await flushEvents();
+      assert.include(
+        describeResults(search(workspace, 'total')),
+        'variables_get',
+      );
+
+      workspace.renameVariableById(
+        workspace.getVariable('total').getId(),
+        'sum',
+      );
+      await flushEvents();
+      assert.include(
+        describeResults(search(workspace, 'sum')),
+        'variables_get',
+      );
+      assert.notInclude(
+        describeResults(search(workspace, 'total')),
+        'variables_get',
+      );
+
+      workspace.deleteVariableById(workspace.getVariable('sum').getId());
+      await flushEvents();
+      assert.notInclude(
+        describeResults(search(workspace, 'sum')),
+        'variables_get',
+      );
+    });
+
+    test('indexes created, changed and deleted procedures', async () => {
+      search(workspace, 'count');
+      const definition = createProcedure('greet');
+      await flushEvents();
+      assert.include(
+        describeResults(search(workspace, 'greet')),
+        'procedures_callnoreturn',
+      );
+
+      definition.setFieldValue('welcome', 'NAME');
+      await flushEvents();
+      assert.include(
+        describeResults(search(workspace, 'welcome')),
+        'procedures_callnoreturn',
+      );
+      assert.notInclude(
+        describeResults(search(workspace, 'greet')),
+        'procedures_callnoreturn',
+      );
+
+      definition.dispose();
+      await flushEvents();
+      assert.notInclude(
+        describeResults(search(workspace, 'welcome')),
+        'procedures_callnoreturn',
+      );
+    });
+
+    test('only indexes blocks that changed', async () => {
+      search(workspace, 'count');
+      const indexBlockInfos = sinon.spy(
+        category.blockSearcher,
+        'indexBlockInfos',
+      );
+      createProcedure('greet');
+      await flushEvents();
+      sinon.assert.calledOnce(indexBlockInfos);
+      const keys = [...indexBlockInfos.firstCall.args[0].keys()];
+      assert.isNotEmpty(keys);
+      keys.forEach((key) => assert.match(key, /^PROCEDURE:/));
+
+      // Variables of other types aren't shown in the Variables category.
+      workspace.createVariable('colour', 'Colour');
+      await flushEvents();
+      sinon.assert.calledTwice(indexBlockInfos);
+      assert.equal(indexBlockInfos.secondCall.args[0].size, 0);
+    });
+
+    test('ignores changes to other blocks', async () => {
+      search(workspace, 'count');
+      const indexBlockInfos = sinon.spy(
+        category.blockSearcher,
+        'indexBlockInfos',
+      );
+      const block = Blockly.serialization.blocks.append(
+        {type: 'text', fields: {TEXT: 'hello'}},
+        workspace,
+      );
+      block.setFieldValue('goodbye', 'TEXT');
+      block.dispose();
+      await flushEvents();
+      sinon.assert.notCalled(indexBlockInfos);
+    });
+  });
 });
 
 suite('BlockSearcher', () => {
@@ -47,4 +442,192 @@ suite('BlockSearcher', () => {
     const searcher = new BlockSearcher();
     assert.isEmpty(searcher.blockTypesMatching('abc123'));
   });
+
+  test('ranks exact type matches first', () => {
+    const searcher = new BlockSearcher();
+    searcher.indexBlocks(['text_join', 'text_length', 'text']);
+
+    const matches = searcher.blockTypesMatching('text');
+    assert.equal(matches[0], 'text');
+    assert.sameMembers(['text_join', 'text_length', 'text'], matches);
+  });
+
+  test('ranks label prefix matches before other matches', () => {
+    const searcher = new BlockSearcher();
+    // Text on these:
+    // text_print: print <text>
+    // text_charAt: in text <text> get <letter #> <#>
+    searcher.indexBlocks(['text_print', 'text_charAt']);
+
+    assert.deepEqual(searcher.blockTypesMatching('in text'), [
+      'text_charAt',
+      'text_print',
+    ]);
+  });
+
+  test('ranks blocks by trigram overlap', () => {
+    const searcher = new BlockSearcher();
+    searcher.indexBlocks(['math_number', 'math_arithmetic']);
+
+    assert.deepEqual(searcher.blockTypesMatching('math arithmetic'), [
+      'math_arithmetic',
+    ]);
+    assert.deepEqual(searcher.blockTypesMatching('arith'), ['math_arithmetic']);
+  });
+
+  test('tolerates typos', () => {
+    const searcher = new BlockSearcher();
+    searcher.indexBlocks(['controls_repeat_ext', 'lists_split']);
+
+    assert.deepEqual(searcher.blockTypesMatching('repaet'), [
+      'controls_repeat_ext',
+    ]);
+    assert.deepEqual(searcher.blockTypesMatching('delimeter'), ['lists_split']);
+    assert.deepEqual(searcher.blockTypesMatching('lsit from txet'), [
+      'lists_split',
+    ]);
+  });
+
+  test('does not tolerate typos in short words', () => {
+    const searcher = new BlockSearcher();
+    searcher.indexBlocks(['controls_if']);
+
+    assert.isEmpty(searcher.blockTypesMatching('of'));
+  });
+
+  test('indexes registered keywords', () => {
+    registerKeywords('controls_repeat_ext', ['loop', 'again']);
+    try {
+      const searcher = new BlockSearcher();
+      searcher.indexBlocks(['controls_repeat_ext', 'math_number']);
+
+      assert.deepEqual(searcher.blockTypesMatching('loop'), [
+        'controls_repeat_ext',
+      ]);
+      assert.deepEqual(searcher.blockTypesMatching('again'), [
+        'controls_repeat_ext',
+      ]);
+    } finally {
+      unregisterKeywords('controls_repeat_ext');
+    }
+
+    const searcher = new BlockSearcher();
+    searcher.indexBlocks(['controls_repeat_ext']);
+    assert.isEmpty(searcher.blockTypesMatching('loop'));
+  });
+
+  test('indexes tooltips', () => {
+    const searcher = new BlockSearcher();
+    // Tooltip: Return the sum of the two numbers.
+    searcher.indexBlocks(['controls_if', 'math_arithmetic']);
+
+    assert.deepEqual(searcher.blockTypesMatching('sum'), ['math_arithmetic']);
+  });
+
+  test('indexes the output of registered generators', () => {
+    registerGenerator(javascriptGenerator);
+    try {
+      const searcher = new BlockSearcher();
+      searcher.indexBlocks(['text_print', 'controls_if']);
+
+      assert.deepEqual(searcher.blockTypesMatching('window.alert'), [
+        'text_print',
+      ]);
+    } finally {
+      unregisterGenerator(javascriptGenerator);
+    }
+  });
+
+  test("doesn't change the state of registered generators", () => {
+    const workspace = new Blockly.Workspace();
+    workspace.createVariable('counter');
+    javascriptGenerator.init(workspace);
+    const nameDB = javascriptGenerator.nameDB_;
+    const name = nameDB.getName('counter', 'VARIABLE');
+    javascriptGenerator.definitions_['app_definition'] = 'var app;';
+    registerGenerator(javascriptGenerator);
+    try {
+      const searcher = new BlockSearcher();
+      searcher.indexBlocks(['text_print', 'variables_get']);
+
+      assert.equal(javascriptGenerator.nameDB_, nameDB);
+      assert.equal(nameDB.getName('counter', 'VARIABLE'), name);
+      assert.equal(
+        javascriptGenerator.definitions_['app_definition'],
+        'var app;',
+      );
+    } finally {
+      unregisterGenerator(javascriptGenerator);
+      javascriptGenerator.finish('');
+      workspace.dispose();
+    }
+  });
+
+  test('indexes blocks from their toolbox definitions', () => {
+    const searcher = new BlockSearcher();
+    searcher.indexBlockInfos(
+      new Map([
+        [
+          'counter getter',
+          {
+            kind: 'block',
+            type: 'variables_get',
+            fields: {VAR: {name: 'counter'}},
+          },
+        ],
+        [
+          'total setter',
+          {
+            kind: 'block',
+            blockxml:
+              '<block type="variables_set"><field name="VAR">total</field></block>',
+          },
+        ],
+      ]),
+    );
+
+    assert.deepEqual(searcher.blockTypesMatching('counter'), [
+      'counter getter',
+    ]);
+    assert.deepEqual(searcher.blockTypesMatching('set total'), [
+      'total setter',
+    ]);
+  });
+
+  test('indexes the blocks in the inputs of toolbox definitions', () => {
+    const searcher = new BlockSearcher();
+    searcher.indexBlockInfos(
+      new Map([
+        [
+          'greeting',
+          {
+            kind: 'block',
+            type: 'text_print',
+            inputs: {
+              TEXT: {shadow: {type: 'text', fields: {TEXT: 'hello world'}}},
+            },
+          },
+        ],
+      ]),
+    );
+
+    assert.deepEqual(searcher.blockTypesMatching('hello'), ['greeting']);
+  });
+
+  test('replaces and removes indexed blocks', () => {
+    const searcher = new BlockSearcher();
+    const getter = (name) => ({
+      kind: 'block',
+      type: 'variables_get',
+      fields: {VAR: {name}},
+    });
+    searcher.indexBlockInfos(new Map([['getter', getter('counter')]]));
+    searcher.indexBlockInfos(new Map([['getter', getter('total')]]));
+
+    assert.isEmpty(searcher.blockTypesMatching('counter'));
+    assert.deepEqual(searcher.blockTypesMatching('total'), ['getter']);
+
+    searcher.removeBlocks(['getter']);
+    assert.isEmpty(searcher.blockTypesMatching('total'));
+  });
 });
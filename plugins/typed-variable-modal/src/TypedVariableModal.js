@@ -12,9 +12,11 @@
 
 import * as Blockly from 'blockly/core';
 import {Modal} from '@blockly/plugin-modal';
+import {changeVariableType} from './VarTypeChange';
 
 /**
- * Class for displaying a modal used for creating typed variables.
+ * Class for displaying a modal used for creating typed variables, and for
+ * renaming them and changing their type.
  */
 export class TypedVariableModal extends Modal {
   /**
@@ -78,6 +80,14 @@ export class TypedVariableModal extends Modal {
      */
     this.types_ = types;
 
+    /**
+     * The variable being renamed or retyped, or null if a variable is being
+     * created.
+     * @type {?Blockly.VariableModel}
+     * @protected
+     */
+    this.variable_ = null;
+
     const messages = {
       TYPED_VAR_MODAL_TITLE: 'Create Typed Variable',
       TYPED_VAR_MODAL_VARIABLE_NAME_LABEL: 'Variable Name: ',
@@ -86,6 +96,11 @@ export class TypedVariableModal extends Modal {
       TYPED_VAR_MODAL_CANCEL_BUTTON: 'Cancel',
       TYPED_VAR_MODAL_INVALID_NAME:
         'Name is not valid. Please choose a different name.',
+      TYPED_VAR_MODAL_EDIT_TITLE: 'Edit Typed Variable',
+      TYPED_VAR_MODAL_EDIT_MENU_ITEM: 'Rename or change type...',
+      TYPED_VAR_MODAL_INCOMPATIBLE_BLOCKS:
+        "%1 block(s) using '%2' can't stay connected with the type '%3'. " +
+        'Disconnect them and change the type?',
     };
 
     Object.assign(messages, optMessages);
@@ -109,18 +124,98 @@ export class TypedVariableModal extends Modal {
    *     TYPED_VAR_MODAL_TYPES_LABEL: string,
    *     TYPED_VAR_MODAL_TITLE: string,
    *     TYPED_VAR_MODAL_INVALID_NAME: string,
-   *     TYPED_VAR_MODAL_CANCEL_BUTTON: string
+   *     TYPED_VAR_MODAL_CANCEL_BUTTON: string,
+   *     TYPED_VAR_MODAL_EDIT_TITLE: string,
+   *     TYPED_VAR_MODAL_EDIT_MENU_ITEM: string,
+   *     TYPED_VAR_MODAL_INCOMPATIBLE_BLOCKS: string
    * }} TypedVarModalMessages
    */
 
   /**
    * Create a typed variable modal and display it on the given button name.
+   * Also adds an item to the context menu of blocks with a typed variable, to
+   * rename the variable and change its type.
    */
   init() {
     super.init();
     this.workspace_.registerButtonCallback(this.btnCallBackName_, () => {
       this.show();
     });
+    Blockly.ContextMenuRegistry.registry.register({
+      id: this.getEditMenuItemId_(),
+      scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+      displayText: () => Blockly.Msg['TYPED_VAR_MODAL_EDIT_MENU_ITEM'],
+      preconditionFn: (scope) =>
+        this.getEditableVariable_(scope.block) ? 'enabled' : 'hidden',
+      callback: (scope) => {
+        this.editVariable(this.getEditableVariable_(scope.block));
+      },
+      weight: 100,
+    });
+  }
+
+  /**
+   * Shows the modal for renaming a variable and changing its type.
+   * @param {!Blockly.VariableModel} variable The variable to edit.
+   */
+  editVariable(variable) {
+    this.show();
+    this.variable_ = variable;
+    this.setTitle_(Blockly.Msg['TYPED_VAR_MODAL_EDIT_TITLE']);
+    this.variableNameInput_.value = variable.name;
+    for (const typeInput of this.variableTypesDiv_.querySelectorAll('input')) {
+      if (typeInput.id === variable.type) {
+        typeInput.checked = true;
+        this.selectedType_ = typeInput.id;
+      }
+    }
+  }
+
+  /**
+   * Builds the contents of a flyout category for typed variables: a button
+   * for creating a variable, followed by the setter and getter blocks of the
+   * variables of each type, under a label with the type's display name.
+   * Variables of types that the modal doesn't know about are left out.
+   *
+   * workspace.registerToolboxCategoryCallback('TYPED_VARIABLES', (ws) =>
+   *   typedVarModal.flyoutCategory(ws));
+   * @param {!Blockly.WorkspaceSvg} workspace The workspace the flyout is for.
+   * @returns {!Array<!Object>} The JSON definition of the flyout contents.
+   */
+  flyoutCategory(workspace) {
+    const contents = [
+      {
+        kind: 'button',
+        text: Blockly.Msg['TYPED_VAR_MODAL_TITLE'],
+        callbackkey: this.btnCallBackName_,
+      },
+    ];
+    for (const [displayName, type] of this.types_) {
+      const variables = workspace
+        .getVariablesOfType(type)
+        .sort(Blockly.VariableModel.compareByName);
+      if (!variables.length) {
+        continue;
+      }
+      contents.push({kind: 'label', text: displayName});
+      if (Blockly.Blocks['variables_set_dynamic']) {
+        contents.push({
+          kind: 'block',
+          type: 'variables_set_dynamic',
+          fields: {VAR: {id: variables[0].getId()}},
+        });
+      }
+      if (Blockly.Blocks['variables_get_dynamic']) {
+        for (const variable of variables) {
+          contents.push({
+            kind: 'block',
+            type: 'variables_get_dynamic',
+            fields: {VAR: {id: variable.getId()}},
+          });
+        }
+      }
+    }
+    return contents;
   }
 
   /**
@@ -142,6 +237,60 @@ export class TypedVariableModal extends Modal {
   dispose() {
     super.dispose();
     this.workspace_.removeButtonCallback(this.btnCallBackName_);
+    if (
+      Blockly.ContextMenuRegistry.registry.getItem(this.getEditMenuItemId_())
+    ) {
+      Blockly.ContextMenuRegistry.registry.unregister(
+        this.getEditMenuItemId_(),
+      );
+    }
+  }
+
+  /**
+   * Get the id of the context menu item for editing typed variables. The
+   * registry is shared by all workspaces, so the id includes the workspace's.
+   * @returns {string} The id of the context menu item.
+   * @private
+   */
+  getEditMenuItemId_() {
+    return `typedVariableModalEdit_${this.workspace_.id}_${this.btnCallBackName_}`;
+  }
+
+  /**
+   * Get the variable of the given block that the modal can edit.
+   * @param {!Blockly.BlockSvg} block The block to get the variable of.
+   * @returns {?Blockly.VariableModel} The first variable of the block with one
+   *     of the modal's types, or null if there is none.
+   * @protected
+   */
+  getEditableVariable_(block) {
+    if (block.workspace !== this.workspace_) {
+      return null;
+    }
+    for (const input of block.inputList) {
+      for (const field of input.fieldRow) {
+        if (!(field instanceof Blockly.FieldVariable)) {
+          continue;
+        }
+        const variable = field.getVariable();
+        if (variable && this.types_.some((type) => type[1] === variable.type)) {
+          return variable;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Set the text of the modal's title.
+   * @param {string} title The title.
+   * @private
+   */
+  setTitle_(title) {
+    const titleEl = this.htmlDiv_.querySelector('.blocklyModalHeaderTitle');
+    if (titleEl) {
+      titleEl.textContent = title;
+    }
   }
 
   /**
@@ -161,6 +310,10 @@ export class TypedVariableModal extends Modal {
   widgetDispose_() {
     super.widgetDispose_();
     this.resetModalInputs_();
+    if (this.variable_) {
+      this.variable_ = null;
+      this.setTitle_(Blockly.Msg['TYPED_VAR_MODAL_TITLE']);
+    }
   }
 
   /**
@@ -168,6 +321,10 @@ export class TypedVariableModal extends Modal {
    * @protected
    */
   onConfirm_() {
+    if (this.variable_) {
+      this.onConfirmEdit_(this.variable_);
+      return;
+    }
     const text = this.getValidInput_();
     const type = this.getSelectedType_() || '';
     if (text) {
@@ -176,29 +333,138 @@ export class TypedVariableModal extends Modal {
         this.workspace_,
       );
       if (existing) {
-        let msg = '';
-        if (existing.type === type) {
-          msg = Blockly.Msg['VARIABLE_ALREADY_EXISTS'].replace(
-            '%1',
-            existing.name,
-          );
-        } else {
-          msg = Blockly.Msg['VARIABLE_ALREADY_EXISTS_FOR_ANOTHER_TYPE'];
-          msg = msg
-            .replace('%1', existing.name)
-            .replace('%2', this.getDisplayName_(existing.type));
-        }
-        Blockly.dialog.alert(msg);
+        Blockly.dialog.alert(this.getNameUsedMessage_(existing, type));
       } else {
         // No conflict
-        this.workspace_.createVariable(text, type);
-        this.hide();
+        const variable = this.workspace_.createVariable(text, type);
+        this.hide(variable);
       }
     } else {
       Blockly.dialog.alert(Blockly.Msg['TYPED_VAR_MODAL_INVALID_NAME']);
     }
   }
 
+  /**
+   * Renames the edited variable and changes its type, when the user confirms
+   * the modal. If getter blocks of the variable can't stay connected with the
+   * new type, the user is asked whether to disconnect them first.
+   * @param {!Blockly.VariableModel} variable The variable being edited.
+   * @protected
+   */
+  onConfirmEdit_(variable) {
+    const text = this.getValidInput_();
+    const type = this.getSelectedType_() || '';
+    if (!text) {
+      Blockly.dialog.alert(Blockly.Msg['TYPED_VAR_MODAL_INVALID_NAME']);
+      return;
+    }
+    const existing = Blockly.Variables.nameUsedWithAnyType(
+      text,
+      this.workspace_,
+    );
+    if (existing && existing.getId() !== variable.getId()) {
+      Blockly.dialog.alert(this.getNameUsedMessage_(existing, type));
+      return;
+    }
+
+    const incompatibleBlocks =
+      type === variable.type
+        ? []
+        : this.getIncompatibleGetters_(variable, type);
+    if (!incompatibleBlocks.length) {
+      this.updateVariable_(variable, text, type, []);
+      this.hide(variable);
+      return;
+    }
+    const msg = Blockly.Msg['TYPED_VAR_MODAL_INCOMPATIBLE_BLOCKS']
+      .replace('%1', String(incompatibleBlocks.length))
+      .replace('%2', variable.name)
+      .replace('%3', this.getDisplayName_(type));
+    Blockly.dialog.confirm(msg, (ok) => {
+      if (ok) {
+        this.updateVariable_(variable, text, type, incompatibleBlocks);
+        this.hide(variable);
+      }
+    });
+  }
+
+  /**
+   * Get the message telling the user that a variable name is already used.
+   * @param {!Blockly.VariableModel} existing The variable using the name.
+   * @param {string} type The type the user chose.
+   * @returns {string} The message.
+   * @private
+   */
+  getNameUsedMessage_(existing, type) {
+    if (existing.type === type) {
+      return Blockly.Msg['VARIABLE_ALREADY_EXISTS'].replace(
+        '%1',
+        existing.name,
+      );
+    }
+    return Blockly.Msg['VARIABLE_ALREADY_EXISTS_FOR_ANOTHER_TYPE']
+      .replace('%1', existing.name)
+      .replace('%2', this.getDisplayName_(existing.type));
+  }
+
+  /**
+   * Get the getter blocks of a variable that are connected to a parent
+   * connection that doesn't accept the given type. Getters are blocks that
+   * use the variable and whose output check follows its type, like
+   * variables_get_dynamic.
+   * @param {!Blockly.VariableModel} variable The variable.
+   * @param {string} type The new type of the variable.
+   * @returns {!Array<!Blockly.Block>} The incompatible getter blocks.
+   * @protected
+   */
+  getIncompatibleGetters_(variable, type) {
+    if (!type) {
+      // Blocks of untyped variables have no output check.
+      return [];
+    }
+    return this.workspace_
+      .getVariableUsesById(variable.getId())
+      .filter((block) => {
+        const parentConnection = block.outputConnection?.targetConnection;
+        if (!parentConnection) {
+          return false;
+        }
+        const outputCheck = block.outputConnection.getCheck();
+        const isGetter =
+          block.type === 'variables_get_dynamic' ||
+          (!!outputCheck && outputCheck.includes(variable.type));
+        const parentCheck = parentConnection.getCheck();
+        return isGetter && !!parentCheck && !parentCheck.includes(type);
+      });
+  }
+
+  /**
+   * Renames a variable and changes its type, in a single undo step.
+   * @param {!Blockly.VariableModel} variable The variable to update.
+   * @param {string} name The new name of the variable.
+   * @param {string} type The new type of the variable.
+   * @param {!Array<!Blockly.Block>} blocksToDisconnect Getter blocks to
+   *     disconnect from their parents first.
+   * @protected
+   */
+  updateVariable_(variable, name, type, blocksToDisconnect) {
+    const existingGroup = Blockly.Events.getGroup();
+    if (!existingGroup) {
+      Blockly.Events.setGroup(true);
+    }
+    try {
+      for (const block of blocksToDisconnect) {
+        block.unplug();
+      }
+      if (name !== variable.name) {
+        this.workspace_.renameVariableById(variable.getId(), name);
+      }
+      changeVariableType(this.workspace_, variable, type);
+    } finally {
+      Blockly.Events.setGroup(existingGroup);
+    }
+  }
+
   /**
    * Get the display name for the given type.
    * @param {string} type The type to get the display name for.
@@ -0,0 +1,176 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Event and helper for changing the type of a variable.
+ */
+
+import * as Blockly from 'blockly/core';
+
+/**
+ * Sets the type of a variable, without firing an event.
+ * @param {!Blockly.Workspace} workspace The workspace the variable is in.
+ * @param {!Blockly.VariableModel} variable The variable to change.
+ * @param {string} type The new type of the variable.
+ */
+function setVariableType(workspace, variable, type) {
+  const variableMap = workspace.getVariableMap();
+  if (typeof variableMap.changeVariableType === 'function') {
+    // The variable map can change the type of a variable itself in newer
+    // versions of Blockly. Its event is left out, because this one is fired.
+    Blockly.Events.disable();
+    try {
+      variableMap.changeVariableType(variable, type);
+    } finally {
+      Blockly.Events.enable();
+    }
+    return;
+  }
+  const majorVersion = Number(Blockly.VERSION.split('.')[0]);
+  if (majorVersion !== 11) {
+    throw new Error(
+      `Changing the type of a variable is not supported in Blockly ${Blockly.VERSION}`,
+    );
+  }
+  // Blockly 11 has no API to change the type of a variable, so move the
+  // variable between the variable map's lists of variables by type. The
+  // variable model itself is kept, because fields reference it.
+  const variablesByType = variableMap.variableMap;
+  const oldList = variablesByType.get(variable.type);
+  if (oldList) {
+    const index = oldList.indexOf(variable);
+    if (index !== -1) {
+      oldList.splice(index, 1);
+    }
+    if (!oldList.length) {
+      variablesByType.delete(variable.type);
+    }
+  }
+  variable.type = type;
+  if (!variablesByType.has(type)) {
+    variablesByType.set(type, []);
+  }
+  variablesByType.get(type).push(variable);
+}
+
+/**
+ * Changes the type of a variable, and fires an event so that the change can be
+ * undone.
+ * @param {!Blockly.Workspace} workspace The workspace the variable is in.
+ * @param {!Blockly.VariableModel} variable The variable to change.
+ * @param {string} type The new type of the variable.
+ */
+export function changeVariableType(workspace, variable, type) {
+  const oldType = variable.type;
+  if (oldType === type) {
+    return;
+  }
+  setVariableType(workspace, variable, type);
+  Blockly.Events.fire(new VarTypeChange(variable, oldType, type));
+}
+
+/**
+ * A Blockly event for changing the type of a variable.
+ */
+export class VarTypeChange extends Blockly.Events.VarBase {
+  /**
+   * The constructor for a new VarTypeChange event.
+   * @param {!Blockly.VariableModel=} variable The variable whose type changed.
+   *     Undefined for a blank event.
+   * @param {string=} oldType The type of the variable before the change.
+   * @param {string=} newType The type of the variable after the change.
+   */
+  constructor(variable, oldType, newType) {
+    super(variable);
+
+    this.type = VarTypeChange.EVENT_TYPE;
+
+    /**
+     * The type of the variable before the change.
+     * @type {string|undefined}
+     */
+    this.oldType = oldType;
+
+    /**
+     * The type of the variable after the change.
+     * @type {string|undefined}
+     */
+    this.newType = newType;
+  }
+
+  /**
+   * Encode the event as JSON.
+   * @returns {!Object} JSON representation.
+   * @override
+   */
+  toJson() {
+    const json = super.toJson();
+    json['oldType'] = this.oldType;
+    json['newType'] = this.newType;
+    return json;
+  }
+
+  /**
+   * Decode the JSON event.
+   * @param {!Object} json JSON representation.
+   * @param {!Blockly.Workspace} workspace The workspace of the event.
+   * @param {VarTypeChange=} event The event to append new properties to.
+   * @returns {!VarTypeChange} The new event.
+   * @override
+   */
+  static fromJson(json, workspace, event) {
+    const newEvent = super.fromJson(
+      json,
+      workspace,
+      event ?? new VarTypeChange(),
+    );
+    newEvent.oldType = json['oldType'];
+    newEvent.newType = json['newType'];
+    return newEvent;
+  }
+
+  /**
+   * Does this event record any change of state?
+   * @returns {boolean} False if something changed.
+   * @override
+   */
+  isNull() {
+    return this.oldType === this.newType;
+  }
+
+  /**
+   * Run a variable type change event.
+   * @param {boolean} forward True if run forward, false if run backward
+   *     (undo).
+   * @override
+   */
+  run(forward) {
+    const workspace = this.getEventWorkspace_();
+    if (!this.varId) {
+      throw new Error(
+        'The var ID is undefined. Either pass a variable to ' +
+          'the constructor, or call fromJson',
+      );
+    }
+    const variable = workspace.getVariableById(this.varId);
+    if (!variable) {
+      throw new Error('No variable with the ID ' + this.varId + ' exists.');
+    }
+    setVariableType(workspace, variable, forward ? this.newType : this.oldType);
+  }
+}
+
+/**
+ * The name of the event type for broadcast and listening purposes.
+ * @type {string}
+ */
+VarTypeChange.EVENT_TYPE = 'var_type_change';
+
+Blockly.registry.register(
+  Blockly.registry.Type.EVENT,
+  VarTypeChange.EVENT_TYPE,
+  VarTypeChange,
+);
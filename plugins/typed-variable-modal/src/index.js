@@ -5,3 +5,4 @@
  */
 
 export * from './TypedVariableModal';
+export * from './VarTypeChange';
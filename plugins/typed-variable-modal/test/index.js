@@ -21,39 +21,20 @@ import '../src/index.js';
  * @returns {!Blockly.WorkspaceSvg} The created workspace.
  */
 function createWorkspace(blocklyDiv, options) {
-  /**
-   * Create the typed variable flyout.
-   * @param {!Blockly.WorkspaceSvg} workspace The Blockly workspace.
-   * @returns {!Array.<!Element>} Array of XML block elements.
-   */
-  const createFlyout = function (workspace) {
-    let xmlList = [];
-    const button = document.createElement('button');
-    button.setAttribute('text', 'Create Typed Variable');
-    button.setAttribute('callbackKey', 'CREATE_TYPED_VARIABLE');
-
-    xmlList.push(button);
-
-    const blockList = Blockly.VariablesDynamic.flyoutCategoryBlocks(workspace);
-    xmlList = xmlList.concat(blockList);
-    return xmlList;
-  };
-
   const types = [
     ['Penguin', 'PENGUIN'],
     ['Giraffe', 'GIRAFFE'],
   ];
   const workspace = Blockly.inject(blocklyDiv, options);
-  workspace.registerToolboxCategoryCallback(
-    'CREATE_TYPED_VARIABLE',
-    createFlyout,
-  );
   const typedVarModal = new TypedVariableModal(
     workspace,
     'CREATE_TYPED_VARIABLE',
     types,
   );
   typedVarModal.init();
+  workspace.registerToolboxCategoryCallback('CREATE_TYPED_VARIABLE', (ws) =>
+    typedVarModal.flyoutCategory(ws),
+  );
 
   return workspace;
 }
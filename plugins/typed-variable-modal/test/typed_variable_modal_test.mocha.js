@@ -13,7 +13,7 @@ const assert = require('assert');
 const Blockly = require('blockly');
 const sinon = require('sinon');
 
-const {TypedVariableModal} = require('../src/index.js');
+const {TypedVariableModal, VarTypeChange} = require('../src/index.js');
 
 suite('TypedVariableModal', function () {
   /**
@@ -75,6 +75,7 @@ suite('TypedVariableModal', function () {
   });
 
   teardown(function () {
+    this.typedVarModal.dispose();
     this.jsdomCleanup();
     sinon.restore();
   });
@@ -249,4 +250,207 @@ suite('TypedVariableModal', function () {
       assert.equal(varNameInput.id, 'variableInput');
     });
   });
+
+  suite('editVariable()', function () {
+    setup(function () {
+      this.typedVarModal.init();
+      this.typedVarModal.show = sinon.fake();
+      this.variable = this.workspace.createVariable('penguinVar', 'PENGUIN');
+    });
+    test('Inputs filled from the variable', function () {
+      this.typedVarModal.editVariable(this.variable);
+      assert.equal(this.typedVarModal.variableNameInput_.value, 'penguinVar');
+      assert.equal(this.typedVarModal.getSelectedType_(), 'PENGUIN');
+      assert.equal(
+        this.typedVarModal.htmlDiv_.querySelector('.blocklyModalHeaderTitle')
+          .textContent,
+        'Edit Typed Variable',
+      );
+    });
+    test('Title reset when hidden', function () {
+      this.typedVarModal.editVariable(this.variable);
+      this.typedVarModal.widgetDispose_();
+      assert.equal(this.typedVarModal.variable_, null);
+      assert.equal(
+        this.typedVarModal.htmlDiv_.querySelector('.blocklyModalHeaderTitle')
+          .textContent,
+        'Create Typed Variable',
+      );
+    });
+  });
+
+  suite('onConfirm_() when editing', function () {
+    setup(function () {
+      this.alertStub = sinon.stub(Blockly.dialog, 'alert');
+      this.confirmStub = sinon.stub(Blockly.dialog, 'confirm');
+      this.nameUsedStub = sinon.stub().returns(null);
+      Blockly.Variables.nameUsedWithAnyType = this.nameUsedStub;
+      this.typedVarModal.init();
+      this.typedVarModal.hide = sinon.fake();
+      this.variable = this.workspace.createVariable('penguinVar', 'PENGUIN');
+      this.typedVarModal.variable_ = this.variable;
+    });
+    test('Variable renamed and retyped', function () {
+      this.typedVarModal.getValidInput_ = sinon.fake.returns('giraffeVar');
+      this.typedVarModal.getSelectedType_ = sinon.fake.returns('GIRAFFE');
+      this.typedVarModal.onConfirm_();
+      assert.equal(this.variable.name, 'giraffeVar');
+      assert.equal(this.variable.type, 'GIRAFFE');
+      assert.deepEqual(this.workspace.getVariablesOfType('GIRAFFE'), [
+        this.variable,
+      ]);
+      assert.deepEqual(this.workspace.getVariablesOfType('PENGUIN'), []);
+      assert(this.typedVarModal.hide.calledOnceWith(this.variable));
+    });
+    test('Name used by another variable', function () {
+      this.nameUsedStub.returns(
+        this.workspace.createVariable('giraffeVar', 'GIRAFFE'),
+      );
+      this.typedVarModal.getValidInput_ = sinon.fake.returns('giraffeVar');
+      this.typedVarModal.getSelectedType_ = sinon.fake.returns('PENGUIN');
+      this.typedVarModal.onConfirm_();
+      assert(
+        this.alertStub.calledWith(
+          "A variable named 'giraffeVar' already " +
+            "exists for another type: 'Giraffe'.",
+        ),
+      );
+      assert.equal(this.variable.name, 'penguinVar');
+    });
+    suite('Incompatible getters', function () {
+      setup(function () {
+        Blockly.defineBlocksWithJsonArray([
+          {
+            type: 'test_penguin_input',
+            message0: '%1',
+            args0: [{type: 'input_value', name: 'PENGUIN', check: 'PENGUIN'}],
+          },
+        ]);
+        const parent = this.workspace.newBlock('test_penguin_input');
+        this.getter = this.workspace.newBlock('variables_get_dynamic');
+        this.getter.getField('VAR').setValue(this.variable.getId());
+        this.getter.outputConnection.setCheck('PENGUIN');
+        parent
+          .getInput('PENGUIN')
+          .connection.connect(this.getter.outputConnection);
+        this.typedVarModal.getValidInput_ = sinon.fake.returns('penguinVar');
+        this.typedVarModal.getSelectedType_ = sinon.fake.returns('GIRAFFE');
+      });
+      teardown(function () {
+        delete Blockly.Blocks['test_penguin_input'];
+      });
+      test('Getters disconnected when confirmed', function () {
+        this.confirmStub.callsFake((message, callback) => callback(true));
+        this.typedVarModal.onConfirm_();
+        assert(
+          this.confirmStub.calledWith(
+            "1 block(s) using 'penguinVar' can't stay connected with the " +
+              "type 'Giraffe'. Disconnect them and change the type?",
+          ),
+        );
+        assert.equal(this.getter.getParent(), null);
+        assert.equal(this.variable.type, 'GIRAFFE');
+      });
+      test('Nothing changed when cancelled', function () {
+        this.confirmStub.callsFake((message, callback) => callback(false));
+        this.typedVarModal.onConfirm_();
+        assert.notEqual(this.getter.getParent(), null);
+        assert.equal(this.variable.type, 'PENGUIN');
+        assert(this.typedVarModal.hide.notCalled);
+      });
+    });
+  });
+
+  suite('VarTypeChange', function () {
+    setup(function () {
+      this.variable = this.workspace.createVariable('penguinVar', 'PENGUIN');
+    });
+    test('Run backward and forward', function () {
+      const event = new VarTypeChange(this.variable, 'GIRAFFE', 'PENGUIN');
+      event.run(false);
+      assert.equal(this.variable.type, 'GIRAFFE');
+      assert.deepEqual(this.workspace.getVariablesOfType('GIRAFFE'), [
+        this.variable,
+      ]);
+      event.run(true);
+      assert.equal(this.variable.type, 'PENGUIN');
+      assert.deepEqual(this.workspace.getVariablesOfType('GIRAFFE'), []);
+    });
+    test('JSON round trip', function () {
+      const event = new VarTypeChange(this.variable, 'GIRAFFE', 'PENGUIN');
+      const newEvent = Blockly.Events.fromJson(event.toJson(), this.workspace);
+      assert(newEvent instanceof VarTypeChange);
+      assert.equal(newEvent.varId, this.variable.getId());
+      assert.equal(newEvent.oldType, 'GIRAFFE');
+      assert.equal(newEvent.newType, 'PENGUIN');
+    });
+  });
+
+  suite('flyoutCategory()', function () {
+    test('Blocks grouped by type', function () {
+      const giraffe = this.workspace.createVariable('giraffeVar', 'GIRAFFE');
+      const penguinB = this.workspace.createVariable('b', 'PENGUIN');
+      const penguinA = this.workspace.createVariable('a', 'PENGUIN');
+      const contents = this.typedVarModal.flyoutCategory(this.workspace);
+      assert.deepEqual(
+        contents.map((item) => [
+          item.kind,
+          item.text || item.type,
+          item.fields && item.fields.VAR.id,
+        ]),
+        [
+          ['button', 'Create Typed Variable', undefined],
+          ['label', 'Penguin', undefined],
+          ['block', 'variables_set_dynamic', penguinA.getId()],
+          ['block', 'variables_get_dynamic', penguinA.getId()],
+          ['block', 'variables_get_dynamic', penguinB.getId()],
+          ['label', 'Giraffe', undefined],
+          ['block', 'variables_set_dynamic', giraffe.getId()],
+          ['block', 'variables_get_dynamic', giraffe.getId()],
+        ],
+      );
+      assert.equal(contents[0].callbackkey, 'CREATE_TYPED_VARIABLE');
+    });
+  });
+
+  suite('Context menu', function () {
+    setup(function () {
+      this.typedVarModal.init();
+      this.itemId = `typedVariableModalEdit_${this.workspace.id}_CREATE_TYPED_VARIABLE`;
+      this.item = Blockly.ContextMenuRegistry.registry.getItem(this.itemId);
+    });
+    test('Shown for blocks with a typed variable', function () {
+      const variable = this.workspace.createVariable('penguinVar', 'PENGUIN');
+      const block = this.workspace.newBlock('variables_get_dynamic');
+      block.getField('VAR').setValue(variable.getId());
+      assert.equal(this.item.preconditionFn({block}), 'enabled');
+    });
+    test('Hidden for blocks without a typed variable', function () {
+      const block = this.workspace.newBlock('math_number');
+      assert.equal(this.item.preconditionFn({block}), 'hidden');
+    });
+    test('Registered separately for each workspace', function () {
+      const div = document.createElement('div');
+      document.body.appendChild(div);
+      const workspace = Blockly.inject(div);
+      const modal = new TypedVariableModal(workspace, 'CREATE_TYPED_VARIABLE', [
+        ['Penguin', 'PENGUIN'],
+        ['Giraffe', 'GIRAFFE'],
+      ]);
+      modal.init();
+      const itemId = `typedVariableModalEdit_${workspace.id}_CREATE_TYPED_VARIABLE`;
+      assert.ok(Blockly.ContextMenuRegistry.registry.getItem(itemId));
+      modal.dispose();
+      workspace.dispose();
+      assert.equal(Blockly.ContextMenuRegistry.registry.getItem(itemId), null);
+      assert.ok(Blockly.ContextMenuRegistry.registry.getItem(this.itemId));
+    });
+    test('Removed on dispose', function () {
+      this.typedVarModal.dispose();
+      assert.equal(
+        Blockly.ContextMenuRegistry.registry.getItem(this.itemId),
+        null,
+      );
+    });
+  });
 });
@@ -15,8 +15,27 @@ import * as Blockly from 'blockly/core';
 
 import {registerContextMenus} from './backpack_helpers';
 import {BackpackOptions, parseOptions} from './options';
-import {BackpackChange, BackpackOpen} from './ui_events';
+import {BackpackChange, BackpackOpen, BackpackStorageError} from './ui_events';
 import {Backpackable, isBackpackable} from './backpackable';
+import {
+  BackpackStorageAdapter,
+  createStorageEntry,
+  readStorageEntry,
+} from './storage';
+import {
+  BackpackData,
+  BackpackFolder,
+  BackpackItem,
+  parseBackpackData,
+} from './state';
+
+/**
+ * How an item in the backpack is organized.
+ */
+interface BackpackItemInfo {
+  label?: string;
+  folderId?: string;
+}
 
 /**
  * Class for backpack that can be used save blocks from the workspace for
@@ -42,6 +61,36 @@ export class Backpack
   /** A list of JSON (stored as strings) representing blocks in the backpack. */
   protected contents_: string[] = [];
 
+  /** The folders in the backpack, in display order. */
+  protected folders_: BackpackFolder[] = [];
+
+  /** The labels and folders of items, keyed by the item's JSON string. */
+  protected itemInfo_ = new Map<string, BackpackItemInfo>();
+
+  /** The id of the folder shown in the flyout, or null for the top level. */
+  protected openFolderId_: string | null = null;
+
+  /** The keys of the button callbacks registered for the flyout contents. */
+  private buttonCallbackKeys: string[] = [];
+
+  /**
+   * The group of the last block created in the workspace, used to tell when
+   * a block is dragged out of the backpack flyout.
+   */
+  private lastCreatedBlock: {group: string; blockId: string} | null = null;
+
+  /** The backpack item currently being dragged out of the flyout. */
+  private flyoutDrag: {group: string; blockId: string; item: string} | null =
+    null;
+
+  /**
+   * The bound workspace change listener, used to remove it on dispose.
+   *
+   * @param e The workspace event.
+   */
+  private readonly workspaceChangeListener = (e: Blockly.Events.Abstract) =>
+    this.onWorkspaceChange(e);
+
   /** Array holding info needed to unbind events. Used for disposing. */
   private boundEvents: Blockly.browserEvents.Data[] = [];
 
@@ -84,6 +133,12 @@ export class Backpack
   /** Whether or not the plugin has been initialized. */
   protected initialized_ = false;
 
+  /** Removes the listener for changes to the stored contents. */
+  private removeStorageListener: (() => void) | null = null;
+
+  /** Whether contents are currently being applied from storage. */
+  private applyingStoredContents = false;
+
   /**
    * Constructor for a backpack.
    *
@@ -137,13 +192,103 @@ export class Backpack
     this.initFlyout();
     this.createDom();
     this.attachListeners();
+    this.workspace_.addChangeListener(this.workspaceChangeListener);
     if (this.options.contextMenu) {
       registerContextMenus(this.options.contextMenu, this.workspace_);
     }
+    this.initStorage();
     this.initialized_ = true;
     this.workspace_.resize();
   }
 
+  /**
+   * Loads the contents from the storage adapter, if there is one, and listens
+   * for changes made by other backpacks using the same storage.
+   */
+  protected initStorage() {
+    const storage = this.options.storage;
+    if (!storage) return;
+    this.removeStorageListener = storage.addChangeListener((entry) => {
+      try {
+        this.applyStoredData(
+          readStorageEntry(entry) ?? {folders: [], items: []},
+        );
+      } catch (e) {
+        this.handleStorageError(e);
+      }
+    });
+    storage
+      .load()
+      .then((entry) => {
+        const data = readStorageEntry(entry);
+        if (!data) return;
+        // Keep anything that was added while the contents were loading.
+        const current = this.getData();
+        this.applyStoredData({
+          folders: [
+            ...data.folders,
+            ...current.folders.filter(
+              (folder) => !data.folders.some((f) => f.id === folder.id),
+            ),
+          ],
+          items: [...current.items, ...data.items],
+        });
+        if (this.contents_.length !== data.items.length) {
+          this.saveToStorage();
+        }
+      })
+      .catch((e) => this.handleStorageError(e));
+  }
+
+  /**
+   * Returns the storage adapter used to persist the backpack contents.
+   *
+   * @returns The storage adapter, or null if the contents are only kept in
+   *     memory and saved with the workspace.
+   */
+  getStorage(): BackpackStorageAdapter | null {
+    return this.options.storage ?? null;
+  }
+
+  /**
+   * Replaces the contents with contents from storage, without saving them
+   * back to storage.
+   *
+   * @param data The stored contents.
+   */
+  private applyStoredData(data: BackpackData) {
+    if (JSON.stringify(data) === JSON.stringify(this.getData())) {
+      return;
+    }
+    this.applyingStoredContents = true;
+    try {
+      this.setData(data);
+    } finally {
+      this.applyingStoredContents = false;
+    }
+  }
+
+  /**
+   * Saves the contents to the storage adapter, if there is one.
+   */
+  private saveToStorage() {
+    this.options.storage
+      ?.save(createStorageEntry(this.getData()))
+      .catch((e) => this.handleStorageError(e));
+  }
+
+  /**
+   * Reports an error thrown while loading or saving the stored contents,
+   * by firing a BackpackStorageError event and calling the onStorageError
+   * option.
+   *
+   * @param e The error.
+   */
+  private handleStorageError(e: unknown) {
+    Blockly.Events.fire(new BackpackStorageError(e, this.workspace_.id));
+    this.options.onStorageError?.(e);
+  }
+
   /**
    * Disposes of workspace search.
    * Unlink from all DOM elements and remove all event listeners
@@ -157,6 +302,12 @@ export class Backpack
       Blockly.browserEvents.unbind(event);
     }
     this.boundEvents.length = 0;
+    this.workspace_.removeChangeListener(this.workspaceChangeListener);
+    this.removeButtonCallbacks();
+    if (this.removeStorageListener) {
+      this.removeStorageListener();
+      this.removeStorageListener = null;
+    }
   }
 
   /**
@@ -446,6 +597,222 @@ export class Backpack
     return [...this.contents_];
   }
 
+  /**
+   * Returns the backpack contents along with their folders and labels.
+   *
+   * @returns The organized backpack contents.
+   */
+  getData(): BackpackData {
+    return {
+      folders: this.folders_.map((folder) => ({...folder})),
+      items: this.contents_.map((content) => {
+        const item: BackpackItem = {content};
+        const info = this.itemInfo_.get(content);
+        if (info?.label) item.label = info.label;
+        if (info?.folderId) item.folderId = info.folderId;
+        return item;
+      }),
+    };
+  }
+
+  /**
+   * Sets the backpack contents along with their folders and labels.
+   *
+   * @param data The organized backpack contents.
+   */
+  setData(data: BackpackData) {
+    const parsed = parseBackpackData(data) ?? {folders: [], items: []};
+    this.folders_ = parsed.folders;
+    this.itemInfo_.clear();
+    this.contents_ = [];
+    for (const item of parsed.items) {
+      const content = this.normalizeItem(item.content);
+      if (this.contents_.includes(content)) continue;
+      this.contents_.push(content);
+      if (item.label || item.folderId) {
+        this.itemInfo_.set(content, {
+          label: item.label,
+          folderId: item.folderId,
+        });
+      }
+    }
+    if (
+      this.openFolderId_ &&
+      !this.folders_.some((folder) => folder.id === this.openFolderId_)
+    ) {
+      this.openFolderId_ = null;
+    }
+    this.onContentChange();
+  }
+
+  /**
+   * Returns the folders in the backpack.
+   *
+   * @returns The folders, in display order.
+   */
+  getFolders(): BackpackFolder[] {
+    return this.folders_.map((folder) => ({...folder}));
+  }
+
+  /**
+   * Adds a folder to the backpack.
+   *
+   * @param name The name of the folder.
+   * @returns The id of the new folder.
+   */
+  addFolder(name: string): string {
+    const id = Blockly.utils.idGenerator.genUid();
+    this.folders_.push({id, name});
+    this.onContentChange();
+    return id;
+  }
+
+  /**
+   * Renames a folder in the backpack.
+   *
+   * @param folderId The id of the folder to rename.
+   * @param name The new name of the folder.
+   */
+  renameFolder(folderId: string, name: string) {
+    const folder = this.getFolder(folderId);
+    if (folder.name === name) return;
+    folder.name = name;
+    this.onContentChange();
+  }
+
+  /**
+   * Removes a folder from the backpack. The items in the folder are moved to
+   * the top level of the backpack.
+   *
+   * @param folderId The id of the folder to remove.
+   */
+  removeFolder(folderId: string) {
+    this.folders_.splice(this.folders_.indexOf(this.getFolder(folderId)), 1);
+    for (const info of this.itemInfo_.values()) {
+      if (info.folderId === folderId) delete info.folderId;
+    }
+    if (this.openFolderId_ === folderId) {
+      this.openFolderId_ = null;
+    }
+    this.onContentChange();
+  }
+
+  /**
+   * Returns the folder with the given id.
+   *
+   * @param folderId The id of the folder.
+   * @returns The folder.
+   */
+  private getFolder(folderId: string): BackpackFolder {
+    const folder = this.folders_.find((folder) => folder.id === folderId);
+    if (!folder) {
+      throw new Error(`Backpack folder "${folderId}" does not exist`);
+    }
+    return folder;
+  }
+
+  /**
+   * Returns the label of an item in the backpack.
+   *
+   * @param item Text representing the JSON of the item.
+   * @returns The label of the item, or null if it has none.
+   */
+  getItemLabel(item: string): string | null {
+    return this.itemInfo_.get(item)?.label ?? null;
+  }
+
+  /**
+   * Sets the label of an item in the backpack.
+   *
+   * @param item Text representing the JSON of the item.
+   * @param label The new label, or null to remove the label.
+   */
+  setItemLabel(item: string, label: string | null) {
+    this.assertContains(item);
+    const info = this.itemInfo_.get(item) ?? {};
+    if ((info.label ?? null) === (label || null)) return;
+    if (label) {
+      info.label = label;
+    } else {
+      delete info.label;
+    }
+    this.itemInfo_.set(item, info);
+    this.onContentChange();
+  }
+
+  /**
+   * Returns the folder that an item in the backpack is in.
+   *
+   * @param item Text representing the JSON of the item.
+   * @returns The id of the folder, or null if the item is at the top level.
+   */
+  getItemFolder(item: string): string | null {
+    return this.itemInfo_.get(item)?.folderId ?? null;
+  }
+
+  /**
+   * Moves an item in the backpack into a folder.
+   *
+   * @param item Text representing the JSON of the item.
+   * @param folderId The id of the folder, or null to move the item to the
+   *     top level.
+   */
+  moveItemToFolder(item: string, folderId: string | null) {
+    this.assertContains(item);
+    if (folderId) this.getFolder(folderId);
+    const info = this.itemInfo_.get(item) ?? {};
+    if ((info.folderId ?? null) === folderId) return;
+    if (folderId) {
+      info.folderId = folderId;
+    } else {
+      delete info.folderId;
+    }
+    this.itemInfo_.set(item, info);
+    this.onContentChange();
+  }
+
+  /**
+   * Moves an item to a new position in the backpack.
+   *
+   * @param item Text representing the JSON of the item.
+   * @param index The new index of the item in the backpack contents.
+   */
+  moveItem(item: string, index: number) {
+    this.assertContains(item);
+    const oldIndex = this.contents_.indexOf(item);
+    const newIndex = Math.max(0, Math.min(index, this.contents_.length - 1));
+    if (oldIndex === newIndex) return;
+    this.contents_.splice(oldIndex, 1);
+    this.contents_.splice(newIndex, 0, item);
+    this.onContentChange();
+  }
+
+  /**
+   * Returns the backpack item that the given block was created from.
+   *
+   * @param block The block, usually one in the backpack flyout.
+   * @returns Text representing the JSON of the item, or null if the block is
+   *     not in the backpack.
+   */
+  getItemForBlock(block: Blockly.Block): string | null {
+    // Serialize the block the same way as addBlock, so that it matches.
+    const items = isBackpackable(block)
+      ? block.toFlyoutInfo().map((info) => JSON.stringify(info))
+      : [this.blockToJsonString(block)];
+    return items.find((item) => this.contents_.includes(item)) ?? null;
+  }
+
+  /**
+   * Throws if the given item is not in the backpack.
+   *
+   * @param item Text representing the JSON of the item.
+   */
+  private assertContains(item: string) {
+    if (!this.contents_.includes(item)) {
+      throw new Error('The item is not in the backpack');
+    }
+  }
+
   /**
    * Handles when a block or bubble is dropped on this component.
    * Should not handle delete here.
@@ -644,6 +1011,7 @@ export class Backpack
     const itemIndex = this.contents_.indexOf(item);
     if (itemIndex !== -1) {
       this.contents_.splice(itemIndex, 1);
+      this.itemInfo_.delete(item);
       this.onContentChange();
     }
   }
@@ -656,17 +1024,26 @@ export class Backpack
   setContents(contents: string[]) {
     this.contents_ = [];
     this.contents_ = this.filterDuplicates(
-      // Support XML serialized content for backwards compatiblity:
-      // https://github.com/google/blockly-samples/issues/1827
-      contents.map((content) =>
-        content.startsWith('<block')
-          ? this.blockXmlToJsonString(content)
-          : content,
-      ),
+      contents.map((content) => this.normalizeItem(content)),
     );
+    for (const item of [...this.itemInfo_.keys()]) {
+      if (!this.contents_.includes(item)) this.itemInfo_.delete(item);
+    }
     this.onContentChange();
   }
 
+  /**
+   * Converts an item to the format stored in the backpack.
+   *
+   * @param item Text representing the JSON or XML of an item.
+   * @returns Text representing the JSON of the item.
+   */
+  private normalizeItem(item: string): string {
+    // Support XML serialized content for backwards compatiblity:
+    // https://github.com/google/blockly-samples/issues/1827
+    return item.startsWith('<block') ? this.blockXmlToJsonString(item) : item;
+  }
+
   /**
    * Empties the backpack's contents. If the contents-flyout is currently open
    * it will be closed.
@@ -677,6 +1054,7 @@ export class Backpack
     }
     if (this.contents_.length) {
       this.contents_ = [];
+      this.itemInfo_.clear();
       this.onContentChange();
     }
     this.close();
@@ -688,6 +1066,9 @@ export class Backpack
   protected onContentChange() {
     this.maybeRefreshFlyoutContents();
     Blockly.Events.fire(new BackpackChange(this.workspace_.id));
+    if (!this.applyingStoredContents) {
+      this.saveToStorage();
+    }
 
     if (!this.options.useFilledBackpackImage || !this.svgImg_) return;
     if (this.contents_.length > 0) {
@@ -745,8 +1126,7 @@ export class Backpack
     if (!this.isOpenable()) {
       return;
     }
-    const jsons = this.contents_.map((text) => JSON.parse(text));
-    this.flyout_?.show(jsons);
+    this.flyout_?.show(this.getFlyoutContents());
     // TODO: We can remove the setVisible check when updating from ^10.0.0 to
     //    ^11.
     /* eslint-disable @typescript-eslint/no-explicit-any */
@@ -767,8 +1147,199 @@ export class Backpack
     if (!this.isOpen()) {
       return;
     }
-    const json = this.contents_.map((text) => JSON.parse(text));
-    this.flyout_?.show(json);
+    this.flyout_?.show(this.getFlyoutContents());
+  }
+
+  /**
+   * Returns the folder shown in the backpack flyout.
+   *
+   * @returns The id of the folder, or null if the top level is shown.
+   */
+  getOpenFolder(): string | null {
+    return this.openFolderId_;
+  }
+
+  /**
+   * Shows a folder in the backpack flyout, opening the backpack if needed.
+   *
+   * @param folderId The id of the folder, or null to show the top level.
+   */
+  openFolder(folderId: string | null) {
+    if (folderId) this.getFolder(folderId);
+    this.openFolderId_ = folderId;
+    if (this.isOpen()) {
+      this.maybeRefreshFlyoutContents();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Returns the contents of the backpack flyout for the open folder. The top
+   * level shows a button for each folder followed by the items that are not
+   * in a folder. Items with a label are preceded by it.
+   *
+   * @returns The flyout contents.
+   */
+  protected getFlyoutContents(): Blockly.utils.toolbox.FlyoutItemInfoArray {
+    const contents: Blockly.utils.toolbox.FlyoutItemInfoArray = [];
+    const folderId = this.openFolderId_;
+    this.removeButtonCallbacks();
+    if (folderId) {
+      const backKey = 'backpackFolderBack';
+      this.registerButtonCallback(backKey, () => this.openFolder(null));
+      contents.push({
+        kind: 'button',
+        text: Blockly.Msg['BACKPACK_FOLDER_BACK'],
+        callbackkey: backKey,
+      });
+      contents.push({kind: 'label', text: this.getFolder(folderId).name});
+    } else {
+      for (const folder of this.folders_) {
+        const key = `backpackFolder_${folder.id}`;
+        this.registerButtonCallback(key, () => this.openFolder(folder.id));
+        const count = this.contents_.filter(
+          (item) => this.getItemFolder(item) === folder.id,
+        ).length;
+        contents.push({
+          kind: 'button',
+          text: `${folder.name} (${count})`,
+          callbackkey: key,
+        });
+      }
+    }
+    for (const item of this.contents_) {
+      if (this.getItemFolder(item) !== folderId) continue;
+      const label = this.getItemLabel(item);
+      if (label) {
+        contents.push({kind: 'label', text: label});
+      }
+      contents.push(JSON.parse(item));
+    }
+    return contents;
+  }
+
+  /**
+   * Registers a callback for a button in the flyout contents, to be removed
+   * when the contents are next refreshed.
+   *
+   * @param key The callback key of the button.
+   * @param callback The function to call when the button is clicked.
+   */
+  private registerButtonCallback(key: string, callback: () => void) {
+    this.workspace_.registerButtonCallback(key, callback);
+    this.buttonCallbackKeys.push(key);
+  }
+
+  /**
+   * Removes the callbacks registered for the buttons in the flyout contents.
+   */
+  private removeButtonCallbacks() {
+    for (const key of this.buttonCallbackKeys) {
+      this.workspace_.removeButtonCallback(key);
+    }
+    this.buttonCallbackKeys = [];
+  }
+
+  /**
+   * Handles workspace changes to let backpack items be reordered by dragging
+   * them out of the flyout and dropping them back onto it.
+   *
+   * @param e The workspace event.
+   */
+  private onWorkspaceChange(e: Blockly.Events.Abstract) {
+    if (e.type === Blockly.Events.BLOCK_CREATE) {
+      const blockId = (e as Blockly.Events.BlockCreate).blockId;
+      this.lastCreatedBlock =
+        this.isOpen() && blockId ? {group: e.group, blockId} : null;
+    } else if (e.type === Blockly.Events.BLOCK_DRAG) {
+      const dragEvent = e as Blockly.Events.BlockDrag;
+      const blockId = dragEvent.blockId;
+      if (!blockId) return;
+      if (dragEvent.isStart) {
+        // Blocks dragged out of a flyout are created and start being dragged
+        // in the same event group.
+        const created = this.lastCreatedBlock;
+        const block = this.workspace_.getBlockById(blockId);
+        const item =
+          block && created?.group === e.group && created.blockId === blockId
+            ? this.getItemForBlock(block)
+            : null;
+        this.flyoutDrag = item ? {group: e.group, blockId, item} : null;
+      } else if (this.workspace_.getBlockById(blockId)) {
+        // The block was dropped somewhere other than a delete area.
+        this.flyoutDrag = null;
+      }
+    } else if (e.type === Blockly.Events.BLOCK_DELETE) {
+      const drag = this.flyoutDrag;
+      const deleteEvent = e as Blockly.Events.BlockDelete;
+      if (!drag || deleteEvent.blockId !== drag.blockId) return;
+      this.flyoutDrag = null;
+      const state = deleteEvent.oldJson;
+      if (state?.x === undefined || state.y === undefined) return;
+      const x = this.workspace_.RTL
+        ? this.workspace_.getWidth() - state.x
+        : state.x;
+      const point = Blockly.utils.svgMath.wsToScreenCoordinates(
+        this.workspace_,
+        new Blockly.utils.Coordinate(x, state.y),
+      );
+      this.dropItemInFlyout(drag.item, point);
+    }
+  }
+
+  /**
+   * Moves an item dragged out of the flyout to where it was dropped, if it
+   * was dropped onto the open backpack flyout.
+   *
+   * @param item Text representing the JSON of the item.
+   * @param point Where the item was dropped, in screen coordinates.
+   */
+  private dropItemInFlyout(item: string, point: Blockly.utils.Coordinate) {
+    const flyout = this.flyout_;
+    // The flyout is also a delete area, which is why the dragged block was
+    // deleted when it was dropped onto it.
+    const flyoutRect =
+      flyout instanceof Blockly.Flyout ? flyout.getClientRect() : null;
+    if (
+      !flyout ||
+      !this.isOpen() ||
+      !flyoutRect?.contains(point.x, point.y) ||
+      !this.contents_.includes(item)
+    ) {
+      return;
+    }
+    const horizontal = flyout.horizontalLayout;
+    let target: string | null = null;
+    let targetPosition = Infinity;
+    for (const block of flyout.getWorkspace().getTopBlocks(false)) {
+      const rect = block.getSvgRoot().getBoundingClientRect();
+      const middle = horizontal
+        ? rect.left + rect.width / 2
+        : rect.top + rect.height / 2;
+      const position = horizontal ? point.x : point.y;
+      const blockItem = this.getItemForBlock(block);
+      if (position < middle && middle < targetPosition && blockItem) {
+        target = blockItem;
+        targetPosition = middle;
+      }
+    }
+
+    Blockly.Events.setGroup(true);
+    try {
+      if (this.openFolderId_ !== this.getItemFolder(item)) {
+        this.moveItemToFolder(item, this.openFolderId_);
+      }
+      if (target !== item) {
+        const others = this.contents_.filter((other) => other !== item);
+        this.moveItem(
+          item,
+          target ? others.indexOf(target) : this.contents_.length - 1,
+        );
+      }
+    } finally {
+      Blockly.Events.setGroup(false);
+    }
   }
 
   /**
@@ -1003,23 +1574,46 @@ class BackpackSerializer {
    * @param workspace the workspace to save
    * @returns the serialized JSON if present
    */
-  save(workspace: Blockly.WorkspaceSvg): object[] {
+  save(workspace: Blockly.WorkspaceSvg): BackpackState | null {
     const componentManager = workspace.getComponentManager();
     const backpack = componentManager.getComponent('backpack') as Backpack;
-    return backpack?.getContents().map((text) => JSON.parse(text));
+    // Backpacks with storage are not tied to a single workspace's state.
+    if (!backpack || backpack.getStorage()) return null;
+    const data = backpack.getData();
+    return {
+      folders: data.folders,
+      items: data.items.map((item) => ({
+        ...item,
+        content: JSON.parse(item.content),
+      })),
+    };
   }
 
   /**
    * Loads a serialized state into the target workspace.
    *
-   * @param state the serialized state JSON
+   * @param state the serialized state JSON. Flat arrays of items saved by
+   *     older versions of the backpack are also accepted.
    * @param workspace the workspace to load into
    */
-  load(state: object[], workspace: Blockly.WorkspaceSvg) {
-    const jsonStrings = state.map((j) => JSON.stringify(j));
+  load(state: BackpackState | object[], workspace: Blockly.WorkspaceSvg) {
     const componentManager = workspace.getComponentManager();
     const backpack = componentManager.getComponent('backpack') as Backpack;
-    backpack?.setContents(jsonStrings);
+    if (!backpack || backpack.getStorage()) return;
+    if (Array.isArray(state)) {
+      backpack.setData({
+        folders: [],
+        items: state.map((j) => ({content: JSON.stringify(j)})),
+      });
+      return;
+    }
+    backpack.setData({
+      folders: state.folders ?? [],
+      items: (state.items ?? []).map((item) => ({
+        ...item,
+        content: JSON.stringify(item.content),
+      })),
+    });
   }
 
   /**
@@ -1030,10 +1624,19 @@ class BackpackSerializer {
   clear(workspace: Blockly.WorkspaceSvg) {
     const componentManager = workspace.getComponentManager();
     const backpack = componentManager.getComponent('backpack') as Backpack;
-    backpack?.empty();
+    if (!backpack || backpack.getStorage()) return;
+    backpack.empty();
   }
 }
 
+/**
+ * The serialized state of a backpack.
+ */
+interface BackpackState {
+  folders: BackpackFolder[];
+  items: Array<Omit<BackpackItem, 'content'> & {content: object}>;
+}
+
 interface StateWithIndex extends Blockly.serialization.blocks.State {
   [key: string]: unknown;
 }
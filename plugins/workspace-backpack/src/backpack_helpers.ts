@@ -93,6 +93,111 @@ function registerRemoveFromBackpack() {
   Blockly.ContextMenuRegistry.registry.register(removeFromBackpack);
 }
 
+/**
+ * Returns the backpack whose flyout contains the block in the given scope.
+ *
+ * @param scope The context menu scope.
+ * @returns The backpack, or null if the block is not in a backpack flyout.
+ */
+function getFlyoutBackpack(
+  scope: Blockly.ContextMenuRegistry.Scope,
+): Backpack | null {
+  const ws = scope.block?.workspace;
+  if (!ws || !ws.isFlyout || !ws.targetWorkspace) return null;
+  const backpack = ws.targetWorkspace
+    .getComponentManager()
+    .getComponent('backpack') as Backpack;
+  const backpackFlyout = backpack && backpack.getFlyout();
+  if (backpackFlyout && backpackFlyout.getWorkspace().id === ws.id) {
+    return backpack;
+  }
+  return null;
+}
+
+/**
+ * Registers a context menu option to set the label of a block in a backpack
+ * flyout.
+ */
+function registerLabelBackpackItem() {
+  if (Blockly.ContextMenuRegistry.registry.getItem('label_backpack_item')) {
+    return;
+  }
+  const labelBackpackItem = {
+    displayText: Blockly.Msg['LABEL_BACKPACK_ITEM'],
+    preconditionFn: function (scope: Blockly.ContextMenuRegistry.Scope) {
+      return getFlyoutBackpack(scope) ? 'enabled' : 'hidden';
+    },
+    callback: function (scope: Blockly.ContextMenuRegistry.Scope) {
+      const backpack = getFlyoutBackpack(scope);
+      const item = scope.block && backpack?.getItemForBlock(scope.block);
+      if (!backpack || !item) return;
+      Blockly.dialog.prompt(
+        Blockly.Msg['BACKPACK_ITEM_LABEL_PROMPT'],
+        backpack.getItemLabel(item) ?? '',
+        (label) => {
+          if (label === null) return;
+          backpack.setItemLabel(item, label.trim() || null);
+        },
+      );
+    },
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    id: 'label_backpack_item',
+    // Use a larger weight to push the option lower on the context menu.
+    weight: 200,
+  };
+  Blockly.ContextMenuRegistry.registry.register(labelBackpackItem);
+}
+
+/**
+ * Registers a context menu option to move a block in a backpack flyout to a
+ * folder. The folder is created if there is no folder with the given name.
+ */
+function registerMoveToBackpackFolder() {
+  if (Blockly.ContextMenuRegistry.registry.getItem('move_to_backpack_folder')) {
+    return;
+  }
+  const moveToBackpackFolder = {
+    displayText: Blockly.Msg['MOVE_TO_BACKPACK_FOLDER'],
+    preconditionFn: function (scope: Blockly.ContextMenuRegistry.Scope) {
+      return getFlyoutBackpack(scope) ? 'enabled' : 'hidden';
+    },
+    callback: function (scope: Blockly.ContextMenuRegistry.Scope) {
+      const backpack = getFlyoutBackpack(scope);
+      const item = scope.block && backpack?.getItemForBlock(scope.block);
+      if (!backpack || !item) return;
+      const folders = backpack.getFolders();
+      const currentFolder = folders.find(
+        (folder) => folder.id === backpack.getItemFolder(item),
+      );
+      Blockly.dialog.prompt(
+        Blockly.Msg['BACKPACK_MOVE_TO_FOLDER_PROMPT'],
+        currentFolder?.name ?? '',
+        (name) => {
+          if (name === null) return;
+          name = name.trim();
+          Blockly.Events.setGroup(true);
+          try {
+            let folderId = null;
+            if (name) {
+              folderId =
+                folders.find((folder) => folder.name === name)?.id ??
+                backpack.addFolder(name);
+            }
+            backpack.moveItemToFolder(item, folderId);
+          } finally {
+            Blockly.Events.setGroup(false);
+          }
+        },
+      );
+    },
+    scopeType: Blockly.ContextMenuRegistry.ScopeType.BLOCK,
+    id: 'move_to_backpack_folder',
+    // Use a larger weight to push the option lower on the context menu.
+    weight: 200,
+  };
+  Blockly.ContextMenuRegistry.registry.register(moveToBackpackFolder);
+}
+
 /**
  * Registers context menu options for adding a block to the backpack.
  *
@@ -249,6 +354,12 @@ export function registerContextMenus(
   if (contextMenuOptions.removeFromBackpack) {
     registerRemoveFromBackpack();
   }
+  if (contextMenuOptions.labelBackpackItem) {
+    registerLabelBackpackItem();
+  }
+  if (contextMenuOptions.moveToBackpackFolder) {
+    registerMoveToBackpackFolder();
+  }
   if (contextMenuOptions.copyToBackpack) {
     registerCopyToBackpack(
       contextMenuOptions.disablePreconditionChecks ?? false,
@@ -6,4 +6,6 @@
 
 export {Backpack} from './backpack';
 export * from './ui_events';
+export * from './storage';
+export type {BackpackData, BackpackFolder, BackpackItem} from './state';
 export type {BackpackOptions, BackpackContextMenuOptions} from './options';
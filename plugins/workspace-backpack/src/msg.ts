@@ -11,6 +11,17 @@
 
 import * as Blockly from 'blockly/core';
 
+// flyout button - Go back from a folder to the top level of the backpack.
+Blockly.Msg['BACKPACK_FOLDER_BACK'] = '< Back';
+// prompt - Ask for the label of an item in the backpack.
+Blockly.Msg['BACKPACK_ITEM_LABEL_PROMPT'] = 'Label for this item:';
+// prompt - Ask for the folder to move an item in the backpack to.
+Blockly.Msg['BACKPACK_MOVE_TO_FOLDER_PROMPT'] =
+  'Move to folder (leave empty for the top level):';
+// context menu - Set the label of the selected Block in the backpack.
+Blockly.Msg['LABEL_BACKPACK_ITEM'] = 'Set Label...';
+// context menu - Move the selected Block in the backpack to a folder.
+Blockly.Msg['MOVE_TO_BACKPACK_FOLDER'] = 'Move to Folder...';
 // context menu - Copy all Blocks on the workspace to the backpack.
 Blockly.Msg['COPY_ALL_TO_BACKPACK'] = 'Copy All Blocks to Backpack';
 // context menu - Copy the selected Block to the backpack.
@@ -10,9 +10,13 @@
  * @author kozbial@google.com (Monica Kozbial)
  */
 
+import type {BackpackStorageAdapter} from './storage';
+
 export interface BackpackContextMenuOptions {
   emptyBackpack?: boolean;
   removeFromBackpack?: boolean;
+  labelBackpackItem?: boolean;
+  moveToBackpackFolder?: boolean;
   copyToBackpack?: boolean;
   copyAllToBackpack?: boolean;
   pasteAllToBackpack?: boolean;
@@ -24,6 +28,8 @@ export interface BackpackOptions {
   useFilledBackpackImage?: boolean;
   skipSerializerRegistration?: boolean;
   contextMenu?: BackpackContextMenuOptions;
+  storage?: BackpackStorageAdapter;
+  onStorageError?: (error: unknown) => void;
 }
 
 /**
@@ -41,6 +47,8 @@ export function parseOptions(options?: BackpackOptions): BackpackOptions {
     contextMenu: {
       emptyBackpack: true,
       removeFromBackpack: true,
+      labelBackpackItem: true,
+      moveToBackpackFolder: true,
       copyToBackpack: true,
       copyAllToBackpack: false,
       pasteAllToBackpack: false,
@@ -63,5 +71,7 @@ export function parseOptions(options?: BackpackOptions): BackpackOptions {
       ...defaults.contextMenu,
       ...options.contextMenu,
     },
+    storage: options.storage,
+    onStorageError: options.onStorageError,
   };
 }
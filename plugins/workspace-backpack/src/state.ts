@@ -0,0 +1,75 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Typedefs and utility methods for the organized contents of
+ * the backpack, which include folders and item labels.
+ */
+
+/**
+ * A named folder in the backpack.
+ */
+export interface BackpackFolder {
+  /** The unique id of the folder. */
+  id: string;
+  /** The user-visible name of the folder. */
+  name: string;
+}
+
+/**
+ * An item in the backpack, along with how it is organized.
+ */
+export interface BackpackItem {
+  /** Text representing the JSON of the item. */
+  content: string;
+  /** The user-visible label of the item, if any. */
+  label?: string;
+  /** The id of the folder the item is in, or undefined for the top level. */
+  folderId?: string;
+}
+
+/**
+ * The full, ordered contents of a backpack.
+ */
+export interface BackpackData {
+  /** The folders, in display order. */
+  folders: BackpackFolder[];
+  /** The items, in display order. */
+  items: BackpackItem[];
+}
+
+/**
+ * Validates untrusted backpack data, dropping anything malformed.
+ *
+ * @param data The data to validate.
+ * @returns The valid parts of the data, or null if it is not backpack data.
+ */
+export function parseBackpackData(data: unknown): BackpackData | null {
+  if (!data || typeof data !== 'object') return null;
+  const {folders, items} = data as Partial<BackpackData>;
+  if (!Array.isArray(folders) || !Array.isArray(items)) return null;
+
+  const validFolders = folders.filter(
+    (folder): folder is BackpackFolder =>
+      !!folder &&
+      typeof folder.id === 'string' &&
+      typeof folder.name === 'string',
+  );
+  const folderIds = new Set(validFolders.map((folder) => folder.id));
+  const validItems: BackpackItem[] = [];
+  for (const item of items) {
+    if (!item || typeof item.content !== 'string') continue;
+    const validItem: BackpackItem = {content: item.content};
+    if (typeof item.label === 'string' && item.label) {
+      validItem.label = item.label;
+    }
+    if (typeof item.folderId === 'string' && folderIds.has(item.folderId)) {
+      validItem.folderId = item.folderId;
+    }
+    validItems.push(validItem);
+  }
+  return {folders: validFolders, items: validItems};
+}
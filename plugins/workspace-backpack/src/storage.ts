@@ -0,0 +1,435 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Storage adapters that persist backpack contents outside of
+ * the workspace, so they survive page reloads and can be shared between
+ * workspaces and tabs.
+ */
+
+import {BackpackData, parseBackpackData} from './state';
+
+/**
+ * The version of the entries written by the built-in storage adapters.
+ */
+export const BACKPACK_STORAGE_VERSION = 1;
+
+/**
+ * The shape of the entries that are stored by storage adapters. Adapters
+ * store entries as they are given, so the contents of the backpack can change
+ * shape between versions without changing the adapters.
+ */
+export interface BackpackStorageEntry extends BackpackData {
+  /** The version of the entry's format. */
+  version: number;
+  /** When the entry was written, in milliseconds since the epoch. */
+  savedAt: number;
+}
+
+/**
+ * An object that loads and saves backpack storage entries. Adapters don't
+ * look inside the entries; the backpack creates and reads them with
+ * createStorageEntry and readStorageEntry.
+ */
+export interface BackpackStorageAdapter {
+  /**
+   * Loads the stored entry.
+   *
+   * @returns A promise resolving to the entry that was last saved, or null
+   *     if nothing has been stored.
+   */
+  load(): Promise<unknown>;
+
+  /**
+   * Saves an entry.
+   *
+   * @param entry The entry to store.
+   * @returns A promise that resolves once the entry is stored, and rejects
+   *     with a BackpackStorageQuotaError if there is no room left.
+   */
+  save(entry: BackpackStorageEntry): Promise<void>;
+
+  /**
+   * Adds a listener that is called when the stored entry changes, whether
+   * from this page or from another tab.
+   *
+   * @param listener The function to call with the new entry.
+   * @returns A function that removes the listener.
+   */
+  addChangeListener(listener: (entry: unknown) => void): () => void;
+
+  /**
+   * Releases any resources held by the adapter.
+   */
+  dispose?(): void;
+}
+
+/**
+ * Error thrown when backpack contents could not be saved because the storage
+ * quota has been exceeded.
+ */
+export class BackpackStorageQuotaError extends Error {
+  /**
+   * Constructs a BackpackStorageQuotaError.
+   *
+   * @param cause The error thrown by the underlying storage.
+   */
+  constructor(readonly cause: unknown) {
+    super('Not enough storage space to save the backpack contents.');
+    this.name = 'BackpackStorageQuotaError';
+  }
+}
+
+/**
+ * Error thrown when a stored entry was written by a newer version of the
+ * plugin, and so can't be read.
+ */
+export class BackpackStorageVersionError extends Error {
+  /**
+   * Constructs a BackpackStorageVersionError.
+   *
+   * @param version The version of the stored entry.
+   */
+  constructor(readonly version: number) {
+    super(`Unsupported backpack storage version ${version}.`);
+    this.name = 'BackpackStorageVersionError';
+  }
+}
+
+/**
+ * Returns whether the given error means that a storage quota was exceeded.
+ *
+ * @param e The error thrown by the storage.
+ * @returns True if the error is a quota error, false otherwise.
+ */
+function isQuotaExceededError(e: unknown): boolean {
+  if (!(e instanceof DOMException)) return false;
+  return (
+    e.name === 'QuotaExceededError' ||
+    // Firefox.
+    e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    // Older browsers.
+    e.code === 22 ||
+    e.code === 1014
+  );
+}
+
+/**
+ * Creates a storage entry for the given contents in the current format.
+ *
+ * @param data The backpack contents.
+ * @returns The entry to store.
+ */
+export function createStorageEntry(data: BackpackData): BackpackStorageEntry {
+  return {
+    version: BACKPACK_STORAGE_VERSION,
+    folders: data.folders.map((folder) => ({...folder})),
+    items: data.items.map((item) => ({...item})),
+    savedAt: Date.now(),
+  };
+}
+
+/**
+ * Reads the contents out of a stored entry.
+ *
+ * @param entry The stored entry.
+ * @returns The contents, or null if the entry is missing or malformed.
+ * @throws {BackpackStorageVersionError} If the entry was written by a newer
+ *     version of the plugin.
+ */
+export function readStorageEntry(entry: unknown): BackpackData | null {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+  const {version} = entry as Partial<BackpackStorageEntry>;
+  if (typeof version !== 'number') {
+    return null;
+  }
+  if (version > BACKPACK_STORAGE_VERSION) {
+    throw new BackpackStorageVersionError(version);
+  }
+  return parseBackpackData(entry);
+}
+
+/**
+ * Base class for the built-in storage adapters that keeps track of change
+ * listeners.
+ */
+abstract class ListenableStorageAdapter implements BackpackStorageAdapter {
+  /** The functions to call when the stored entry changes. */
+  private listeners = new Set<(entry: unknown) => void>();
+
+  abstract load(): Promise<unknown>;
+
+  abstract save(entry: BackpackStorageEntry): Promise<void>;
+
+  /**
+   * Adds a listener that is called when the stored entry changes.
+   *
+   * @param listener The function to call with the new entry.
+   * @returns A function that removes the listener.
+   */
+  addChangeListener(listener: (entry: unknown) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Calls all of the change listeners.
+   *
+   * @param entry The new entry.
+   */
+  protected notifyListeners(entry: unknown) {
+    for (const listener of [...this.listeners]) {
+      listener(entry);
+    }
+  }
+
+  /**
+   * Removes all of the change listeners.
+   */
+  dispose() {
+    this.listeners.clear();
+  }
+}
+
+/**
+ * Stores backpack contents in localStorage. Changes made in other tabs are
+ * picked up through the window's storage event.
+ */
+export class LocalStorageAdapter extends ListenableStorageAdapter {
+  /**
+   * Handles changes made to the storage in other tabs. Bound so that it can
+   * be removed on dispose.
+   *
+   * @param e The storage event.
+   */
+  private readonly onStorage = (e: StorageEvent) => {
+    if (e.storageArea !== this.storage || e.key !== this.key) return;
+    this.notifyListeners(this.parse(e.newValue));
+  };
+
+  /**
+   * Constructs a LocalStorageAdapter.
+   *
+   * @param key The localStorage key to store the contents under.
+   * @param storage The storage to use. Defaults to window.localStorage.
+   */
+  constructor(
+    private readonly key = 'blocklyBackpack',
+    private readonly storage: Storage = window.localStorage,
+  ) {
+    super();
+    window.addEventListener('storage', this.onStorage);
+  }
+
+  /**
+   * Loads the stored entry.
+   *
+   * @returns A promise resolving to the stored entry, or null.
+   */
+  async load(): Promise<unknown> {
+    return this.parse(this.storage.getItem(this.key));
+  }
+
+  /**
+   * Saves an entry.
+   *
+   * @param entry The entry to store.
+   */
+  async save(entry: BackpackStorageEntry): Promise<void> {
+    try {
+      this.storage.setItem(this.key, JSON.stringify(entry));
+    } catch (e) {
+      throw isQuotaExceededError(e) ? new BackpackStorageQuotaError(e) : e;
+    }
+    // The storage event only fires in other tabs, so tell listeners on this
+    // page directly.
+    this.notifyListeners(entry);
+  }
+
+  /**
+   * Parses the stored text.
+   *
+   * @param text The text stored under the key.
+   * @returns The entry, or null if the text is not valid JSON.
+   */
+  private parse(text: string | null): unknown {
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Stops listening for changes.
+   */
+  dispose() {
+    super.dispose();
+    window.removeEventListener('storage', this.onStorage);
+  }
+}
+
+/**
+ * Options for the IndexedDbAdapter.
+ */
+export interface IndexedDbAdapterOptions {
+  /** The name of the database. */
+  databaseName?: string;
+  /** The name of the object store inside the database. */
+  storeName?: string;
+  /** The key to store the contents under. */
+  key?: string;
+}
+
+/**
+ * Stores backpack contents in IndexedDB, which allows for much larger
+ * backpacks than localStorage. Changes made in other tabs are picked up
+ * through a BroadcastChannel, where it is supported.
+ */
+export class IndexedDbAdapter extends ListenableStorageAdapter {
+  /** The name of the database. */
+  private readonly databaseName: string;
+
+  /** The name of the object store. */
+  private readonly storeName: string;
+
+  /** The key the contents are stored under. */
+  private readonly key: string;
+
+  /** The open database, once it has been requested. */
+  private database: Promise<IDBDatabase> | null = null;
+
+  /** The channel used to tell other tabs about changes. */
+  private channel: BroadcastChannel | null = null;
+
+  /**
+   * Constructs an IndexedDbAdapter.
+   *
+   * @param options The database, store and key to use.
+   */
+  constructor(options: IndexedDbAdapterOptions = {}) {
+    super();
+    this.databaseName = options.databaseName ?? 'blocklyBackpack';
+    this.storeName = options.storeName ?? 'backpack';
+    this.key = options.key ?? 'contents';
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(
+        `${this.databaseName}/${this.storeName}/${this.key}`,
+      );
+      this.channel.onmessage = (e: MessageEvent) => {
+        this.notifyListeners(e.data);
+      };
+    }
+  }
+
+  /**
+   * Opens the database, creating the object store if needed.
+   *
+   * @returns A promise resolving to the open database.
+   */
+  private openDatabase(): Promise<IDBDatabase> {
+    if (!this.database) {
+      this.database = this.openDatabaseVersion();
+    }
+    return this.database;
+  }
+
+  /**
+   * Opens the database at the given version. Object stores can only be
+   * created while upgrading, so if the database already exists without this
+   * adapter's store (because another adapter created it) it is reopened at
+   * the next version.
+   *
+   * @param version The version to open, or undefined to open the current
+   *     version.
+   * @returns A promise resolving to the open database.
+   */
+  private openDatabaseVersion(version?: number): Promise<IDBDatabase> {
+    return new Promise((resolve, reject) => {
+      const request =
+        version === undefined
+          ? indexedDB.open(this.databaseName)
+          : indexedDB.open(this.databaseName, version);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(this.storeName)) {
+          database.createObjectStore(this.storeName);
+        }
+      };
+      request.onsuccess = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(this.storeName)) {
+          database.close();
+          this.openDatabaseVersion(database.version + 1).then(resolve, reject);
+          return;
+        }
+        // Let other adapters upgrade the database to add their stores, and
+        // reopen it the next time it is used.
+        database.onversionchange = () => {
+          database.close();
+          this.database = null;
+        };
+        resolve(database);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Loads the stored entry.
+   *
+   * @returns A promise resolving to the stored entry, or null.
+   */
+  async load(): Promise<unknown> {
+    const database = await this.openDatabase();
+    return new Promise<unknown>((resolve, reject) => {
+      const request = database
+        .transaction(this.storeName, 'readonly')
+        .objectStore(this.storeName)
+        .get(this.key);
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Saves an entry.
+   *
+   * @param entry The entry to store.
+   */
+  async save(entry: BackpackStorageEntry): Promise<void> {
+    const database = await this.openDatabase();
+    await new Promise<void>((resolve, reject) => {
+      const transaction = database.transaction(this.storeName, 'readwrite');
+      transaction.objectStore(this.storeName).put(entry, this.key);
+      transaction.oncomplete = () => resolve();
+      transaction.onabort = transaction.onerror = () => {
+        const error = transaction.error;
+        reject(
+          isQuotaExceededError(error)
+            ? new BackpackStorageQuotaError(error)
+            : error,
+        );
+      };
+    });
+    this.channel?.postMessage(entry);
+    this.notifyListeners(entry);
+  }
+
+  /**
+   * Closes the database and the channel.
+   */
+  dispose() {
+    super.dispose();
+    this.channel?.close();
+    this.channel = null;
+    this.database?.then((database) => database.close()).catch(() => {});
+    this.database = null;
+  }
+}
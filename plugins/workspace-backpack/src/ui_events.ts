@@ -101,3 +101,58 @@ Blockly.registry.register(
   backpackChange,
   BackpackChange,
 );
+
+/**
+ * Name of event that records a failure to load or save a backpack's stored
+ * contents.
+ */
+export const backpackStorageError = 'backpack_storage_error';
+
+/**
+ * A UI event representing a failure to load or save the contents of a
+ * backpack with a storage adapter.
+ */
+export class BackpackStorageError extends Blockly.Events.UiBase {
+  /**
+   * Type of this event.
+   */
+  type = backpackStorageError;
+
+  /**
+   * Class for a backpack storage error event.
+   *
+   * @param error The error thrown by the storage adapter. Undefined for a
+   *    blank event.
+   * @param workspaceId The workspace identifier for this event.
+   *    Undefined for a blank event.
+   */
+  constructor(
+    public error?: unknown,
+    workspaceId?: string,
+  ) {
+    super(workspaceId);
+  }
+
+  /**
+   * Encode the event as JSON.
+   *
+   * @returns JSON representation.
+   */
+  toJson(): BackpackStorageErrorEventJson {
+    const json = super.toJson() as BackpackStorageErrorEventJson;
+    json['message'] =
+      this.error instanceof Error ? this.error.message : String(this.error);
+    return json;
+  }
+}
+
+export interface BackpackStorageErrorEventJson
+  extends Blockly.Events.AbstractEventJson {
+  message?: string;
+}
+
+Blockly.registry.register(
+  Blockly.registry.Type.EVENT,
+  backpackStorageError,
+  BackpackStorageError,
+);
@@ -0,0 +1,371 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Unit tests for the folders, labels and ordering of backpack
+ * items.
+ */
+
+const assert = require('assert');
+const Blockly = require('blockly');
+const sinon = require('sinon');
+
+const {Backpack} = require('../src/index');
+
+suite('Backpack', function () {
+  setup(function () {
+    this.jsdomCleanup = require('jsdom-global')(
+      '<!DOCTYPE html><div id="blocklyDiv"></div>',
+    );
+    this.workspace = Blockly.inject('blocklyDiv');
+    this.backpack = new Backpack(this.workspace);
+    this.backpack.init();
+    this.itemA = '{"kind":"BLOCK","type":"a"}';
+    this.itemB = '{"kind":"BLOCK","type":"b"}';
+    this.itemC = '{"kind":"BLOCK","type":"c"}';
+    this.backpack.setContents([this.itemA, this.itemB, this.itemC]);
+  });
+
+  teardown(function () {
+    sinon.restore();
+    this.backpack.dispose();
+    this.workspace.dispose();
+    this.jsdomCleanup();
+  });
+
+  suite('Folders', function () {
+    test('Folders are added and renamed', function () {
+      const id = this.backpack.addFolder('Loops');
+      assert.deepEqual(this.backpack.getFolders(), [{id, name: 'Loops'}]);
+      this.backpack.renameFolder(id, 'Logic');
+      assert.deepEqual(this.backpack.getFolders(), [{id, name: 'Logic'}]);
+    });
+
+    test('Removing a folder moves its items to the top level', function () {
+      const id = this.backpack.addFolder('Loops');
+      this.backpack.moveItemToFolder(this.itemA, id);
+      this.backpack.openFolderId_ = id;
+      this.backpack.removeFolder(id);
+      assert.deepEqual(this.backpack.getFolders(), []);
+      assert.equal(this.backpack.getItemFolder(this.itemA), null);
+      assert.equal(this.backpack.getOpenFolder(), null);
+    });
+
+    test('Unknown folders throw', function () {
+      assert.throws(() => this.backpack.renameFolder('missing', 'Name'));
+      assert.throws(() => this.backpack.removeFolder('missing'));
+      assert.throws(() => this.backpack.openFolder('missing'));
+      assert.throws(() =>
+        this.backpack.moveItemToFolder(this.itemA, 'missing'),
+      );
+    });
+
+    test('Items are moved between folders', function () {
+      const loops = this.backpack.addFolder('Loops');
+      const logic = this.backpack.addFolder('Logic');
+      this.backpack.moveItemToFolder(this.itemA, loops);
+      assert.equal(this.backpack.getItemFolder(this.itemA), loops);
+      this.backpack.moveItemToFolder(this.itemA, logic);
+      assert.equal(this.backpack.getItemFolder(this.itemA), logic);
+      this.backpack.moveItemToFolder(this.itemA, null);
+      assert.equal(this.backpack.getItemFolder(this.itemA), null);
+    });
+
+    test('Items not in the backpack throw', function () {
+      const id = this.backpack.addFolder('Loops');
+      assert.throws(() => this.backpack.moveItemToFolder('{}', id));
+      assert.throws(() => this.backpack.setItemLabel('{}', 'Label'));
+      assert.throws(() => this.backpack.moveItem('{}', 0));
+    });
+  });
+
+  suite('Labels', function () {
+    test('Labels are set and cleared', function () {
+      this.backpack.setItemLabel(this.itemA, 'First');
+      assert.equal(this.backpack.getItemLabel(this.itemA), 'First');
+      this.backpack.setItemLabel(this.itemA, '');
+      assert.equal(this.backpack.getItemLabel(this.itemA), null);
+    });
+
+    test('Labels and folders are dropped with their items', function () {
+      const id = this.backpack.addFolder('Loops');
+      this.backpack.setItemLabel(this.itemA, 'First');
+      this.backpack.moveItemToFolder(this.itemB, id);
+      this.backpack.removeItem(this.itemA);
+      this.backpack.setContents([this.itemC]);
+      this.backpack.setContents([this.itemA, this.itemB, this.itemC]);
+      assert.equal(this.backpack.getItemLabel(this.itemA), null);
+      assert.equal(this.backpack.getItemFolder(this.itemB), null);
+    });
+  });
+
+  suite('Data', function () {
+    test('Data round trips', function () {
+      const id = this.backpack.addFolder('Loops');
+      this.backpack.setItemLabel(this.itemA, 'First');
+      this.backpack.moveItemToFolder(this.itemB, id);
+      const data = this.backpack.getData();
+      assert.deepEqual(data, {
+        folders: [{id, name: 'Loops'}],
+        items: [
+          {content: this.itemA, label: 'First'},
+          {content: this.itemB, folderId: id},
+          {content: this.itemC},
+        ],
+      });
+      this.backpack.setData({folders: [], items: []});
+      this.backpack.setData(data);
+      assert.deepEqual(this.backpack.getData(), data);
+    });
+
+    test('Invalid data is dropped', function () {
+      this.backpack.setData({
+        folders: [{id: 'loops', name: 'Loops'}, {id: 1}],
+        items: [
+          {content: this.itemA, folderId: 'missing'},
+          {content: this.itemA, label: 'Duplicate'},
+          {label: 'No content'},
+          {content: this.itemB, folderId: 'loops'},
+        ],
+      });
+      assert.deepEqual(this.backpack.getData(), {
+        folders: [{id: 'loops', name: 'Loops'}],
+        items: [
+          {content: this.itemA},
+          {content: this.itemB, folderId: 'loops'},
+        ],
+      });
+    });
+  });
+
+  suite('Ordering', function () {
+    test('Items are moved to an index', function () {
+      this.backpack.moveItem(this.itemC, 0);
+      assert.deepEqual(this.backpack.getContents(), [
+        this.itemC,
+        this.itemA,
+        this.itemB,
+      ]);
+    });
+
+    test('Indices are clamped', function () {
+      this.backpack.moveItem(this.itemA, 10);
+      assert.deepEqual(this.backpack.getContents(), [
+        this.itemB,
+        this.itemC,
+        this.itemA,
+      ]);
+      this.backpack.moveItem(this.itemA, -1);
+      assert.deepEqual(this.backpack.getContents(), [
+        this.itemA,
+        this.itemB,
+        this.itemC,
+      ]);
+    });
+  });
+
+  suite('Flyout contents', function () {
+    test('The top level shows folders and unfiled items', function () {
+      const id = this.backpack.addFolder('Loops');
+      this.backpack.moveItemToFolder(this.itemB, id);
+      this.backpack.setItemLabel(this.itemC, 'Third');
+      const contents = this.backpack.getFlyoutContents();
+      assert.deepEqual(
+        contents.map((item) => item.text ?? item.type),
+        ['Loops (1)', 'a', 'Third', 'c'],
+      );
+    });
+
+    test('Only the shown folder buttons have callbacks', function () {
+      const loops = this.backpack.addFolder('Loops');
+      const logic = this.backpack.addFolder('Logic');
+      this.backpack.getFlyoutContents();
+      this.backpack.removeFolder(loops);
+      const contents = this.backpack.getFlyoutContents();
+      const keys = contents.map((item) => item.callbackkey).filter(Boolean);
+      assert.deepEqual(keys, [`backpackFolder_${logic}`]);
+      assert.ok(this.workspace.getButtonCallback(keys[0]));
+      assert.equal(
+        this.workspace.getButtonCallback(`backpackFolder_${loops}`),
+        null,
+      );
+
+      this.backpack.openFolderId_ = logic;
+      this.backpack.getFlyoutContents();
+      assert.equal(this.workspace.getButtonCallback(keys[0]), null);
+      assert.ok(this.workspace.getButtonCallback('backpackFolderBack'));
+    });
+
+    test('A folder shows its items', function () {
+      const id = this.backpack.addFolder('Loops');
+      this.backpack.moveItemToFolder(this.itemB, id);
+      this.backpack.openFolderId_ = id;
+      const contents = this.backpack.getFlyoutContents();
+      assert.deepEqual(
+        contents.map((item) => item.text ?? item.type),
+        [Blockly.Msg['BACKPACK_FOLDER_BACK'], 'Loops', 'b'],
+      );
+    });
+  });
+
+  suite('Dragging items within the flyout', function () {
+    setup(function () {
+      sinon.stub(this.backpack, 'isOpen').returns(true);
+      // The flyout can't be rendered here, so a stand-in reports where each
+      // item's block is.
+      const flyout = Object.create(Blockly.Flyout.prototype);
+      flyout.horizontalLayout = false;
+      flyout.show = sinon.stub();
+      flyout.getClientRect = () => new Blockly.utils.Rect(0, 300, 0, 100);
+      const blocks = [this.itemA, this.itemB, this.itemC].map((item, i) => ({
+        item,
+        getSvgRoot: () => ({
+          getBoundingClientRect: () => ({top: i * 100, height: 50}),
+        }),
+      }));
+      flyout.getWorkspace = () => ({getTopBlocks: () => blocks});
+      this.backpack.flyout_ = flyout;
+      sinon.stub(this.backpack, 'getItemForBlock').callsFake((b) => b.item);
+    });
+
+    test('Items dropped between blocks are moved there', function () {
+      this.backpack.dropItemInFlyout(
+        this.itemC,
+        new Blockly.utils.Coordinate(50, 60),
+      );
+      assert.deepEqual(this.backpack.getContents(), [
+        this.itemA,
+        this.itemC,
+        this.itemB,
+      ]);
+    });
+
+    test('Items dropped after the last block are moved to the end', function () {
+      this.backpack.dropItemInFlyout(
+        this.itemA,
+        new Blockly.utils.Coordinate(50, 260),
+      );
+      assert.deepEqual(this.backpack.getContents(), [
+        this.itemB,
+        this.itemC,
+        this.itemA,
+      ]);
+    });
+
+    test('Items dropped outside the flyout are not moved', function () {
+      this.backpack.dropItemInFlyout(
+        this.itemC,
+        new Blockly.utils.Coordinate(150, 60),
+      );
+      assert.deepEqual(this.backpack.getContents(), [
+        this.itemA,
+        this.itemB,
+        this.itemC,
+      ]);
+    });
+
+    test('Items dropped in an open folder are moved into it', function () {
+      const id = this.backpack.addFolder('Loops');
+      this.backpack.openFolderId_ = id;
+      this.backpack.dropItemInFlyout(
+        this.itemA,
+        new Blockly.utils.Coordinate(50, 260),
+      );
+      assert.equal(this.backpack.getItemFolder(this.itemA), id);
+    });
+
+    test('Dropping an item fires its changes in one group', async function () {
+      const id = this.backpack.addFolder('Loops');
+      this.backpack.openFolderId_ = id;
+      // Events are fired asynchronously.
+      await new Promise((resolve) => setTimeout(resolve));
+      const events = [];
+      this.workspace.addChangeListener((e) => events.push(e));
+      this.backpack.dropItemInFlyout(
+        this.itemA,
+        new Blockly.utils.Coordinate(50, 260),
+      );
+      await new Promise((resolve) => setTimeout(resolve));
+      const groups = events.map((e) => e.group);
+      assert.equal(groups.length, 2);
+      assert.ok(groups[0]);
+      assert.equal(groups[0], groups[1]);
+    });
+  });
+
+  suite('Dragging blocks out of the flyout', function () {
+    setup(function () {
+      this.dropItemInFlyout = sinon.stub(this.backpack, 'dropItemInFlyout');
+      this.block = this.workspace.newBlock('text');
+      this.block.moveBy(20, 30);
+      this.backpack.setContents([]);
+      this.backpack.addBlock(this.block);
+      this.item = this.backpack.getContents()[0];
+      sinon.stub(this.backpack, 'isOpen').returns(true);
+    });
+
+    /**
+     * Fires an event on the workspace in the given group.
+     * @param {!Blockly.Workspace} workspace The workspace.
+     * @param {!Blockly.Events.Abstract} event The event to fire.
+     * @param {string} group The group of the event.
+     */
+    function fire(workspace, event, group) {
+      event.group = group;
+      workspace.fireChangeListener(event);
+    }
+
+    test('Blocks are matched to the items they were added as', function () {
+      assert.equal(this.backpack.getItemForBlock(this.block), this.item);
+    });
+
+    test('Blocks created and deleted by a drag are dropped', function () {
+      fire(this.workspace, new Blockly.Events.BlockCreate(this.block), 'drag');
+      fire(
+        this.workspace,
+        new Blockly.Events.BlockDrag(this.block, true, []),
+        'drag',
+      );
+      fire(this.workspace, new Blockly.Events.BlockDelete(this.block), 'drag');
+      sinon.assert.calledOnceWithExactly(
+        this.dropItemInFlyout,
+        this.item,
+        sinon.match.instanceOf(Blockly.utils.Coordinate),
+      );
+    });
+
+    test('Blocks dropped on the workspace are ignored', function () {
+      fire(this.workspace, new Blockly.Events.BlockCreate(this.block), 'drag');
+      fire(
+        this.workspace,
+        new Blockly.Events.BlockDrag(this.block, true, []),
+        'drag',
+      );
+      fire(
+        this.workspace,
+        new Blockly.Events.BlockDrag(this.block, false, []),
+        'drag',
+      );
+      fire(this.workspace, new Blockly.Events.BlockDelete(this.block), 'other');
+      sinon.assert.notCalled(this.dropItemInFlyout);
+    });
+
+    test('Blocks not created by the drag are ignored', function () {
+      fire(
+        this.workspace,
+        new Blockly.Events.BlockCreate(this.block),
+        'create',
+      );
+      fire(
+        this.workspace,
+        new Blockly.Events.BlockDrag(this.block, true, []),
+        'drag',
+      );
+      fire(this.workspace, new Blockly.Events.BlockDelete(this.block), 'drag');
+      sinon.assert.notCalled(this.dropItemInFlyout);
+    });
+  });
+});
@@ -0,0 +1,391 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Unit tests for the backpack storage adapters.
+ */
+
+const assert = require('assert');
+const Blockly = require('blockly');
+const sinon = require('sinon');
+
+const {
+  Backpack,
+  BACKPACK_STORAGE_VERSION,
+  BackpackStorageQuotaError,
+  BackpackStorageVersionError,
+  IndexedDbAdapter,
+  LocalStorageAdapter,
+  backpackStorageError,
+  createStorageEntry,
+  readStorageEntry,
+} = require('../src/index');
+
+/**
+ * A minimal in-memory stand-in for IndexedDB, supporting the parts used by
+ * IndexedDbAdapter.
+ */
+class FakeIndexedDb {
+  /**
+   * Constructs a FakeIndexedDb.
+   */
+  constructor() {
+    /**
+     * The databases by name, with their version, object stores and open
+     * connections.
+     * @type {!Map<string, !Object>}
+     */
+    this.databases = new Map();
+    /** The error to abort put transactions with, if any. */
+    this.putError = null;
+  }
+
+  /**
+   * Opens a database, creating it if it doesn't exist and upgrading it if a
+   * newer version is requested.
+   * @param {string} name The name of the database.
+   * @param {number=} version The version to open. Defaults to the current
+   *     version.
+   * @returns {!Object} The open request.
+   */
+  open(name, version) {
+    const request = {};
+    setTimeout(() => {
+      let database = this.databases.get(name);
+      if (!database) {
+        database = {version: 0, stores: new Map(), connections: new Set()};
+        this.databases.set(name, database);
+      }
+      const newVersion = version ?? Math.max(database.version, 1);
+      const isUpgrade = newVersion > database.version;
+      if (isUpgrade) {
+        for (const connection of [...database.connections]) {
+          connection.onversionchange?.();
+        }
+      }
+      database.version = newVersion;
+      const connection = {
+        version: newVersion,
+        objectStoreNames: {
+          contains: (storeName) => database.stores.has(storeName),
+        },
+        createObjectStore: (storeName) =>
+          database.stores.set(storeName, new Map()),
+        transaction: (storeName) => {
+          if (!database.stores.has(storeName)) {
+            throw new DOMException('No such object store.', 'NotFoundError');
+          }
+          return this.createTransaction(database.stores.get(storeName));
+        },
+        close: () => database.connections.delete(connection),
+      };
+      database.connections.add(connection);
+      request.result = connection;
+      if (isUpgrade) request.onupgradeneeded();
+      request.onsuccess();
+    });
+    return request;
+  }
+
+  /**
+   * Creates a transaction on the given store.
+   * @param {!Map<string, *>} store The object store.
+   * @returns {!Object} The transaction.
+   */
+  createTransaction(store) {
+    const transaction = {error: null};
+    transaction.objectStore = () => ({
+      get: (key) => {
+        const request = {};
+        setTimeout(() => {
+          request.result = store.get(key);
+          request.onsuccess();
+        });
+        return request;
+      },
+      put: (value, key) => {
+        setTimeout(() => {
+          if (this.putError) {
+            transaction.error = this.putError;
+            transaction.onabort();
+            return;
+          }
+          store.set(key, JSON.parse(JSON.stringify(value)));
+          transaction.oncomplete();
+        });
+      },
+    });
+    return transaction;
+  }
+}
+
+/**
+ * Creates a Storage whose setItem always fails with a quota error.
+ * @returns {!Storage} The storage.
+ */
+function createFullStorage() {
+  return {
+    getItem: () => null,
+    setItem: () => {
+      throw new DOMException(
+        'The quota has been exceeded.',
+        'QuotaExceededError',
+      );
+    },
+  };
+}
+
+suite('Backpack storage', function () {
+  setup(function () {
+    this.jsdomCleanup = require('jsdom-global')(
+      '<!DOCTYPE html><div id="blocklyDiv"></div>',
+      {url: 'http://localhost/'},
+    );
+    this.data = {
+      folders: [{id: 'folder', name: 'Folder'}],
+      items: [
+        {content: '{"kind":"BLOCK","type":"text"}', folderId: 'folder'},
+        {content: '{"kind":"BLOCK","type":"math_number"}', label: 'Number'},
+      ],
+    };
+  });
+
+  teardown(function () {
+    this.jsdomCleanup();
+  });
+
+  suite('Storage entries', function () {
+    test('Current entries round trip', function () {
+      const entry = createStorageEntry(this.data);
+      assert.equal(entry.version, BACKPACK_STORAGE_VERSION);
+      assert.equal(typeof entry.savedAt, 'number');
+      assert.deepEqual(readStorageEntry(entry), this.data);
+    });
+
+    test('Malformed entries are ignored', function () {
+      assert.equal(readStorageEntry(null), null);
+      assert.equal(readStorageEntry('text'), null);
+      assert.equal(readStorageEntry(['a', 'b']), null);
+      assert.equal(readStorageEntry({folders: [], items: []}), null);
+      assert.equal(readStorageEntry({version: 1, savedAt: 0}), null);
+    });
+
+    test('Entries from newer versions throw', function () {
+      const version = BACKPACK_STORAGE_VERSION + 1;
+      assert.throws(
+        () => readStorageEntry({version, folders: [], items: [], savedAt: 0}),
+        (e) =>
+          e instanceof BackpackStorageVersionError && e.version === version,
+      );
+    });
+  });
+
+  suite('LocalStorageAdapter', function () {
+    setup(function () {
+      this.adapter = new LocalStorageAdapter('testBackpack');
+    });
+
+    teardown(function () {
+      this.adapter.dispose();
+      window.localStorage.clear();
+    });
+
+    test('Nothing is loaded before saving', async function () {
+      assert.equal(await this.adapter.load(), null);
+    });
+
+    test('Saved entries are loaded', async function () {
+      await this.adapter.save(createStorageEntry(this.data));
+      assert.deepEqual(readStorageEntry(await this.adapter.load()), this.data);
+    });
+
+    test('Invalid JSON is ignored', async function () {
+      window.localStorage.setItem('testBackpack', '{');
+      assert.equal(await this.adapter.load(), null);
+    });
+
+    test('Listeners are told about saves', async function () {
+      const listener = sinon.spy();
+      const removeListener = this.adapter.addChangeListener(listener);
+      const entry = createStorageEntry(this.data);
+      await this.adapter.save(entry);
+      sinon.assert.calledOnceWithExactly(listener, entry);
+      removeListener();
+      await this.adapter.save(entry);
+      sinon.assert.calledOnce(listener);
+    });
+
+    test('Listeners are told about changes in other tabs', function () {
+      const listener = sinon.spy();
+      this.adapter.addChangeListener(listener);
+      const entry = createStorageEntry(this.data);
+      window.dispatchEvent(
+        new window.StorageEvent('storage', {
+          key: 'testBackpack',
+          newValue: JSON.stringify(entry),
+          storageArea: window.localStorage,
+        }),
+      );
+      window.dispatchEvent(
+        new window.StorageEvent('storage', {
+          key: 'otherKey',
+          newValue: '[]',
+          storageArea: window.localStorage,
+        }),
+      );
+      sinon.assert.calledOnceWithExactly(listener, entry);
+    });
+
+    test('Listeners are removed on dispose', function () {
+      const listener = sinon.spy();
+      this.adapter.addChangeListener(listener);
+      this.adapter.dispose();
+      window.dispatchEvent(
+        new window.StorageEvent('storage', {
+          key: 'testBackpack',
+          newValue: '[]',
+          storageArea: window.localStorage,
+        }),
+      );
+      sinon.assert.notCalled(listener);
+    });
+
+    test('Running out of space rejects with a quota error', async function () {
+      const adapter = new LocalStorageAdapter('full', createFullStorage());
+      const listener = sinon.spy();
+      adapter.addChangeListener(listener);
+      await assert.rejects(
+        adapter.save(createStorageEntry(this.data)),
+        BackpackStorageQuotaError,
+      );
+      sinon.assert.notCalled(listener);
+      adapter.dispose();
+    });
+  });
+
+  suite('IndexedDbAdapter', function () {
+    setup(function () {
+      this.indexedDb = new FakeIndexedDb();
+      global.indexedDB = this.indexedDb;
+      this.adapter = new IndexedDbAdapter({databaseName: 'testBackpack'});
+    });
+
+    teardown(function () {
+      this.adapter.dispose();
+      delete global.indexedDB;
+    });
+
+    test('Nothing is loaded before saving', async function () {
+      assert.equal(await this.adapter.load(), null);
+    });
+
+    test('Saved entries are loaded', async function () {
+      await this.adapter.save(createStorageEntry(this.data));
+      assert.deepEqual(readStorageEntry(await this.adapter.load()), this.data);
+    });
+
+    test('Entries are kept between adapters', async function () {
+      await this.adapter.save(createStorageEntry(this.data));
+      const adapter = new IndexedDbAdapter({databaseName: 'testBackpack'});
+      assert.deepEqual(readStorageEntry(await adapter.load()), this.data);
+      adapter.dispose();
+    });
+
+    test('Adapters with different stores share a database', async function () {
+      await this.adapter.save(createStorageEntry(this.data));
+      const adapter = new IndexedDbAdapter({
+        databaseName: 'testBackpack',
+        storeName: 'other',
+      });
+      assert.equal(await adapter.load(), null);
+      const other = {folders: [], items: [{content: 'other'}]};
+      await adapter.save(createStorageEntry(other));
+      assert.deepEqual(readStorageEntry(await adapter.load()), other);
+      assert.deepEqual(readStorageEntry(await this.adapter.load()), this.data);
+      adapter.dispose();
+    });
+
+    test('Listeners are told about saves', async function () {
+      const listener = sinon.spy();
+      this.adapter.addChangeListener(listener);
+      const entry = createStorageEntry(this.data);
+      await this.adapter.save(entry);
+      sinon.assert.calledOnceWithExactly(listener, entry);
+    });
+
+    test('Listeners are told about changes in other tabs', async function () {
+      const adapter = new IndexedDbAdapter({databaseName: 'testBackpack'});
+      const received = new Promise((resolve) =>
+        adapter.addChangeListener(resolve),
+      );
+      const entry = createStorageEntry(this.data);
+      await this.adapter.save(entry);
+      assert.deepEqual(await received, entry);
+      adapter.dispose();
+    });
+
+    test('Running out of space rejects with a quota error', async function () {
+      this.indexedDb.putError = new DOMException(
+        'The quota has been exceeded.',
+        'QuotaExceededError',
+      );
+      const listener = sinon.spy();
+      this.adapter.addChangeListener(listener);
+      await assert.rejects(
+        this.adapter.save(createStorageEntry(this.data)),
+        BackpackStorageQuotaError,
+      );
+      sinon.assert.notCalled(listener);
+    });
+  });
+
+  suite('Backpack', function () {
+    setup(function () {
+      this.workspace = Blockly.inject('blocklyDiv');
+      this.events = [];
+      this.workspace.addChangeListener((e) => this.events.push(e));
+    });
+
+    teardown(function () {
+      this.backpack?.dispose();
+      this.workspace.dispose();
+    });
+
+    test('Stored contents are loaded on init', async function () {
+      const storage = new LocalStorageAdapter('testBackpack');
+      await storage.save(createStorageEntry(this.data));
+      this.backpack = new Backpack(this.workspace, {storage});
+      this.backpack.init();
+      await new Promise((resolve) => setTimeout(resolve));
+      assert.deepEqual(this.backpack.getData(), this.data);
+      storage.dispose();
+      window.localStorage.clear();
+    });
+
+    test('Storage errors are reported', async function () {
+      const onStorageError = sinon.spy();
+      const version = BACKPACK_STORAGE_VERSION + 1;
+      const storage = new LocalStorageAdapter('testBackpack');
+      window.localStorage.setItem(
+        'testBackpack',
+        JSON.stringify({version, folders: [], items: [], savedAt: 0}),
+      );
+      this.backpack = new Backpack(this.workspace, {storage, onStorageError});
+      this.backpack.init();
+      // Wait for the load and for the event to be fired.
+      await new Promise((resolve) => setTimeout(resolve));
+      await new Promise((resolve) => setTimeout(resolve));
+      sinon.assert.calledOnce(onStorageError);
+      const error = onStorageError.firstCall.args[0];
+      assert.ok(error instanceof BackpackStorageVersionError);
+      const event = this.events.find((e) => e.type === backpackStorageError);
+      assert.ok(event);
+      assert.equal(event.error, error);
+      storage.dispose();
+      window.localStorage.clear();
+    });
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview A layer of coloured markers on top of the minimap, e.g. for
+ * blocks with warnings or search matches.
+ */
+
+import * as Blockly from 'blockly/core';
+import {MinimapView} from './focus_region';
+
+// The minimum size of a marker in pixels, so that small blocks stay visible.
+const minMarkerSize = 6;
+
+/**
+ * A coloured marker on the minimap for a block in the primary workspace.
+ */
+export interface MinimapAnnotation {
+  /** Identifies the annotation, e.g. to remove it. */
+  id: string;
+  /** The id of the block in the primary workspace to mark. */
+  blockId: string;
+  /** The colour of the marker, in any CSS colour format. */
+  colour: string;
+  /**
+   * The kind of annotation, e.g. 'warning' or 'search', so that all
+   * annotations of a kind can be cleared at once.
+   */
+  group?: string;
+  /** The text shown when hovering over the marker. */
+  tooltip?: string;
+}
+
+/**
+ * Draws a marker on the minimap for each annotated block. Clicking a marker
+ * scrolls the primary workspace to its block.
+ */
+export class AnnotationLayer {
+  private annotations = new Map<string, MinimapAnnotation>();
+  private minimapView: MinimapView | null = null;
+  private svg: SVGSVGElement | null = null;
+  private onPointerDownWrapper: Blockly.browserEvents.Data | null = null;
+
+  /**
+   * Constructor for the annotation layer.
+   *
+   * @param primaryWorkspace The primary workspaceSvg.
+   */
+  constructor(private primaryWorkspace: Blockly.WorkspaceSvg) {}
+
+  /**
+   * Initializes the annotation layer on top of the minimap.
+   *
+   * @param minimapView The minimap workspaceSvg, or the minimap canvas.
+   */
+  init(minimapView: MinimapView) {
+    this.minimapView = minimapView;
+    const container = minimapView.getParentSvg().parentElement;
+    if (!container) {
+      throw new Error(
+        'The minimap must be initialized (`init`) before its annotations',
+      );
+    }
+    this.svg = Blockly.utils.dom.createSvgElement(
+      Blockly.utils.Svg.SVG,
+      {class: 'blockly-minimap-annotations'},
+      container,
+    );
+    this.onPointerDownWrapper = Blockly.browserEvents.bind(
+      this.svg,
+      'pointerdown',
+      this,
+      this.onPointerDown,
+    );
+    this.update();
+  }
+
+  /**
+   * Disposes of the annotation layer.
+   * Unlinks from all DOM elements and remove all event listeners
+   * to prevent memory leaks.
+   */
+  dispose() {
+    if (this.onPointerDownWrapper) {
+      Blockly.browserEvents.unbind(this.onPointerDownWrapper);
+      this.onPointerDownWrapper = null;
+    }
+    Blockly.utils.dom.removeNode(this.svg);
+    this.svg = null;
+    this.minimapView = null;
+  }
+
+  /**
+   * Adds an annotation, or replaces the annotation with the same id.
+   *
+   * @param annotation The annotation to add.
+   */
+  addAnnotation(annotation: MinimapAnnotation): void {
+    this.annotations.set(annotation.id, {...annotation});
+    this.update();
+  }
+
+  /**
+   * Removes an annotation.
+   *
+   * @param id The id of the annotation to remove.
+   */
+  removeAnnotation(id: string): void {
+    if (this.annotations.delete(id)) this.update();
+  }
+
+  /**
+   * Removes all annotations, or all annotations in a group.
+   *
+   * @param group The group of annotations to remove. If not given, every
+   *     annotation is removed.
+   */
+  clearAnnotations(group?: string): void {
+    this.annotations.forEach((annotation, id) => {
+      if (group === undefined || annotation.group === group) {
+        this.annotations.delete(id);
+      }
+    });
+    this.update();
+  }
+
+  /**
+   * Returns the annotations on the minimap.
+   *
+   * @returns A copy of each annotation.
+   */
+  getAnnotations(): MinimapAnnotation[] {
+    return [...this.annotations.values()].map((annotation) => ({
+      ...annotation,
+    }));
+  }
+
+  /**
+   * Positions a marker over each annotated block. Annotations of blocks that
+   * aren't in the primary workspace are not drawn.
+   */
+  update(): void {
+    if (!this.svg || !this.minimapView) return;
+    this.svg.replaceChildren();
+
+    const primaryContent = this.primaryWorkspace
+      .getMetricsManager()
+      .getContentMetrics(true);
+    if (primaryContent.width === 0) return;
+    const minimapMetrics = this.minimapView.getMetrics();
+    const scale = this.minimapView.getScale();
+    // Account for the padding outside the content on the minimap.
+    const offsetX = (minimapMetrics.svgWidth - minimapMetrics.contentWidth) / 2;
+    const offsetY =
+      (minimapMetrics.svgHeight - minimapMetrics.contentHeight) / 2;
+
+    this.annotations.forEach((annotation) => {
+      const block = this.primaryWorkspace.getBlockById(annotation.blockId);
+      if (!block) return;
+      const rect = block.getBoundingRectangle();
+      const width = Math.max(minMarkerSize, rect.getWidth() * scale);
+      const height = Math.max(minMarkerSize, rect.getHeight() * scale);
+      // Center markers that are bigger than their block on the block.
+      const left =
+        offsetX +
+        (rect.left - primaryContent.left) * scale -
+        (width - rect.getWidth() * scale) / 2;
+      const top =
+        offsetY +
+        (rect.top - primaryContent.top) * scale -
+        (height - rect.getHeight() * scale) / 2;
+
+      const marker = Blockly.utils.dom.createSvgElement(
+        Blockly.utils.Svg.RECT,
+        {
+          class: 'blockly-minimap-annotation',
+          x: left,
+          y: top,
+          width,
+          height,
+          fill: annotation.colour,
+          stroke: annotation.colour,
+        },
+        this.svg,
+      );
+      marker.setAttribute('data-annotation-id', annotation.id);
+      if (annotation.tooltip) {
+        const title = Blockly.utils.dom.createSvgElement(
+          new Blockly.utils.Svg('title'),
+          {},
+          marker,
+        );
+        title.textContent = annotation.tooltip;
+      }
+    });
+  }
+
+  /**
+   * Scrolls the primary workspace to the block of the clicked marker.
+   *
+   * @param event The pointerdown event on the annotation layer.
+   */
+  private onPointerDown(event: PointerEvent): void {
+    const id = (event.target as Element | null)?.getAttribute(
+      'data-annotation-id',
+    );
+    const annotation = id ? this.annotations.get(id) : undefined;
+    if (!annotation) return;
+    // Don't let the minimap scroll to the clicked position as well.
+    event.stopPropagation();
+    this.primaryWorkspace.centerOnBlock(annotation.blockId);
+  }
+}
+
+Blockly.Css.register(`
+.blockly-minimap-annotations {
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+  pointer-events: none;
+}
+
+.blockly-minimap-annotation {
+  cursor: pointer;
+  fill-opacity: 0.3;
+  pointer-events: all;
+  stroke-width: 2px;
+}
+`);
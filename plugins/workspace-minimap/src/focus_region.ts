@@ -23,11 +23,34 @@ const blockEvents = new Set([
 
 const borderRadius = 6;
 
+/**
+ * The size of a minimap, and of the blocks drawn on it, in pixels.
+ */
+export type MinimapMetrics = Pick<
+  Blockly.utils.Metrics,
+  'svgWidth' | 'svgHeight' | 'contentWidth' | 'contentHeight'
+>;
+
+/**
+ * The surface a minimap draws blocks on, and the focus region is drawn on:
+ * either the minimap workspace or a minimap canvas.
+ */
+export interface MinimapView {
+  /** Returns the svg element the focus region is added to. */
+  getParentSvg(): SVGSVGElement;
+  /** Returns the size of the minimap, and of the blocks drawn on it. */
+  getMetrics(): MinimapMetrics;
+  /** Returns the number of pixels per primary workspace unit. */
+  getScale(): number;
+}
+
 /**
  * A class that highlights the user's viewport on the minimap.
  */
 export class FocusRegion {
   private onChangeWrapper: (e: Blockly.Events.Abstract) => void;
+  private onResizeWrapper: Blockly.browserEvents.Data | null = null;
+  private onLoadWrapper: Blockly.browserEvents.Data | null = null;
   private svgGroup: SVGElement | null = null;
   private rect: SVGElement | null = null;
   private background: SVGElement | null = null;
@@ -38,11 +61,11 @@ export class FocusRegion {
    * Constructor for the focus region.
    *
    * @param primaryWorkspace The primary workspaceSvg.
-   * @param minimapWorkspace The minimap workspaceSvg.
+   * @param minimapView The minimap workspaceSvg, or the minimap canvas.
    */
   constructor(
     private primaryWorkspace: Blockly.WorkspaceSvg,
-    private minimapWorkspace: Blockly.WorkspaceSvg,
+    private minimapView: MinimapView,
   ) {
     this.id = String(Math.random()).substring(2);
     this.onChangeWrapper = this.onChange.bind(this);
@@ -106,15 +129,25 @@ export class FocusRegion {
     );
 
     // Add the svg group to the minimap.
-    const parentSvg = this.minimapWorkspace.getParentSvg();
+    const parentSvg = this.minimapView.getParentSvg();
     if (parentSvg.firstChild) {
       parentSvg.insertBefore(this.svgGroup, parentSvg.firstChild);
     } else {
       parentSvg.appendChild(this.svgGroup);
     }
 
-    window.addEventListener('resize', () => void this.update());
-    window.addEventListener('load', () => void this.update());
+    this.onResizeWrapper = Blockly.browserEvents.bind(
+      window,
+      'resize',
+      this,
+      this.update,
+    );
+    this.onLoadWrapper = Blockly.browserEvents.bind(
+      window,
+      'load',
+      this,
+      this.update,
+    );
     this.onChangeWrapper = this.onChange.bind(this);
     this.primaryWorkspace.addChangeListener(this.onChangeWrapper);
 
@@ -132,6 +165,14 @@ export class FocusRegion {
       this.primaryWorkspace.removeChangeListener(this.onChangeWrapper);
       this.onChangeWrapper = () => null;
     }
+    if (this.onResizeWrapper) {
+      Blockly.browserEvents.unbind(this.onResizeWrapper);
+      this.onResizeWrapper = null;
+    }
+    if (this.onLoadWrapper) {
+      Blockly.browserEvents.unbind(this.onLoadWrapper);
+      this.onLoadWrapper = null;
+    }
     if (this.svgGroup) {
       Blockly.utils.dom.removeNode(this.svgGroup);
     }
@@ -156,15 +197,13 @@ export class FocusRegion {
    * Positions and sizes the highlight on the minimap
    * based on the primary workspace.
    */
-  private update(): void {
+  update(): void {
     // Get the metrics.
     const primaryMetrics = this.primaryWorkspace.getMetricsManager();
-    const minimapMetrics = this.minimapWorkspace.getMetricsManager();
+    const minimapMetrics = this.minimapView.getMetrics();
 
     const primaryView = primaryMetrics.getViewMetrics(true);
     const primaryContent = primaryMetrics.getContentMetrics(true);
-    const minimapContent = minimapMetrics.getContentMetrics();
-    const minimapSvg = minimapMetrics.getSvgMetrics();
 
     // Return if there is no content.
     if (primaryContent.width === 0) {
@@ -172,8 +211,7 @@ export class FocusRegion {
     }
 
     // Get the workscape to pixel scale on the minimap.
-    const scale =
-      minimapContent.width / minimapMetrics.getContentMetrics(true).width;
+    const scale = this.minimapView.getScale();
 
     // Get the viewport size on a minimap scale.
     const width = primaryView.width * scale;
@@ -184,8 +222,8 @@ export class FocusRegion {
     let top = (primaryView.top - primaryContent.top) * scale;
 
     // Account for the padding outside the content on the minimap.
-    left += (minimapSvg.width - minimapContent.width) / 2;
-    top += (minimapSvg.height - minimapContent.height) / 2;
+    left += (minimapMetrics.svgWidth - minimapMetrics.contentWidth) / 2;
+    top += (minimapMetrics.svgHeight - minimapMetrics.contentHeight) / 2;
 
     // Set the svg attributes.
     if (!this.rect) {
@@ -9,5 +9,7 @@
  * appears on top of your main workspace. This gives you an overview
  * of what your code looks like, and how it is organized.
  */
-export {Minimap} from './minimap';
+export {MinimapAnnotation} from './annotation_layer';
+export {Minimap, MinimapOptions} from './minimap';
+export {MinimapCanvas} from './minimap_canvas';
 export {PositionedMinimap} from './positioned_minimap';
@@ -12,7 +12,9 @@
  */
 
 import * as Blockly from 'blockly/core';
-import {FocusRegion} from './focus_region';
+import {AnnotationLayer, MinimapAnnotation} from './annotation_layer';
+import {FocusRegion, MinimapMetrics, MinimapView} from './focus_region';
+import {MinimapCanvas} from './minimap_canvas';
 
 // Events that should be send over to the minimap from the primary workspace
 const blockEvents = new Set([
@@ -23,6 +25,23 @@ const blockEvents = new Set([
   Blockly.Events.BLOCK_MOVE,
 ]);
 
+/**
+ * Options for a minimap.
+ */
+export interface MinimapOptions {
+  /**
+   * How the minimap draws the blocks. 'workspace' (the default) mirrors the
+   * blocks into a read-only workspace. 'canvas' draws the bounding box of each
+   * stack of blocks onto a canvas, which is much cheaper for large workspaces.
+   */
+  mode?: 'workspace' | 'canvas';
+  /**
+   * The minimum number of milliseconds between redraws in 'canvas' mode.
+   * Defaults to 100.
+   */
+  redrawInterval?: number;
+}
+
 /**
  * A minimap is a miniature version of your blocks that appears on
  * top of your main workspace. This gives you an overview of what
@@ -31,19 +50,26 @@ const blockEvents = new Set([
 export class Minimap {
   protected primaryWorkspace: Blockly.WorkspaceSvg;
   protected minimapWorkspace: Blockly.WorkspaceSvg | null = null;
+  protected minimapCanvas: MinimapCanvas | null = null;
+  protected options: MinimapOptions;
   protected focusRegion: FocusRegion | null = null;
+  protected annotationLayer: AnnotationLayer;
   protected onMouseMoveWrapper: Blockly.browserEvents.Data | null = null;
   protected onMouseDownWrapper: Blockly.browserEvents.Data | null = null;
   protected onMouseUpWrapper: Blockly.browserEvents.Data | null = null;
+  protected onResizeWrapper: Blockly.browserEvents.Data | null = null;
   protected minimapWrapper: HTMLDivElement | null = null;
 
   /**
    * Constructor for a minimap.
    *
    * @param workspace The workspace to mirror.
+   * @param options The minimap options.
    */
-  constructor(workspace: Blockly.WorkspaceSvg) {
+  constructor(workspace: Blockly.WorkspaceSvg, options: MinimapOptions = {}) {
     this.primaryWorkspace = workspace;
+    this.options = options;
+    this.annotationLayer = new AnnotationLayer(workspace);
   }
 
   /**
@@ -67,8 +93,61 @@ export class Minimap {
     // Make the wrapper a sibling to the primary injection div.
     primaryInjectParentDiv?.appendChild(this.minimapWrapper);
 
-    // Inject the minimap workspace.
-    this.minimapWorkspace = Blockly.inject(this.minimapWrapper.id, {
+    if (this.options.mode === 'canvas') {
+      this.initCanvas(this.minimapWrapper);
+    } else {
+      this.initWorkspace(this.minimapWrapper);
+    }
+
+    // The mousedown handler needs to take precedent over other mouse handlers
+    // in the workspace, such as the handler that opens comments, which means it
+    // needs to be attached in the capture phase. Blockly's built-in event
+    // binding does not let us use the capture phase so we reimplement it here.
+    const pointerTarget = this.getPointerTarget();
+    if (pointerTarget) {
+      const mouseDownFunc = (event: Event) =>
+        this.onClickDown(event as PointerEvent);
+      pointerTarget.addEventListener(
+        'pointerdown',
+        mouseDownFunc,
+        /* usecapture */ true,
+      );
+      this.onMouseDownWrapper = [[pointerTarget, 'pointerdown', mouseDownFunc]];
+    }
+
+    // The mouseup binds to the parent container div instead of the minimap
+    // because if a drag begins on the minimap and ends outside of it the
+    // mousemove should still unbind.
+    this.onMouseUpWrapper = Blockly.browserEvents.bind(
+      primaryInjectParentDiv,
+      'mouseup',
+      this,
+      this.onClickUp,
+    );
+
+    this.onResizeWrapper = Blockly.browserEvents.bind(
+      window,
+      'resize',
+      this,
+      this.onWindowResize,
+    );
+
+    // Initializes the focus region.
+    const view = this.getView();
+    if (view) {
+      this.focusRegion = new FocusRegion(this.primaryWorkspace, view);
+      this.enableFocusRegion();
+      this.annotationLayer.init(view);
+    }
+  }
+
+  /**
+   * Injects the minimap workspace, and mirrors the primary workspace into it.
+   *
+   * @param container The element to inject the minimap workspace into.
+   */
+  private initWorkspace(container: HTMLElement): void {
+    this.minimapWorkspace = Blockly.inject(container, {
       // Inherit the layout of the primary workspace.
       rtl: this.primaryWorkspace.RTL,
       // Include the scrollbars so that internal scrolling is enabled and
@@ -91,43 +170,71 @@ export class Minimap {
 
     this.minimapWorkspace.scrollbar?.setContainerVisible(false);
     this.primaryWorkspace.addChangeListener((e) => void this.mirror(e));
-    window.addEventListener('resize', () => {
-      if (this.minimapWorkspace) {
-        this.minimapWorkspace.zoomToFit();
-      }
-    });
+  }
 
-    // The mousedown handler needs to take precedent over other mouse handlers
-    // in the workspace, such as the handler that opens comments, which means it
-    // needs to be attached in the capture phase. Blockly's built-in event
-    // binding does not let us use the capture phase so we reimplement it here.
-    const mouseDownFunc = (event: Event) =>
-      this.onClickDown(event as PointerEvent);
-    this.minimapWorkspace.svgGroup_.addEventListener(
-      'pointerdown',
-      mouseDownFunc,
-      /* usecapture */ true,
+  /**
+   * Creates the minimap canvas, which draws the top blocks of the primary
+   * workspace.
+   *
+   * @param container The element to draw the minimap in.
+   */
+  private initCanvas(container: HTMLElement): void {
+    this.minimapCanvas = new MinimapCanvas(
+      this.primaryWorkspace,
+      container,
+      this.options.redrawInterval ?? 100,
+      () => {
+        if (this.isFocusEnabled()) this.focusRegion?.update();
+        this.annotationLayer.update();
+      },
     );
-    this.onMouseDownWrapper = [
-      [this.minimapWorkspace.svgGroup_, 'pointerdown', mouseDownFunc],
-    ];
+    this.minimapCanvas.init();
+  }
 
-    // The mouseup binds to the parent container div instead of the minimap
-    // because if a drag begins on the minimap and ends outside of it the
-    // mousemove should still unbind.
-    this.onMouseUpWrapper = Blockly.browserEvents.bind(
-      primaryInjectParentDiv,
-      'mouseup',
-      this,
-      this.onClickUp,
-    );
+  /**
+   * Returns the surface the minimap draws blocks on.
+   *
+   * @returns The minimap workspace or canvas, or null if the minimap isn't
+   *     initialized.
+   */
+  protected getView(): MinimapView | null {
+    return this.minimapWorkspace ?? this.minimapCanvas;
+  }
 
-    // Initializes the focus region.
-    this.focusRegion = new FocusRegion(
-      this.primaryWorkspace,
-      this.minimapWorkspace,
-    );
-    this.enableFocusRegion();
+  /**
+   * Returns the element that handles clicks and drags on the minimap.
+   *
+   * @returns The element, or null if the minimap isn't initialized.
+   */
+  private getPointerTarget(): Element | null {
+    if (this.minimapWorkspace) return this.minimapWorkspace.svgGroup_;
+    return this.minimapCanvas?.getCanvas() ?? null;
+  }
+
+  /**
+   * Resizes the minimap to fit its wrapper.
+   */
+  protected resize(): void {
+    if (this.minimapWorkspace) {
+      Blockly.svgResize(this.minimapWorkspace);
+      this.annotationLayer.update();
+    }
+    if (this.minimapCanvas) {
+      this.minimapCanvas.resize();
+    }
+  }
+
+  /**
+   * Fits the minimap to its new size when the window is resized.
+   */
+  private onWindowResize(): void {
+    if (this.minimapWorkspace) {
+      this.minimapWorkspace.zoomToFit();
+      this.annotationLayer.update();
+    }
+    if (this.minimapCanvas) {
+      this.minimapCanvas.resize();
+    }
   }
 
   /**
@@ -139,9 +246,13 @@ export class Minimap {
     if (this.isFocusEnabled()) {
       this.disableFocusRegion();
     }
+    this.annotationLayer.dispose();
     if (this.minimapWorkspace) {
       this.minimapWorkspace.dispose();
     }
+    if (this.minimapCanvas) {
+      this.minimapCanvas.dispose();
+    }
     Blockly.utils.dom.removeNode(this.minimapWrapper);
     if (this.onMouseMoveWrapper) {
       Blockly.browserEvents.unbind(this.onMouseMoveWrapper);
@@ -152,6 +263,10 @@ export class Minimap {
     if (this.onMouseUpWrapper) {
       Blockly.browserEvents.unbind(this.onMouseUpWrapper);
     }
+    if (this.onResizeWrapper) {
+      Blockly.browserEvents.unbind(this.onResizeWrapper);
+      this.onResizeWrapper = null;
+    }
   }
 
   /**
@@ -183,6 +298,8 @@ export class Minimap {
     Blockly.renderManagement.finishQueuedRenders().then(() => {
       if (this.minimapWorkspace) {
         this.minimapWorkspace.zoomToFit();
+        // Move the annotations along with their blocks.
+        this.annotationLayer.update();
       }
     });
   }
@@ -192,14 +309,14 @@ export class Minimap {
    * into scroll coordinates for the primary viewport.
    *
    * @param primaryMetrics The metrics from the primary workspace.
-   * @param minimapMetrics The metrics from the minimap workspace.
+   * @param minimapMetrics The metrics from the minimap workspace or canvas.
    * @param offsetX The x offset of the mouse event.
    * @param offsetY The y offset of the mouse event.
    * @returns (x, y) primary workspace scroll coordinates.
    */
   static minimapToPrimaryCoords(
     primaryMetrics: Blockly.utils.Metrics,
-    minimapMetrics: Blockly.utils.Metrics,
+    minimapMetrics: MinimapMetrics,
     offsetX: number,
     offsetY: number,
   ): [number, number] {
@@ -230,8 +347,9 @@ export class Minimap {
    */
   private primaryScroll(event: PointerEvent): void {
     const primaryMetrics = this.primaryWorkspace.getMetrics();
-    if (this.minimapWorkspace) {
-      const minimapMetrics = this.minimapWorkspace.getMetrics();
+    const view = this.getView();
+    if (view) {
+      const minimapMetrics = view.getMetrics();
       if (primaryMetrics && minimapMetrics) {
         const [x, y] = Minimap.minimapToPrimaryCoords(
           primaryMetrics,
@@ -250,13 +368,14 @@ export class Minimap {
    * @param event The minimap browser event.
    */
   private onClickDown(event: PointerEvent): void {
-    if (this.minimapWorkspace) {
+    const pointerTarget = this.getPointerTarget();
+    if (pointerTarget) {
       // Stop any other click event handlers in the workspace from handling
       // this event.
       event.stopImmediatePropagation();
 
       this.onMouseMoveWrapper = Blockly.browserEvents.bind(
-        this.minimapWorkspace.svgGroup_,
+        pointerTarget,
         'mousemove',
         this,
         this.onMouseMove,
@@ -313,4 +432,43 @@ export class Minimap {
     }
     return false;
   }
+
+  /**
+   * Adds a coloured marker for a block to the minimap, or replaces the
+   * annotation with the same id. Clicking the marker scrolls the primary
+   * workspace to the block.
+   *
+   * @param annotation The annotation to add.
+   */
+  addAnnotation(annotation: MinimapAnnotation): void {
+    this.annotationLayer.addAnnotation(annotation);
+  }
+
+  /**
+   * Removes an annotation from the minimap.
+   *
+   * @param id The id of the annotation to remove.
+   */
+  removeAnnotation(id: string): void {
+    this.annotationLayer.removeAnnotation(id);
+  }
+
+  /**
+   * Removes all annotations, or all annotations in a group, from the minimap.
+   *
+   * @param group The group of annotations to remove. If not given, every
+   *     annotation is removed.
+   */
+  clearAnnotations(group?: string): void {
+    this.annotationLayer.clearAnnotations(group);
+  }
+
+  /**
+   * Returns the annotations on the minimap.
+   *
+   * @returns A copy of each annotation.
+   */
+  getAnnotations(): MinimapAnnotation[] {
+    return this.annotationLayer.getAnnotations();
+  }
 }
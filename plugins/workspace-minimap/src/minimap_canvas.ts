@@ -0,0 +1,333 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview A lightweight minimap view that draws a silhouette of each
+ * stack of blocks onto a canvas, instead of mirroring every block into a
+ * second workspace.
+ */
+
+import * as Blockly from 'blockly/core';
+import {MinimapMetrics, MinimapView} from './focus_region';
+
+// Events that can change the size, position or colour of a stack of blocks.
+const blockEvents = new Set<string>([
+  Blockly.Events.BLOCK_CHANGE,
+  Blockly.Events.BLOCK_CREATE,
+  Blockly.Events.BLOCK_DELETE,
+  Blockly.Events.BLOCK_MOVE,
+]);
+
+/**
+ * The bounding box of a stack of blocks in workspace coordinates, and the
+ * colour it is drawn with.
+ */
+interface Silhouette {
+  rect: Blockly.utils.Rect;
+  colour: string;
+}
+
+/**
+ * Draws a silhouette of each top block in the primary workspace onto a
+ * canvas: its bounding box, filled with the primary colour of its style.
+ *
+ * Redraws are throttled, and only the silhouettes of the top blocks that
+ * changed since the last redraw are measured again.
+ */
+export class MinimapCanvas implements MinimapView {
+  private div: HTMLDivElement | null = null;
+  private svg: SVGSVGElement | null = null;
+  private canvas: HTMLCanvasElement | null = null;
+  private onChangeWrapper: ((e: Blockly.Events.Abstract) => void) | null = null;
+  private silhouettes = new Map<string, Silhouette>();
+  private changedBlockIds = new Set<string>();
+  private redrawTimer: ReturnType<typeof setTimeout> | null = null;
+  private metrics: MinimapMetrics = {
+    svgWidth: 0,
+    svgHeight: 0,
+    contentWidth: 0,
+    contentHeight: 0,
+  };
+  private scale = 1;
+
+  /**
+   * Constructor for a minimap canvas.
+   *
+   * @param primaryWorkspace The workspace to draw.
+   * @param container The element to draw the minimap in.
+   * @param redrawInterval The minimum number of milliseconds between redraws.
+   * @param onRedraw Called after each redraw, e.g. to update the focus region.
+   */
+  constructor(
+    private primaryWorkspace: Blockly.WorkspaceSvg,
+    private container: HTMLElement,
+    private redrawInterval: number,
+    private onRedraw: () => void = () => {},
+  ) {}
+
+  /**
+   * Initializes the minimap canvas, and draws the top blocks that are already
+   * in the primary workspace.
+   */
+  init(): void {
+    this.div = document.createElement('div');
+    this.div.className = 'blockly-minimap-canvas';
+    this.container.appendChild(this.div);
+    this.updateBackground();
+
+    // The focus region is drawn on an svg underneath the canvas.
+    this.svg = Blockly.utils.dom.createSvgElement(
+      Blockly.utils.Svg.SVG,
+      {},
+      this.div,
+    );
+    this.canvas = document.createElement('canvas');
+    this.div.appendChild(this.canvas);
+
+    this.onChangeWrapper = this.onChange.bind(this);
+    this.primaryWorkspace.addChangeListener(this.onChangeWrapper);
+
+    this.primaryWorkspace
+      .getTopBlocks(false)
+      .forEach((block) => this.changedBlockIds.add(block.id));
+    this.resize();
+  }
+
+  /**
+   * Disposes of the minimap canvas.
+   * Unlinks from all DOM elements and remove all event listeners
+   * to prevent memory leaks.
+   */
+  dispose(): void {
+    if (this.onChangeWrapper) {
+      this.primaryWorkspace.removeChangeListener(this.onChangeWrapper);
+      this.onChangeWrapper = null;
+    }
+    if (this.redrawTimer !== null) {
+      clearTimeout(this.redrawTimer);
+      this.redrawTimer = null;
+    }
+    Blockly.utils.dom.removeNode(this.div);
+    this.div = null;
+    this.svg = null;
+    this.canvas = null;
+    this.silhouettes.clear();
+    this.changedBlockIds.clear();
+  }
+
+  /**
+   * Returns the svg element that the focus region is drawn on.
+   *
+   * @returns The svg element.
+   */
+  getParentSvg(): SVGSVGElement {
+    if (!this.svg) {
+      throw new Error(
+        'The minimap canvas must be initialized (`init`) before it is used',
+      );
+    }
+    return this.svg;
+  }
+
+  /**
+   * Returns the canvas the blocks are drawn on.
+   *
+   * @returns The canvas, or null if the minimap canvas isn't initialized.
+   */
+  getCanvas(): HTMLCanvasElement | null {
+    return this.canvas;
+  }
+
+  /**
+   * Returns the size of the minimap, and of the blocks drawn on it, in
+   * pixels.
+   *
+   * @returns The minimap metrics.
+   */
+  getMetrics(): MinimapMetrics {
+    return this.metrics;
+  }
+
+  /**
+   * Returns the number of pixels the blocks are drawn with per workspace
+   * unit.
+   *
+   * @returns The scale of the minimap.
+   */
+  getScale(): number {
+    return this.scale;
+  }
+
+  /**
+   * Resizes the canvas to fill the minimap, and redraws it.
+   */
+  resize(): void {
+    if (!this.div || !this.canvas) return;
+    const width = this.div.clientWidth;
+    const height = this.div.clientHeight;
+    const pixelRatio = window.devicePixelRatio || 1;
+    this.canvas.width = Math.round(width * pixelRatio);
+    this.canvas.height = Math.round(height * pixelRatio);
+    this.metrics = {...this.metrics, svgWidth: width, svgHeight: height};
+    this.redraw();
+  }
+
+  /**
+   * Sets the background colour of the minimap to the workspace background
+   * colour of the primary workspace's theme.
+   */
+  private updateBackground(): void {
+    if (!this.div) return;
+    this.div.style.backgroundColor =
+      this.primaryWorkspace
+        .getTheme()
+        .getComponentStyle('workspaceBackgroundColour') ?? '#fff';
+  }
+
+  /**
+   * Records which top blocks need to be measured again when blocks change,
+   * and schedules a redraw.
+   *
+   * @param event The primary workspace event.
+   */
+  private onChange(event: Blockly.Events.Abstract): void {
+    if (event.type === Blockly.Events.THEME_CHANGE) {
+      this.updateBackground();
+      for (const id of this.silhouettes.keys()) this.changedBlockIds.add(id);
+      this.scheduleRedraw();
+      return;
+    }
+    if (!blockEvents.has(event.type)) return;
+
+    const blockEvent = event as Blockly.Events.BlockBase;
+    if (blockEvent.blockId) this.changedBlockIds.add(blockEvent.blockId);
+    if (event.type === Blockly.Events.BLOCK_MOVE) {
+      // The stack the block was moved out of changed too.
+      const oldParentId = (event as Blockly.Events.BlockMove).oldParentId;
+      if (oldParentId) this.changedBlockIds.add(oldParentId);
+    }
+    this.scheduleRedraw();
+  }
+
+  /**
+   * Redraws the minimap once the redraw interval has passed and the blocks
+   * have been rendered, unless a redraw is already scheduled.
+   */
+  private scheduleRedraw(): void {
+    if (this.redrawTimer !== null) return;
+    this.redrawTimer = setTimeout(() => {
+      // Blocks can only be measured once they have been rendered.
+      Blockly.renderManagement.finishQueuedRenders().then(() => {
+        if (this.redrawTimer === null) return; // Disposed.
+        this.redrawTimer = null;
+        this.redraw();
+      });
+    }, this.redrawInterval);
+  }
+
+  /**
+   * Measures the top blocks that changed, and draws the silhouette of every
+   * top block scaled to fit the canvas.
+   */
+  private redraw(): void {
+    this.updateSilhouettes();
+    const context = this.canvas?.getContext('2d');
+    if (!context || !this.canvas) return;
+
+    const {svgWidth, svgHeight} = this.metrics;
+    const pixelRatio = this.canvas.width / (svgWidth || 1);
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, svgWidth, svgHeight);
+
+    const content = this.getContentBounds();
+    if (!content || !content.getWidth() || !content.getHeight()) {
+      this.metrics = {...this.metrics, contentWidth: 0, contentHeight: 0};
+      this.onRedraw();
+      return;
+    }
+
+    // Fit the content to the canvas and center it, like zoomToFit does.
+    this.scale = Math.min(
+      svgWidth / content.getWidth(),
+      svgHeight / content.getHeight(),
+    );
+    const contentWidth = content.getWidth() * this.scale;
+    const contentHeight = content.getHeight() * this.scale;
+    const offsetX = (svgWidth - contentWidth) / 2 - content.left * this.scale;
+    const offsetY = (svgHeight - contentHeight) / 2 - content.top * this.scale;
+    this.metrics = {svgWidth, svgHeight, contentWidth, contentHeight};
+
+    this.silhouettes.forEach(({rect, colour}) => {
+      context.fillStyle = colour;
+      context.fillRect(
+        offsetX + rect.left * this.scale,
+        offsetY + rect.top * this.scale,
+        // Keep small stacks visible.
+        Math.max(1, rect.getWidth() * this.scale),
+        Math.max(1, rect.getHeight() * this.scale),
+      );
+    });
+    this.onRedraw();
+  }
+
+  /**
+   * Measures the top blocks that contain the changed blocks, and forgets the
+   * blocks that are no longer top blocks.
+   */
+  private updateSilhouettes(): void {
+    this.changedBlockIds.forEach((id) => {
+      const block = this.primaryWorkspace.getBlockById(id);
+      if (!block || block.getParent()) this.silhouettes.delete(id);
+      if (!block) return;
+
+      const root = block.getRootBlock();
+      this.silhouettes.set(root.id, {
+        rect: root.getBoundingRectangle(),
+        colour: root.getColour(),
+      });
+    });
+    this.changedBlockIds.clear();
+  }
+
+  /**
+   * Returns the bounding box of all the silhouettes.
+   *
+   * @returns The bounding box in workspace coordinates, or null if there are
+   *     no blocks.
+   */
+  private getContentBounds(): Blockly.utils.Rect | null {
+    let bounds: Blockly.utils.Rect | null = null;
+    this.silhouettes.forEach(({rect}) => {
+      if (!bounds) {
+        bounds = rect.clone();
+      } else {
+        bounds.left = Math.min(bounds.left, rect.left);
+        bounds.top = Math.min(bounds.top, rect.top);
+        bounds.right = Math.max(bounds.right, rect.right);
+        bounds.bottom = Math.max(bounds.bottom, rect.bottom);
+      }
+    });
+    return bounds;
+  }
+}
+
+Blockly.Css.register(`
+.blockly-minimap-canvas {
+  position: relative;
+  width: 100%;
+  height: 100%;
+  overflow: hidden;
+}
+
+.blockly-minimap-canvas > svg,
+.blockly-minimap-canvas > canvas {
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+}
+`);
@@ -10,7 +10,7 @@
  */
 
 import * as Blockly from 'blockly/core';
-import {Minimap} from './minimap';
+import {Minimap, MinimapOptions} from './minimap';
 
 const minWidth = 200;
 
@@ -32,9 +32,10 @@ export class PositionedMinimap
    * Constructor for a positionable minimap.
    *
    * @param workspace The workspace to mirror.
+   * @param options The minimap options.
    */
-  constructor(workspace: Blockly.WorkspaceSvg) {
-    super(workspace);
+  constructor(workspace: Blockly.WorkspaceSvg, options: MinimapOptions = {}) {
+    super(workspace, options);
     this.id = 'minimap';
     this.margin = 20;
     this.top = 0;
@@ -178,23 +179,17 @@ export class PositionedMinimap
    * Sets the CSS attribute for the minimap.
    */
   private setAttributes(): void {
-    const injectDiv = this.minimapWorkspace?.getInjectionDiv();
-    if (!injectDiv) {
+    if (!this.minimapWrapper) {
       return;
     }
-    if (injectDiv?.parentElement === null) {
-      return;
-    }
-    const style = injectDiv.parentElement.style;
+    const style = this.minimapWrapper.style;
     style.zIndex = '2';
     style.position = 'absolute';
     style.width = `${this.width}px`;
     style.height = `${this.height}px`;
     style.top = `${this.top}px`;
     style.left = `${this.left}px`;
-    if (this.minimapWorkspace) {
-      Blockly.svgResize(this.minimapWorkspace);
-    }
+    this.resize();
   }
 }
 
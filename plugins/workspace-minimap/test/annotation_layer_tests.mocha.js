@@ -0,0 +1,166 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+const chai = require('chai');
+const assert = chai.assert;
+const Blockly = require('blockly');
+const sinon = require('sinon');
+const {Minimap} = require('../src/minimap');
+const {
+  createBlock,
+  dispatchMouseEvent,
+  setUpRenderedWorkspace,
+  tearDownRenderedWorkspace,
+} = require('./test_helper');
+
+/**
+ * Returns a promise that resolves after the annotations of a minimap are next
+ * updated.
+ * @param {!Minimap} minimap The minimap.
+ * @returns {!Promise} The promise.
+ */
+function annotationsUpdated(minimap) {
+  return new Promise((resolve) => {
+    const update = sinon
+      .stub(minimap.annotationLayer, 'update')
+      .callsFake(function () {
+        update.restore();
+        this.update();
+        resolve();
+      });
+  });
+}
+
+suite('Minimap annotation layer', function () {
+  setup(async function () {
+    this.workspace = setUpRenderedWorkspace();
+    this.text = createBlock(this.workspace, 'text', 0, 0);
+    this.number = createBlock(this.workspace, 'math_number', 300, 200);
+    // Let the blocks be created and rendered before drawing them.
+    await new Promise((resolve) => setTimeout(resolve));
+    await Blockly.renderManagement.finishQueuedRenders();
+
+    this.minimap = new Minimap(this.workspace, {
+      mode: 'canvas',
+      redrawInterval: 0,
+    });
+    this.minimap.init();
+    this.minimap.addAnnotation({
+      id: 'text',
+      blockId: this.text.id,
+      colour: 'red',
+      tooltip: 'A text block',
+    });
+    this.minimap.addAnnotation({
+      id: 'number',
+      blockId: this.number.id,
+      colour: 'yellow',
+    });
+  });
+
+  teardown(function () {
+    this.minimap.dispose();
+    tearDownRenderedWorkspace(this.workspace);
+  });
+
+  /**
+   * Returns the marker of an annotation.
+   * @param {string} id The id of the annotation.
+   * @returns {?SVGElement} The marker, or null if it isn't drawn.
+   */
+  function getMarker(id) {
+    return document.querySelector(
+      `.blockly-minimap-annotation[data-annotation-id="${id}"]`,
+    );
+  }
+
+  /**
+   * Asserts that the marker of an annotation covers the silhouette of its
+   * block on the minimap canvas.
+   * @param {!Minimap} minimap The minimap.
+   * @param {string} id The id of the annotation.
+   * @param {!Blockly.BlockSvg} block The annotated block.
+   */
+  function assertMarkerCoversBlock(minimap, id, block) {
+    const context = minimap.minimapCanvas.getCanvas().getContext('2d');
+    const silhouette = context.rects.find(
+      (rect) => rect.colour === block.getColour(),
+    );
+    const marker = getMarker(id);
+    assert.ok(marker);
+    for (const attribute of ['x', 'y', 'width', 'height']) {
+      assert.closeTo(
+        Number(marker.getAttribute(attribute)),
+        silhouette[attribute],
+        0.001,
+        attribute,
+      );
+    }
+  }
+
+  test('Markers cover their blocks', function () {
+    assertMarkerCoversBlock(this.minimap, 'text', this.text);
+    assertMarkerCoversBlock(this.minimap, 'number', this.number);
+    assert.equal(getMarker('text').getAttribute('fill'), 'red');
+    assert.equal(getMarker('text').textContent, 'A text block');
+  });
+
+  test('Markers of blocks not on the workspace are not drawn', function () {
+    this.minimap.addAnnotation({id: 'missing', blockId: 'no', colour: 'red'});
+
+    assert.isNull(getMarker('missing'));
+    assert.equal(
+      document.querySelectorAll('.blockly-minimap-annotation').length,
+      2,
+    );
+  });
+
+  test('Removed annotations are not drawn', function () {
+    this.minimap.removeAnnotation('text');
+
+    assert.isNull(getMarker('text'));
+    assert.ok(getMarker('number'));
+  });
+
+  test('Markers move with their blocks', async function () {
+    const x = getMarker('number').getAttribute('x');
+    const updated = annotationsUpdated(this.minimap);
+    this.number.moveBy(300, 0);
+    await updated;
+
+    assert.notEqual(getMarker('number').getAttribute('x'), x);
+    assertMarkerCoversBlock(this.minimap, 'text', this.text);
+    assertMarkerCoversBlock(this.minimap, 'number', this.number);
+  });
+
+  test('Markers are removed with their blocks', async function () {
+    const updated = annotationsUpdated(this.minimap);
+    this.number.dispose();
+    await updated;
+
+    assert.isNull(getMarker('number'));
+    assertMarkerCoversBlock(this.minimap, 'text', this.text);
+  });
+
+  test('Clicking a marker scrolls to its block', function () {
+    const centerOnBlock = sinon.stub(this.workspace, 'centerOnBlock');
+    const scroll = sinon.stub(this.workspace, 'scroll');
+    dispatchMouseEvent(getMarker('number'), 'pointerdown');
+
+    sinon.assert.calledOnceWithExactly(centerOnBlock, this.number.id);
+    sinon.assert.notCalled(scroll);
+  });
+
+  test('Clicking between markers does not scroll to a block', function () {
+    const centerOnBlock = sinon.stub(this.workspace, 'centerOnBlock');
+    dispatchMouseEvent(
+      document.querySelector('.blockly-minimap-annotations'),
+      'pointerdown',
+    );
+
+    sinon.assert.notCalled(centerOnBlock);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+const chai = require('chai');
+const assert = chai.assert;
+const sinon = require('sinon');
+const {Minimap} = require('../src/minimap');
+const {MinimapCanvas} = require('../src/minimap_canvas');
+const {
+  createBlock,
+  dispatchMouseEvent,
+  setUpRenderedWorkspace,
+  tearDownRenderedWorkspace,
+} = require('./test_helper');
+
+suite('Minimap canvas', function () {
+  setup(function () {
+    this.workspace = setUpRenderedWorkspace();
+  });
+
+  teardown(function () {
+    tearDownRenderedWorkspace(this.workspace);
+  });
+
+  suite('Drawing', function () {
+    setup(function () {
+      this.container = document.createElement('div');
+      document.body.appendChild(this.container);
+      this.minimapCanvas = new MinimapCanvas(
+        this.workspace,
+        this.container,
+        0,
+        () => this.onRedraw?.(),
+      );
+      // Resolves after the next redraw.
+      this.redrawn = () =>
+        new Promise((resolve) => {
+          this.onRedraw = resolve;
+        });
+    });
+
+    teardown(function () {
+      this.minimapCanvas.dispose();
+    });
+
+    test('Creates a canvas that fills the container', function () {
+      this.minimapCanvas.init();
+      const canvas = this.minimapCanvas.getCanvas();
+
+      assert.equal(
+        this.container.querySelector('.blockly-minimap-canvas > canvas'),
+        canvas,
+      );
+      assert.equal(canvas.width, 200);
+      assert.equal(canvas.height, 100);
+      assert.deepEqual(this.minimapCanvas.getMetrics(), {
+        svgWidth: 200,
+        svgHeight: 100,
+        contentWidth: 0,
+        contentHeight: 0,
+      });
+    });
+
+    test('Draws the blocks already on the workspace', function () {
+      const block = createBlock(this.workspace, 'text', 0, 0);
+      this.minimapCanvas.init();
+      const {rects} = this.minimapCanvas.getCanvas().getContext('2d');
+
+      assert.equal(rects.length, 1);
+      assert.equal(rects[0].colour, block.getColour());
+      const metrics = this.minimapCanvas.getMetrics();
+      assert.isAbove(metrics.contentWidth, 0);
+      assert.isAbove(metrics.contentHeight, 0);
+    });
+
+    test('Redraws when blocks are created', async function () {
+      this.minimapCanvas.init();
+      const redrawn = this.redrawn();
+      createBlock(this.workspace, 'text', 0, 0);
+      createBlock(this.workspace, 'text', 100, 100);
+      await redrawn;
+
+      const {rects} = this.minimapCanvas.getCanvas().getContext('2d');
+      assert.equal(rects.length, 2);
+    });
+
+    test('Redraws when blocks are moved', async function () {
+      const block = createBlock(this.workspace, 'text', 0, 0);
+      createBlock(this.workspace, 'text', 0, 100);
+      this.minimapCanvas.init();
+      const scale = this.minimapCanvas.getScale();
+      const redrawn = this.redrawn();
+      block.moveBy(1000, 0);
+      await redrawn;
+
+      // The content is wider, so it's drawn smaller.
+      assert.isBelow(this.minimapCanvas.getScale(), scale);
+    });
+
+    test('Redraws when blocks are deleted', async function () {
+      const block = createBlock(this.workspace, 'text', 0, 0);
+      createBlock(this.workspace, 'text', 0, 100);
+      this.minimapCanvas.init();
+      const redrawn = this.redrawn();
+      block.dispose();
+      await redrawn;
+
+      const {rects} = this.minimapCanvas.getCanvas().getContext('2d');
+      assert.equal(rects.length, 1);
+    });
+
+    test('Stops drawing when disposed', async function () {
+      this.minimapCanvas.init();
+      const onRedraw = sinon.spy();
+      this.onRedraw = onRedraw;
+      this.minimapCanvas.dispose();
+      createBlock(this.workspace, 'text', 0, 0);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      sinon.assert.notCalled(onRedraw);
+      assert.isNull(this.minimapCanvas.getCanvas());
+      assert.isNull(this.container.querySelector('.blockly-minimap-canvas'));
+    });
+  });
+
+  suite('Scrolling the workspace', function () {
+    setup(function () {
+      createBlock(this.workspace, 'text', 0, 0);
+      createBlock(this.workspace, 'text', 500, 500);
+      this.minimap = new Minimap(this.workspace, {mode: 'canvas'});
+      this.minimap.init();
+      this.canvas = this.minimap.minimapCanvas.getCanvas();
+      this.scroll = sinon.stub(this.workspace, 'scroll');
+    });
+
+    teardown(function () {
+      this.minimap?.dispose();
+    });
+
+    /**
+     * Returns where the primary workspace should be scrolled to for a point
+     * on the minimap.
+     * @param {!Minimap} minimap The minimap.
+     * @param {number} x The x offset on the minimap.
+     * @param {number} y The y offset on the minimap.
+     * @returns {!Array<number>} The scroll coordinates.
+     */
+    function scrollCoords(minimap, x, y) {
+      return Minimap.minimapToPrimaryCoords(
+        minimap.primaryWorkspace.getMetrics(),
+        minimap.minimapCanvas.getMetrics(),
+        x,
+        y,
+      );
+    }
+
+    test('Clicking scrolls to the point clicked', function () {
+      dispatchMouseEvent(this.canvas, 'pointerdown', 50, 25);
+
+      sinon.assert.calledOnceWithExactly(
+        this.scroll,
+        ...scrollCoords(this.minimap, 50, 25),
+      );
+    });
+
+    test('Dragging scrolls until the mouse is released', function () {
+      dispatchMouseEvent(this.canvas, 'pointerdown', 50, 25);
+      dispatchMouseEvent(this.canvas, 'pointermove', 150, 75);
+      dispatchMouseEvent(
+        this.workspace.getInjectionDiv().parentNode,
+        'pointerup',
+      );
+      dispatchMouseEvent(this.canvas, 'pointermove', 100, 50);
+
+      sinon.assert.calledTwice(this.scroll);
+      sinon.assert.calledWithExactly(
+        this.scroll.secondCall,
+        ...scrollCoords(this.minimap, 150, 75),
+      );
+    });
+
+    test('Moving the mouse without clicking does not scroll', function () {
+      dispatchMouseEvent(this.canvas, 'pointermove', 150, 75);
+
+      sinon.assert.notCalled(this.scroll);
+    });
+
+    test('Resizing the window resizes the canvas', function () {
+      const resize = sinon.spy(this.minimap.minimapCanvas, 'resize');
+      window.dispatchEvent(new window.Event('resize'));
+
+      sinon.assert.calledOnce(resize);
+    });
+
+    test('Disposing removes the canvas and its listeners', function () {
+      const minimapCanvas = this.minimap.minimapCanvas;
+      const resize = sinon.spy(minimapCanvas, 'resize');
+      this.minimap.dispose();
+      this.minimap = null;
+      window.dispatchEvent(new window.Event('resize'));
+      dispatchMouseEvent(this.canvas, 'pointerdown', 50, 25);
+
+      sinon.assert.notCalled(resize);
+      sinon.assert.notCalled(this.scroll);
+      assert.isNull(document.querySelector('.blockly-minimap'));
+      assert.isNull(minimapCanvas.getCanvas());
+    });
+  });
+});
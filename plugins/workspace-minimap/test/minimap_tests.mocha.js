@@ -433,3 +433,58 @@ suite('Positioning the minimap in the primary workspace', function () {
     assert.equal(position.left, 35, 'RTL Horizontal End: Incorrect left');
   });
 });
+
+suite('Minimap annotations', function () {
+  setup(function () {
+    this.minimap = new Minimap(new Blockly.Workspace());
+    this.minimap.addAnnotation({
+      id: 'warning1',
+      blockId: 'block1',
+      colour: 'red',
+      group: 'warning',
+    });
+    this.minimap.addAnnotation({
+      id: 'search1',
+      blockId: 'block2',
+      colour: 'yellow',
+      group: 'search',
+    });
+  });
+
+  test('Adding an annotation with an existing id replaces it', function () {
+    this.minimap.addAnnotation({
+      id: 'warning1',
+      blockId: 'block3',
+      colour: 'orange',
+    });
+
+    assert.deepEqual(this.minimap.getAnnotations(), [
+      {id: 'warning1', blockId: 'block3', colour: 'orange'},
+      {id: 'search1', blockId: 'block2', colour: 'yellow', group: 'search'},
+    ]);
+  });
+
+  test('Removing an annotation', function () {
+    this.minimap.removeAnnotation('warning1');
+
+    assert.deepEqual(
+      this.minimap.getAnnotations().map((annotation) => annotation.id),
+      ['search1'],
+    );
+  });
+
+  test('Clearing a group of annotations', function () {
+    this.minimap.clearAnnotations('search');
+
+    assert.deepEqual(
+      this.minimap.getAnnotations().map((annotation) => annotation.id),
+      ['warning1'],
+    );
+  });
+
+  test('Clearing all annotations', function () {
+    this.minimap.clearAnnotations();
+
+    assert.isEmpty(this.minimap.getAnnotations());
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+const Blockly = require('blockly');
+const sinon = require('sinon');
+
+/**
+ * Creates a stand-in for a 2d canvas context, which jsdom doesn't implement,
+ * that records the rectangles drawn since the canvas was last cleared.
+ * @returns {!Object} The context.
+ */
+function createContext() {
+  const context = {rects: []};
+  context.setTransform = () => {};
+  context.clearRect = () => (context.rects = []);
+  context.fillRect = (x, y, width, height) =>
+    context.rects.push({x, y, width, height, colour: context.fillStyle});
+  // Used by Blockly to measure text while rendering.
+  context.measureText = (text) => ({width: text.length * 8});
+  return context;
+}
+
+/**
+ * Sets up a page with a rendered workspace on it. Elements on the page are
+ * 200 by 100 pixels, and the contexts of canvases record the rectangles drawn
+ * on them in their rects property.
+ * @returns {!Blockly.WorkspaceSvg} The workspace.
+ */
+export function setUpRenderedWorkspace() {
+  const jsdomCleanup = require('jsdom-global')(
+    '<!DOCTYPE html><div id="blocklyDiv"></div>',
+    // Blocks are rendered in animation frames.
+    {pretendToBeVisual: true},
+  );
+  sinon
+    .stub(window.HTMLCanvasElement.prototype, 'getContext')
+    .callsFake(function () {
+      this.context = this.context ?? createContext();
+      return this.context;
+    });
+  sinon.stub(window.HTMLElement.prototype, 'clientWidth').get(() => 200);
+  sinon.stub(window.HTMLElement.prototype, 'clientHeight').get(() => 100);
+  // Workspaces without scrollbars bump blocks back into view.
+  const workspace = Blockly.inject('blocklyDiv', {move: {scrollbars: true}});
+  workspace.jsdomCleanup = jsdomCleanup;
+  return workspace;
+}
+
+/**
+ * Disposes of a workspace created by setUpRenderedWorkspace(), and cleans up
+ * the page.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ */
+export function tearDownRenderedWorkspace(workspace) {
+  workspace.dispose();
+  sinon.restore();
+  workspace.jsdomCleanup();
+}
+
+/**
+ * Creates a rendered block on a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @param {string} type The type of the block.
+ * @param {number} x The x coordinate of the block.
+ * @param {number} y The y coordinate of the block.
+ * @returns {!Blockly.BlockSvg} The block.
+ */
+export function createBlock(workspace, type, x, y) {
+  const block = workspace.newBlock(type);
+  block.initSvg();
+  block.render();
+  block.moveBy(x, y);
+  return block;
+}
+
+/**
+ * Dispatches a mouse event at a point on an element.
+ * @param {!Element} element The element to dispatch the event on.
+ * @param {string} type The type of the event.
+ * @param {number} x The x offset of the event.
+ * @param {number} y The y offset of the event.
+ */
+export function dispatchMouseEvent(element, type, x = 0, y = 0) {
+  const event = new window.MouseEvent(type, {bubbles: true});
+  Object.defineProperty(event, 'offsetX', {value: x});
+  Object.defineProperty(event, 'offsetY', {value: y});
+  element.dispatchEvent(event);
+}
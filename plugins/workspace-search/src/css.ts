@@ -47,6 +47,13 @@ const cssContent = `path.blocklyPath.blockly-ws-search-highlight {
   path.blocklyPath.blockly-ws-search-highlight.blockly-ws-search-current {
     fill: grey;
   }
+  .blocklyComment.blockly-ws-search-highlight .blocklyCommentTopbarBackground {
+    fill: #000;
+  }
+  .blocklyComment.blockly-ws-search-highlight.blockly-ws-search-current
+    .blocklyCommentTopbarBackground {
+    fill: grey;
+  }
   .blockly-ws-search-close-btn {
     background: url(${closeSvgDataUri}) no-repeat top left;
   }
@@ -61,6 +68,7 @@ const cssContent = `path.blocklyPath.blockly-ws-search-highlight {
     border: solid lightgrey 0.5px;
     box-shadow: 0px 10px 20px grey;
     justify-content: center;
+    flex-direction: column;
     padding: 0.25em;
     position: absolute;
     z-index: 70;
@@ -79,6 +87,19 @@ const cssContent = `path.blocklyPath.blockly-ws-search-highlight {
   }
   .blockly-ws-search-content {
     display: flex;
+  }
+  .blockly-ws-search-replace {
+    align-items: center;
+    display: flex;
+    gap: 0.25em;
+  }
+  .blockly-ws-search-replace button {
+    background: #eee;
+    cursor: pointer;
+  }
+  .blockly-ws-search-replace-status {
+    color: grey;
+    white-space: nowrap;
   }`;
 
 /**
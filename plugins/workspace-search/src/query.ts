@@ -0,0 +1,578 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Parser and matcher for the workspace search query syntax.
+ *
+ * A query is made of terms combined with AND, OR and NOT, and grouped with
+ * parentheses. Terms that are next to each other are combined with AND.
+ * A term is one of:
+ *  - Plain text, matched as a substring of the block's text. Plain words
+ *    next to each other are matched together as one phrase.
+ *  - A quoted phrase, e.g. "hello world".
+ *  - A regular expression literal, e.g. /hel+o/i.
+ *  - A filter, e.g. type:controls_if or field:NUM=10.
+ */
+
+import * as Blockly from 'blockly/core';
+
+/**
+ * Options used when matching a block against a query.
+ */
+export interface QueryMatchOptions {
+  /** Whether text comparisons should be case sensitive. */
+  caseSensitive: boolean;
+  /**
+   * Returns whether the block matches the given plain text. If the search is
+   * case insensitive, the text is passed already converted to lowercase.
+   */
+  matchText: (block: Blockly.Block, text: string) => boolean;
+  /** Returns the text of the block that regular expressions are run on. */
+  getBlockText: (block: Blockly.Block) => string;
+}
+
+/**
+ * A function that decides whether a block matches a filter's value.
+ */
+export type QueryFilter = (
+  block: Blockly.Block,
+  value: string,
+  options: QueryMatchOptions,
+) => boolean;
+
+/**
+ * A node of a parsed query.
+ */
+export type QueryNode =
+  | {kind: 'and'; left: QueryNode; right: QueryNode}
+  | {kind: 'or'; left: QueryNode; right: QueryNode}
+  | {kind: 'not'; operand: QueryNode}
+  | {kind: 'text'; text: string}
+  | {kind: 'regex'; regex: RegExp}
+  | {kind: 'filter'; name: string; value: string};
+
+/**
+ * A token produced by the query tokenizer.
+ */
+interface Token {
+  kind: 'word' | 'open' | 'close';
+  /** The text of the token, with any quotes removed. */
+  value: string;
+  /** Whether the token starts with a quote. */
+  quoted: boolean;
+}
+
+/**
+ * Matches a regular expression literal, e.g. /abc/i.
+ */
+const REGEX_LITERAL = /^\/(.+)\/([dgimsuy]*)$/;
+
+/**
+ * The registered filters, keyed by their lowercase name.
+ */
+const filters = new Map<string, QueryFilter>();
+
+/**
+ * Registers a filter that can be used in queries as `name:value`.
+ *
+ * @param name The name of the filter. Names are case insensitive.
+ * @param filter The function used to match blocks against the filter.
+ */
+export function registerQueryFilter(name: string, filter: QueryFilter) {
+  filters.set(name.toLowerCase(), filter);
+}
+
+/**
+ * Unregisters a filter.
+ *
+ * @param name The name of the filter to remove.
+ */
+export function unregisterQueryFilter(name: string) {
+  filters.delete(name.toLowerCase());
+}
+
+/**
+ * Returns whether a filter with the given name has been registered.
+ *
+ * @param name The name of the filter.
+ * @returns True if the filter exists, false otherwise.
+ */
+export function hasQueryFilter(name: string): boolean {
+  return filters.has(name.toLowerCase());
+}
+
+/**
+ * Compares an actual value to an expected value from a query. The expected
+ * value may be a regular expression literal.
+ *
+ * @param actual The actual value, e.g. the text of a field.
+ * @param expected The value from the query.
+ * @param caseSensitive Whether a plain comparison should be case sensitive.
+ * @returns True if the values match, false otherwise.
+ */
+export function matchQueryValue(
+  actual: string,
+  expected: string,
+  caseSensitive: boolean,
+): boolean {
+  const regex = parseRegexLiteral(expected);
+  if (regex) {
+    regex.lastIndex = 0;
+    return regex.test(actual);
+  }
+  if (caseSensitive) {
+    return actual === expected;
+  }
+  return actual.toLowerCase() === expected.toLowerCase();
+}
+
+/**
+ * Parses a regular expression literal.
+ *
+ * @param text The text to parse, e.g. /abc/i.
+ * @returns The regular expression, or null if the text is not a regular
+ *     expression literal.
+ * @throws If the text looks like a regular expression literal but is not a
+ *     valid regular expression.
+ */
+function parseRegexLiteral(text: string): RegExp | null {
+  const match = REGEX_LITERAL.exec(text);
+  if (!match) return null;
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch (e) {
+    throw new Error(`Invalid regular expression in query: ${text}`);
+  }
+}
+
+/**
+ * Splits a query into tokens.
+ *
+ * @param query The query to split.
+ * @returns The tokens of the query.
+ * @throws If a quote or regular expression literal is not closed.
+ */
+function tokenize(query: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({
+        kind: char === '(' ? 'open' : 'close',
+        value: char,
+        quoted: false,
+      });
+      i++;
+    } else {
+      let value = '';
+      let quoted = false;
+      while (i < query.length && !/[\s()]/.test(query[i])) {
+        const atSegmentStart =
+          value === '' || value.endsWith(':') || value.endsWith('=');
+        if (query[i] === '"') {
+          const end = findClosing(query, i, '"');
+          quoted = quoted || value === '';
+          value += query.slice(i + 1, end).replace(/\\"/g, '"');
+          i = end + 1;
+        } else if (query[i] === '/' && atSegmentStart && !quoted) {
+          // Regular expression literals may contain spaces and parentheses.
+          const end = findClosing(query, i, '/');
+          let flagsEnd = end + 1;
+          while (/[a-z]/.test(query[flagsEnd] ?? '')) flagsEnd++;
+          value += query.slice(i, flagsEnd);
+          i = flagsEnd;
+        } else {
+          value += query[i];
+          i++;
+        }
+      }
+      tokens.push({kind: 'word', value, quoted});
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Finds the index of the closing delimiter, skipping escaped characters.
+ *
+ * @param query The query being tokenized.
+ * @param start The index of the opening delimiter.
+ * @param delimiter The delimiter to look for.
+ * @returns The index of the closing delimiter.
+ * @throws If there is no closing delimiter.
+ */
+function findClosing(query: string, start: number, delimiter: string): number {
+  for (let i = start + 1; i < query.length; i++) {
+    if (query[i] === '\\') {
+      i++;
+    } else if (query[i] === delimiter) {
+      return i;
+    }
+  }
+  throw new Error(`Missing closing ${delimiter} in query.`);
+}
+
+/**
+ * Recursive descent parser for queries.
+ */
+class QueryParser {
+  private index = 0;
+
+  /**
+   * Constructs a parser for the given tokens.
+   *
+   * @param tokens The tokens to parse.
+   */
+  constructor(private readonly tokens: Token[]) {}
+
+  /**
+   * Parses all of the tokens.
+   *
+   * @returns The root node of the query.
+   * @throws If the tokens do not form a valid query.
+   */
+  parse(): QueryNode {
+    const node = this.parseOr();
+    if (this.index < this.tokens.length) {
+      throw new Error('Unexpected ) in query.');
+    }
+    return node;
+  }
+
+  /**
+   * Parses terms combined with OR.
+   *
+   * @returns The parsed node.
+   */
+  private parseOr(): QueryNode {
+    let node = this.parseAnd();
+    while (this.isKeyword('OR')) {
+      this.index++;
+      node = {kind: 'or', left: node, right: this.parseAnd()};
+    }
+    return node;
+  }
+
+  /**
+   * Parses terms combined with AND, or placed next to each other.
+   *
+   * @returns The parsed node.
+   */
+  private parseAnd(): QueryNode {
+    let node = this.parseNot();
+    for (;;) {
+      if (this.isKeyword('AND')) {
+        this.index++;
+        node = {kind: 'and', left: node, right: this.parseNot()};
+        continue;
+      }
+      const token = this.peek();
+      if (!token || token.kind === 'close' || this.isKeyword('OR')) {
+        return node;
+      }
+      const previous = this.tokens[this.index - 1];
+      const right = this.parseNot();
+      if (
+        node.kind === 'text' &&
+        right.kind === 'text' &&
+        previous.kind === 'word' &&
+        !previous.quoted &&
+        !token.quoted
+      ) {
+        // Plain words next to each other are searched for as one phrase.
+        node = {kind: 'text', text: `${node.text} ${right.text}`};
+      } else {
+        node = {kind: 'and', left: node, right};
+      }
+    }
+  }
+
+  /**
+   * Parses a term that may be negated with NOT.
+   *
+   * @returns The parsed node.
+   */
+  private parseNot(): QueryNode {
+    if (this.isKeyword('NOT')) {
+      this.index++;
+      return {kind: 'not', operand: this.parseNot()};
+    }
+    return this.parsePrimary();
+  }
+
+  /**
+   * Parses a parenthesized group or a single term.
+   *
+   * @returns The parsed node.
+   * @throws If the query ends unexpectedly or has unbalanced parentheses.
+   */
+  private parsePrimary(): QueryNode {
+    const token = this.peek();
+    if (!token) {
+      throw new Error('Unexpected end of query.');
+    }
+    this.index++;
+    if (token.kind === 'open') {
+      const node = this.parseOr();
+      if (this.peek()?.kind !== 'close') {
+        throw new Error('Missing closing ) in query.');
+      }
+      this.index++;
+      return node;
+    }
+    if (token.kind === 'close') {
+      throw new Error('Unexpected ) in query.');
+    }
+    return parseTerm(token);
+  }
+
+  /**
+   * Returns the current token without consuming it.
+   *
+   * @returns The current token, or undefined at the end of the query.
+   */
+  private peek(): Token | undefined {
+    return this.tokens[this.index];
+  }
+
+  /**
+   * Returns whether the current token is the given operator keyword.
+   * Keywords must be uppercase and unquoted.
+   *
+   * @param keyword The keyword to check for.
+   * @returns True if the current token is the keyword.
+   */
+  private isKeyword(keyword: string): boolean {
+    const token = this.peek();
+    return (
+      !!token &&
+      token.kind === 'word' &&
+      !token.quoted &&
+      token.value === keyword
+    );
+  }
+}
+
+/**
+ * Converts a word token into a term node.
+ *
+ * @param token The token to convert.
+ * @returns The term node.
+ */
+function parseTerm(token: Token): QueryNode {
+  if (!token.quoted) {
+    const regex = parseRegexLiteral(token.value);
+    if (regex) {
+      return {kind: 'regex', regex};
+    }
+    const colon = token.value.indexOf(':');
+    if (colon > 0) {
+      const name = token.value.slice(0, colon).toLowerCase();
+      if (filters.has(name)) {
+        const value = token.value.slice(colon + 1);
+        // Check that any regular expression in the value is valid, so that
+        // invalid ones are reported when parsing instead of when matching.
+        parseRegexLiteral(value);
+        parseRegexLiteral(value.slice(value.indexOf('=') + 1));
+        return {kind: 'filter', name, value};
+      }
+    }
+  }
+  return {kind: 'text', text: token.value};
+}
+
+/**
+ * Parses a workspace search query.
+ *
+ * @param query The query to parse.
+ * @returns The root node of the parsed query.
+ * @throws If the query is not valid.
+ */
+export function parseQuery(query: string): QueryNode {
+  return new QueryParser(tokenize(query)).parse();
+}
+
+/**
+ * Returns whether the block matches the parsed query.
+ *
+ * @param block The block to check.
+ * @param node The parsed query.
+ * @param options The options to match with.
+ * @returns True if the block matches, false otherwise.
+ */
+export function matchesQuery(
+  block: Blockly.Block,
+  node: QueryNode,
+  options: QueryMatchOptions,
+): boolean {
+  switch (node.kind) {
+    case 'and':
+      return (
+        matchesQuery(block, node.left, options) &&
+        matchesQuery(block, node.right, options)
+      );
+    case 'or':
+      return (
+        matchesQuery(block, node.left, options) ||
+        matchesQuery(block, node.right, options)
+      );
+    case 'not':
+      return !matchesQuery(block, node.operand, options);
+    case 'text':
+      return options.matchText(
+        block,
+        options.caseSensitive ? node.text : node.text.toLowerCase(),
+      );
+    case 'regex':
+      node.regex.lastIndex = 0;
+      return node.regex.test(options.getBlockText(block));
+    case 'filter': {
+      const filter = filters.get(node.name);
+      return !!filter && filter(block, node.value, options);
+    }
+  }
+}
+
+/**
+ * Returns whether the given text matches the parsed query. Filters never
+ * match, since there is no block to check them against.
+ *
+ * @param text The text to check, e.g. the text of a workspace comment.
+ * @param node The parsed query.
+ * @param caseSensitive Whether the search is case sensitive.
+ * @returns True if the text matches, false otherwise.
+ */
+export function matchesQueryText(
+  text: string,
+  node: QueryNode,
+  caseSensitive: boolean,
+): boolean {
+  switch (node.kind) {
+    case 'and':
+      return (
+        matchesQueryText(text, node.left, caseSensitive) &&
+        matchesQueryText(text, node.right, caseSensitive)
+      );
+    case 'or':
+      return (
+        matchesQueryText(text, node.left, caseSensitive) ||
+        matchesQueryText(text, node.right, caseSensitive)
+      );
+    case 'not':
+      return !matchesQueryText(text, node.operand, caseSensitive);
+    case 'text':
+      if (caseSensitive) {
+        return text.indexOf(node.text) > -1;
+      }
+      return text.toLowerCase().indexOf(node.text.toLowerCase()) > -1;
+    case 'regex':
+      node.regex.lastIndex = 0;
+      return node.regex.test(text);
+    case 'filter':
+      return false;
+  }
+}
+
+/**
+ * Returns the plain text terms of the query that are not negated.
+ *
+ * @param node The parsed query.
+ * @returns The text of each plain text term or phrase.
+ */
+export function getQueryTextTerms(node: QueryNode): string[] {
+  switch (node.kind) {
+    case 'and':
+    case 'or':
+      return [
+        ...getQueryTextTerms(node.left),
+        ...getQueryTextTerms(node.right),
+      ];
+    case 'text':
+      return [node.text];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parses a boolean filter value.
+ *
+ * @param value The value from the query.
+ * @returns True if the value is "true", false otherwise.
+ */
+function parseBoolean(value: string): boolean {
+  return value.toLowerCase() === 'true';
+}
+
+registerQueryFilter('type', (block, value) =>
+  matchQueryValue(block.type, value, true),
+);
+
+registerQueryFilter('field', (block, value, options) => {
+  const separator = value.indexOf('=');
+  const name = separator === -1 ? value : value.slice(0, separator);
+  const field = block.getField(name);
+  if (!field) return false;
+  if (separator === -1) return true;
+  const expected = value.slice(separator + 1);
+  return (
+    matchQueryValue(field.getText(), expected, options.caseSensitive) ||
+    matchQueryValue(String(field.getValue()), expected, options.caseSensitive)
+  );
+});
+
+registerQueryFilter(
+  'disabled',
+  (block, value) => !block.isEnabled() === parseBoolean(value),
+);
+
+registerQueryFilter(
+  'collapsed',
+  (block, value) => block.isCollapsed() === parseBoolean(value),
+);
+
+registerQueryFilter(
+  'shadow',
+  (block, value) => block.isShadow() === parseBoolean(value),
+);
+
+registerQueryFilter('has', (block, value) => {
+  switch (value.toLowerCase()) {
+    case 'comment':
+      return !!block.getCommentText();
+    case 'warning':
+      return block.hasIcon(Blockly.icons.IconType.WARNING);
+    case 'mutator':
+      return block.hasIcon(Blockly.icons.IconType.MUTATOR);
+    case 'parent':
+      return !!block.getParent();
+    default:
+      return false;
+  }
+});
+
+registerQueryFilter('parent', (block, value) => {
+  const parent = block.getParent();
+  return !!parent && matchQueryValue(parent.type, value, true);
+});
+
+registerQueryFilter('ancestor', (block, value) => {
+  for (let parent = block.getParent(); parent; parent = parent.getParent()) {
+    if (matchQueryValue(parent.type, value, true)) return true;
+  }
+  return false;
+});
+
+registerQueryFilter('var', (block, value, options) =>
+  block
+    .getVarModels()
+    .some((variable) =>
+      matchQueryValue(variable.name, value, options.caseSensitive),
+    ),
+);
@@ -7,6 +7,35 @@
 import * as Blockly from 'blockly/core';
 
 import {injectSearchCss} from './css';
+import {
+  getQueryTextTerms,
+  matchesQuery,
+  matchesQueryText,
+  parseQuery,
+  QueryNode,
+} from './query';
+
+/**
+ * An item that can come up in a search.
+ */
+export type SearchResult =
+  | Blockly.BlockSvg
+  | Blockly.comments.RenderedWorkspaceComment;
+
+/**
+ * The places that workspace search looks in, in addition to the blocks on the
+ * workspace.
+ */
+export interface SearchScopes {
+  /** Whether to search blocks nested inside collapsed blocks. */
+  collapsedChildren?: boolean;
+  /** Whether to search the text of block comments. */
+  blockComments?: boolean;
+  /** Whether to search workspace comments. */
+  workspaceComments?: boolean;
+  /** Whether to search the blocks in the flyout, if it is open. */
+  flyout?: boolean;
+}
 
 /**
  * Class for workspace search.
@@ -37,13 +66,39 @@ export class WorkspaceSearch implements Blockly.IPositionable {
    */
   private textInputPlaceholder = 'Search';
 
+  /**
+   * The div that holds the replace input and actions.
+   */
+  protected replaceDiv: HTMLElement | null = null;
+
+  /**
+   * The text input for the replacement text.
+   */
+  private replaceInputElement: HTMLInputElement | null = null;
+
+  /**
+   * The element used to report the result of the last replace.
+   */
+  private replaceStatusElement: HTMLElement | null = null;
+
+  /**
+   * The placeholder text for the replace input.
+   */
+  private replaceInputPlaceholder = 'Replace';
+
   /**
    * A list of blocks that came up in the search.
    */
   protected blocks: Blockly.BlockSvg[] = [];
 
   /**
-   * Index of the currently "selected" block in the blocks array.
+   * A list of workspace comments that came up in the search, if they are
+   * searched. They come after the blocks in the search results.
+   */
+  protected comments: Blockly.comments.RenderedWorkspaceComment[] = [];
+
+  /**
+   * Index of the currently "selected" result in the search results.
    */
   protected currentBlockIndex = -1;
 
@@ -62,17 +117,62 @@ export class WorkspaceSearch implements Blockly.IPositionable {
    */
   caseSensitive = false;
 
+  /**
+   * Whether the search text should be parsed as a query, allowing filters
+   * like `type:controls_if`, regular expressions and AND/OR/NOT. If the
+   * search text is not a valid query, it is searched for as plain text.
+   * Off by default, so that plain text searches behave as they always have.
+   */
+  useQuerySyntax = false;
+
   /**
    * Whether search should preserve the currently selected block by default.
    */
   preserveSelected = true;
 
+  /**
+   * The places to search in addition to the blocks on the workspace.
+   */
+  searchScopes: SearchScopes = {};
+
+  /**
+   * Whether to collapse blocks and comments, and hide comment bubbles, that
+   * were revealed by the search when the search bar is closed.
+   */
+  restoreRevealedOnClose = false;
+
+  /**
+   * Blocks that were expanded to reveal a result.
+   */
+  private expandedBlocks: Blockly.BlockSvg[] = [];
+
+  /**
+   * Workspace comments that were expanded to reveal a result.
+   */
+  private expandedComments: Blockly.comments.RenderedWorkspaceComment[] = [];
+
+  /**
+   * Blocks whose comment bubbles were opened to reveal a result.
+   */
+  private openedCommentBlocks: Blockly.BlockSvg[] = [];
+
   /**
    * Array holding info needed to unbind events.
    * Used for disposing.
    */
   private boundEvents: Blockly.browserEvents.Data[] = [];
 
+  /**
+   * Drops the flyout results when the flyout is no longer open. Closing the
+   * flyout doesn't fire an event of its own, so this checks on every event.
+   */
+  private onWorkspaceChange = () => {
+    if (!this.blocks.length || this.workspace.getFlyout()?.isVisible()) {
+      return;
+    }
+    this.dropFlyoutResults();
+  };
+
   /**
    * Class for workspace search.
    *
@@ -92,6 +192,7 @@ export class WorkspaceSearch implements Blockly.IPositionable {
     injectSearchCss();
     this.createDom();
     this.setVisible(false);
+    this.workspace.addChangeListener(this.onWorkspaceChange);
 
     this.workspace.resize();
   }
@@ -106,12 +207,16 @@ export class WorkspaceSearch implements Blockly.IPositionable {
       Blockly.browserEvents.unbind(event);
     }
     this.boundEvents.length = 0;
+    this.workspace.removeChangeListener(this.onWorkspaceChange);
     if (this.htmlDiv) {
       this.htmlDiv.remove();
       this.htmlDiv = null;
     }
     this.actionDiv = null;
     this.inputElement = null;
+    this.replaceDiv = null;
+    this.replaceInputElement = null;
+    this.replaceStatusElement = null;
   }
 
   /**
@@ -130,6 +235,12 @@ export class WorkspaceSearch implements Blockly.IPositionable {
      *     </div>
      *     [... close button goes here ...]
      *   </div>
+     *   <div class="ws-search-replace'>
+     *     <div class="ws-search-input'>
+     *       [... replace input goes here ...]
+     *     </div>
+     *     [... replace buttons and status go here ...]
+     *   </div>
      * </div>
      */
     const injectionDiv = this.workspace.getInjectionDiv();
@@ -183,10 +294,61 @@ export class WorkspaceSearch implements Blockly.IPositionable {
     }
 
     this.htmlDiv.appendChild(searchContainer);
+    this.htmlDiv.appendChild(this.createReplaceDom());
 
     injectionDiv.insertBefore(this.htmlDiv, this.workspace.getParentSvg());
   }
 
+  /**
+   * Creates the replace row of the search bar. It is hidden until replace mode
+   * is opened.
+   *
+   * @returns The div holding the replace input and actions.
+   */
+  private createReplaceDom(): HTMLElement {
+    this.replaceDiv = document.createElement('div');
+    Blockly.utils.dom.addClass(this.replaceDiv, 'blockly-ws-search-replace');
+
+    const inputWrapper = document.createElement('div');
+    Blockly.utils.dom.addClass(inputWrapper, 'blockly-ws-search-input');
+    this.replaceInputElement = this.createReplaceInput();
+    this.addEvent(
+      this.replaceInputElement,
+      'keydown',
+      this,
+      (evt: KeyboardEvent) => this.onReplaceKeyDown(evt),
+    );
+    inputWrapper.appendChild(this.replaceInputElement);
+    this.replaceDiv.appendChild(inputWrapper);
+
+    const replaceBtn = this.createReplaceBtn();
+    if (replaceBtn) {
+      this.addBtnListener(replaceBtn, () =>
+        this.replaceCurrent(this.getReplaceInputValue()),
+      );
+      this.replaceDiv.appendChild(replaceBtn);
+    }
+
+    const replaceAllBtn = this.createReplaceAllBtn();
+    if (replaceAllBtn) {
+      this.addBtnListener(replaceAllBtn, () =>
+        this.replaceAll(this.getReplaceInputValue()),
+      );
+      this.replaceDiv.appendChild(replaceAllBtn);
+    }
+
+    this.replaceStatusElement = document.createElement('span');
+    Blockly.utils.dom.addClass(
+      this.replaceStatusElement,
+      'blockly-ws-search-replace-status',
+    );
+    this.replaceStatusElement.setAttribute('aria-live', 'polite');
+    this.replaceDiv.appendChild(this.replaceStatusElement);
+
+    this.setReplaceVisible(false);
+    return this.replaceDiv;
+  }
+
   /**
    * Helper method for adding an event.
    *
@@ -235,6 +397,44 @@ export class WorkspaceSearch implements Blockly.IPositionable {
     return textInput;
   }
 
+  /**
+   * Creates the text input for the replacement text.
+   *
+   * @returns A text input for the replacement text.
+   */
+  protected createReplaceInput(): HTMLInputElement {
+    const textInput = document.createElement('input');
+    textInput.type = 'text';
+    textInput.setAttribute('placeholder', this.replaceInputPlaceholder);
+    textInput.setAttribute('aria-label', 'Replace with');
+    return textInput;
+  }
+
+  /**
+   * Creates the button used to replace the value in the current block.
+   *
+   * @returns The replace button.
+   */
+  protected createReplaceBtn(): HTMLButtonElement {
+    const btn = this.createBtn('blockly-ws-search-replace-btn', 'Replace');
+    btn.textContent = 'Replace';
+    return btn;
+  }
+
+  /**
+   * Creates the button used to replace the value in all matching blocks.
+   *
+   * @returns The replace all button.
+   */
+  protected createReplaceAllBtn(): HTMLButtonElement {
+    const btn = this.createBtn(
+      'blockly-ws-search-replace-all-btn',
+      'Replace all',
+    );
+    btn.textContent = 'Replace all';
+    return btn;
+  }
+
   /**
    * Creates the button used to get the next block in the list.
    *
@@ -378,7 +578,27 @@ export class WorkspaceSearch implements Blockly.IPositionable {
   }
 
   /**
-   * Opens the search bar when Control F or Command F are used on the workspace.
+   * Handles a key down for the replace input.
+   *
+   * @param e The key down event.
+   */
+  private onReplaceKeyDown(e: KeyboardEvent) {
+    if (e.key === 'Escape') {
+      this.close();
+    } else if (e.key === 'Enter') {
+      if (e.ctrlKey || e.metaKey) {
+        this.replaceAll(this.getReplaceInputValue());
+      } else {
+        this.replaceCurrent(this.getReplaceInputValue());
+      }
+      e.preventDefault();
+    }
+    e.stopPropagation();
+  }
+
+  /**
+   * Opens the search bar when Control F or Command F are used on the workspace,
+   * and opens it in replace mode when Control H or Command H are used.
    *
    * @param e The key down event.
    */
@@ -388,6 +608,10 @@ export class WorkspaceSearch implements Blockly.IPositionable {
       this.open();
       e.preventDefault();
       e.stopPropagation();
+    } else if ((e.ctrlKey || e.metaKey) && e.key === 'h') {
+      this.openReplace();
+      e.preventDefault();
+      e.stopPropagation();
     }
   }
 
@@ -417,31 +641,171 @@ export class WorkspaceSearch implements Blockly.IPositionable {
     }
   }
 
+  /**
+   * Sets the placeholder text for the replace text input.
+   *
+   * @param placeholderText The placeholder text.
+   */
+  setReplacePlaceholder(placeholderText: string) {
+    this.replaceInputPlaceholder = placeholderText;
+    if (this.replaceInputElement) {
+      this.replaceInputElement.setAttribute(
+        'placeholder',
+        this.replaceInputPlaceholder,
+      );
+    }
+  }
+
   /**
    * Changes the currently "selected" block and adds extra highlight.
    *
    * @param index Index of block to set as current. Number is wrapped.
    */
   protected setCurrentBlock(index: number) {
-    if (!this.blocks.length) {
+    const results = this.getResults();
+    if (!results.length) {
       return;
     }
-    let currentBlock = this.blocks[this.currentBlockIndex];
+    let currentBlock = results[this.currentBlockIndex];
     if (currentBlock) {
-      this.unhighlightCurrentSelection(currentBlock);
+      this.unhighlightCurrentResult(currentBlock);
     }
     this.currentBlockIndex =
-      ((index % this.blocks.length) + this.blocks.length) % this.blocks.length;
-    currentBlock = this.blocks[this.currentBlockIndex];
+      ((index % results.length) + results.length) % results.length;
+    currentBlock = results[this.currentBlockIndex];
+
+    this.highlightCurrentResult(currentBlock);
+    this.revealResult(currentBlock);
+    this.scrollToResult(currentBlock);
+  }
+
+  /**
+   * Makes the given result visible by expanding any collapsed blocks it is
+   * nested inside, expanding it if it is a collapsed workspace comment, and
+   * opening its comment bubble if the match is in a block comment.
+   *
+   * @param result The result to reveal.
+   */
+  protected revealResult(result: SearchResult) {
+    if (result instanceof Blockly.comments.RenderedWorkspaceComment) {
+      if (result.isCollapsed()) {
+        result.setCollapsed(false);
+        this.expandedComments.push(result);
+      }
+      return;
+    }
+    if (result.isInFlyout) {
+      return;
+    }
+    const collapsedAncestors: Blockly.BlockSvg[] = [];
+    for (
+      let parent = result.getSurroundParent();
+      parent;
+      parent = parent.getSurroundParent()
+    ) {
+      if (parent.isCollapsed()) {
+        collapsedAncestors.push(parent);
+      }
+    }
+    // Expand the outermost block first so each block is rendered once.
+    for (const block of collapsedAncestors.reverse()) {
+      block.setCollapsed(false);
+      this.expandedBlocks.push(block);
+    }
+    if (this.isBlockCommentMatch(result)) {
+      const icon = result.getIcon(Blockly.icons.IconType.COMMENT);
+      if (Blockly.hasBubble(icon) && !icon.bubbleIsVisible()) {
+        icon.setBubbleVisible(true);
+        this.openedCommentBlocks.push(result);
+      }
+    }
+  }
+
+  /**
+   * Returns whether the comment of the given block matches the plain text of
+   * the search.
+   *
+   * @param block The block to check.
+   * @returns True if block comments are searched and the comment matches.
+   */
+  private isBlockCommentMatch(block: Blockly.BlockSvg): boolean {
+    const commentText = block.getCommentText();
+    if (!this.searchScopes.blockComments || !commentText) {
+      return false;
+    }
+    const query = this.parseSearchQuery(this.searchText);
+    const terms = query ? getQueryTextTerms(query) : [this.searchText];
+    const text = this.caseSensitive ? commentText : commentText.toLowerCase();
+    return terms.some(
+      (term) =>
+        text.indexOf(this.caseSensitive ? term : term.toLowerCase()) > -1,
+    );
+  }
+
+  /**
+   * Restores blocks and comments that were revealed by the search to their
+   * previous state.
+   */
+  private restoreRevealed() {
+    for (const block of this.openedCommentBlocks) {
+      const icon = block.getIcon(Blockly.icons.IconType.COMMENT);
+      if (Blockly.hasBubble(icon) && !block.isDeadOrDying()) {
+        icon.setBubbleVisible(false);
+      }
+    }
+    // Collapse the innermost blocks first, in the reverse of expanding order.
+    for (const block of [...this.expandedBlocks].reverse()) {
+      if (!block.isDeadOrDying()) {
+        block.setCollapsed(true);
+      }
+    }
+    for (const comment of this.expandedComments) {
+      if (!comment.isDeadOrDying()) {
+        comment.setCollapsed(true);
+      }
+    }
+  }
 
-    this.highlightCurrentSelection(currentBlock);
-    this.workspace.centerOnBlock(currentBlock.id, false);
+  /**
+   * Scrolls the workspace, or the flyout, so that the given result is visible.
+   *
+   * @param result The result to scroll to.
+   */
+  protected scrollToResult(result: SearchResult) {
+    if (result instanceof Blockly.comments.RenderedWorkspaceComment) {
+      if (!this.workspace.isMovable()) return;
+      const bounds = result.getBoundingRectangle();
+      const scale = this.workspace.scale;
+      const metrics = this.workspace.getMetrics();
+      const centerX = ((bounds.left + bounds.right) / 2) * scale;
+      const centerY = ((bounds.top + bounds.bottom) / 2) * scale;
+      this.workspace.hideChaff();
+      this.workspace.scroll(
+        -(centerX - metrics.viewWidth / 2),
+        -(centerY - metrics.viewHeight / 2),
+      );
+    } else if (result.isInFlyout) {
+      const flyout = this.workspace.getFlyout();
+      const flyoutWorkspace = result.workspace;
+      const scrollbar = flyoutWorkspace.scrollbar;
+      if (!flyout || !scrollbar) return;
+      const xy = result.getRelativeToSurfaceXY();
+      const metrics = flyoutWorkspace.getMetrics();
+      if (flyout.horizontalLayout) {
+        scrollbar.setX(xy.x * flyoutWorkspace.scale - metrics.scrollLeft);
+      } else {
+        scrollbar.setY(xy.y * flyoutWorkspace.scale - metrics.scrollTop);
+      }
+    } else {
+      this.workspace.centerOnBlock(result.id, false);
+    }
   }
 
   /**
    * Opens the search bar.
    */
   open() {
+    this.setReplaceVisible(false);
     this.setVisible(true);
     this.inputElement?.focus();
     this.inputElement?.select();
@@ -450,6 +814,21 @@ export class WorkspaceSearch implements Blockly.IPositionable {
     }
   }
 
+  /**
+   * Opens the search bar in replace mode.
+   */
+  openReplace() {
+    this.setVisible(true);
+    this.setReplaceVisible(true);
+    if (this.searchText) {
+      this.searchAndHighlight(this.searchText, this.preserveSelected);
+      this.replaceInputElement?.focus();
+      this.replaceInputElement?.select();
+    } else {
+      this.inputElement?.focus();
+    }
+  }
+
   /**
    * Closes the search bar.
    */
@@ -457,6 +836,12 @@ export class WorkspaceSearch implements Blockly.IPositionable {
     this.setVisible(false);
     this.workspace.markFocused();
     this.clearBlocks();
+    if (this.restoreRevealedOnClose) {
+      this.restoreRevealed();
+    }
+    this.expandedBlocks = [];
+    this.expandedComments = [];
+    this.openedCommentBlocks = [];
   }
 
   /**
@@ -470,6 +855,29 @@ export class WorkspaceSearch implements Blockly.IPositionable {
     }
   }
 
+  /**
+   * Shows or hides the replace row of the search bar.
+   *
+   * @param show Whether to set the replace row as visible.
+   */
+  private setReplaceVisible(show: boolean) {
+    if (this.replaceDiv) {
+      this.replaceDiv.style.display = show ? 'flex' : 'none';
+    }
+    if (this.replaceStatusElement) {
+      this.replaceStatusElement.textContent = '';
+    }
+  }
+
+  /**
+   * Returns the current value of the replace input.
+   *
+   * @returns The replacement text.
+   */
+  private getReplaceInputValue(): string {
+    return this.replaceInputElement?.value ?? '';
+  }
+
   /**
    * Searches the workspace for the current search term and highlights matching
    * blocks.
@@ -479,7 +887,7 @@ export class WorkspaceSearch implements Blockly.IPositionable {
    *    if it is included in the new matching blocks.
    */
   searchAndHighlight(searchText: string, preserveCurrent?: boolean) {
-    const oldCurrentBlock = this.blocks[this.currentBlockIndex];
+    const oldCurrentBlock = this.getResults()[this.currentBlockIndex];
     this.searchText = searchText.trim();
     this.clearBlocks();
     this.blocks = this.getMatchingBlocks(
@@ -487,10 +895,16 @@ export class WorkspaceSearch implements Blockly.IPositionable {
       this.searchText,
       this.caseSensitive,
     );
+    this.comments = this.getMatchingComments(
+      this.workspace,
+      this.searchText,
+      this.caseSensitive,
+    );
     this.highlightSearchGroup(this.blocks);
+    this.highlightComments(this.comments);
     let currentIdx = 0;
     if (preserveCurrent) {
-      currentIdx = this.blocks.indexOf(oldCurrentBlock);
+      currentIdx = this.getResults().indexOf(oldCurrentBlock);
       currentIdx = currentIdx > -1 ? currentIdx : 0;
     }
     this.setCurrentBlock(currentIdx);
@@ -503,12 +917,19 @@ export class WorkspaceSearch implements Blockly.IPositionable {
    * @returns The search pool of blocks to use.
    */
   private getSearchPool(workspace: Blockly.WorkspaceSvg): Blockly.BlockSvg[] {
-    const blocks = workspace.getAllBlocks(true);
-    return blocks.filter((block) => {
-      // Filter out blocks contained inside of another collapsed block.
-      const surroundParent = block.getSurroundParent();
-      return !surroundParent || !surroundParent.isCollapsed();
-    });
+    let blocks = workspace.getAllBlocks(true);
+    if (!this.searchScopes.collapsedChildren) {
+      blocks = blocks.filter((block) => {
+        // Filter out blocks contained inside of another collapsed block.
+        const surroundParent = block.getSurroundParent();
+        return !surroundParent || !surroundParent.isCollapsed();
+      });
+    }
+    const flyout = workspace.getFlyout();
+    if (this.searchScopes.flyout && flyout?.isVisible()) {
+      blocks = blocks.concat(flyout.getWorkspace().getAllBlocks(true));
+    }
+    return blocks;
   }
 
   /**
@@ -525,6 +946,21 @@ export class WorkspaceSearch implements Blockly.IPositionable {
     searchText: string,
     caseSensitive: boolean,
   ): boolean {
+    let blockText = this.getBlockText(block);
+    if (!caseSensitive) {
+      blockText = blockText.toLowerCase();
+    }
+    return blockText.indexOf(searchText) > -1;
+  }
+
+  /**
+   * Returns the text of the given block that is searched.
+   *
+   * @param block The block to get the text of.
+   * @returns The text of the block's fields, or the text of the whole block
+   *    and its children if it is collapsed.
+   */
+  protected getBlockText(block: Blockly.BlockSvg): string {
     let blockText = '';
     if (block.isCollapsed()) {
       // Search the whole string for collapsed blocks.
@@ -538,10 +974,30 @@ export class WorkspaceSearch implements Blockly.IPositionable {
       });
       blockText = topBlockText.join(' ').trim();
     }
-    if (!caseSensitive) {
-      blockText = blockText.toLowerCase();
+    const commentText = block.getCommentText();
+    if (this.searchScopes.blockComments && commentText) {
+      blockText += ' ' + commentText;
+    }
+    return blockText;
+  }
+
+  /**
+   * Parses the search text as a query.
+   *
+   * @param searchText The search text.
+   * @returns The parsed query, or null if query syntax is disabled or the
+   *    search text is not a valid query.
+   */
+  protected parseSearchQuery(searchText: string): QueryNode | null {
+    if (!this.useQuerySyntax) {
+      return null;
+    }
+    try {
+      return parseQuery(searchText);
+    } catch (e) {
+      // The user may still be typing, so fall back to a plain text search.
+      return null;
     }
-    return blockText.indexOf(searchText) > -1;
   }
 
   /**
@@ -561,26 +1017,270 @@ export class WorkspaceSearch implements Blockly.IPositionable {
     if (!searchText) {
       return [];
     }
-    if (!this.caseSensitive) {
+    const searchGroup = this.getSearchPool(workspace);
+    const query = this.parseSearchQuery(searchText);
+    if (query) {
+      const options = {
+        caseSensitive,
+        matchText: (block: Blockly.Block, text: string) =>
+          this.isBlockMatch(block as Blockly.BlockSvg, text, caseSensitive),
+        getBlockText: (block: Blockly.Block) =>
+          this.getBlockText(block as Blockly.BlockSvg),
+      };
+      return searchGroup.filter((block) => matchesQuery(block, query, options));
+    }
+    if (!caseSensitive) {
       searchText = searchText.toLowerCase();
     }
-    const searchGroup = this.getSearchPool(workspace);
     return searchGroup.filter((block) =>
       this.isBlockMatch(block, searchText, caseSensitive),
     );
   }
 
+  /**
+   * Returns workspace comments that match the given search text. Filters in
+   * the search query never match workspace comments.
+   *
+   * @param workspace The workspace to search.
+   * @param searchText The search text.
+   * @param caseSensitive Whether the search should be case sensitive.
+   * @returns The workspace comments that match the search text, or an empty
+   *    list if workspace comments are not searched.
+   */
+  protected getMatchingComments(
+    workspace: Blockly.WorkspaceSvg,
+    searchText: string,
+    caseSensitive: boolean,
+  ): Blockly.comments.RenderedWorkspaceComment[] {
+    if (!searchText || !this.searchScopes.workspaceComments) {
+      return [];
+    }
+    const query = this.parseSearchQuery(searchText) ?? {
+      kind: 'text',
+      text: searchText,
+    };
+    return workspace
+      .getTopComments(true)
+      .filter(
+        (comment): comment is Blockly.comments.RenderedWorkspaceComment =>
+          comment instanceof Blockly.comments.RenderedWorkspaceComment,
+      )
+      .filter((comment) =>
+        matchesQueryText(comment.getText(), query, caseSensitive),
+      );
+  }
+
+  /**
+   * Replaces the search text in the fields of the current block, then moves
+   * on to the next matching block.
+   *
+   * @param replaceText The text to replace the search text with.
+   * @returns The number of fields that were changed.
+   */
+  replaceCurrent(replaceText: string): number {
+    const currentBlock = this.getResults()[this.currentBlockIndex];
+    if (!(currentBlock instanceof Blockly.BlockSvg)) {
+      return 0;
+    }
+    const currentIndex = this.currentBlockIndex;
+    const count = this.replaceInBlocks([currentBlock], replaceText);
+    this.searchAndHighlight(this.searchText, true);
+    if (this.blocks.indexOf(currentBlock) === -1) {
+      // The replaced block no longer matches, so the block that took its
+      // place in the results is the next match.
+      this.setCurrentBlock(currentIndex);
+    }
+    this.reportReplaceCount(count);
+    return count;
+  }
+
+  /**
+   * Replaces the search text in the fields of all matching blocks. All of the
+   * changes are grouped into a single undo event.
+   *
+   * @param replaceText The text to replace the search text with.
+   * @returns The number of fields that were changed.
+   */
+  replaceAll(replaceText: string): number {
+    const count = this.replaceInBlocks(this.blocks, replaceText);
+    this.searchAndHighlight(this.searchText, false);
+    this.reportReplaceCount(count);
+    return count;
+  }
+
+  /**
+   * Replaces the search text in the fields of the given blocks, grouping all
+   * of the resulting change events. If the search text is a query, only its
+   * plain text terms are replaced.
+   *
+   * @param blocks The blocks whose fields should be changed.
+   * @param replaceText The text to replace the search text with.
+   * @returns The number of fields that were changed.
+   */
+  private replaceInBlocks(
+    blocks: Blockly.BlockSvg[],
+    replaceText: string,
+  ): number {
+    const query = this.parseSearchQuery(this.searchText);
+    const terms = query ? getQueryTextTerms(query) : [this.searchText];
+    if (!terms.length || !blocks.length) {
+      return 0;
+    }
+    const existingGroup = Blockly.Events.getGroup();
+    if (!existingGroup) {
+      Blockly.Events.setGroup(true);
+    }
+    let count = 0;
+    try {
+      for (const block of blocks) {
+        for (const field of this.getReplaceableFields(block)) {
+          let changed = false;
+          for (const term of terms) {
+            changed =
+              this.replaceFieldText(field, term, replaceText) || changed;
+          }
+          if (changed) {
+            count++;
+          }
+        }
+      }
+    } finally {
+      if (!existingGroup) {
+        Blockly.Events.setGroup(false);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Returns the fields of the given block that replace is allowed to change.
+   * Only the block's own fields are returned, so replacing in a collapsed
+   * block does not change the blocks nested inside it.
+   *
+   * @param block The block to get fields from.
+   * @returns The editable, serializable fields of the block.
+   */
+  protected getReplaceableFields(block: Blockly.BlockSvg): Blockly.Field[] {
+    const fields: Blockly.Field[] = [];
+    if (block.isInFlyout) {
+      return fields;
+    }
+    for (const input of block.inputList) {
+      for (const field of input.fieldRow) {
+        if (
+          field.EDITABLE &&
+          field.SERIALIZABLE &&
+          field.isCurrentlyEditable()
+        ) {
+          fields.push(field);
+        }
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Replaces the search text in the text of the given field. The new value
+   * goes through the field's validators, so it may be changed or rejected.
+   *
+   * @param field The field to change.
+   * @param searchText The text to search for.
+   * @param replaceText The text to replace the search text with.
+   * @returns True if the field's value changed, false otherwise.
+   */
+  protected replaceFieldText(
+    field: Blockly.Field,
+    searchText: string,
+    replaceText: string,
+  ): boolean {
+    const oldText = field.getText();
+    const escaped = searchText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(escaped, this.caseSensitive ? 'g' : 'gi');
+    if (!regex.test(oldText)) {
+      return false;
+    }
+    const newText = oldText.replace(regex, () => replaceText);
+
+    let newValue: string | null = newText;
+    if (field instanceof Blockly.FieldDropdown) {
+      // Dropdowns display the option text, but store the option value.
+      const option = field
+        .getOptions(true)
+        .find(([text, value]) => text === newText || value === newText);
+      newValue = option ? option[1] : null;
+    }
+    if (newValue === null) {
+      return false;
+    }
+
+    const oldValue = field.getValue();
+    field.setValue(newValue);
+    return field.getValue() !== oldValue;
+  }
+
+  /**
+   * Displays how many fields the last replace changed.
+   *
+   * @param count The number of fields that were changed.
+   */
+  private reportReplaceCount(count: number) {
+    if (this.replaceStatusElement) {
+      this.replaceStatusElement.textContent =
+        count === 1 ? '1 replaced' : `${count} replaced`;
+    }
+  }
+
   /**
    * Clears the selection group and current block.
    */
   clearBlocks() {
     this.unhighlightSearchGroup(this.blocks);
-    const currentBlock = this.blocks[this.currentBlockIndex];
+    this.unhighlightComments(this.comments);
+    const currentBlock = this.getResults()[this.currentBlockIndex];
     if (currentBlock) {
-      this.unhighlightCurrentSelection(currentBlock);
+      this.unhighlightCurrentResult(currentBlock);
     }
     this.currentBlockIndex = -1;
     this.blocks = [];
+    this.comments = [];
+  }
+
+  /**
+   * Returns the search results: the matching blocks followed by the matching
+   * workspace comments.
+   *
+   * @returns The search results.
+   */
+  getResults(): SearchResult[] {
+    return [...this.blocks, ...this.comments];
+  }
+
+  /**
+   * Removes the results from the flyout once it has closed, keeping the
+   * current result if it is still in the results.
+   */
+  protected dropFlyoutResults() {
+    const flyoutBlocks = this.blocks.filter(
+      (block) => block.workspace.isFlyout,
+    );
+    if (!flyoutBlocks.length) {
+      return;
+    }
+    const currentBlock = this.getResults()[this.currentBlockIndex];
+    this.unhighlightSearchGroup(flyoutBlocks);
+    this.blocks = this.blocks.filter((block) => !block.workspace.isFlyout);
+    const currentIdx = currentBlock
+      ? this.getResults().indexOf(currentBlock)
+      : -1;
+    if (currentIdx > -1) {
+      this.currentBlockIndex = currentIdx;
+      return;
+    }
+    if (currentBlock) {
+      this.unhighlightCurrentResult(currentBlock);
+    }
+    this.currentBlockIndex = -1;
+    this.setCurrentBlock(0);
   }
 
   /**
@@ -627,4 +1327,82 @@ export class WorkspaceSearch implements Blockly.IPositionable {
       Blockly.utils.dom.removeClass(blockPath, 'blockly-ws-search-highlight');
     });
   }
+
+  /**
+   * Adds "current selection" highlight to the provided workspace comment.
+   *
+   * @param currentComment The comment to highlight.
+   */
+  protected highlightCurrentComment(
+    currentComment: Blockly.comments.RenderedWorkspaceComment,
+  ) {
+    const root = currentComment.getSvgRoot();
+    Blockly.utils.dom.addClass(root, 'blockly-ws-search-current');
+  }
+
+  /**
+   * Removes "current selection" highlight from the provided workspace comment.
+   *
+   * @param currentComment The comment to unhighlight.
+   */
+  protected unhighlightCurrentComment(
+    currentComment: Blockly.comments.RenderedWorkspaceComment,
+  ) {
+    const root = currentComment.getSvgRoot();
+    Blockly.utils.dom.removeClass(root, 'blockly-ws-search-current');
+  }
+
+  /**
+   * Adds highlight to the provided workspace comments.
+   *
+   * @param comments The comments to highlight.
+   */
+  protected highlightComments(
+    comments: Blockly.comments.RenderedWorkspaceComment[],
+  ) {
+    comments.forEach((comment) => {
+      const root = comment.getSvgRoot();
+      Blockly.utils.dom.addClass(root, 'blockly-ws-search-highlight');
+    });
+  }
+
+  /**
+   * Removes highlight from the provided workspace comments.
+   *
+   * @param comments The comments to unhighlight.
+   */
+  protected unhighlightComments(
+    comments: Blockly.comments.RenderedWorkspaceComment[],
+  ) {
+    comments.forEach((comment) => {
+      const root = comment.getSvgRoot();
+      Blockly.utils.dom.removeClass(root, 'blockly-ws-search-highlight');
+    });
+  }
+
+  /**
+   * Adds "current selection" highlight to the provided result.
+   *
+   * @param result The block or comment to highlight.
+   */
+  private highlightCurrentResult(result: SearchResult) {
+    if (result instanceof Blockly.BlockSvg) {
+      this.highlightCurrentSelection(result);
+    } else {
+      this.highlightCurrentComment(result);
+    }
+  }
+
+  /**
+   * Removes "current selection" highlight from the provided result.
+   *
+   * @param result The block or comment to unhighlight.
+   */
+  private unhighlightCurrentResult(result: SearchResult) {
+    if (result instanceof Blockly.BlockSvg) {
+      this.unhighlightCurrentSelection(result);
+    } else {
+      this.unhighlightCurrentComment(result);
+    }
+  }
 }
@@ -0,0 +1,306 @@
+/**
+ * @license
+ * Copyright 2024 Google LLC
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+/**
+ * @fileoverview Unit tests for the workspace search query syntax.
+ */
+
+const assert = require('assert');
+const Blockly = require('blockly');
+
+const {
+  getQueryTextTerms,
+  matchesQuery,
+  matchesQueryText,
+  parseQuery,
+  registerQueryFilter,
+  unregisterQueryFilter,
+  WorkspaceSearch,
+} = require('../src/index');
+
+suite('Query syntax', function () {
+  suite('parseQuery()', function () {
+    test('Plain words are one phrase', function () {
+      assert.deepEqual(parseQuery('hello  world'), {
+        kind: 'text',
+        text: 'hello world',
+      });
+    });
+
+    test('Quoted phrases are kept separate', function () {
+      assert.deepEqual(parseQuery('"hello world" foo'), {
+        kind: 'and',
+        left: {kind: 'text', text: 'hello world'},
+        right: {kind: 'text', text: 'foo'},
+      });
+    });
+
+    test('Filters', function () {
+      assert.deepEqual(parseQuery('type:controls_if field:NUM=10'), {
+        kind: 'and',
+        left: {kind: 'filter', name: 'type', value: 'controls_if'},
+        right: {kind: 'filter', name: 'field', value: 'NUM=10'},
+      });
+    });
+
+    test('Unknown filters are text', function () {
+      assert.deepEqual(parseQuery('10:30'), {kind: 'text', text: '10:30'});
+    });
+
+    test('Quoted filter values', function () {
+      assert.deepEqual(parseQuery('field:TEXT="a b"'), {
+        kind: 'filter',
+        name: 'field',
+        value: 'TEXT=a b',
+      });
+    });
+
+    test('Regular expressions', function () {
+      const node = parseQuery('/a (b)/i');
+      assert.equal(node.kind, 'regex');
+      assert.equal(node.regex.source, 'a (b)');
+      assert.equal(node.regex.flags, 'i');
+    });
+
+    test('Operator precedence', function () {
+      assert.deepEqual(parseQuery('NOT a OR b AND c'), {
+        kind: 'or',
+        left: {kind: 'not', operand: {kind: 'text', text: 'a'}},
+        right: {
+          kind: 'and',
+          left: {kind: 'text', text: 'b'},
+          right: {kind: 'text', text: 'c'},
+        },
+      });
+    });
+
+    test('Parentheses', function () {
+      assert.deepEqual(parseQuery('(a OR b) c'), {
+        kind: 'and',
+        left: {
+          kind: 'or',
+          left: {kind: 'text', text: 'a'},
+          right: {kind: 'text', text: 'b'},
+        },
+        right: {kind: 'text', text: 'c'},
+      });
+    });
+
+    test('Lowercase operators are text', function () {
+      assert.deepEqual(parseQuery('a or b'), {kind: 'text', text: 'a or b'});
+    });
+
+    test('Invalid queries throw', function () {
+      assert.throws(() => parseQuery('(a'));
+      assert.throws(() => parseQuery('a)'));
+      assert.throws(() => parseQuery('a OR'));
+      assert.throws(() => parseQuery('"a'));
+      assert.throws(() => parseQuery('/(/'));
+      assert.throws(() => parseQuery('field:NAME=/(/'));
+    });
+  });
+
+  suite('getQueryTextTerms()', function () {
+    test('Skips negated terms and filters', function () {
+      const query = parseQuery('"a" OR b type:text NOT c');
+      assert.deepEqual(getQueryTextTerms(query), ['a', 'b']);
+    });
+  });
+
+  suite('matchesQueryText()', function () {
+    test('Text and regular expressions', function () {
+      const query = parseQuery('hello OR /^bye/');
+      assert.ok(matchesQueryText('Say Hello', query, false));
+      assert.ok(!matchesQueryText('Say Hello', query, true));
+      assert.ok(matchesQueryText('bye now', query, true));
+      assert.ok(!matchesQueryText('say bye', query, true));
+    });
+
+    test('Filters never match', function () {
+      assert.ok(!matchesQueryText('hello', parseQuery('hello type:x'), false));
+      assert.ok(matchesQueryText('hello', parseQuery('NOT type:x'), false));
+    });
+  });
+
+  suite('matchesQuery()', function () {
+    setup(function () {
+      this.jsdomCleanup = require('jsdom-global')(
+        '<!DOCTYPE html><div id="blocklyDiv"></div>',
+      );
+      this.workspace = new Blockly.Workspace();
+      Blockly.defineBlocksWithJsonArray([
+        {
+          type: 'test_number',
+          message0: '%1',
+          args0: [{type: 'field_number', name: 'NUM', value: 10}],
+          output: null,
+        },
+        {
+          type: 'test_set',
+          message0: 'set %1 to %2',
+          args0: [
+            {type: 'field_variable', name: 'VAR', variable: 'x'},
+            {type: 'input_value', name: 'VALUE'},
+          ],
+          previousStatement: null,
+          nextStatement: null,
+        },
+        {
+          type: 'test_container',
+          message0: 'do %1',
+          args0: [{type: 'input_statement', name: 'DO'}],
+        },
+      ]);
+      this.container = this.workspace.newBlock('test_container');
+      this.set = this.workspace.newBlock('test_set');
+      this.number = this.workspace.newBlock('test_number');
+      this.container
+        .getInput('DO')
+        .connection.connect(this.set.previousConnection);
+      this.set
+        .getInput('VALUE')
+        .connection.connect(this.number.outputConnection);
+      this.options = {
+        caseSensitive: false,
+        matchText: (block, text) => block.toString().toLowerCase() === text,
+        getBlockText: (block) => block.toString(),
+      };
+      this.matches = (block, query) =>
+        matchesQuery(block, parseQuery(query), this.options);
+    });
+
+    teardown(function () {
+      delete Blockly.Blocks['test_number'];
+      delete Blockly.Blocks['test_set'];
+      delete Blockly.Blocks['test_container'];
+      this.workspace.dispose();
+      this.jsdomCleanup();
+    });
+
+    test('type', function () {
+      assert.ok(this.matches(this.number, 'type:test_number'));
+      assert.ok(!this.matches(this.set, 'type:test_number'));
+      assert.ok(this.matches(this.set, 'type:/^test_s/'));
+    });
+
+    test('field', function () {
+      assert.ok(this.matches(this.number, 'field:NUM'));
+      assert.ok(this.matches(this.number, 'field:NUM=10'));
+      assert.ok(!this.matches(this.number, 'field:NUM=1'));
+      assert.ok(this.matches(this.number, 'field:NUM=/^1/'));
+      assert.ok(!this.matches(this.set, 'field:NUM'));
+    });
+
+    test('disabled', function () {
+      this.set.setDisabledReason(true, 'test');
+      assert.ok(this.matches(this.set, 'disabled:true'));
+      assert.ok(!this.matches(this.number, 'disabled:true'));
+      assert.ok(this.matches(this.number, 'disabled:false'));
+    });
+
+    test('has', function () {
+      this.set.setCommentText('note');
+      assert.ok(this.matches(this.set, 'has:comment'));
+      assert.ok(!this.matches(this.number, 'has:comment'));
+      assert.ok(this.matches(this.number, 'has:parent'));
+      assert.ok(!this.matches(this.container, 'has:parent'));
+    });
+
+    test('parent and ancestor', function () {
+      assert.ok(this.matches(this.number, 'parent:test_set'));
+      assert.ok(!this.matches(this.number, 'parent:test_container'));
+      assert.ok(this.matches(this.number, 'ancestor:test_container'));
+      assert.ok(!this.matches(this.container, 'ancestor:test_container'));
+    });
+
+    test('var', function () {
+      assert.ok(this.matches(this.set, 'var:x'));
+      assert.ok(this.matches(this.set, 'var:X'));
+      assert.ok(!this.matches(this.set, 'var:y'));
+    });
+
+    test('Boolean operators', function () {
+      this.set.setDisabledReason(true, 'test');
+      assert.ok(this.matches(this.set, 'disabled:true var:x'));
+      assert.ok(this.matches(this.set, 'disabled:true AND var:x'));
+      assert.ok(!this.matches(this.set, 'disabled:true AND NOT var:x'));
+      assert.ok(this.matches(this.number, 'type:test_set OR field:NUM'));
+    });
+
+    test('Custom filters', function () {
+      registerQueryFilter(
+        'statement',
+        (block, value) => !!block.previousConnection === (value === 'true'),
+      );
+      try {
+        assert.ok(this.matches(this.set, 'statement:true'));
+        assert.ok(!this.matches(this.number, 'statement:true'));
+      } finally {
+        unregisterQueryFilter('statement');
+      }
+    });
+  });
+
+  suite('WorkspaceSearch', function () {
+    setup(function () {
+      this.jsdomCleanup = require('jsdom-global')(
+        '<!DOCTYPE html><div id="blocklyDiv"></div>',
+      );
+      this.workspace = Blockly.inject('blocklyDiv');
+      this.workspaceSearch = new WorkspaceSearch(this.workspace);
+      this.workspaceSearch.useQuerySyntax = true;
+      Blockly.defineBlocksWithJsonArray([
+        {
+          type: 'test_text',
+          message0: '%1',
+          args0: [{type: 'field_input', name: 'TEXT', text: 'Hello world'}],
+          output: null,
+        },
+      ]);
+      this.block1 = this.workspace.newBlock('test_text');
+      this.block2 = this.workspace.newBlock('test_text');
+      this.block2.setDisabledReason(true, 'test');
+    });
+
+    teardown(function () {
+      delete Blockly.Blocks['test_text'];
+      this.jsdomCleanup();
+    });
+
+    test('Searches with filters', function () {
+      this.workspaceSearch.searchAndHighlight('hello disabled:true');
+      assert.deepEqual(this.workspaceSearch.blocks, [this.block2]);
+    });
+
+    test('Invalid queries search for plain text', function () {
+      this.block1.setFieldValue('a (b', 'TEXT');
+      this.workspaceSearch.searchAndHighlight('a (b');
+      assert.deepEqual(this.workspaceSearch.blocks, [this.block1]);
+    });
+
+    test('Query syntax is off by default', function () {
+      const workspaceSearch = new WorkspaceSearch(this.workspace);
+      this.block1.setFieldValue('disabled:true', 'TEXT');
+      workspaceSearch.searchAndHighlight('disabled:true');
+      assert.deepEqual(workspaceSearch.blocks, [this.block1]);
+    });
+
+    test('Query syntax can be disabled', function () {
+      this.block1.setFieldValue('disabled:true', 'TEXT');
+      this.workspaceSearch.useQuerySyntax = false;
+      this.workspaceSearch.searchAndHighlight('disabled:true');
+      assert.deepEqual(this.workspaceSearch.blocks, [this.block1]);
+    });
+
+    test('Replace only changes text terms', function () {
+      this.workspaceSearch.searchAndHighlight('hello disabled:true');
+      const count = this.workspaceSearch.replaceAll('Goodbye');
+      assert.equal(count, 1);
+      assert.equal(this.block1.getFieldValue('TEXT'), 'Hello world');
+      assert.equal(this.block2.getFieldValue('TEXT'), 'Goodbye world');
+    });
+  });
+});
@@ -436,4 +436,295 @@ suite('WorkspaceSearch', function () {
       assertNoExtraCurrentStyling(this.blocks, this.blocks[1]);
     });
   });
+  suite('replace', function () {
+    setup(function () {
+      Blockly.defineBlocksWithJsonArray([
+        {
+          type: 'test_text',
+          message0: '%1',
+          args0: [
+            {
+              type: 'field_input',
+              name: 'NAME',
+              text: 'Hello world',
+            },
+          ],
+          output: null,
+        },
+        {
+          type: 'test_dropdown',
+          message0: '%1',
+          args0: [
+            {
+              type: 'field_dropdown',
+              name: 'DIR',
+              options: [
+                ['left', 'LEFT'],
+                ['right', 'RIGHT'],
+              ],
+            },
+          ],
+        },
+        {
+          type: 'test_label',
+          message0: 'Hello %1',
+          args0: [
+            {
+              type: 'field_label_serializable',
+              name: 'LABEL',
+              text: 'Hello',
+            },
+          ],
+        },
+      ]);
+      this.textBlock1 = this.workspace.newBlock('test_text');
+      this.textBlock2 = this.workspace.newBlock('test_text');
+      this.dropdownBlock = this.workspace.newBlock('test_dropdown');
+      this.labelBlock = this.workspace.newBlock('test_label');
+      this.blocks = [
+        this.textBlock1,
+        this.textBlock2,
+        this.dropdownBlock,
+        this.labelBlock,
+      ];
+      sinon
+        .stub(this.workspace, 'getAllBlocks')
+        .returns(Object.values(this.blocks));
+    });
+
+    teardown(function () {
+      delete Blockly.Blocks['test_text'];
+      delete Blockly.Blocks['test_dropdown'];
+      delete Blockly.Blocks['test_label'];
+      sinon.restore();
+    });
+
+    test('replaceAll() changes all editable fields', function () {
+      this.workspaceSearch.searchAndHighlight('hello', false);
+      const count = this.workspaceSearch.replaceAll('Goodbye');
+      assert.equal(count, 2);
+      assert.equal(this.textBlock1.getFieldValue('NAME'), 'Goodbye world');
+      assert.equal(this.textBlock2.getFieldValue('NAME'), 'Goodbye world');
+      assert.equal(this.labelBlock.getFieldValue('LABEL'), 'Hello');
+    });
+
+    test('replaceAll() updates the search results', function () {
+      this.workspaceSearch.searchAndHighlight('hello', false);
+      this.workspaceSearch.replaceAll('Goodbye');
+      assert.deepEqual(this.workspaceSearch.blocks, [this.labelBlock]);
+    });
+
+    test('replaceAll() respects case sensitivity', function () {
+      this.workspaceSearch.caseSensitive = true;
+      this.workspaceSearch.searchAndHighlight('world', false);
+      this.textBlock2.setFieldValue('World', 'NAME');
+      const count = this.workspaceSearch.replaceAll('there');
+      assert.equal(count, 1);
+      assert.equal(this.textBlock1.getFieldValue('NAME'), 'Hello there');
+      assert.equal(this.textBlock2.getFieldValue('NAME'), 'World');
+    });
+
+    test('replaceAll() sets dropdowns by option text', function () {
+      this.workspaceSearch.searchAndHighlight('left', false);
+      const count = this.workspaceSearch.replaceAll('right');
+      assert.equal(count, 1);
+      assert.equal(this.dropdownBlock.getFieldValue('DIR'), 'RIGHT');
+    });
+
+    test('replaceAll() skips values that are not dropdown options', function () {
+      this.workspaceSearch.searchAndHighlight('left', false);
+      const count = this.workspaceSearch.replaceAll('up');
+      assert.equal(count, 0);
+      assert.equal(this.dropdownBlock.getFieldValue('DIR'), 'LEFT');
+    });
+
+    test('replaceAll() respects field validators', function () {
+      this.textBlock1.getField('NAME').setValidator(() => null);
+      this.workspaceSearch.searchAndHighlight('hello', false);
+      const count = this.workspaceSearch.replaceAll('Goodbye');
+      assert.equal(count, 1);
+      assert.equal(this.textBlock1.getFieldValue('NAME'), 'Hello world');
+      assert.equal(this.textBlock2.getFieldValue('NAME'), 'Goodbye world');
+    });
+
+    test('replaceAll() skips non-editable blocks', function () {
+      this.textBlock1.setEditable(false);
+      this.workspaceSearch.searchAndHighlight('hello', false);
+      const count = this.workspaceSearch.replaceAll('Goodbye');
+      assert.equal(count, 1);
+      assert.equal(this.textBlock1.getFieldValue('NAME'), 'Hello world');
+    });
+
+    test('replaceAll() fires events in a single group', async function () {
+      const events = [];
+      this.workspace.addChangeListener((e) => {
+        if (e.type === Blockly.Events.BLOCK_CHANGE) events.push(e);
+      });
+      this.workspaceSearch.searchAndHighlight('hello', false);
+      this.workspaceSearch.replaceAll('Goodbye');
+      // Wait for the queued events to be fired.
+      await new Promise((resolve) => setTimeout(resolve));
+      assert.equal(events.length, 2);
+      assert.ok(events[0].group);
+      assert.equal(events[0].group, events[1].group);
+    });
+
+    test('replaceCurrent() only changes the current block', function () {
+      this.workspaceSearch.searchAndHighlight('hello', false);
+      const count = this.workspaceSearch.replaceCurrent('Goodbye');
+      assert.equal(count, 1);
+      assert.equal(this.textBlock1.getFieldValue('NAME'), 'Goodbye world');
+      assert.equal(this.textBlock2.getFieldValue('NAME'), 'Hello world');
+      assert.equal(this.workspaceSearch.blocks[0], this.textBlock2);
+      assert.equal(this.workspaceSearch.currentBlockIndex, 0);
+      assertNoExtraCurrentStyling(this.blocks, this.textBlock2);
+    });
+
+    test('replaceCurrent() with no results', function () {
+      this.workspaceSearch.searchAndHighlight('none', false);
+      assert.equal(this.workspaceSearch.replaceCurrent('Goodbye'), 0);
+    });
+  });
+  suite('search scopes', function () {
+    setup(function () {
+      Blockly.defineBlocksWithJsonArray([
+        {
+          type: 'test_statement_block',
+          message0: 'statement %1',
+          args0: [
+            {
+              type: 'input_statement',
+              name: 'DO',
+            },
+          ],
+          previousStatement: null,
+          nextStatement: null,
+        },
+        {
+          type: 'test_text',
+          message0: '%1',
+          args0: [
+            {
+              type: 'field_input',
+              name: 'NAME',
+              text: 'hidden text',
+            },
+          ],
+          previousStatement: null,
+        },
+      ]);
+      this.parent = this.workspace.newBlock('test_statement_block');
+      this.child = this.workspace.newBlock('test_text');
+      this.parent
+        .getInput('DO')
+        .connection.connect(this.child.previousConnection);
+      this.parent.setCollapsed(true);
+    });
+
+    teardown(function () {
+      delete Blockly.Blocks['test_statement_block'];
+      delete Blockly.Blocks['test_text'];
+    });
+
+    test('Children of collapsed blocks are skipped by default', function () {
+      this.workspaceSearch.searchAndHighlight('hidden', false);
+      assert.deepEqual(this.workspaceSearch.blocks, [this.parent]);
+      assert.ok(this.parent.isCollapsed());
+    });
+
+    test('Children of collapsed blocks are revealed', function () {
+      this.workspaceSearch.searchScopes = {collapsedChildren: true};
+      this.workspaceSearch.searchAndHighlight('hidden', false);
+      assert.deepEqual(this.workspaceSearch.blocks, [this.parent, this.child]);
+      this.workspaceSearch.next();
+      assert.ok(!this.parent.isCollapsed());
+      this.workspaceSearch.close();
+      assert.ok(!this.parent.isCollapsed());
+    });
+
+    test('Revealed blocks are restored on close', function () {
+      this.workspaceSearch.searchScopes = {collapsedChildren: true};
+      this.workspaceSearch.restoreRevealedOnClose = true;
+      this.workspaceSearch.searchAndHighlight('hidden', false);
+      this.workspaceSearch.next();
+      assert.ok(!this.parent.isCollapsed());
+      this.workspaceSearch.close();
+      assert.ok(this.parent.isCollapsed());
+    });
+
+    test('Block comments', function () {
+      this.parent.setCollapsed(false);
+      this.child.setCommentText('a note');
+      this.workspaceSearch.searchAndHighlight('note', false);
+      assert.deepEqual(this.workspaceSearch.blocks, []);
+      this.workspaceSearch.searchScopes = {blockComments: true};
+      this.workspaceSearch.searchAndHighlight('note', false);
+      assert.deepEqual(this.workspaceSearch.blocks, [this.child]);
+      const icon = this.child.getIcon(Blockly.icons.IconType.COMMENT);
+      assert.ok(icon.bubbleIsVisible());
+    });
+  });
+
+  suite('flyout results', function () {
+    setup(function () {
+      // Flyouts can't be rendered here, so a second workspace stands in for
+      // the flyout's workspace.
+      document.body.appendChild(document.createElement('div')).id = 'flyoutDiv';
+      this.flyoutWorkspace = Blockly.inject('flyoutDiv');
+      this.flyoutWorkspace.internalIsFlyout = true;
+      this.flyoutVisible = true;
+      this.workspaceSearch.init();
+      sinon.stub(this.workspace, 'getFlyout').returns({
+        isVisible: () => this.flyoutVisible,
+        getWorkspace: () => this.flyoutWorkspace,
+        getWidth: () => 0,
+        getHeight: () => 0,
+      });
+      this.block = this.workspace.newBlock('text');
+      this.block.setFieldValue('workspace text', 'TEXT');
+      this.block.initSvg();
+      this.flyoutBlock = this.flyoutWorkspace.newBlock('text');
+      this.flyoutBlock.setFieldValue('flyout text', 'TEXT');
+      this.flyoutBlock.initSvg();
+      this.workspaceSearch.searchScopes = {flyout: true};
+    });
+
+    teardown(function () {
+      this.workspaceSearch.dispose();
+      sinon.restore();
+    });
+
+    test('Flyout blocks are searched while the flyout is open', function () {
+      this.workspaceSearch.searchAndHighlight('text', false);
+      assert.deepEqual(this.workspaceSearch.blocks, [
+        this.block,
+        this.flyoutBlock,
+      ]);
+    });
+
+    test('Flyout results are dropped when the flyout closes', function () {
+      this.workspaceSearch.searchAndHighlight('text', false);
+      this.workspaceSearch.next();
+      assert.ok(isBlockCurrentStyled(this.flyoutBlock));
+      this.flyoutVisible = false;
+      this.workspace.fireChangeListener(
+        new Blockly.Events.ToolboxItemSelect('Text', null, this.workspace.id),
+      );
+      assert.deepEqual(this.workspaceSearch.blocks, [this.block]);
+      assert.ok(!isBlockHighlighted(this.flyoutBlock));
+      assert.ok(!isBlockCurrentStyled(this.flyoutBlock));
+      assert.ok(isBlockCurrentStyled(this.block));
+    });
+
+    test('Results are kept while the flyout is open', function () {
+      this.workspaceSearch.searchAndHighlight('text', false);
+      this.workspace.fireChangeListener(
+        new Blockly.Events.ToolboxItemSelect(null, 'Text', this.workspace.id),
+      );
+      assert.deepEqual(this.workspaceSearch.blocks, [
+        this.block,
+        this.flyoutBlock,
+      ]);
+    });
+  });
 });